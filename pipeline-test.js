@@ -3,6 +3,7 @@ console.log('🧪 Testing complete evolutionary algorithm pipeline...');
 
 // Simulate the pipeline that happens in the app
 import { simplifiedEvolutionaryGenerator } from './src/simplified-evolutionary-generator.js';
+import { CENTER } from './src/geometry.js';
 
 try {
   console.log('Step 1: Generate evolutionary puzzle');
@@ -40,8 +41,6 @@ try {
   
   console.log('\nStep 3: Test rendering compatibility');
   // Simulate what the UI does when rendering
-  const SIDES = 12;
-  const CENTER = 150;
   
   circles.forEach((circle, idx) => {
     console.log(`Testing circle ${idx} rendering:`);
@@ -1,10 +1,53 @@
-import { useMemo, useState, useEffect, useCallback } from 'react';
+import { useMemo, useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 import { generateConstraintBasedPuzzle, getPerformanceStats, resetPerformanceStats } from './puzzle-generator.js';
-import { runComprehensiveBenchmark, testPuzzleQuality } from './benchmark.js';
+import { displayBenchmarkResults, displayQualityResults } from './benchmark.js';
 import { analyzePuzzleDifficulty } from './difficulty-analyzer.js';
 import { runAllTests } from './test-suite.js';
 import { simplifiedEvolutionaryGenerator } from './simplified-evolutionary-generator.js';
+import {
+  SIDES,
+  CENTER,
+  RING_RADII,
+  createGeometry,
+  defaultRingRadii,
+  getGeometry,
+  getPolygonPoints,
+  positionToAngle,
+  degToRad,
+  ringName,
+  geometryConfig,
+} from './geometry.js';
+import { traceBeams, getWorldElements } from './beam-tracer.js';
+import { generatePuzzle, isPuzzleSolvable, getPar } from './puzzle.js';
+import { randomSeed } from './random.js';
+import { HINT_LEVELS } from './hints.js';
+import {
+  createHistory,
+  getCurrentState,
+  applyMove,
+  undo,
+  redo,
+  jumpTo,
+  canUndo,
+  canRedo,
+  describeMove,
+} from './move-history.js';
+import { encodePuzzle, decodePuzzle } from './share-code.js';
+import { createGenerationClient } from './generation-client.js';
+import { OPTION_SCHEMA, getGenerator, listGenerators } from './generator-registry.js';
+import { MIN_START_DISTANCE, getStartAngles, scrambleStart } from './start-state.js';
+import { toPuzzleJSON, parsePuzzleJSON, validatePuzzle } from './puzzle-schema.js';
+import { parseRules, rulesFromPuzzle, constraintProblems, unmetConstraints } from './generation-constraints.js';
+import { puzzleHash } from './canonical-puzzle.js';
+import {
+  createEmptyPuzzle,
+  toEditablePuzzle,
+  toggleLitEdge,
+  cycleSlot,
+  getSlotContent,
+  findOppositeConflicts,
+} from './puzzle-editor.js';
 import backgroundImage from './assets/image2.png';
 
 // Test function to validate imports
@@ -16,8 +59,8 @@ function testImportsAndExports() {
     console.log('✓ generateConstraintBasedPuzzle:', typeof generateConstraintBasedPuzzle);
     console.log('✓ getPerformanceStats:', typeof getPerformanceStats);
     console.log('✓ resetPerformanceStats:', typeof resetPerformanceStats);
-    console.log('✓ runComprehensiveBenchmark:', typeof runComprehensiveBenchmark);
-    console.log('✓ testPuzzleQuality:', typeof testPuzzleQuality);
+    console.log('✓ displayBenchmarkResults:', typeof displayBenchmarkResults);
+    console.log('✓ displayQualityResults:', typeof displayQualityResults);
     console.log('✓ analyzePuzzleDifficulty:', typeof analyzePuzzleDifficulty);
     console.log('✓ runAllTests:', typeof runAllTests);
     console.log('✓ evolutionaryGenerator:', typeof simplifiedEvolutionaryGenerator);
@@ -42,235 +85,112 @@ function testImportsAndExports() {
 // Make test function globally available
 window.testImportsAndExports = testImportsAndExports;
 
-// Safe wrapper for getPerformanceStats
-function safeGetPerformanceStats() {
+// A puzzle loaded without rotations or a start of its own starts scrambled
+// like a generated one, as rings at 0 can already be solved
+function withStart(puzzle, rotations, minDistance = MIN_START_DISTANCE) {
+  return rotations || puzzle.startRotations ? puzzle : scrambleStart(puzzle, { minDistance });
+}
+
+// Puzzle shared through a `?p=<code>` link, read once on startup
+function readSharedPuzzle() {
+  const code = new URLSearchParams(window.location.search).get('p');
+  if (!code) return { shared: null, error: '' };
   try {
-    if (typeof getPerformanceStats === 'function') {
-      return getPerformanceStats();
-    } else {
-      console.warn('getPerformanceStats is not available');
-      return { generationTime: 0, solvabilityChecks: 0, solutionSpaceCalculations: 0, cacheHits: 0, cacheMisses: 0 };
-    }
+    const { puzzle, rotations } = decodePuzzle(code);
+    return { shared: { puzzle: withStart(puzzle, rotations), rotations }, error: '' };
   } catch (error) {
-    console.error('Error calling getPerformanceStats:', error);
-    return { generationTime: 0, solvabilityChecks: 0, solutionSpaceCalculations: 0, cacheHits: 0, cacheMisses: 0 };
+    return { shared: null, error: `Could not load the linked puzzle: ${error.message}` };
   }
 }
 
-// Dodecagon constants
-const SIDES = 12;
-const RADIUS = 180;
-const CENTER = 200;
-const SHAPE_ROTATION = 15; // degrees
+// Time the benchmark and quality runs may take in their worker
+const BENCHMARK_TIMEOUT_MS = 120000;
 
-function degToRad(deg) {
-  return (deg * Math.PI) / 180;
-}
+// Board shapes offered in the settings
+const BOARD_SIDES = [8, 10, 12, 16];
+const RING_COUNTS = [2, 3, 4, 5];
+const RING_COLORS = ['#4af', '#4fa', '#4ff', '#a8f', '#fc4'];
+// Stable stand-in while the solver worker is busy
+const NO_SOLUTIONS = [];
+// Hashes of the last puzzles shown, which New Puzzle will not generate again
+const RECENT_PUZZLES = 50;
 
-function getPolygonPoints(sides, radius, center) {
-  return Array.from({ length: sides }, (_, i) => {
-    const angle = (2 * Math.PI * i) / sides - Math.PI / 2 + degToRad(SHAPE_ROTATION);
-    return [
-      center + radius * Math.cos(angle),
-      center + radius * Math.sin(angle),
-    ];
-  });
+// Fresh move history for a puzzle, stepping by its board's rotation step and
+// starting from `rotations` (degrees) or else the puzzle's own start
+function historyFor(puzzle, rotations = null) {
+  return createHistory(puzzle.circles.length, rotations || getStartAngles(puzzle), getGeometry(puzzle).stepAngle);
 }
 
-// --- Random Puzzle Generation ---
-function generatePuzzle(minLit, maxLit) {
-  // 1. Randomly select minLit-maxLit lit edges
-  const numLit = Math.floor(Math.random() * (maxLit - minLit + 1)) + minLit;
-  const litEdges = [];
-  while (litEdges.length < numLit) {
-    const idx = Math.floor(Math.random() * SIDES);
-    if (!litEdges.includes(idx)) litEdges.push(idx);
-  }
-  litEdges.sort((a, b) => a - b);
-
-  // 2. Randomly assign 1-3 emitters and 1-2 blockers per circle
-  // Ensure at least as many emitters as lit edges
-  let totalEmitters = 0;
-  const circles = [50, 90, 130].map((radius) => {
-    const numEmit = Math.floor(Math.random() * 3) + 1; // 1-3 emitters
-    const numBlock = Math.floor(Math.random() * 2) + 1; // 1-2 blockers
-    totalEmitters += numEmit;
-    // Place emitters and blockers at random angles (multiples of 30° + 15°), no overlap
-    const usedAngles = new Set();
-    const lasers = [];
-    while (lasers.length < numEmit) {
-      const angle = 15 + 30 * Math.floor(Math.random() * SIDES);
-      if (!usedAngles.has(angle)) {
-        lasers.push(angle);
-        usedAngles.add(angle);
-      }
-    }
-    const blockers = [];
-    while (blockers.length < numBlock) {
-      const angle = 15 + 30 * Math.floor(Math.random() * SIDES);
-      if (!usedAngles.has(angle)) {
-        blockers.push(angle);
-        usedAngles.add(angle);
-      }
-    }
-    return { radius, lasers, blockers };
-  });
-  // If not enough emitters, add more to random circles
-  while (totalEmitters < numLit) {
-    const idx = Math.floor(Math.random() * 3);
-    // Find a new angle
-    let angle;
-    const used = new Set([...circles[idx].lasers, ...circles[idx].blockers]);
-    do {
-      angle = 15 + 30 * Math.floor(Math.random() * SIDES);
-    } while (used.has(angle));
-    circles[idx].lasers.push(angle);
-    totalEmitters++;
-  }
+// Scatter plot of a Pareto front, difficulty across and aesthetics up. Each
+// point is a puzzle to pick; the one being played is highlighted.
+const PLOT_WIDTH = 300;
+const PLOT_HEIGHT = 200;
+const PLOT_MARGIN = 30;
 
-  // 3. Place emitters so that, with some rotation, each lit edge can be hit by at least one emitter
-  // For simplicity, guarantee solvability by aligning one emitter per lit edge
-  for (let i = 0; i < litEdges.length; ++i) {
-    // Pick a random circle
-    const cidx = i % 3;
-    // Place an emitter so it can hit the lit edge (angle facing center of edge)
-    const edgeAngle = (360 * litEdges[i]) / SIDES + 15; // center of edge
-    // Ensure no overlap
-    const used = new Set([...circles[cidx].lasers, ...circles[cidx].blockers]);
-    if (!used.has(edgeAngle)) {
-      circles[cidx].lasers[0] = edgeAngle; // Overwrite first emitter in each circle
-    }
-  }
+function ParetoPlot({ front, current, onPick }) {
+  const axis = (key) => {
+    const values = front.map((entry) => entry.objectives[key]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const pad = max > min ? (max - min) * 0.1 : 0.05;
+    return [min - pad, max + pad];
+  };
+  const [xMin, xMax] = axis('difficulty');
+  const [yMin, yMax] = axis('aesthetics');
+  const x = (value) => PLOT_MARGIN + ((value - xMin) / (xMax - xMin)) * (PLOT_WIDTH - PLOT_MARGIN - 10);
+  const y = (value) => PLOT_HEIGHT - PLOT_MARGIN - ((value - yMin) / (yMax - yMin)) * (PLOT_HEIGHT - PLOT_MARGIN - 10);
 
-  return { litEdges, circles };
+  return (
+    <svg width={PLOT_WIDTH} height={PLOT_HEIGHT} style={{backgroundColor:'#111', borderRadius:'4px'}}>
+      <line x1={PLOT_MARGIN} y1={PLOT_HEIGHT - PLOT_MARGIN} x2={PLOT_WIDTH - 5} y2={PLOT_HEIGHT - PLOT_MARGIN} stroke="#666" />
+      <line x1={PLOT_MARGIN} y1={5} x2={PLOT_MARGIN} y2={PLOT_HEIGHT - PLOT_MARGIN} stroke="#666" />
+      <text x={PLOT_WIDTH / 2} y={PLOT_HEIGHT - 8} fill="#aaa" fontSize="11" textAnchor="middle">Difficulty →</text>
+      <text x={12} y={PLOT_HEIGHT / 2} fill="#aaa" fontSize="11" textAnchor="middle" transform={`rotate(-90 12 ${PLOT_HEIGHT / 2})`}>Aesthetics →</text>
+      {front.map((entry, i) => {
+        const active = entry.puzzle === current;
+        return (
+          <circle
+            key={i}
+            cx={x(entry.objectives.difficulty)}
+            cy={y(entry.objectives.aesthetics)}
+            r={active ? 7 : 5}
+            fill={entry.solvable ? (active ? '#fc4' : '#4af') : '#a44'}
+            stroke={active ? '#fff' : 'none'}
+            style={{cursor:'pointer'}}
+            onClick={() => onPick(entry)}
+          >
+            <title>
+              {`Difficulty ${entry.objectives.difficulty.toFixed(2)}, aesthetics ${entry.objectives.aesthetics.toFixed(2)}, ` +
+                `distribution ${entry.objectives.distribution.toFixed(2)}, variety ${entry.objectives.variety.toFixed(2)}` +
+                (entry.solvable ? '' : ' (unsolvable)')}
+            </title>
+          </circle>
+        );
+      })}
+    </svg>
+  );
 }
 
-// --- Puzzle Solvability Checker ---
-function isPuzzleSolvable(puzzle, points) {
-  // Try all 12^3 = 1728 possible rotation combinations
-  const SIDES = 12;
-  for (let r0 = 0; r0 < SIDES; ++r0) {
-    for (let r1 = 0; r1 < SIDES; ++r1) {
-      for (let r2 = 0; r2 < SIDES; ++r2) {
-        const rotations = [r0 * 30, r1 * 30, r2 * 30];
-        // Compute emitters and blockers for this rotation
-        const emitters = puzzle.circles.flatMap((circle, idx) =>
-          circle.lasers.map((angle, i) => {
-            const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-            const rad = degToRad(rotated);
-            return {
-              idx,
-              angle: rotated + 180, // Fire toward center
-              x: CENTER + circle.radius * Math.cos(rad),
-              y: CENTER + circle.radius * Math.sin(rad),
-              radius: circle.radius,
-              laserIdx: i,
-            };
-          })
-        );
-        const blockers = puzzle.circles.flatMap((circle, idx) =>
-          circle.blockers.map((angle) => {
-            const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-            const rad = degToRad(rotated);
-            return {
-              idx,
-              angle: rotated,
-              x: CENTER + circle.radius * Math.cos(rad),
-              y: CENTER + circle.radius * Math.sin(rad),
-              radius: circle.radius,
-            };
-          })
-        );
-        // Helper: get dodecagon edge lines
-        const edgeLines = points.map((pt, i) => {
-          const next = points[(i + 1) % SIDES];
-          return { i, x1: pt[0], y1: pt[1], x2: next[0], y2: next[1] };
-        });
-        // For each lit edge, can it be hit by any emitter?
-        let allLit = true;
-        for (const litIdx of puzzle.litEdges) {
-          let hit = false;
-          for (const emitter of emitters) {
-            // Project a ray from emitter.x/y at emitter.angle
-            const rad = degToRad(emitter.angle);
-            const dx = Math.cos(rad);
-            const dy = Math.sin(rad);
-            // Find intersection with blockers (as circles)
-            let minT = Infinity;
-            let hitType = null;
-            let hitObj = null;
-            // Blockers: treat as circles
-            for (const blocker of blockers) {
-              // Only check collision if blocker and emitter are on different circles OR at same/opposite positions
-              const sameCircle = blocker.idx === emitter.idx;
-              const sameOrOppositePos = Math.abs(((blocker.angle - emitter.angle + 180) % 360) - 180) < 1;
-              
-              if (!sameCircle || sameOrOppositePos) {
-                const bx = blocker.x - emitter.x;
-                const by = blocker.y - emitter.y;
-                const proj = bx * dx + by * dy;
-                if (proj <= 0) continue;
-                const perp2 = (bx * bx + by * by) - proj * proj;
-                const r2 = 12 * 12;
-                if (perp2 < r2) {
-                  const t = proj - Math.sqrt(r2 - perp2);
-                  if (t < minT) {
-                    minT = t;
-                    hitType = 'blocker';
-                    hitObj = blocker;
-                  }
-                }
-              }
-            }
-            // Emitters: treat as circles, block if facing each other or from behind
-            for (const other of emitters) {
-              if (other === emitter) continue;
-              const ox = other.x - emitter.x;
-              const oy = other.y - emitter.y;
-              const proj = ox * dx + oy * dy;
-              if (proj <= 0) continue;
-              const perp2 = (ox * ox + oy * oy) - proj * proj;
-              const r2 = 13 * 13;
-              if (perp2 < r2) {
-                const t = proj - Math.sqrt(r2 - perp2);
-                if (t < minT) {
-                  minT = t;
-                  hitType = 'emitter';
-                  hitObj = other;
-                }
-              }
-            }
-            // Dodecagon edges
-            for (const edge of edgeLines) {
-              const x3 = edge.x1, y3 = edge.y1, x4 = edge.x2, y4 = edge.y2;
-              const denom = (dx * (y4 - y3) - dy * (x4 - x3));
-              if (Math.abs(denom) < 1e-6) continue;
-              const t2 = ((x3 - emitter.x) * (y4 - y3) - (y3 - emitter.y) * (x4 - x3)) / denom;
-              const t1 = ((x3 - emitter.x) * dy - (y3 - emitter.y) * dx) / denom;
-              if (t2 > 0 && t1 >= 0 && t1 <= 1) {
-                if (t2 < minT) {
-                  minT = t2;
-                  hitType = 'edge';
-                  hitObj = edge;
-                }
-              }
-            }
-            // If the closest hit is the lit edge, it's hittable
-            if (hitType === 'edge' && hitObj.i === litIdx) {
-              hit = true;
-              break;
-            }
-          }
-          if (!hit) {
-            allLit = false;
-            break;
-          }
-        }
-        if (allLit) return true;
-      }
-    }
-  }
-  return false;
+// An optional per-ring range from OPTION_SCHEMA: a checkbox to set it, then
+// min and max inputs. null means the generator chooses.
+function RingRange({ option, value, max, onChange }) {
+  const schema = OPTION_SCHEMA[option];
+  const clamp = (n) => Math.max(schema.min, Math.min(max, Number(n) || 0));
+  return (
+    <label style={{marginRight:'1em'}}>
+      <input type="checkbox" checked={value !== null} onChange={(e) => onChange(e.target.checked ? [1, 2] : null)} />
+      {schema.label}
+      {value !== null && (
+        <>
+          <input type="number" min={schema.min} max={value[1]} value={value[0]}
+            onChange={(e) => onChange([Math.min(clamp(e.target.value), value[1]), value[1]])} style={{width:40, marginLeft:'0.5em'}} />
+          <span> to </span>
+          <input type="number" min={value[0]} max={max} value={value[1]}
+            onChange={(e) => onChange([value[0], Math.max(clamp(e.target.value), value[0])])} style={{width:40}} />
+        </>
+      )}
+    </label>
+  );
 }
 
 function App() {
@@ -292,20 +212,65 @@ function App() {
   const [minLit, setMinLit] = useState(3);
   const [maxLit, setMaxLit] = useState(4);
   const [autoSolve, setAutoSolve] = useState(true);
+  const [uniqueOnly, setUniqueOnly] = useState(false);
+  const [targetPar, setTargetPar] = useState(null); // Exact par to generate for, or null for any
+  const [emittersPerRing, setEmittersPerRing] = useState(OPTION_SCHEMA.emittersPerRing.default); // [min, max] or null for any
+  const [blockersPerRing, setBlockersPerRing] = useState(OPTION_SCHEMA.blockersPerRing.default); // Likewise
+  const [requiredLitEdges, setRequiredLitEdges] = useState(OPTION_SCHEMA.requiredLitEdges.default);
+  const [minStartDistance, setMinStartDistance] = useState(MIN_START_DISTANCE);
   const [attempts, setAttempts] = useState(1);
   const [useConstraintBased, setUseConstraintBased] = useState(false);
-  const [algorithmType, setAlgorithmType] = useState('random'); // 'random', 'constraint', 'evolutionary'
+  const [algorithmType, setAlgorithmType] = useState('random'); // A generator name from generator-registry.js
+  const selectedGenerator = getGenerator(algorithmType);
+  const supports = (option) => selectedGenerator.options.includes(option);
   const [difficulty, setDifficulty] = useState('medium');
   const [showPerformanceStats, setShowPerformanceStats] = useState(false);
   const [performanceStats, setPerformanceStats] = useState(null);
+  const [paretoFront, setParetoFront] = useState(null); // Puzzles to pick from after a Pareto run
   const [showDifficultyAnalysis, setShowDifficultyAnalysis] = useState(false);
   const [difficultyAnalysis, setDifficultyAnalysis] = useState(null);
   const [algorithmStatus, setAlgorithmStatus] = useState('');
+  const [boardSides, setBoardSides] = useState(SIDES);
+  const [ringCount, setRingCount] = useState(RING_RADII.length);
+  // Board the generators build for
+  const geometry = useMemo(
+    () => createGeometry({ sides: boardSides, ringRadii: defaultRingRadii(ringCount) }),
+    [boardSides, ringCount]
+  );
+  // Include/avoid rules typed as text; none while the text does not parse
+  const [ruleText, setRuleText] = useState('');
+  const { include, avoid, ruleError } = useMemo(() => {
+    try {
+      return { ...parseRules(ruleText, ringCount), ruleError: null };
+    } catch (error) {
+      return { include: OPTION_SCHEMA.include.default, avoid: OPTION_SCHEMA.avoid.default, ruleError: error.message };
+    }
+  }, [ruleText, ringCount]);
+  // Contradictions are shown before anything is generated
+  const constraintIssues = useMemo(
+    () => constraintProblems({ litRange: [minLit, maxLit], emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid }, geometry),
+    [minLit, maxLit, emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid, geometry]
+  );
 
   // --- Puzzle State ---
-  const [puzzle, setPuzzle] = useState(() => generatePuzzle(minLit, maxLit));
-  const [rotations, setRotations] = useState([0, 0, 0]);
-  const [selected, setSelected] = useState(0);
+  // The seed alone (with algorithm, difficulty and lit range) determines the puzzle
+  const [seed, setSeed] = useState(() => randomSeed());
+  const [seedInput, setSeedInput] = useState('');
+  const [link] = useState(readSharedPuzzle);
+  const [puzzleSource, setPuzzleSource] = useState(link.shared ? 'code' : 'seed'); // 'seed' or 'code'
+  // Shown until the first generation, which uses the same seed, arrives
+  const [puzzle, setPuzzle] = useState(() => (
+    link.shared ? link.shared.puzzle : generatePuzzle(minLit, maxLit, { seed, geometry })
+  ));
+  // Rotations (degrees) and the selected circle live in the move history so
+  // every change can be undone
+  const [history, setHistory] = useState(() => (
+    link.shared ? historyFor(link.shared.puzzle, link.shared.rotations) : createHistory()
+  ));
+  const { rotations, selected } = getCurrentState(history);
+
+  const rotateSelected = (direction) => setHistory((h) => applyMove(h, { type: 'rotate', direction }));
+  const moveSelection = (delta) => setHistory((h) => applyMove(h, { type: 'select', delta }));
   
   // Touch handling state
   const [touchStart, setTouchStart] = useState(null);
@@ -319,7 +284,8 @@ function App() {
     setTouchEnd(null);
     setTouchStart({
       x: e.targetTouches[0].clientX,
-      y: e.targetTouches[0].clientY
+      y: e.targetTouches[0].clientY,
+      fingers: e.targetTouches.length
     });
   };
 
@@ -331,7 +297,7 @@ function App() {
   };
 
   const onTouchEnd = () => {
-    if (!touchStart || !touchEnd) return;
+    if (!touchStart || !touchEnd || editing) return;
 
     const deltaX = touchEnd.x - touchStart.x;
     const deltaY = touchEnd.y - touchStart.y;
@@ -342,23 +308,28 @@ function App() {
     if (Math.max(absDeltaX, absDeltaY) < minSwipeDistance) return;
 
     // Determine if the swipe is more horizontal or vertical
-    if (absDeltaX > absDeltaY) {
+    if (touchStart.fingers >= 2) {
+      // Two-finger horizontal swipe: left undoes, right redoes
+      if (absDeltaX > absDeltaY) {
+        setHistory(deltaX > 0 ? redo : undo);
+      }
+    } else if (absDeltaX > absDeltaY) {
       // Horizontal swipe
       if (deltaX > 0) {
         // Right swipe
-        setRotations((rots) => rots.map((r, i) => i === selected ? (r + 30) % 360 : r));
+        rotateSelected(1);
       } else {
         // Left swipe
-        setRotations((rots) => rots.map((r, i) => i === selected ? (r - 30 + 360) % 360 : r));
+        rotateSelected(-1);
       }
     } else {
       // Vertical swipe
       if (deltaY > 0) {
         // Down swipe
-        setSelected((s) => (s + 1) % 3);
+        moveSelection(1);
       } else {
         // Up swipe
-        setSelected((s) => (s - 1 + 3) % 3);
+        moveSelection(-1);
       }
     }
 
@@ -368,77 +339,360 @@ function App() {
   };
 
   // --- Puzzle Generation with Solvability Check ---
-  const points = useMemo(() => getPolygonPoints(SIDES, RADIUS, CENTER), []);
   const [internalPuzzle, setInternalPuzzle] = useState(puzzle);
   const [internalAttempts, setInternalAttempts] = useState(attempts);
+  // A linked puzzle replaces the generated one until a generation setting
+  // changes. Compared by value so StrictMode's repeated effects also skip.
+  const linkedSettings = useRef(
+    link.shared ? JSON.stringify([minLit, maxLit, emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid, autoSolve, uniqueOnly, targetPar, minStartDistance, algorithmType, difficulty, seed, geometry.sides, geometry.ringRadii]) : null
+  );
+
+  // Generation and solving run in workers so the board stays interactive
+  const [generator] = useState(createGenerationClient);
+  const [solver] = useState(createGenerationClient);
+  const [filler] = useState(createGenerationClient);
+  const [checker] = useState(createGenerationClient);
+  const [hinter] = useState(createGenerationClient);
+  const [benchmarker] = useState(createGenerationClient);
+  const [generating, setGenerating] = useState(false);
+  // Read by the generation effect without re-running it. A seed typed in
+  // always gives its own puzzle, so only drawn seeds skip recent ones.
+  const recentHashes = useRef([]);
+  const seedEntered = useRef(false);
+  const [benchmarkStatus, setBenchmarkStatus] = useState('');
+  const [benchmarking, setBenchmarking] = useState(false);
+
+  useEffect(() => () => {
+    generator.dispose();
+    solver.dispose();
+    filler.dispose();
+    checker.dispose();
+    hinter.dispose();
+    benchmarker.dispose();
+  }, [generator, solver, filler, checker, hinter, benchmarker]);
+
+  // Benchmark and quality runs print their results to the console
+  const runBenchmarkJob = (type, display) => {
+    benchmarker.run(type, {}, {
+      timeoutMs: BENCHMARK_TIMEOUT_MS,
+      onProgress: ({ message, done, total }) => setBenchmarkStatus(`${message} (${done}/${total})`),
+    }).then((result) => {
+      display(result);
+      setBenchmarkStatus('Done, see the console for the results');
+    }, (error) => setBenchmarkStatus(`Stopped (${error.message})`)).finally(() => setBenchmarking(false));
+    setBenchmarking(true);
+    setBenchmarkStatus('Starting...');
+  };
 
   useEffect(() => {
-    let tries = 1;
-    let newPuzzle;
-    let solvable = true;
-    
+    const settings = JSON.stringify([minLit, maxLit, emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid, autoSolve, uniqueOnly, targetPar, minStartDistance, algorithmType, difficulty, seed, geometry.sides, geometry.ringRadii]);
+    if (settings === linkedSettings.current) return;
+    linkedSettings.current = null;
+    // Results of a run that a newer one replaced are ignored
+    let active = true;
+    setGenerating(true);
+
+    const request = {
+      minLit,
+      maxLit,
+      emittersPerRing,
+      blockersPerRing,
+      requiredLitEdges,
+      include,
+      avoid,
+      autoSolve,
+      unique: uniqueOnly,
+      par: targetPar,
+      minStartDistance,
+      algorithmType,
+      difficulty,
+      seed,
+      exclude: seedEntered.current ? [] : [...recentHashes.current],
+      geometry: geometryConfig(geometry),
+    };
+    generator.run('generate', request, {
+      onProgress: ({ message }) => {
+        if (active) setAlgorithmStatus(message);
+      },
+    }).then((result) => {
+      if (!active) return;
+      if (result.performanceStats) setPerformanceStats(result.performanceStats);
+      setParetoFront(result.front);
+      setAlgorithmStatus(result.status);
+      setInternalPuzzle(result.puzzle);
+      setInternalAttempts(result.attempts);
+      setPuzzle(result.puzzle);
+      setAttempts(result.attempts);
+      setHistory(historyFor(result.puzzle));
+      setPuzzleSource('seed');
+    }, (error) => {
+      if (active) setAlgorithmStatus(`Generation stopped (${error.message}), keeping the current puzzle`);
+    }).finally(() => {
+      if (active) setGenerating(false);
+    });
+
+    return () => {
+      active = false;
+    };
+  }, [minLit, maxLit, emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid, autoSolve, uniqueOnly, targetPar, minStartDistance, algorithmType, difficulty, seed, geometry, generator]);
+
+  // --- Share Codes ---
+  const [includeRotations, setIncludeRotations] = useState(false);
+  const [codeInput, setCodeInput] = useState('');
+  const [shareMessage, setShareMessage] = useState(link.error);
+
+  const shareCode = useMemo(() => {
     try {
-      if (algorithmType === 'constraint') {
-        setAlgorithmStatus('Generating constraint-based puzzle...');
-        resetPerformanceStats();
-        newPuzzle = generateConstraintBasedPuzzle(minLit, maxLit, difficulty);
-        try {
-          setPerformanceStats(safeGetPerformanceStats());
-        } catch (error) {
-          console.error('Error getting performance stats:', error);
-          setPerformanceStats({ generationTime: 0, solvabilityChecks: 0, solutionSpaceCalculations: 0, cacheHits: 0, cacheMisses: 0 });
-        }
-        setAlgorithmStatus('Constraint-based puzzle generated successfully');
-      } else if (algorithmType === 'evolutionary') {
-        setAlgorithmStatus('Generating evolutionary puzzle...');
-        const result = simplifiedEvolutionaryGenerator.generatePuzzle(difficulty);
-        newPuzzle = result.puzzle;
-        setPerformanceStats({
-          generationTime: result.metadata.timeMs,
-          solvabilityChecks: 0,
-          solutionSpaceCalculations: result.metadata.generations,
-          cacheHits: 0,
-          cacheMisses: 0
-        });
-        setAlgorithmStatus(`Evolutionary puzzle generated! Fitness: ${result.metadata.fitness.toFixed(3)}, Solvable: ${result.metadata.solvable ? 'Yes' : 'No'}`);
-      } else {
-        setAlgorithmStatus('Generating random puzzle...');
-        newPuzzle = generatePuzzle(minLit, maxLit);
-        solvable = isPuzzleSolvable(newPuzzle, points);
-        
-        if (autoSolve) {
-          while (!solvable && tries < 1000) {
-            setAlgorithmStatus(`Generating puzzle... attempt ${tries}`);
-            newPuzzle = generatePuzzle(minLit, maxLit);
-            solvable = isPuzzleSolvable(newPuzzle, points);
-            tries++;
-          }
-        }
-        setAlgorithmStatus(`Random puzzle generated in ${tries} attempts`);
-      }
+      return encodePuzzle(internalPuzzle, includeRotations ? rotations : null);
     } catch (error) {
-      console.error('Error generating puzzle:', error);
-      setAlgorithmStatus('Error: ' + error.message);
-      // Fallback to original algorithm
-      newPuzzle = generatePuzzle(minLit, maxLit);
-      solvable = isPuzzleSolvable(newPuzzle, points);
+      return `Not shareable: ${error.message}`;
     }
-    
-    setInternalPuzzle(newPuzzle);
-    setInternalAttempts(tries);
-    setPuzzle(newPuzzle);
-    setAttempts(tries);
-    setRotations([0, 0, 0]);
-    setSelected(0);
-    // eslint-disable-next-line
-  }, [minLit, maxLit, autoSolve, algorithmType, difficulty]);
-
-  // Use internalPuzzle for emitters/blockers
-  const CIRCLES = internalPuzzle.circles;
-  const LIT_EDGES = internalPuzzle.litEdges;
-
-  // Check solvability (expensive, so memoize)
-  const solvable = useMemo(() => isPuzzleSolvable(internalPuzzle, points), [internalPuzzle, points]);
+  }, [internalPuzzle, includeRotations, rotations]);
+  // The same for every turned or mirrored copy of the puzzle
+  const puzzleId = useMemo(() => puzzleHash(internalPuzzle), [internalPuzzle]);
+  useEffect(() => {
+    const recent = recentHashes.current.filter((hash) => hash !== puzzleId);
+    recentHashes.current = [...recent, puzzleId].slice(-RECENT_PUZZLES);
+  }, [puzzleId]);
+
+  const copyText = (text, label) => {
+    if (!navigator.clipboard) {
+      setShareMessage(`Clipboard unavailable, select the ${label} and copy it manually`);
+      return;
+    }
+    navigator.clipboard.writeText(text).then(
+      () => setShareMessage(`Copied ${label} to the clipboard`),
+      () => setShareMessage(`Copy failed, select the ${label} and copy it manually`)
+    );
+  };
+
+  // Show a puzzle that did not come from the generators
+  const loadPuzzle = (original, loadedRotations, source) => {
+    const loaded = withStart(original, loadedRotations, minStartDistance);
+    generator.cancel();
+    setInternalPuzzle(loaded);
+    setPuzzle(loaded);
+    setHistory(historyFor(loaded, loadedRotations));
+    setPuzzleSource(source);
+  };
+
+  const loadCode = () => {
+    try {
+      const { puzzle: loaded, rotations: loadedRotations } = decodePuzzle(codeInput);
+      loadPuzzle(loaded, loadedRotations, 'code');
+      setCodeInput('');
+      setShareMessage('Puzzle loaded from code');
+    } catch (error) {
+      setShareMessage(error.message);
+    }
+  };
+
+  // --- JSON Import/Export ---
+  const fileInput = useRef(null);
+
+  const exportPuzzleFile = () => {
+    const metadata = {
+      generator: puzzleSource === 'seed' ? algorithmType : puzzleSource,
+      difficulty,
+      litRange: [minLit, maxLit],
+      exportedAt: new Date().toISOString(),
+    };
+    if (puzzleSource === 'seed') {
+      metadata.seed = seed;
+      metadata.unique = uniqueOnly;
+      if (targetPar !== null) metadata.par = targetPar;
+    }
+    const file = toPuzzleJSON(internalPuzzle, { solution: solving ? undefined : solutions, metadata });
+
+    const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = `trespasser-puzzle-${puzzleSource === 'seed' ? seed : Date.now()}.json`;
+    anchor.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importPuzzleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    try {
+      const { puzzle: loaded, warnings } = parsePuzzleJSON(await file.text());
+      loadPuzzle(loaded, null, 'file');
+      setShareMessage(warnings.length > 0
+        ? `Imported ${file.name} with warnings: ${warnings.join('; ')}`
+        : `Imported ${file.name}`);
+    } catch (error) {
+      setShareMessage(error.message);
+    }
+  };
+
+  // --- Level Editor ---
+  // While editing, the board shows editorPuzzle unrotated instead of the game
+  const [editing, setEditing] = useState(false);
+  const [editorPuzzle, setEditorPuzzle] = useState(createEmptyPuzzle);
+
+  const [fillStatus, setFillStatus] = useState('');
+
+  // Counting the solutions of a large board takes long, so the checker worker
+  // does it; solutionCount is null until its answer for the current board
+  // arrives, and stays null with solveError set when the count fails
+  const editorValidation = useMemo(() => validatePuzzle(editorPuzzle), [editorPuzzle]);
+  const [editorSolve, setEditorSolve] = useState(null);
+
+  useEffect(() => {
+    if (!editing || !editorValidation.valid) return undefined;
+    let active = true;
+    checker.run('solve', { puzzle: editorPuzzle }).then((result) => {
+      if (active) setEditorSolve({ puzzle: editorPuzzle, count: result.solutions.length });
+    }, (error) => {
+      if (active) setEditorSolve({ puzzle: editorPuzzle, count: null, error: error.message });
+    });
+    return () => {
+      active = false;
+    };
+  }, [editing, editorPuzzle, editorValidation, checker]);
+
+  const editorCheck = useMemo(() => {
+    const counted = editorSolve && editorSolve.puzzle === editorPuzzle ? editorSolve : null;
+    return {
+      validation: editorValidation,
+      conflicts: findOppositeConflicts(editorPuzzle),
+      solutionCount: counted ? counted.count : null,
+      solveError: counted ? counted.error : null,
+      unmetRules: unmetConstraints(editorPuzzle, { include, avoid }),
+    };
+  }, [editorPuzzle, editorValidation, editorSolve, include, avoid]);
+
+  // Generate around the edited board: everything on it becomes an include
+  // rule alongside the typed ones, and the generator adds the rest
+  const fillInEditorPuzzle = () => {
+    const lit = editorPuzzle.litEdges.length;
+    const board = getGeometry(editorPuzzle);
+    const constraints = {
+      litRange: [Math.max(minLit, lit), Math.max(maxLit, lit)],
+      emittersPerRing,
+      blockersPerRing,
+      requiredLitEdges,
+      include: [...include, ...rulesFromPuzzle(editorPuzzle)],
+      avoid,
+    };
+    const problems = constraintProblems(constraints, board);
+    if (problems.length > 0) {
+      setFillStatus(`Cannot fill in: ${problems.join('; ')}`);
+      return;
+    }
+    setFillStatus('Filling in...');
+    const { litRange: [fillMin, fillMax], ...rest } = constraints;
+    filler.run('generate', {
+      ...rest,
+      minLit: fillMin,
+      maxLit: fillMax,
+      autoSolve,
+      unique: uniqueOnly,
+      par: null,
+      algorithmType,
+      difficulty,
+      seed: randomSeed(),
+      geometry: geometryConfig(board),
+    }).then((result) => {
+      setEditorPuzzle(toEditablePuzzle(result.puzzle));
+      setFillStatus(result.status);
+    }, (error) => setFillStatus(`Fill in stopped (${error.message})`));
+  };
+
+  const startEditing = () => {
+    setEditorPuzzle(toEditablePuzzle(internalPuzzle));
+    setFillStatus('');
+    setEditing(true);
+  };
+
+  const playEditorPuzzle = () => {
+    loadPuzzle(editorPuzzle, null, 'editor');
+    setEditing(false);
+  };
+
+  const boardPuzzle = editing ? editorPuzzle : internalPuzzle;
+  const boardRotations = editing ? boardPuzzle.circles.map(() => 0) : rotations;
+
+  // Use boardPuzzle for emitters/blockers
+  const CIRCLES = boardPuzzle.circles;
+  const LIT_EDGES = boardPuzzle.litEdges;
+  const boardGeometry = getGeometry(boardPuzzle);
+  const points = useMemo(
+    () => getPolygonPoints(boardGeometry.sides, boardGeometry.radius, boardGeometry.center),
+    [boardGeometry]
+  );
+
+  // Enumerate the solutions (and analyze difficulty if enabled) in the solver
+  // worker; until its answer for the current puzzle arrives there are none
+  const [solveResult, setSolveResult] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    solver.run('solve', { puzzle: internalPuzzle, analyze: showDifficultyAnalysis }).then((result) => {
+      if (!active) return;
+      setSolveResult({ puzzle: internalPuzzle, ...result });
+      setDifficultyAnalysis(result.analysis);
+    }, (error) => {
+      if (active) setSolveResult({ puzzle: internalPuzzle, solutions: [], allSolutions: [], error: error.message });
+    });
+    return () => {
+      active = false;
+    };
+  }, [internalPuzzle, showDifficultyAnalysis, solver]);
+
+  const solving = !solveResult || solveResult.puzzle !== internalPuzzle;
+  const solutions = solving ? NO_SOLUTIONS : solveResult.solutions;
+  const allSolutions = solving ? NO_SOLUTIONS : solveResult.allSolutions;
+  const solvable = solutions.length > 0;
+
+  // Fewest moves from the puzzle's starting rotations to a solved state
+  const startRotations = history.entries[0].rotations;
+  const par = useMemo(() => {
+    const { stepAngle } = getGeometry(internalPuzzle);
+    const steps = startRotations.map((deg) => Math.round(deg / stepAngle));
+    return getPar(internalPuzzle, steps, { solutions: allSolutions });
+  }, [internalPuzzle, startRotations, allSolutions]);
+
+  // --- Hints ---
+  // hintLevel is how much of the next move is revealed, hintsUsed counts
+  // presses of the hint button; both start over with each puzzle
+  const [hintLevel, setHintLevel] = useState(0);
+  const [hintsUsed, setHintsUsed] = useState(0);
+
+  useEffect(() => {
+    setHintLevel(0);
+    setHintsUsed(0);
+  }, [internalPuzzle]);
+
+  // The shortest path behind a hint is searched in the hinter worker once
+  // the solutions are known; hintPending holds until its answer for the
+  // current rotations arrives
+  const [hintResult, setHintResult] = useState(null);
+
+  useEffect(() => {
+    if (hintLevel === 0 || solving) return undefined;
+    let active = true;
+    hinter.run('hint', { puzzle: internalPuzzle, rotations, solutions: allSolutions }).then((result) => {
+      if (active) setHintResult({ puzzle: internalPuzzle, rotations, hint: result });
+    }, (error) => {
+      if (active) setHintResult({ puzzle: internalPuzzle, rotations, hint: null, error: error.message });
+    });
+    return () => {
+      active = false;
+    };
+  }, [hintLevel, solving, internalPuzzle, rotations, allSolutions, hinter]);
+
+  const hintCurrent = hintResult && hintResult.puzzle === internalPuzzle && hintResult.rotations === rotations;
+  const hintPending = hintLevel > 0 && !hintCurrent;
+  const hint = hintLevel > 0 && hintCurrent ? hintResult.hint : null;
+
+  const requestHint = () => {
+    if (hintLevel >= HINT_LEVELS.length) return;
+    setHintLevel((level) => level + 1);
+    setHintsUsed((n) => n + 1);
+  };
 
   // --- UI Handlers ---
   const handleMinLit = (e) => {
@@ -446,245 +700,70 @@ function App() {
     setMinLit(val);
   };
   const handleMaxLit = (e) => {
-    const val = Math.max(minLit, Math.min(Number(e.target.value), SIDES));
+    const val = Math.max(minLit, Math.min(Number(e.target.value), boardSides));
     setMaxLit(val);
   };
+  const handleBoardSides = (e) => {
+    const sides = Number(e.target.value);
+    setBoardSides(sides);
+    setMinLit((val) => Math.min(val, sides));
+    setMaxLit((val) => Math.min(val, sides));
+  };
+  // Edge numbers separated by commas or spaces; anything else is ignored
+  const handleRequiredLitEdges = (e) => {
+    const edges = e.target.value.split(/[\s,]+/).filter(Boolean).map(Number).filter(Number.isInteger);
+    setRequiredLitEdges((current) => (JSON.stringify(edges) === JSON.stringify(current) ? current : edges));
+  };
   const handleAutoSolve = (e) => {
     setAutoSolve(e.target.checked);
   };
+  const applySeedInput = () => {
+    const text = seedInput.trim();
+    if (!text) return;
+    // Numeric seeds are used as-is, anything else is hashed by the PRNG
+    seedEntered.current = true;
+    setSeed(/^\d+$/.test(text) ? Number(text) : text);
+    setSeedInput('');
+  };
   const newPuzzleBtn = () => {
-    try {
-      if (algorithmType === 'constraint') {
-        resetPerformanceStats();
-        const newPuzzle = generateConstraintBasedPuzzle(minLit, maxLit, difficulty);
-        setInternalPuzzle(newPuzzle);
-        setAttempts(1);
-        setInternalAttempts(1);
-        try {
-          setPerformanceStats(safeGetPerformanceStats());
-        } catch (error) {
-          console.error('Error getting performance stats:', error);
-          setPerformanceStats({ generationTime: 0, solvabilityChecks: 0, solutionSpaceCalculations: 0, cacheHits: 0, cacheMisses: 0 });
-        }
-      } else if (algorithmType === 'evolutionary') {
-        const result = simplifiedEvolutionaryGenerator.generatePuzzle(difficulty);
-        setInternalPuzzle(result.puzzle);
-        setAttempts(1);
-        setInternalAttempts(1);
-        setPerformanceStats({
-          generationTime: result.metadata.timeMs,
-          solvabilityChecks: 0,
-          solutionSpaceCalculations: result.metadata.generations,
-          cacheHits: 0,
-          cacheMisses: 0
-        });
-      } else {
-        if (autoSolve) {
-          let tries = 1;
-          let newPuzzle = generatePuzzle(minLit, maxLit);
-          let solvable = isPuzzleSolvable(newPuzzle, points);
-          while (!solvable && tries < 1000) {
-            newPuzzle = generatePuzzle(minLit, maxLit);
-            solvable = isPuzzleSolvable(newPuzzle, points);
-            tries++;
-          }
-          setInternalPuzzle(newPuzzle);
-          setAttempts(tries);
-          setInternalAttempts(tries);
-        } else {
-          setInternalPuzzle(generatePuzzle(minLit, maxLit));
-          setAttempts(1);
-          setInternalAttempts(1);
-        }
-      }
-    } catch (error) {
-      console.error('Error generating new puzzle:', error);
-      // Fallback to original algorithm
-      const fallbackPuzzle = generatePuzzle(minLit, maxLit);
-      setInternalPuzzle(fallbackPuzzle);
-      setAttempts(1);
-      setInternalAttempts(1);
-    }
-    
-    setRotations([0, 0, 0]);
-    setSelected(0);
-    
-    // Analyze difficulty if enabled
-    if (showDifficultyAnalysis) {
-      try {
-        const analysis = analyzePuzzleDifficulty(internalPuzzle);
-        setDifficultyAnalysis(analysis);
-      } catch (error) {
-        console.error('Error analyzing puzzle difficulty:', error);
-        setDifficultyAnalysis(null);
-      }
-    }
+    // A fresh seed re-runs the generation effect above, which also replaces
+    // any generation still running
+    seedEntered.current = false;
+    setSeed(randomSeed());
   };
 
   // Keyboard controls
   const handleKeyDown = useCallback((e) => {
-    if (e.key === 'ArrowUp') {
-      setSelected((s) => (s - 1 + 3) % 3);
+    if (editing) return;
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      setHistory(e.shiftKey ? redo : undo);
+    } else if (e.key === 'ArrowUp') {
+      setHistory((h) => applyMove(h, { type: 'select', delta: -1 }));
     } else if (e.key === 'ArrowDown') {
-      setSelected((s) => (s + 1) % 3);
+      setHistory((h) => applyMove(h, { type: 'select', delta: 1 }));
     } else if (e.key === 'ArrowLeft') {
-      setRotations((rots) => rots.map((r, i) => i === selected ? (r - 30 + 360) % 360 : r));
+      setHistory((h) => applyMove(h, { type: 'rotate', direction: -1 }));
     } else if (e.key === 'ArrowRight') {
-      setRotations((rots) => rots.map((r, i) => i === selected ? (r + 30) % 360 : r));
+      setHistory((h) => applyMove(h, { type: 'rotate', direction: 1 }));
     }
-  }, [selected]);
+  }, [editing]);
 
   useEffect(() => {
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [handleKeyDown]);
 
-  // Helper: get all emitters and blockers in world coordinates
-  const emitters = CIRCLES.flatMap((circle, idx) =>
-    circle.lasers.map((angle, i) => {
-      const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-      const rad = degToRad(rotated);
-      return {
-        idx,
-        angle: rotated + 180, // Fire toward center
-        x: CENTER + circle.radius * Math.cos(rad),
-        y: CENTER + circle.radius * Math.sin(rad),
-        radius: circle.radius,
-        laserIdx: i,
-      };
-    })
-  );
-  const blockers = CIRCLES.flatMap((circle, idx) =>
-    circle.blockers.map((angle) => {
-      const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-      const rad = degToRad(rotated);
-      return {
-        idx,
-        angle: rotated,
-        x: CENTER + circle.radius * Math.cos(rad),
-        y: CENTER + circle.radius * Math.sin(rad),
-        radius: circle.radius,
-      };
-    })
-  );
-
-  // Helper: get dodecagon edge lines
-  const edgeLines = points.map((pt, i) => {
-    const next = points[(i + 1) % SIDES];
-    return { i, x1: pt[0], y1: pt[1], x2: next[0], y2: next[1] };
-  });
-
-  // Helper function to check if two angles correspond to same/opposite positions
-  function areAtSamePosition(angle1, angle2) {
-    // Convert angles to positions (0-11)
-    function angleToPosition(angle) {
-      const normalized = ((angle - 15 + 360) % 360);
-      return Math.round(normalized / 30) % 12;
-    }
-    
-    const pos1 = angleToPosition(angle1);
-    const pos2 = angleToPosition(angle2);
-    return pos1 === pos2 || pos1 === (pos2 + 6) % 12 || pos2 === (pos1 + 6) % 12;
-  }
-
-  function getBeamHit(emitter) {
-    // Project a ray from emitter.x/y at emitter.angle
-    const rad = degToRad(emitter.angle);
-    const dx = Math.cos(rad);
-    const dy = Math.sin(rad);
-    // Find intersection with blockers (as circles)
-    let minT = Infinity;
-    let hitType = null;
-    let hitObj = null;
-    // Blockers: treat as circles
-    for (const blocker of blockers) {
-      // Only check collision if blocker and emitter are on the same circle AND at same/opposite positions
-      if (blocker.idx === emitter.idx && areAtSamePosition(blocker.angle - rotations[blocker.idx] - SHAPE_ROTATION, emitter.angle - rotations[emitter.idx] - SHAPE_ROTATION - 180)) {
-        const bx = blocker.x - emitter.x;
-        const by = blocker.y - emitter.y;
-        const proj = bx * dx + by * dy;
-        if (proj <= 0) continue;
-        const perp2 = (bx * bx + by * by) - proj * proj;
-        const r2 = 12 * 12;
-        if (perp2 < r2) {
-          const t = proj - Math.sqrt(r2 - perp2);
-          if (t < minT) {
-            minT = t;
-            hitType = 'blocker';
-            hitObj = blocker;
-          }
-        }
-      } else if (blocker.idx !== emitter.idx) {
-        // For blockers on different circles, always check collision
-        const bx = blocker.x - emitter.x;
-        const by = blocker.y - emitter.y;
-        const proj = bx * dx + by * dy;
-        if (proj <= 0) continue;
-        const perp2 = (bx * bx + by * by) - proj * proj;
-        const r2 = 12 * 12;
-        if (perp2 < r2) {
-          const t = proj - Math.sqrt(r2 - perp2);
-          if (t < minT) {
-            minT = t;
-            hitType = 'blocker';
-            hitObj = blocker;
-          }
-        }
-      }
-    }
-    // Emitters: treat as circles, block if facing each other or from behind
-    for (const other of emitters) {
-      if (other === emitter) continue;
-      const ox = other.x - emitter.x;
-      const oy = other.y - emitter.y;
-      const proj = ox * dx + oy * dy;
-      if (proj <= 0) continue;
-      const perp2 = (ox * ox + oy * oy) - proj * proj;
-      const r2 = 13 * 13;
-      if (perp2 < r2) {
-        const t = proj - Math.sqrt(r2 - perp2);
-        if (t < minT) {
-          minT = t;
-          hitType = 'emitter';
-          hitObj = other;
-        }
-      }
-    }
-    // Dodecagon edges
-    let edgeHit = null;
-    for (const edge of edgeLines) {
-      // Ray/segment intersection
-      const x3 = edge.x1, y3 = edge.y1, x4 = edge.x2, y4 = edge.y2;
-      const denom = (dx * (y4 - y3) - dy * (x4 - x3));
-      if (Math.abs(denom) < 1e-6) continue;
-      const t2 = ((x3 - emitter.x) * (y4 - y3) - (y3 - emitter.y) * (x4 - x3)) / denom;
-      const t1 = ((x3 - emitter.x) * dy - (y3 - emitter.y) * dx) / denom;
-      if (t2 > 0 && t1 >= 0 && t1 <= 1) {
-        if (t2 < minT) {
-          minT = t2;
-          hitType = 'edge';
-          hitObj = edge;
-          edgeHit = edge;
-        }
-      }
-    }
-    // Return hit info
-    return { x: emitter.x + minT * dx, y: emitter.y + minT * dy, hitType, hitObj, edgeHit };
-  }
-
-  // For each emitter, compute beam
-  const beams = emitters.map((emitter) => {
-    return { emitter, ...getBeamHit(emitter) };
-  });
+  // Trace every beam with the shared engine the solver and generators use
+  const { emitters, blockers, beams, litHit, solved: puzzleSolved } = traceBeams(boardPuzzle, boardRotations);
 
-  // Which lit edges are hit by a beam?
-  const litHit = new Set();
-  beams.forEach((b) => {
-    if (b.hitType === 'edge' && LIT_EDGES.includes(b.hitObj.i)) {
-      litHit.add(b.hitObj.i);
-    }
-  });
-  const puzzleSolved = LIT_EDGES.every((i) => litHit.has(i));
+  // Emitters of the hinted circle at its solved rotation
+  const ghostEmitters = hint && hintLevel >= 3 && !editing
+    ? getWorldElements(
+      internalPuzzle,
+      rotations.map((r, i) => (i === hint.circle ? hint.targetRotation : r))
+    ).emitters.filter((e) => e.idx === hint.circle)
+    : [];
 
   // Updated renderLasersAndBlockers to use rotation and new emitter design
   function renderLasersAndBlockers(circle, idx) {
@@ -693,51 +772,39 @@ function App() {
     return (
       <g key={idx}>
         {/* Emitters (drawn first) */}
-        {circle.lasers.map((angle, i) => {
-          const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-          const rad = degToRad(rotated);
-          const ex = CENTER + circle.radius * Math.cos(rad);
-          const ey = CENTER + circle.radius * Math.sin(rad);
-          return (
-            <g key={i}>
-              <circle
-                cx={ex}
-                cy={ey}
-                r={laserRadius}
-                fill="#fff"
-                stroke="#f00"
-                strokeWidth={4}
-              />
-              <circle
-                cx={ex}
-                cy={ey}
-                r={5}
-                fill="#f00"
-              />
-            </g>
-          );
-        })}
-        {/* Blockers (drawn last, on top) */}
-        {circle.blockers.map((angle, i) => {
-          const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-          const rad = degToRad(rotated);
-          const bx = CENTER + circle.radius * Math.cos(rad);
-          const by = CENTER + circle.radius * Math.sin(rad);
-          return (
-            <rect
-              key={i}
-              x={bx - blockerSize / 2}
-              y={by - blockerSize / 2}
-              width={blockerSize}
-              height={blockerSize}
-              fill="#333"
-              stroke="#fff"
-              strokeWidth={2}
-              transform={`rotate(${rotated},${bx},${by})`}
-              rx={4}
+        {emitters.filter((e) => e.idx === idx).map((e) => (
+          <g key={e.laserIdx}>
+            <circle
+              cx={e.x}
+              cy={e.y}
+              r={laserRadius}
+              fill="#fff"
+              stroke="#f00"
+              strokeWidth={4}
             />
-          );
-        })}
+            <circle
+              cx={e.x}
+              cy={e.y}
+              r={5}
+              fill="#f00"
+            />
+          </g>
+        ))}
+        {/* Blockers (drawn last, on top) */}
+        {blockers.filter((b) => b.idx === idx).map((b) => (
+          <rect
+            key={b.blockerIdx}
+            x={b.x - blockerSize / 2}
+            y={b.y - blockerSize / 2}
+            width={blockerSize}
+            height={blockerSize}
+            fill="#333"
+            stroke="#fff"
+            strokeWidth={2}
+            transform={`rotate(${b.angle},${b.x},${b.y})`}
+            rx={4}
+          />
+        ))}
       </g>
     );
   }
@@ -750,9 +817,9 @@ function App() {
     >
       <h1>R&C Trespasser puzzle</h1>
       <svg width={CENTER * 2} height={CENTER * 2} className="puzzle-svg">
-        {/* Draw dodecagon edges */}
+        {/* Draw polygon edges */}
         {points.map((pt, i) => {
-          const next = points[(i + 1) % SIDES];
+          const next = points[(i + 1) % points.length];
           const isLit = LIT_EDGES.includes(i);
           const isGreen = litHit.has(i);
           return (
@@ -768,14 +835,31 @@ function App() {
             />
           );
         })}
-        {/* Draw dodecagon vertices (for clarity) */}
+        {/* Editor: wide invisible hit areas toggle edges lit */}
+        {editing && points.map((pt, i) => {
+          const next = points[(i + 1) % points.length];
+          return (
+            <line
+              key={`edit-edge-${i}`}
+              x1={pt[0]}
+              y1={pt[1]}
+              x2={next[0]}
+              y2={next[1]}
+              stroke="transparent"
+              strokeWidth={16}
+              style={{ cursor: 'pointer' }}
+              onClick={() => setEditorPuzzle((p) => toggleLitEdge(p, i))}
+            />
+          );
+        })}
+        {/* Draw polygon vertices (for clarity) */}
         {points.map(([x, y], i) => (
           <circle key={i} cx={x} cy={y} r={5} fill="#222" />
         ))}
         {/* Draw concentric circles for laser/blocker bases */}
-        <circle cx={CENTER} cy={CENTER} r={50} fill="none" stroke="#4af" strokeWidth={2} />
-        <circle cx={CENTER} cy={CENTER} r={90} fill="none" stroke="#4fa" strokeWidth={2} />
-        <circle cx={CENTER} cy={CENTER} r={130} fill="none" stroke="#4ff" strokeWidth={2} />
+        {boardGeometry.ringRadii.map((radius, idx) => (
+          <circle key={`ring-${idx}`} cx={CENTER} cy={CENTER} r={radius} fill="none" stroke={RING_COLORS[idx % RING_COLORS.length]} strokeWidth={2} />
+        ))}
         {/* Render lasers and blockers for each circle */}
         {CIRCLES.map((circle, idx) => renderLasersAndBlockers(circle, idx))}
         {/* Draw laser beams */}
@@ -791,39 +875,308 @@ function App() {
             strokeDasharray="6 4"
           />
         ))}
+        {/* Ghost emitters at the solved rotation (hint level 3) */}
+        {ghostEmitters.map((e) => (
+          <circle
+            key={`ghost-${e.laserIdx}`}
+            cx={e.x}
+            cy={e.y}
+            r={13}
+            fill="none"
+            stroke="#0ff"
+            strokeWidth={3}
+            strokeDasharray="4 3"
+            opacity={0.7}
+            pointerEvents="none"
+          />
+        ))}
+        {/* Editor: every slot cycles empty -> emitter -> blocker */}
+        {editing && CIRCLES.map((circle, idx) => Array.from({ length: boardGeometry.sides }, (_, position) => {
+          const rad = degToRad(positionToAngle(position, boardGeometry) + boardGeometry.shapeRotation);
+          const conflict = editorCheck.conflicts.has(`${idx}:${position}`);
+          return (
+            <circle
+              key={`slot-${idx}-${position}`}
+              cx={CENTER + circle.radius * Math.cos(rad)}
+              cy={CENTER + circle.radius * Math.sin(rad)}
+              r={11}
+              fill="transparent"
+              stroke={conflict ? '#f44' : getSlotContent(circle, position, boardGeometry) ? 'none' : '#666'}
+              strokeWidth={conflict ? 3 : 1}
+              strokeDasharray={conflict ? undefined : '3 3'}
+              style={{ cursor: 'pointer' }}
+              onClick={() => setEditorPuzzle((p) => cycleSlot(p, idx, position))}
+            />
+          );
+        }))}
+        {/* Highlight the circle the hint points at */}
+        {hint && !editing && (
+          <circle
+            cx={CENTER}
+            cy={CENTER}
+            r={CIRCLES[hint.circle].radius}
+            fill="none"
+            stroke="#0ff"
+            strokeWidth={2}
+            strokeDasharray="8 6"
+            pointerEvents="none"
+          />
+        )}
         {/* Highlight selected circle */}
-        <circle
-          cx={CENTER}
-          cy={CENTER}
-          r={CIRCLES[selected].radius}
-          fill="none"
-          stroke="#ff0"
-          strokeWidth={4}
-          pointerEvents="none"
-          style={{ filter: 'drop-shadow(0 0 8px #ff0)' }}
-        />
+        {!editing && (
+          <circle
+            cx={CENTER}
+            cy={CENTER}
+            r={CIRCLES[selected].radius}
+            fill="none"
+            stroke="#ff0"
+            strokeWidth={4}
+            pointerEvents="none"
+            style={{ filter: 'drop-shadow(0 0 8px #ff0)' }}
+          />
+        )}
       </svg>
+      {editing ? (
+        <div style={{marginBottom:'1em', padding:'1em', border:'1px solid #444', borderRadius:'5px', backgroundColor:'#1a1a1a', textAlign:'left'}}>
+          <h3 style={{margin:'0 0 0.5em 0', color:'#4af'}}>✏️ Level Editor</h3>
+          <div style={{fontSize:'0.9em', color:'#ccc'}}>
+            Click an edge to toggle it lit. Click a slot on a ring to cycle empty → emitter → blocker.
+            Clear starts an empty board of the shape chosen under Board.
+          </div>
+          <div style={{marginTop:'0.5em'}}>
+            Lit edges: {editorPuzzle.litEdges.length}
+            <span style={{marginLeft:'1em'}}>
+              {!editorCheck.validation.valid
+                ? <span style={{color:'#fa4'}}>Incomplete</span>
+                : editorCheck.solutionCount === null
+                  ? <span style={{color:'#aaa'}}>{editorCheck.solveError ? `Solution count stopped (${editorCheck.solveError})` : 'Counting solutions...'}</span>
+                  : (editorCheck.solutionCount > 0
+                    ? <span style={{color:'lime'}}>Solvable, {editorCheck.solutionCount} solution{editorCheck.solutionCount === 1 ? ' (unique)' : 's'}</span>
+                    : <span style={{color:'red'}}>Not solvable</span>)}
+            </span>
+          </div>
+          {editorCheck.conflicts.size > 0 && (
+            <div style={{marginTop:'0.3em', color:'#f44', fontSize:'0.9em'}}>
+              Opposite-position rule: elements circled in red share a diameter on the same ring.
+            </div>
+          )}
+          {editorCheck.validation.errors.map((error) => (
+            <div key={error} style={{color:'#fa4', fontSize:'0.85em'}}>• {error}</div>
+          ))}
+          {editorCheck.unmetRules.map((message) => (
+            <div key={message} style={{color:'#fa4', fontSize:'0.85em'}}>• Rules: {message}</div>
+          ))}
+          {fillStatus && <div style={{marginTop:'0.3em', fontSize:'0.85em', color:'#aaa'}}>{fillStatus}</div>}
+          <div style={{marginTop:'0.5em'}}>
+            <button onClick={playEditorPuzzle} disabled={!editorCheck.validation.valid}>▶ Play This</button>
+            <button
+              onClick={fillInEditorPuzzle}
+              title="Keep everything on the board and let the selected algorithm add the rest"
+              style={{marginLeft:'0.5em'}}
+            >
+              ✨ Fill In
+            </button>
+            <button onClick={() => setEditorPuzzle(createEmptyPuzzle(geometry))} style={{marginLeft:'0.5em'}}>Clear</button>
+            <button onClick={() => setEditing(false)} style={{marginLeft:'0.5em'}}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+      <>
       <p>Lit edges are shown in <span style={{color:'red'}}>red</span>.<br/>
-      Use <b>Up/Down</b> to select a circle, <b>Left/Right</b> to rotate.</p>
+      Use <b>Up/Down</b> to select a circle, <b>Left/Right</b> to rotate, <b>Ctrl+Z</b> / <b>Ctrl+Shift+Z</b> to undo/redo.</p>
+      <div style={{marginBottom:'0.5em'}}>
+        <button onClick={() => setHistory(undo)} disabled={!canUndo(history)}>↶ Undo</button>
+        <button onClick={() => setHistory(redo)} disabled={!canRedo(history)} style={{marginLeft:'0.5em'}}>↷ Redo</button>
+        <span style={{marginLeft:'1em'}}>Moves: {history.index}</span>
+      </div>
+      {history.entries.length > 1 && (
+        <div style={{marginBottom:'1em', padding:'0.5em', border:'1px solid #444', borderRadius:'5px', backgroundColor:'#1a1a1a', maxHeight:'10em', overflowY:'auto', fontSize:'0.85em', textAlign:'left'}}>
+          {history.entries.map((entry, i) => (
+            <div
+              key={i}
+              onClick={() => setHistory((h) => jumpTo(h, i))}
+              style={{cursor:'pointer', color: i === history.index ? '#ff0' : i > history.index ? '#666' : '#ccc'}}
+            >
+              {i === 0 ? 'Start' : `${i}. ${describeMove(entry.move, rotations.length)}`}
+            </div>
+          ))}
+        </div>
+      )}
       {puzzleSolved && (
         <div style={{color:'lime', fontWeight:'bold', fontSize:'2rem', marginTop:'1em'}}>Puzzle Solved!</div>
       )}
-      {!solvable && (
+      {solving && (
+        <div style={{fontSize:'0.9em', color:'#aaa', marginTop:'0.5em'}}>Checking solutions...</div>
+      )}
+      {!solving && solveResult.error && (
+        <div style={{color:'#fa4', marginTop:'1em'}}>Could not check this puzzle: {solveResult.error}</div>
+      )}
+      {!solving && !solveResult.error && !solvable && (
         <div style={{color:'red', fontWeight:'bold', fontSize:'1.2rem', marginTop:'1em'}}>This puzzle is NOT solvable.</div>
       )}
+      {solvable && (
+        <div style={{fontSize:'0.9em', color:'#aaa', marginTop:'0.5em'}}>
+          Solutions: {solutions.length}
+          {par !== null && <span style={{marginLeft:'1em'}} title="Fewest moves from the start to a solved state">Par: {par}</span>}
+          {solutions.length === 1 && (
+            <span
+              title="Exactly one solution, counting rotations that look identical once"
+              style={{marginLeft:'0.5em', padding:'0.1em 0.5em', borderRadius:'1em', backgroundColor:'#264', color:'#8f8', fontWeight:'bold'}}
+            >
+              ★ Unique
+            </span>
+          )}
+        </div>
+      )}
+      {solvable && !puzzleSolved && (
+        <div style={{marginTop:'0.5em'}}>
+          <button onClick={requestHint} disabled={hintLevel >= HINT_LEVELS.length}>
+            💡 Hint ({hintLevel}/{HINT_LEVELS.length})
+          </button>
+          <span style={{marginLeft:'1em', fontSize:'0.9em', color:'#aaa'}}>Hints used: {hintsUsed}</span>
+          {hintPending && <div style={{marginTop:'0.3em', color:'#aaa'}}>Finding the next move...</div>}
+          {hintCurrent && hintResult.error && (
+            <div style={{marginTop:'0.3em', color:'#fa4'}}>Hint stopped ({hintResult.error})</div>
+          )}
+          {hint && (
+            <div style={{marginTop:'0.3em', color:'#0ff'}}>
+              Move the {ringName(hint.circle, rotations.length)} ring
+              {hintLevel >= 2 && (hint.direction > 0 ? ' clockwise (Right)' : ' counter-clockwise (Left)')}
+              {hintLevel >= 3 && ` to the dashed outline (${hint.movesLeft} moves left)`}
+            </div>
+          )}
+        </div>
+      )}
+      </>
+      )}
       <div style={{marginBottom:'1em'}}>
-        <label>Lit Edges: </label>
-        <input type="number" min={1} max={maxLit} value={minLit} onChange={handleMinLit} style={{width:40}} />
+        <label>{OPTION_SCHEMA.litRange.label}: </label>
+        <input type="number" min={OPTION_SCHEMA.litRange.min} max={maxLit} value={minLit} onChange={handleMinLit} disabled={!supports('litRange')} style={{width:40}} />
         <span> to </span>
-        <input type="number" min={minLit} max={SIDES} value={maxLit} onChange={handleMaxLit} style={{width:40}} />
+        <input type="number" min={minLit} max={boardSides} value={maxLit} onChange={handleMaxLit} disabled={!supports('litRange')} style={{width:40}} />
         
         <label style={{marginLeft:'1em'}}>
-          <input type="checkbox" checked={autoSolve} onChange={handleAutoSolve} disabled={algorithmType !== 'random'} /> 
-          Auto-regenerate if unsolvable
+          <input type="checkbox" checked={autoSolve} onChange={handleAutoSolve} disabled={!supports('autoSolve')} /> 
+          {OPTION_SCHEMA.autoSolve.label}
         </label>
         
         <span style={{marginLeft:'1em'}}>Attempts: {internalAttempts}</span>
       </div>
+      <div style={{marginBottom:'1em'}}>
+        {supports('emittersPerRing') && (
+          <RingRange option="emittersPerRing" value={emittersPerRing} max={boardSides} onChange={setEmittersPerRing} />
+        )}
+        {supports('blockersPerRing') && (
+          <RingRange option="blockersPerRing" value={blockersPerRing} max={boardSides} onChange={setBlockersPerRing} />
+        )}
+        {supports('requiredLitEdges') && (
+          <label>
+            {OPTION_SCHEMA.requiredLitEdges.label}:
+            <input
+              type="text"
+              defaultValue={requiredLitEdges.join(', ')}
+              placeholder={`0-${boardSides - 1}, e.g. 0, 6`}
+              onChange={handleRequiredLitEdges}
+              style={{width:100, marginLeft:'0.5em'}}
+            />
+          </label>
+        )}
+        {supports('include') && (
+          <div style={{marginTop:'0.5em'}}>
+            <label style={{display:'block'}}>
+              {OPTION_SCHEMA.include.label} / {OPTION_SCHEMA.avoid.label.toLowerCase()}:
+              <textarea
+                value={ruleText}
+                onChange={(e) => setRuleText(e.target.value)}
+                placeholder={'include emitter ring 1 at 3\navoid blockers outer\navoid lit 5'}
+                rows={3}
+                style={{display:'block', width:'100%', maxWidth:360, marginTop:'0.3em'}}
+              />
+            </label>
+            {ruleError && <div style={{color:'#fa4', fontSize:'0.85em'}}>{ruleError}</div>}
+          </div>
+        )}
+        {constraintIssues.map((issue) => (
+          <div key={issue} style={{color:'#f44', fontSize:'0.85em'}}>Cannot generate: {issue}</div>
+        ))}
+      </div>
+      <div style={{marginBottom:'1em'}}>
+        <label>Board: </label>
+        <select value={boardSides} onChange={handleBoardSides}>
+          {BOARD_SIDES.map((sides) => <option key={sides} value={sides}>{sides} sides</option>)}
+        </select>
+        <select value={ringCount} onChange={(e) => setRingCount(Number(e.target.value))} style={{marginLeft:'0.5em'}}>
+          {RING_COUNTS.map((count) => <option key={count} value={count}>{count} rings</option>)}
+        </select>
+        <label style={{marginLeft:'1em'}} title={targetPar !== null ? 'A target par decides the start instead' : undefined}>
+          Start at least
+          <input
+            type="number"
+            min={1}
+            max={20}
+            value={minStartDistance}
+            disabled={targetPar !== null}
+            onChange={(e) => setMinStartDistance(Math.max(1, Math.min(20, Number(e.target.value) || 1)))}
+            style={{width:40, margin:'0 0.5em'}}
+          />
+          moves from solved
+        </label>
+      </div>
+      <div style={{marginBottom:'1em'}}>
+        <span>Seed: <code>{puzzleSource === 'seed' ? String(seed) : `none (loaded from ${puzzleSource})`}</code></span>
+        <input
+          type="text"
+          value={seedInput}
+          placeholder="Enter a seed"
+          onChange={(e) => setSeedInput(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') applySeedInput(); }}
+          style={{marginLeft:'1em', width:120}}
+        />
+        <button onClick={applySeedInput} style={{marginLeft:'0.5em'}}>Load Seed</button>
+      </div>
+      <div style={{marginBottom:'1em'}}>
+        <span>Code: <code style={{wordBreak:'break-all'}}>{shareCode}</code></span>
+        <label style={{marginLeft:'1em'}}>
+          <input type="checkbox" checked={includeRotations} onChange={(e) => setIncludeRotations(e.target.checked)} />
+          Include rotations
+        </label>
+        <button onClick={() => copyText(shareCode, 'code')} style={{marginLeft:'0.5em'}}>Copy Code</button>
+        <span
+          style={{marginLeft:'1em'}}
+          title="Identifies the puzzle whatever its start and however the board is turned or mirrored"
+        >
+          Puzzle ID: <code>{puzzleId}</code>
+        </span>
+        <button
+          onClick={() => copyText(`${window.location.origin}${window.location.pathname}?p=${encodeURIComponent(shareCode)}`, 'link')}
+          style={{marginLeft:'0.5em'}}
+        >
+          Copy Link
+        </button>
+        <div style={{marginTop:'0.5em'}}>
+          <input
+            type="text"
+            value={codeInput}
+            placeholder="Paste a puzzle code"
+            onChange={(e) => setCodeInput(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') loadCode(); }}
+            style={{width:240}}
+          />
+          <button onClick={loadCode} style={{marginLeft:'0.5em'}}>Load Code</button>
+          <button onClick={exportPuzzleFile} style={{marginLeft:'1em'}}>💾 Export JSON</button>
+          <button onClick={() => fileInput.current.click()} style={{marginLeft:'0.5em'}}>📂 Import JSON</button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".json,application/json"
+            onChange={importPuzzleFile}
+            style={{display:'none'}}
+          />
+        </div>
+        {shareMessage && (
+          <div style={{marginTop:'0.3em', fontSize:'0.9em', color:'#aaa', whiteSpace:'pre-line'}}>{shareMessage}</div>
+        )}
+      </div>
       
       <div style={{marginBottom:'1em', padding:'1em', border:'1px solid #444', borderRadius:'5px', backgroundColor:'#1a1a1a'}}>
         <h3 style={{margin:'0 0 0.5em 0', color:'#4af'}}>Algorithm Selection</h3>
@@ -835,50 +1188,72 @@ function App() {
             onChange={(e) => setAlgorithmType(e.target.value)}
             style={{marginLeft:'0.5em', padding:'0.2em'}}
           >
-            <option value="random">Random Generation</option>
-            <option value="constraint">Constraint-Based</option>
-            <option value="evolutionary">Evolutionary (NEW)</option>
+            {listGenerators().map(({ name, label }) => <option key={name} value={name}>{label}</option>)}
           </select>
         </label>
         
-        {(algorithmType === 'constraint' || algorithmType === 'evolutionary') && (
-          <>
-            <label style={{marginLeft:'1em', marginRight:'1em'}}>
-              Difficulty: 
-              <select 
-                value={difficulty} 
-                onChange={(e) => setDifficulty(e.target.value)}
-                style={{marginLeft:'0.5em', padding:'2px'}}
-              >
-                <option value="easy">Easy</option>
-                <option value="medium">Medium</option>
-                <option value="hard">Hard</option>
-              </select>
-            </label>
-            
-            <label style={{marginLeft:'1em'}}>
-              <input 
-                type="checkbox" 
-                checked={showPerformanceStats} 
-                onChange={(e) => setShowPerformanceStats(e.target.checked)} 
-              /> 
-              Show Performance Stats
-            </label>
-          </>
+        {supports('difficulty') && (
+          <label style={{marginLeft:'1em', marginRight:'1em'}}>
+            {OPTION_SCHEMA.difficulty.label}: 
+            <select 
+              value={difficulty} 
+              onChange={(e) => setDifficulty(e.target.value)}
+              style={{marginLeft:'0.5em', padding:'2px'}}
+            >
+              {OPTION_SCHEMA.difficulty.choices.map((choice) => (
+                <option key={choice} value={choice}>{choice[0].toUpperCase() + choice.slice(1)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        
+        <label style={{marginLeft:'1em'}}>
+          <input 
+            type="checkbox" 
+            checked={showPerformanceStats} 
+            onChange={(e) => setShowPerformanceStats(e.target.checked)} 
+          /> 
+          Show Performance Stats
+        </label>
+        
+        {supports('unique') && (
+          <label style={{display:'block', marginTop:'0.5em'}}>
+            <input type="checkbox" checked={uniqueOnly} onChange={(e) => setUniqueOnly(e.target.checked)} />
+            {OPTION_SCHEMA.unique.label}
+          </label>
+        )}
+        
+        {supports('par') && (
+          <label style={{display:'block', marginTop:'0.5em'}}>
+            <input
+              type="checkbox"
+              checked={targetPar !== null}
+              onChange={(e) => setTargetPar(e.target.checked ? 4 : null)}
+            />
+            {OPTION_SCHEMA.par.label}
+            {targetPar !== null && (
+              <input
+                type="number"
+                min={OPTION_SCHEMA.par.min}
+                max={OPTION_SCHEMA.par.max}
+                value={targetPar}
+                onChange={(e) => setTargetPar(Math.max(OPTION_SCHEMA.par.min, Math.min(OPTION_SCHEMA.par.max, Number(e.target.value) || 0)))}
+                style={{width:'4em', marginLeft:'0.5em'}}
+              />
+            )}
+          </label>
         )}
         
         <div style={{marginTop:'0.5em', fontSize:'0.9em', color:'#888'}}>
-          {algorithmType === 'evolutionary' ? 
-            'Using evolutionary algorithm with multi-objective optimization' :
-            algorithmType === 'constraint' ? 
-            'Using intelligent constraint-based generation with solution space analysis' : 
-            'Using original random generation with brute-force validation'
-          }
+          {selectedGenerator.description}
         </div>
         
         {algorithmStatus && (
           <div style={{marginTop:'0.5em', fontSize:'0.85em', color:'#aaa', fontStyle:'italic'}}>
             Status: {algorithmStatus}
+            {generating && (
+              <button onClick={() => generator.cancel()} style={{marginLeft:'1em', fontStyle:'normal'}}>⏹ Cancel</button>
+            )}
           </div>
         )}
       </div>
@@ -896,27 +1271,54 @@ function App() {
         </div>
       )}
       
+      {paretoFront && paretoFront.length > 0 && (
+        <div style={{marginBottom:'1em', padding:'1em', border:'1px solid #444', borderRadius:'5px', backgroundColor:'#0a0a0a'}}>
+          <h4 style={{margin:'0 0 0.5em 0', color:'#4fa'}}>📈 Pareto Front ({paretoFront.length} puzzles)</h4>
+          <ParetoPlot
+            front={paretoFront}
+            current={internalPuzzle}
+            onPick={(entry) => loadPuzzle(entry.puzzle, getStartAngles(entry.puzzle), 'seed')}
+          />
+          <div style={{fontSize:'0.85em', color:'#aaa', marginTop:'0.3em'}}>
+            Click a point to play that puzzle. Red points are unsolvable.
+          </div>
+        </div>
+      )}
+      
       <div style={{marginBottom:'1em'}}>
         <button onClick={newPuzzleBtn} style={{marginRight:'1em',fontSize:'1.1em'}}>New Puzzle</button>
+        {!editing && (
+          <button onClick={startEditing} style={{marginRight:'1em',fontSize:'1.1em'}}>✏️ Edit Puzzle</button>
+        )}
         <button 
-          onClick={() => runComprehensiveBenchmark(generatePuzzle, isPuzzleSolvable, points, 50)}
+          onClick={() => runBenchmarkJob('benchmark', displayBenchmarkResults)}
+          disabled={benchmarking}
           style={{marginRight:'1em',fontSize:'0.9em', padding:'0.5em 1em'}}
         >
           🏁 Run Benchmark
         </button>
         <button 
-          onClick={() => testPuzzleQuality(generatePuzzle, isPuzzleSolvable, points, 30)}
+          onClick={() => runBenchmarkJob('quality', displayQualityResults)}
+          disabled={benchmarking}
           style={{fontSize:'0.9em', padding:'0.5em 1em'}}
         >
           🎯 Test Quality
         </button>
+        {benchmarkStatus && (
+          <span style={{marginLeft:'0.5em', fontSize:'0.9em', color:'#aaa'}}>
+            {benchmarkStatus}
+            {benchmarking && (
+              <button onClick={() => benchmarker.cancel()} style={{marginLeft:'0.5em', fontSize:'0.9em'}}>⏹ Cancel</button>
+            )}
+          </span>
+        )}
         <button 
           onClick={() => {
             console.log('Testing constraint-based algorithm...');
             try {
               const testPuzzle = generateConstraintBasedPuzzle(3, 5, 'medium');
               console.log('Test puzzle generated:', testPuzzle);
-              const solvable = isPuzzleSolvable(testPuzzle, points);
+              const solvable = isPuzzleSolvable(testPuzzle);
               console.log('Test puzzle solvable:', solvable);
               alert(`Test puzzle generated! Solvable: ${solvable ? 'Yes' : 'No'}`);
             } catch (error) {
@@ -954,7 +1356,7 @@ function App() {
             try {
               const result = simplifiedEvolutionaryGenerator.generatePuzzle('medium');
               console.log('Evolutionary puzzle generated:', result);
-              const solvable = isPuzzleSolvable(result.puzzle, points);
+              const solvable = isPuzzleSolvable(result.puzzle);
               console.log('Test puzzle solvable:', solvable);
               alert(`🧬 Evolutionary Puzzle Generated!\nSolvable: ${solvable ? 'Yes' : 'No'}\nFitness: ${result.metadata.fitness.toFixed(3)}\nAlgorithm Solvable: ${result.metadata.solvable ? 'Yes' : 'No'}\nGenerations: ${result.metadata.generations}\nTime: ${result.metadata.timeMs.toFixed(0)}ms`);
             } catch (error) {
@@ -0,0 +1,248 @@
+// Simulated annealing puzzle generator
+// Local search on a single puzzle: each step makes one small change (move an
+// emitter, swap a blocker, toggle a lit edge) and keeps it when it scores
+// better, or with a probability that shrinks as the temperature cools when it
+// scores worse. Scores come from SimplifiedEvolutionaryGenerator.calculateFitness
+// so both algorithms optimise the same multi-objective score.
+
+import { resolveGeometry } from './geometry.js';
+import { getPar, pickQualifyingPuzzle } from './puzzle.js';
+import { resolveRng } from './random.js';
+import { SimplifiedEvolutionaryGenerator } from './simplified-evolutionary-generator.js';
+import { resolveConstraints, constrainLayout } from './generation-constraints.js';
+import { runEvolution, runEvolutionAsync } from './evolution-progress.js';
+
+const INITIAL_TEMPERATURE = 0.3;
+const COOLING_RATE = 0.9; // Temperature factor per step
+const MIN_TEMPERATURE = 0.002;
+const MOVES_PER_STEP = 25;
+const EXCELLENT_FITNESS = 0.95; // Stop early once a solvable puzzle scores this
+
+// Cross-platform performance timing
+const getTime = () => {
+  if (typeof performance !== 'undefined' && performance.now) {
+    return performance.now();
+  } else if (typeof Date !== 'undefined') {
+    return Date.now();
+  } else {
+    return 0;
+  }
+};
+
+// Deep copy of a chromosome's layout, without its score
+const copyChromosome = (chromosome) => ({
+  litEdges: [...chromosome.litEdges],
+  circles: chromosome.circles.map((circle) => ({ emitters: [...circle.emitters], blockers: [...circle.blockers] })),
+  fitness: 0,
+  solvable: false,
+  breakdown: {}
+});
+
+/**
+ * Simulated Annealing Puzzle Generator
+ */
+class SimulatedAnnealingGenerator {
+  constructor() {
+    this.scorer = new SimplifiedEvolutionaryGenerator(); // Fitness, difficulty presets and conversions
+    this.rng = Math.random; // Replaced per run by generatePuzzle
+    this.geometry = this.scorer.geometry; // Likewise
+  }
+
+  /**
+   * Generate a puzzle by simulated annealing
+   * options: { seed } or { rng } for reproducible output, { geometry } for the board,
+   * { unique: true } to only count puzzles with exactly one solution as solvable,
+   * { par } to turn the rings of the result to start exactly par moves from
+   * solved (metadata.par), { autoSolve: false } to return the best puzzle even
+   * when it is unsolvable. When none of the best puzzles is solvable, or with
+   * unique or par none qualifies, one is searched for instead
+   * (metadata.searched, see pickQualifyingPuzzle), and it throws when the
+   * search finds none either,
+   * { constraints } to keep the puzzle within a lit edge range, per-ring
+   * element counts and required lit edges (see generation-constraints.js),
+   * { onProgress } to receive each temperature step's stats (see anneal)
+   */
+  generatePuzzle(difficulty = 'medium', options = {}) {
+    return runEvolution(this.anneal(difficulty, options), options.onProgress);
+  }
+
+  /**
+   * generatePuzzle as a promise that yields to the event loop between
+   * temperature steps. Also takes { signal } (an AbortSignal) to stop early, in
+   * which case it rejects with the signal's reason. One run at a time per instance.
+   */
+  generatePuzzleAsync(difficulty = 'medium', options = {}) {
+    return runEvolutionAsync(this.anneal(difficulty, options), options);
+  }
+
+  /**
+   * The annealing loop: yields { generation, temperature, bestFitness,
+   * currentFitness, solvable, diversity, timeMs } after each temperature step
+   * (generation counts the steps, diversity is the share of moves accepted)
+   * and returns { puzzle, metadata }
+   */
+  *anneal(difficulty = 'medium', options = {}) {
+    const startTime = getTime();
+    this.rng = resolveRng(options);
+    this.geometry = resolveGeometry(options);
+    Object.assign(this.scorer, { rng: this.rng, geometry: this.geometry, unique: Boolean(options.unique) });
+    this.scorer.solvabilityCache.clear();
+    const par = options.par ?? null;
+    const { autoSolve = true } = options;
+    console.log(`🔥 Starting simulated annealing generation (${difficulty})...`);
+
+    const config = this.scorer.getDifficultyConfig(difficulty, resolveConstraints(options.constraints, this.geometry));
+    let current = this.scorer.createRandomChromosome(config);
+    this.scorer.calculateFitness(current);
+    let best = copyChromosome(current);
+    this.scorer.calculateFitness(best);
+
+    let temperature = INITIAL_TEMPERATURE;
+    let step = 0;
+    let moves = 0;
+    let acceptedMoves = 0;
+    while (temperature > MIN_TEMPERATURE) {
+      let accepted = 0;
+      for (let i = 0; i < MOVES_PER_STEP; i++) {
+        const candidate = copyChromosome(current);
+        this.neighbour(candidate, config);
+        this.scorer.calculateFitness(candidate);
+        moves++;
+
+        const delta = candidate.fitness - current.fitness;
+        if (delta >= 0 || this.rng() < Math.exp(delta / temperature)) {
+          current = candidate;
+          accepted++;
+          if (current.fitness > best.fitness) best = current;
+        }
+      }
+      acceptedMoves += accepted;
+
+      yield {
+        generation: step,
+        temperature,
+        bestFitness: best.fitness,
+        currentFitness: current.fitness,
+        solvable: best.solvable,
+        diversity: accepted / MOVES_PER_STEP,
+        timeMs: getTime() - startTime,
+      };
+
+      if (best.solvable && best.fitness >= EXCELLENT_FITNESS) {
+        console.log(`🎯 Found excellent puzzle at step ${step}!`);
+        break;
+      }
+      temperature *= COOLING_RATE;
+      step++;
+    }
+
+    // Annealing can cool on an unsolvable puzzle; unless asked not to, the
+    // search below replaces it like a puzzle without the unique solution or par
+    let puzzle = this.scorer.chromosomeToPuzzle(best);
+    let searched = false;
+    let scored = best;
+    if (this.scorer.unique || par !== null || (autoSolve && !best.solvable)) {
+      const candidates = [best, current]
+        .filter((chromosome) => chromosome.solvable || !autoSolve)
+        .map((chromosome) => this.scorer.chromosomeToPuzzle(chromosome));
+      ({ puzzle, searched } = pickQualifyingPuzzle(candidates, config.litEdges, {
+        rng: this.rng, geometry: this.geometry, unique: this.scorer.unique, par, constraints: options.constraints,
+      }));
+      // The metadata describes the puzzle returned, which may not be the best one
+      scored = this.scorer.puzzleToChromosome(puzzle);
+      this.scorer.calculateFitness(scored);
+    }
+
+    const totalTime = getTime() - startTime;
+    console.log(`🎯 Annealing complete! Best fitness: ${best.fitness.toFixed(3)}, Time: ${totalTime.toFixed(0)}ms`);
+
+    return {
+      puzzle,
+      metadata: {
+        fitness: scored.fitness,
+        generations: step,
+        moves,
+        acceptedMoves,
+        timeMs: totalTime,
+        solvable: scored.solvable,
+        fitnessBreakdown: scored.breakdown,
+        searched,
+        ...(par !== null && { par: getPar(puzzle) })
+      }
+    };
+  }
+
+  /**
+   * Apply one random local change to a chromosome in place: move an emitter to
+   * a free slot of its ring, swap a blocker with another slot of its ring
+   * (empty or holding an emitter), or toggle a lit edge that is not required
+   * within the config's lit edge range. None of them changes how many
+   * emitters or blockers a ring has. Falls back to another kind when the chosen
+   * one is impossible. A move onto an avoided slot or edge, or off a fixed
+   * one, is then repaired (see generation-constraints.js).
+   */
+  neighbour(chromosome, config) {
+    const kinds = ['moveEmitter', 'swapBlocker', 'toggleLitEdge'];
+    const first = Math.floor(this.rng() * kinds.length);
+    for (let i = 0; i < kinds.length; i++) {
+      if (this[kinds[(first + i) % kinds.length]](chromosome, config)) break;
+    }
+    constrainLayout(chromosome, config.bounds, this.rng, this.geometry);
+  }
+
+  moveEmitter(chromosome) {
+    const rings = chromosome.circles
+      .map((circle, idx) => idx)
+      .filter((idx) => chromosome.circles[idx].emitters.length > 0 && this.freeSlots(chromosome.circles[idx]).length > 0);
+    if (rings.length === 0) return false;
+    const circle = chromosome.circles[rings[Math.floor(this.rng() * rings.length)]];
+    const free = this.freeSlots(circle);
+    circle.emitters[Math.floor(this.rng() * circle.emitters.length)] = free[Math.floor(this.rng() * free.length)];
+    return true;
+  }
+
+  swapBlocker(chromosome) {
+    const rings = chromosome.circles.map((circle, idx) => idx).filter((idx) => chromosome.circles[idx].blockers.length > 0);
+    if (rings.length === 0) return false;
+    const circle = chromosome.circles[rings[Math.floor(this.rng() * rings.length)]];
+    const index = Math.floor(this.rng() * circle.blockers.length);
+    const from = circle.blockers[index];
+    const to = Math.floor(this.rng() * this.geometry.sides);
+    if (circle.blockers.includes(to)) return false;
+    const emitter = circle.emitters.indexOf(to);
+    if (emitter !== -1) circle.emitters[emitter] = from;
+    circle.blockers[index] = to;
+    return true;
+  }
+
+  toggleLitEdge(chromosome, config) {
+    const { litEdges } = chromosome;
+    const edge = Math.floor(this.rng() * this.geometry.sides);
+    const index = litEdges.indexOf(edge);
+    if (index !== -1) {
+      if (litEdges.length <= config.litEdges[0] || config.requiredLitEdges.includes(edge)) return false;
+      litEdges.splice(index, 1);
+    } else {
+      if (litEdges.length >= Math.min(config.litEdges[1], this.geometry.sides) || config.bounds.avoidedLitEdges.includes(edge)) return false;
+      litEdges.push(edge);
+      litEdges.sort((a, b) => a - b);
+    }
+    return true;
+  }
+
+  /**
+   * Positions of a circle holding neither an emitter nor a blocker
+   */
+  freeSlots(circle) {
+    return Array.from({ length: this.geometry.sides }, (_, pos) => pos)
+      .filter((pos) => !circle.emitters.includes(pos) && !circle.blockers.includes(pos));
+  }
+}
+
+// Export the annealing generator
+const annealingGenerator = new SimulatedAnnealingGenerator();
+
+export {
+  annealingGenerator,
+  SimulatedAnnealingGenerator
+};
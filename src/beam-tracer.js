@@ -0,0 +1,156 @@
+// beam-tracer.js
+// The one beam-tracing engine. The UI draws what traceBeams returns and the
+// solver and generators certify puzzles with it, so they always agree.
+
+import {
+  BLOCKER_HIT_RADIUS,
+  EMITTER_HIT_RADIUS,
+  degToRad,
+  getGeometry,
+  getPolygonPoints,
+  getEdgeLines,
+} from './geometry.js';
+
+// Edge segments per geometry, built on first use
+const edgeLineCache = new WeakMap();
+
+function getGeometryEdgeLines(geometry) {
+  if (!edgeLineCache.has(geometry)) {
+    edgeLineCache.set(geometry, getEdgeLines(getPolygonPoints(geometry.sides, geometry.radius, geometry.center)));
+  }
+  return edgeLineCache.get(geometry);
+}
+
+/**
+ * Place every emitter and blocker in world coordinates for the given rotations
+ * (degrees, one entry per circle)
+ */
+export function getWorldElements(puzzle, rotations) {
+  const { center, shapeRotation } = getGeometry(puzzle);
+  const emitters = puzzle.circles.flatMap((circle, idx) =>
+    circle.lasers.map((angle, i) => {
+      const rotated = angle + (rotations[idx] || 0) + shapeRotation;
+      const rad = degToRad(rotated);
+      return {
+        idx,
+        angle: rotated + 180, // Fire toward center
+        x: center + circle.radius * Math.cos(rad),
+        y: center + circle.radius * Math.sin(rad),
+        radius: circle.radius,
+        laserIdx: i,
+      };
+    })
+  );
+  const blockers = puzzle.circles.flatMap((circle, idx) =>
+    circle.blockers.map((angle, i) => {
+      const rotated = angle + (rotations[idx] || 0) + shapeRotation;
+      const rad = degToRad(rotated);
+      return {
+        idx,
+        angle: rotated,
+        x: center + circle.radius * Math.cos(rad),
+        y: center + circle.radius * Math.sin(rad),
+        radius: circle.radius,
+        blockerIdx: i,
+      };
+    })
+  );
+  return { emitters, blockers };
+}
+
+/**
+ * Distance along the ray to the first point of a round obstacle, or Infinity
+ */
+function rayCircleDistance(emitter, dx, dy, obstacle, hitRadius) {
+  const ox = obstacle.x - emitter.x;
+  const oy = obstacle.y - emitter.y;
+  const proj = ox * dx + oy * dy;
+  if (proj <= 0) return Infinity;
+  const perp2 = (ox * ox + oy * oy) - proj * proj;
+  const r2 = hitRadius * hitRadius;
+  if (perp2 >= r2) return Infinity;
+  return proj - Math.sqrt(r2 - perp2);
+}
+
+/**
+ * Follow one emitter's beam to the first blocker, emitter or polygon edge
+ */
+function castBeam(emitter, emitters, blockers, edgeLines) {
+  const rad = degToRad(emitter.angle);
+  const dx = Math.cos(rad);
+  const dy = Math.sin(rad);
+  let minT = Infinity;
+  let hitType = null;
+  let hitObj = null;
+
+  // Blockers: treat as circles
+  for (const blocker of blockers) {
+    const t = rayCircleDistance(emitter, dx, dy, blocker, BLOCKER_HIT_RADIUS);
+    if (t < minT) {
+      minT = t;
+      hitType = 'blocker';
+      hitObj = blocker;
+    }
+  }
+  // Emitters: treat as circles, block if facing each other or from behind
+  for (const other of emitters) {
+    if (other === emitter) continue;
+    const t = rayCircleDistance(emitter, dx, dy, other, EMITTER_HIT_RADIUS);
+    if (t < minT) {
+      minT = t;
+      hitType = 'emitter';
+      hitObj = other;
+    }
+  }
+  // Polygon edges
+  for (const edge of edgeLines) {
+    const x3 = edge.x1, y3 = edge.y1, x4 = edge.x2, y4 = edge.y2;
+    const denom = (dx * (y4 - y3) - dy * (x4 - x3));
+    if (Math.abs(denom) < 1e-6) continue;
+    const t2 = ((x3 - emitter.x) * (y4 - y3) - (y3 - emitter.y) * (x4 - x3)) / denom;
+    const t1 = ((x3 - emitter.x) * dy - (y3 - emitter.y) * dx) / denom;
+    if (t2 > 0 && t1 >= 0 && t1 <= 1 && t2 < minT) {
+      minT = t2;
+      hitType = 'edge';
+      hitObj = edge;
+    }
+  }
+
+  return {
+    x: emitter.x + minT * dx,
+    y: emitter.y + minT * dy,
+    hitType,
+    hitObj,
+    edge: hitType === 'edge' ? hitObj.i : null,
+  };
+}
+
+/**
+ * Trace every beam of a puzzle at the given rotations (degrees per circle).
+ * Returns the world-space emitters and blockers, each beam's path from its
+ * emitter to what it hit, the set of lit edges that are hit and whether the
+ * puzzle is solved in this state.
+ */
+export function traceBeams(puzzle, rotations = []) {
+  const { emitters, blockers } = getWorldElements(puzzle, rotations);
+  return traceElements(puzzle, emitters, blockers);
+}
+
+/**
+ * traceBeams for elements that are already placed in world coordinates, so
+ * the solver can position each ring once per rotation and reuse the result
+ */
+export function traceElements(puzzle, emitters, blockers) {
+  const edgeLines = getGeometryEdgeLines(getGeometry(puzzle));
+  const beams = emitters.map((emitter) => ({ emitter, ...castBeam(emitter, emitters, blockers, edgeLines) }));
+
+  const litHit = new Set();
+  for (const beam of beams) {
+    if (beam.hitType === 'edge' && puzzle.litEdges.includes(beam.edge)) {
+      litHit.add(beam.edge);
+    }
+  }
+  const solved = puzzle.litEdges.every((i) => litHit.has(i));
+
+  return { emitters, blockers, beams, litHit, solved };
+}
@@ -0,0 +1,69 @@
+// Solver benchmark: the backtracking search (searchSolutions) against the
+// brute-force loops it replaced, which trace every rotation combination with
+// the beam tracer or with the exact model. Brute force is skipped on boards
+// with more than BRUTE_FORCE_LIMIT combinations.
+// Run with: node src/benchmark-solver.js
+import { generatePuzzle } from './puzzle.js';
+import { traceBeams } from './beam-tracer.js';
+import { forEachRotation, traceBeamsDiscrete, searchSolutions } from './solver.js';
+import { createGeometry, defaultRingRadii, getGeometry } from './geometry.js';
+
+const PUZZLES = 20; // Per board
+const BOARDS = [[12, 3], [8, 2], [8, 5], [10, 4], [16, 3], [16, 5], [22, 5]]; // [sides, rings]
+const BRUTE_FORCE_LIMIT = 20000;
+
+const getTime = () => performance.now();
+
+const solvers = {
+  'brute force (tracer)': (puzzle) => {
+    const { sides, stepAngle } = getGeometry(puzzle);
+    return forEachRotation(puzzle.circles.map(() => sides),
+      (steps) => traceBeams(puzzle, steps.map((r) => r * stepAngle)).solved);
+  },
+  'brute force (exact)': (puzzle) => {
+    const { sides } = getGeometry(puzzle);
+    return forEachRotation(puzzle.circles.map(() => sides),
+      (steps) => traceBeamsDiscrete(puzzle, steps).solved);
+  },
+  'search (first)': (puzzle) => searchSolutions(puzzle, { first: true }).length > 0,
+  'search (all)': (puzzle) => searchSolutions(puzzle).length > 0,
+};
+
+/**
+ * Average milliseconds per puzzle for each solver, and whether every solver
+ * gave the same verdict on every puzzle
+ */
+function benchmarkBoard(sides, rings) {
+  const geometry = createGeometry({ sides, ringRadii: defaultRingRadii(rings) });
+  const puzzles = Array.from({ length: PUZZLES }, (_, i) =>
+    generatePuzzle(1, Math.min(4, sides / 2), { seed: i, geometry })
+  );
+  const combinations = sides ** rings;
+  const results = {};
+  let verdicts = null;
+
+  for (const [name, solve] of Object.entries(solvers)) {
+    if (name.startsWith('brute force') && combinations > BRUTE_FORCE_LIMIT) continue;
+    const start = getTime();
+    const solved = puzzles.map(solve);
+    results[name] = (getTime() - start) / PUZZLES;
+    if (verdicts && solved.some((s, i) => s !== verdicts[i])) {
+      throw new Error(`FAIL: ${name} disagrees with the other solvers on ${sides}x${rings}`);
+    }
+    verdicts = solved;
+  }
+
+  const solvable = verdicts.filter(Boolean).length;
+  return { combinations, solvable, results };
+}
+
+console.log(`Solver benchmark, ${PUZZLES} puzzles per board (ms per puzzle)\n`);
+for (const [sides, rings] of BOARDS) {
+  const { combinations, solvable, results } = benchmarkBoard(sides, rings);
+  console.log(`${sides} sides x ${rings} rings: ${combinations} combinations, ${solvable}/${PUZZLES} solvable`);
+  const baseline = results['brute force (tracer)'];
+  for (const [name, ms] of Object.entries(results)) {
+    const speedup = baseline ? ` (${(baseline / ms).toFixed(1)}x)` : '';
+    console.log(`  ${name.padEnd(22)} ${ms.toFixed(3).padStart(10)}${speedup}`);
+  }
+}
@@ -1,5 +1,10 @@
-// Benchmark utility for comparing puzzle generation algorithms
-import { generateConstraintBasedPuzzle, getPerformanceStats, resetPerformanceStats } from './puzzle-generator.js';
+// Benchmark utility for comparing puzzle generation algorithms: every
+// generator in the registry, run the same way. The measuring functions return
+// plain data so the game can run them in its worker (see generation-job.js);
+// the display functions print that data to the console.
+import { isPuzzleSolvable } from './puzzle.js';
+import { listGenerators, runGenerator } from './generator-registry.js';
+import { canonicalizePuzzle, dedupePuzzles } from './canonical-puzzle.js';
 
 // Cross-platform performance timing
 const getTime = () => {
@@ -12,224 +17,132 @@ const getTime = () => {
   }
 };
 
+// Runs per generator; small enough that the slowest generators finish in
+// seconds, spread over the difficulties for generators that take one
+export const BENCHMARK_RUNS = 9;
+export const QUALITY_RUNS = 10;
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
 /**
- * Benchmark the original random generation algorithm
+ * Benchmark every generator in the registry with the same lit range.
+ * onProgress({ message, done, total }) is called before each generator.
+ * Returns one stats object per generator, in registry order.
  */
-function benchmarkOriginalAlgorithm(generatePuzzle, isPuzzleSolvable, points, iterations = 100) {
-  console.log('Benchmarking Original Algorithm...');
-  
-  const stats = {
-    totalTime: 0,
-    totalAttempts: 0,
-    solvablePuzzles: 0,
-    averageAttempts: 0,
-    successRate: 0,
-    averageTimePerPuzzle: 0
-  };
-  
-  const startTime = getTime();
-  
-  for (let i = 0; i < iterations; i++) {
-    let attempts = 1;
-    let puzzle = generatePuzzle(3, 6); // Use same range as constraint-based
-    let solvable = isPuzzleSolvable(puzzle, points);
+function benchmarkRegisteredGenerators(iterations = BENCHMARK_RUNS, onProgress = () => {}) {
+  const generators = listGenerators();
+  return generators.map(({ name, label, options }, index) => {
+    onProgress({ message: `Benchmarking ${label}...`, done: index, total: generators.length });
     
-    // Try up to 100 times to get a solvable puzzle
-    while (!solvable && attempts < 100) {
-      puzzle = generatePuzzle(3, 6);
-      solvable = isPuzzleSolvable(puzzle, points);
-      attempts++;
-    }
+    const stats = {
+      name,
+      label,
+      totalTime: 0,
+      totalAttempts: 0,
+      solvablePuzzles: 0,
+      failedRuns: 0,
+      averageAttempts: 0,
+      successRate: 0,
+      averageTimePerPuzzle: 0
+    };
     
-    stats.totalAttempts += attempts;
-    if (solvable) {
-      stats.solvablePuzzles++;
-    }
-  }
-  
-  stats.totalTime = getTime() - startTime;
-  stats.averageAttempts = stats.totalAttempts / iterations;
-  stats.successRate = (stats.solvablePuzzles / iterations) * 100;
-  stats.averageTimePerPuzzle = stats.totalTime / iterations;
-  
-  return stats;
-}
-
-/**
- * Benchmark the new constraint-based algorithm
- */
-function benchmarkConstraintBasedAlgorithm(isPuzzleSolvable, points, iterations = 100) {
-  console.log('Benchmarking Constraint-Based Algorithm...');
-  
-  resetPerformanceStats();
-  
-  const stats = {
-    totalTime: 0,
-    totalAttempts: iterations, // Always 1 attempt per puzzle
-    solvablePuzzles: 0,
-    averageAttempts: 1,
-    successRate: 0,
-    averageTimePerPuzzle: 0,
-    cacheHits: 0,
-    cacheMisses: 0
-  };
-  
-  const startTime = getTime();
-  
-  // Test different difficulty levels
-  const difficulties = ['easy', 'medium', 'hard'];
-  const puzzlesPerDifficulty = Math.floor(iterations / difficulties.length);
-  
-  for (const difficulty of difficulties) {
-    for (let i = 0; i < puzzlesPerDifficulty; i++) {
-      try {
-        const puzzle = generateConstraintBasedPuzzle(3, 6, difficulty);
-        
-        // Actually test if the puzzle is solvable using the main solver
-        const solvable = isPuzzleSolvable(puzzle, points);
-        if (solvable) {
-          stats.solvablePuzzles++;
+    const difficulties = options.includes('difficulty') ? DIFFICULTIES : [undefined];
+    const puzzlesPerDifficulty = Math.max(1, Math.floor(iterations / difficulties.length));
+    const runs = puzzlesPerDifficulty * difficulties.length;
+    const startTime = getTime();
+    
+    for (const difficulty of difficulties) {
+      for (let i = 0; i < puzzlesPerDifficulty; i++) {
+        try {
+          const result = runGenerator(name, { minLit: 3, maxLit: 6, difficulty });
+          stats.totalAttempts += result.attempts;
+          if (isPuzzleSolvable(result.puzzle)) {
+            stats.solvablePuzzles++;
+          }
+        } catch {
+          stats.failedRuns++;
         }
-      } catch (error) {
-        console.error('Error generating constraint-based puzzle:', error);
       }
     }
-  }
-  
-  stats.totalTime = getTime() - startTime;
-  stats.successRate = (stats.solvablePuzzles / iterations) * 100;
-  stats.averageTimePerPuzzle = stats.totalTime / iterations;
-  
-  const perfStats = getPerformanceStats();
-  stats.cacheHits = perfStats.cacheHits;
-  stats.cacheMisses = perfStats.cacheMisses;
-  
-  return stats;
-}
-
-/**
- * Run comprehensive benchmark comparing both algorithms
- */
-function runComprehensiveBenchmark(generatePuzzle, isPuzzleSolvable, points, iterations = 100) {
-  console.log('Running Comprehensive Benchmark...');
-  console.log(`Testing ${iterations} puzzle generations for each algorithm`);
-  
-  // Benchmark original algorithm
-  const originalStats = benchmarkOriginalAlgorithm(generatePuzzle, isPuzzleSolvable, points, iterations);
-  
-  // Wait a bit to separate the tests
-  setTimeout(() => {
-    // Benchmark constraint-based algorithm
-    const constraintStats = benchmarkConstraintBasedAlgorithm(isPuzzleSolvable, points, iterations);
     
-    // Compare results
-    const comparison = compareAlgorithms(originalStats, constraintStats);
+    stats.totalTime = getTime() - startTime;
+    stats.averageAttempts = stats.totalAttempts / runs;
+    stats.successRate = (stats.solvablePuzzles / runs) * 100;
+    stats.averageTimePerPuzzle = stats.totalTime / runs;
     
-    // Display results
-    displayBenchmarkResults(originalStats, constraintStats, comparison);
-  }, 100);
-}
-
-/**
- * Compare the performance of both algorithms
- */
-function compareAlgorithms(originalStats, constraintStats) {
-  return {
-    timeImprovement: ((originalStats.averageTimePerPuzzle - constraintStats.averageTimePerPuzzle) / originalStats.averageTimePerPuzzle) * 100,
-    attemptReduction: ((originalStats.averageAttempts - constraintStats.averageAttempts) / originalStats.averageAttempts) * 100,
-    successRateImprovement: constraintStats.successRate - originalStats.successRate,
-    efficiencyGain: (originalStats.totalAttempts / constraintStats.totalAttempts)
-  };
+    return stats;
+  });
 }
 
 /**
- * Display benchmark results
+ * Print the stats of benchmarkRegisteredGenerators
  */
-function displayBenchmarkResults(originalStats, constraintStats, comparison) {
+function displayBenchmarkResults(registryStats) {
   console.log('\n=== BENCHMARK RESULTS ===\n');
+  registryStats.forEach((stats) => {
+    console.log(`${stats.label}:`);
+    console.log(`  Total Time: ${stats.totalTime.toFixed(2)}ms`);
+    console.log(`  Average Time per Puzzle: ${stats.averageTimePerPuzzle.toFixed(2)}ms`);
+    console.log(`  Average Attempts: ${stats.averageAttempts.toFixed(2)}`);
+    console.log(`  Success Rate: ${stats.successRate.toFixed(1)}%`);
+    if (stats.failedRuns > 0) console.log(`  Failed Runs: ${stats.failedRuns}`);
+  });
   
-  console.log('Original Random Algorithm:');
-  console.log(`  Total Time: ${originalStats.totalTime.toFixed(2)}ms`);
-  console.log(`  Average Time per Puzzle: ${originalStats.averageTimePerPuzzle.toFixed(2)}ms`);
-  console.log(`  Average Attempts: ${originalStats.averageAttempts.toFixed(2)}`);
-  console.log(`  Success Rate: ${originalStats.successRate.toFixed(1)}%`);
-  console.log(`  Total Attempts: ${originalStats.totalAttempts}`);
-  
-  console.log('\nConstraint-Based Algorithm:');
-  console.log(`  Total Time: ${constraintStats.totalTime.toFixed(2)}ms`);
-  console.log(`  Average Time per Puzzle: ${constraintStats.averageTimePerPuzzle.toFixed(2)}ms`);
-  console.log(`  Average Attempts: ${constraintStats.averageAttempts.toFixed(2)}`);
-  console.log(`  Success Rate: ${constraintStats.successRate.toFixed(1)}%`);
-  console.log(`  Cache Hits: ${constraintStats.cacheHits}`);
-  console.log(`  Cache Misses: ${constraintStats.cacheMisses}`);
-  
-  console.log('\nPerformance Comparison:');
-  console.log(`  Time Improvement: ${comparison.timeImprovement > 0 ? '+' : ''}${comparison.timeImprovement.toFixed(1)}%`);
-  console.log(`  Attempt Reduction: ${comparison.attemptReduction.toFixed(1)}%`);
-  console.log(`  Success Rate Improvement: ${comparison.successRateImprovement > 0 ? '+' : ''}${comparison.successRateImprovement.toFixed(1)}%`);
-  console.log(`  Efficiency Gain: ${comparison.efficiencyGain.toFixed(2)}x`);
-  
-  // Determine overall winner
-  const winner = determineWinner(comparison);
-  console.log(`\n🏆 Overall Winner: ${winner}`);
+  const best = registryStats.reduce((best, stats) => (
+    stats.successRate > best.successRate ||
+    (stats.successRate === best.successRate && stats.averageTimePerPuzzle < best.averageTimePerPuzzle) ? stats : best
+  ));
+  console.log(`\n🏆 Most solvable, then fastest: ${best.label}`);
 }
 
 /**
- * Determine which algorithm performed better
+ * Measure the quality of every registered generator's puzzles.
+ * onProgress is called as in benchmarkRegisteredGenerators. Returns
+ * { label, generated, varietyScore, complexityScore, duplicates } per
+ * generator.
  */
-function determineWinner(comparison) {
-  let score = 0;
-  
-  if (comparison.timeImprovement > 0) score += 2;
-  if (comparison.attemptReduction > 0) score += 3;
-  if (comparison.successRateImprovement > 0) score += 2;
-  if (comparison.efficiencyGain > 1) score += 1;
-  
-  return score >= 4 ? 'Constraint-Based Algorithm' : 
-         score >= 2 ? 'Mixed Results (Constraint-Based has advantages)' : 
-         'Original Algorithm';
+function testPuzzleQuality(iterations = QUALITY_RUNS, onProgress = () => {}) {
+  const generators = listGenerators();
+  return generators.map(({ name, label }, index) => {
+    onProgress({ message: `Measuring ${label}...`, done: index, total: generators.length });
+    return {
+      label,
+      ...analyzePuzzleQuality((minLit, maxLit) => {
+        const { puzzle, attempts } = runGenerator(name, { minLit, maxLit, difficulty: 'medium' });
+        return { puzzle, solvable: isPuzzleSolvable(puzzle), attempts };
+      }, iterations)
+    };
+  });
 }
 
 /**
- * Test puzzle quality metrics
+ * Print the results of testPuzzleQuality
  */
-function testPuzzleQuality(generatePuzzle, isPuzzleSolvable, points, iterations = 50) {
+function displayQualityResults(quality) {
   console.log('\n=== PUZZLE QUALITY ANALYSIS ===\n');
-  
-  const originalQuality = analyzePuzzleQuality('Original', (minLit, maxLit) => {
-    let attempts = 1;
-    let puzzle = generatePuzzle(minLit, maxLit);
-    let solvable = isPuzzleSolvable(puzzle, points);
-    
-    while (!solvable && attempts < 100) {
-      puzzle = generatePuzzle(minLit, maxLit);
-      solvable = isPuzzleSolvable(puzzle, points);
-      attempts++;
-    }
-    
-    return { puzzle, solvable, attempts };
-  }, iterations);
-  
-  const constraintQuality = analyzePuzzleQuality('Constraint-Based', (minLit, maxLit) => {
-    const puzzle = generateConstraintBasedPuzzle(minLit, maxLit, 'medium');
-    return { puzzle, solvable: true, attempts: 1 };
-  }, iterations);
-  
-  console.log('Quality Comparison:');
-  console.log(`  Variety Score - Original: ${originalQuality.varietyScore.toFixed(2)}, Constraint-Based: ${constraintQuality.varietyScore.toFixed(2)}`);
-  console.log(`  Complexity Score - Original: ${originalQuality.complexityScore.toFixed(2)}, Constraint-Based: ${constraintQuality.complexityScore.toFixed(2)}`);
+  quality.forEach(({ label, generated, iterations, varietyScore, complexityScore, duplicates }) => {
+    console.log(`${label} Quality Metrics:`);
+    console.log(`  Puzzles Generated: ${generated}/${iterations}`);
+    console.log(`  Duplicates: ${duplicates}`);
+    console.log(`  Variety Score: ${varietyScore.toFixed(2)}`);
+    console.log(`  Complexity Score: ${complexityScore.toFixed(2)}`);
+  });
 }
 
 /**
  * Analyze puzzle quality metrics
  */
-function analyzePuzzleQuality(algorithmName, generateFunc, iterations) {
+function analyzePuzzleQuality(generateFunc, iterations) {
   const puzzles = [];
   
   for (let i = 0; i < iterations; i++) {
-    const result = generateFunc(3, 6);
-    if (result.solvable) {
-      puzzles.push(result.puzzle);
+    try {
+      const result = generateFunc(3, 6);
+      if (result.solvable) {
+        puzzles.push(result.puzzle);
+      }
+    } catch {
+      // A failed run counts as a puzzle not generated
     }
   }
   
@@ -240,27 +153,29 @@ function analyzePuzzleQuality(algorithmName, generateFunc, iterations) {
       varietyScore += calculatePuzzleDifference(puzzles[i], puzzles[j]);
     }
   }
-  varietyScore = varietyScore / (puzzles.length * (puzzles.length - 1) / 2);
+  const pairs = puzzles.length * (puzzles.length - 1) / 2;
+  varietyScore = pairs > 0 ? varietyScore / pairs : 0;
   
   // Calculate complexity score (average complexity of puzzles)
   let complexityScore = 0;
   puzzles.forEach(puzzle => {
     complexityScore += calculatePuzzleComplexity(puzzle);
   });
-  complexityScore = complexityScore / puzzles.length;
-  
-  console.log(`${algorithmName} Quality Metrics:`);
-  console.log(`  Puzzles Generated: ${puzzles.length}/${iterations}`);
-  console.log(`  Variety Score: ${varietyScore.toFixed(2)}`);
-  console.log(`  Complexity Score: ${complexityScore.toFixed(2)}`);
+  complexityScore = puzzles.length > 0 ? complexityScore / puzzles.length : 0;
+
+  // Puzzles that are the same game turned, mirrored or with rings turned
+  const duplicates = puzzles.length - dedupePuzzles(puzzles).length;
   
-  return { varietyScore, complexityScore };
+  return { generated: puzzles.length, iterations, varietyScore, complexityScore, duplicates };
 }
 
 /**
- * Calculate how different two puzzles are
+ * Calculate how different two puzzles are, compared in canonical form (see
+ * canonical-puzzle.js) so that a turned or mirrored copy counts as the same
  */
-function calculatePuzzleDifference(puzzle1, puzzle2) {
+function calculatePuzzleDifference(first, second) {
+  const puzzle1 = canonicalizePuzzle(first);
+  const puzzle2 = canonicalizePuzzle(second);
   let difference = 0;
   
   // Compare lit edges
@@ -271,7 +186,7 @@ function calculatePuzzleDifference(puzzle1, puzzle2) {
   difference += 1 - (edgeIntersection / edgeUnion);
   
   // Compare emitter configurations
-  for (let i = 0; i < 3; i++) {
+  for (let i = 0; i < Math.min(puzzle1.circles.length, puzzle2.circles.length); i++) {
     const lasers1 = new Set(puzzle1.circles[i].lasers);
     const lasers2 = new Set(puzzle2.circles[i].lasers);
     const laserIntersection = [...lasers1].filter(x => lasers2.has(x)).length;
@@ -305,8 +220,8 @@ function calculatePuzzleComplexity(puzzle) {
 }
 
 export {
-  runComprehensiveBenchmark,
+  benchmarkRegisteredGenerators,
+  displayBenchmarkResults,
   testPuzzleQuality,
-  benchmarkOriginalAlgorithm,
-  benchmarkConstraintBasedAlgorithm
+  displayQualityResults
 };
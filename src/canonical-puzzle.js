@@ -0,0 +1,124 @@
+// canonical-puzzle.js
+// One representative for every puzzle that plays the same game. Turning the
+// whole board, mirroring it, or turning a single ring's elements (which only
+// moves where that ring starts) changes a puzzle's data but not the game, so
+// puzzles are compared through a canonical form: the board mirrored or not,
+// the lit edges at their smallest rotation and every ring's elements at its
+// own smallest rotation, whichever of the two reads first. The form and the
+// hash of it are stable across runs and machines, so they can be stored and
+// used to skip puzzles that were already seen.
+
+import { angleToPosition, getGeometry, positionToAngle, withGeometry } from './geometry.js';
+import { normalizeSeed } from './random.js';
+
+// Ring slot contents in canonical strings
+const EMPTY = '.';
+const EMITTER = 'e';
+const BLOCKER = 'b';
+const BOTH = '*'; // An emitter and a blocker snapped onto the same position
+
+// The rotation of a cyclic string that sorts first
+function smallestRotation(text) {
+  let best = text;
+  for (let k = 1; k < text.length; k++) {
+    const rotated = text.slice(k) + text.slice(0, k);
+    if (rotated < best) best = rotated;
+  }
+  return best;
+}
+
+// Edge or position i read mirrored; the turn this adds does not matter, as
+// every part is rotated to its smallest form afterwards
+const mirrorIndex = (i, sides) => (sides - i) % sides;
+
+/**
+ * The lit edges and each ring's slots as strings of `sides` characters, the
+ * ring slots holding EMPTY, EMITTER, BLOCKER or BOTH. Elements off the grid
+ * count at their nearest position.
+ */
+function boardStrings(puzzle, mirrored) {
+  const geometry = getGeometry(puzzle);
+  const { sides } = geometry;
+  const at = (i) => (mirrored ? mirrorIndex(i, sides) : i);
+  const edges = new Array(sides).fill('0');
+  puzzle.litEdges.forEach((edge) => {
+    edges[at(edge)] = '1';
+  });
+  const rings = puzzle.circles.map((circle) => {
+    const slots = new Array(sides).fill(EMPTY);
+    circle.lasers.forEach((angle) => {
+      slots[at(angleToPosition(angle, geometry))] = EMITTER;
+    });
+    circle.blockers.forEach((angle) => {
+      const pos = at(angleToPosition(angle, geometry));
+      slots[pos] = slots[pos] === EMITTER ? BOTH : BLOCKER;
+    });
+    return slots.join('');
+  });
+  return [edges.join(''), ...rings].map(smallestRotation);
+}
+
+// The canonical strings: the orientation, plain or mirrored, that sorts first
+function canonicalStrings(puzzle) {
+  const plain = boardStrings(puzzle, false);
+  const mirrored = boardStrings(puzzle, true);
+  return mirrored.join('|') < plain.join('|') ? mirrored : plain;
+}
+
+/**
+ * A string naming the puzzle's game: equal for two puzzles exactly when one
+ * is the other turned, mirrored or with rings turned, on the same board
+ */
+export function canonicalKey(puzzle) {
+  const { sides, ringRadii } = getGeometry(puzzle);
+  return `${sides}/${ringRadii.join(',')}:${canonicalStrings(puzzle).join('|')}`;
+}
+
+/**
+ * The canonical representative of a puzzle: its board and ring radii with the
+ * lit edges and elements of the canonical form, on grid positions, without
+ * start rotations or metadata
+ */
+export function canonicalizePuzzle(puzzle) {
+  const geometry = getGeometry(puzzle);
+  const [edges, ...rings] = canonicalStrings(puzzle);
+  const indicesOf = (text, chars) => [...text].flatMap((char, i) => (chars.includes(char) ? [i] : []));
+  return withGeometry({
+    litEdges: indicesOf(edges, ['1']),
+    circles: rings.map((slots, i) => ({
+      radius: puzzle.circles[i].radius,
+      lasers: indicesOf(slots, [EMITTER, BOTH]).map((pos) => positionToAngle(pos, geometry)),
+      blockers: indicesOf(slots, [BLOCKER, BOTH]).map((pos) => positionToAngle(pos, geometry)),
+    })),
+  }, geometry);
+}
+
+/**
+ * Short stable hash of the canonical form: 8 hex digits (FNV-1a, as for
+ * string seeds), the same for every puzzle that plays the same game
+ */
+export function puzzleHash(puzzle) {
+  return normalizeSeed(canonicalKey(puzzle)).toString(16).padStart(8, '0');
+}
+
+/**
+ * Whether two puzzles play the same game (see canonicalKey)
+ */
+export function isSamePuzzle(a, b) {
+  return canonicalKey(a) === canonicalKey(b);
+}
+
+/**
+ * The items with a puzzle whose game an earlier item already has left out,
+ * in order. getPuzzle picks the puzzle out of an item, for lists such as a
+ * Pareto front.
+ */
+export function dedupePuzzles(items, getPuzzle = (item) => item) {
+  const seen = new Set();
+  return items.filter((item) => {
+    const key = canonicalKey(getPuzzle(item));
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
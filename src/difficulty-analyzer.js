@@ -1,6 +1,8 @@
 // Difficulty Analysis Utility
 // Provides detailed analysis of puzzle difficulty and solution complexity
 
+import { findAllSolutions, findShortestSolution } from './solver.js';
+
 /**
  * Analyze the difficulty of a puzzle
  */
@@ -75,7 +77,8 @@ function calculateSolutionComplexity(puzzle) {
   const interdependency = calculateCircleInterdependency(puzzle);
   
   // Calculate solution uniqueness (how many different ways to solve)
-  const uniqueness = calculateSolutionUniqueness(puzzle);
+  const solutionCount = findAllSolutions(puzzle).length;
+  const uniqueness = calculateSolutionUniqueness(solutionCount);
   
   const score = (
     Math.min(minRotations / 10, 1) * 0.4 +     // More rotations = harder
@@ -88,42 +91,18 @@ function calculateSolutionComplexity(puzzle) {
     minRotations,
     interdependency,
     uniqueness,
+    solutionCount,
     estimatedSolveTime: minRotations * 2 + interdependency * 5 // seconds
   };
 }
 
 /**
- * Estimate minimum rotations needed to solve
+ * Minimum rotations needed to solve from the unrotated start, using the
+ * shortest-path solver (selection changes are not counted)
  */
 function estimateMinimumRotations(puzzle) {
-  let totalRotations = 0;
-  
-  // Simple heuristic: assume each lit edge needs at least one rotation
-  // and account for conflicts between emitters
-  for (const edge of puzzle.litEdges) {
-    // Find the closest emitter that could hit this edge
-    let minRotationsForEdge = Infinity;
-    
-    for (let circleIdx = 0; circleIdx < puzzle.circles.length; circleIdx++) {
-      const circle = puzzle.circles[circleIdx];
-      
-      for (const emitterAngle of circle.lasers) {
-        // Calculate how many rotations needed to align this emitter with the edge
-        const targetAngle = (edge * 30 + 15) % 360;
-        const currentDirection = (emitterAngle + 180) % 360;
-        const rotationNeeded = Math.min(
-          Math.abs(targetAngle - currentDirection),
-          360 - Math.abs(targetAngle - currentDirection)
-        ) / 30;
-        
-        minRotationsForEdge = Math.min(minRotationsForEdge, rotationNeeded);
-      }
-    }
-    
-    totalRotations += minRotationsForEdge === Infinity ? 3 : minRotationsForEdge;
-  }
-  
-  return Math.min(totalRotations, 20); // Cap at reasonable maximum
+  const shortest = findShortestSolution(puzzle);
+  return shortest ? Math.min(shortest.length, 20) : 20; // Unsolvable counts as the cap
 }
 
 /**
@@ -160,18 +139,13 @@ function calculateCircleInterdependency(puzzle) {
 
 /**
  * Calculate solution uniqueness (0 = unique solution, 1 = many solutions)
+ * from the exact number of distinct solutions
  */
-function calculateSolutionUniqueness(puzzle) {
-  // Simplified heuristic based on emitter-to-edge ratios
-  const totalEmitters = puzzle.circles.reduce((sum, circle) => sum + circle.lasers.length, 0);
-  const numLitEdges = puzzle.litEdges.length;
-  
-  if (numLitEdges === 0) return 1;
-  
-  const ratio = totalEmitters / numLitEdges;
+function calculateSolutionUniqueness(solutionCount) {
+  if (solutionCount <= 1) return 0;
   
-  // More emitters relative to lit edges = more possible solutions
-  return Math.min(ratio / 3, 1); // Normalize to 0-1
+  // Two solutions score 0.5, ten score 0.9
+  return 1 - 1 / solutionCount;
 }
 
 /**
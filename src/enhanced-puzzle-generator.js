@@ -5,8 +5,9 @@
 // - Intelligent Blocker Placement
 // - Difficulty Control
 
-const SIDES = 12;
-const SHAPE_ROTATION = 15;
+import { resolveRng } from './random.js';
+import { validatePuzzle } from './puzzle-schema.js';
+import { DEFAULT_GEOMETRY, getGeometry, resolveGeometry, withGeometry } from './geometry.js';
 
 // Cross-platform performance timing
 const getTime = () => {
@@ -24,7 +25,8 @@ const getTime = () => {
  * Pre-calculates all valid emitter-to-edge connections
  */
 class SolutionSpaceAnalyzer {
-  constructor() {
+  constructor(geometry = DEFAULT_GEOMETRY) {
+    this.geometry = geometry;
     this.solutionMap = new Map();
     this.difficultyMap = new Map();
     this.initialized = false;
@@ -35,39 +37,40 @@ class SolutionSpaceAnalyzer {
     
     console.log('Initializing Solution Space Analysis...');
     const startTime = getTime();
+    const { sides, stepAngle, shapeRotation, ringRadii } = this.geometry;
     
     // For each circle, emitter position, and rotation, calculate which edges can be hit
-    for (let circle = 0; circle < 3; circle++) {
-      const radius = [50, 90, 130][circle];
+    for (let circle = 0; circle < ringRadii.length; circle++) {
       const circleKey = `circle_${circle}`;
       this.solutionMap.set(circleKey, new Map());
       
-      for (let emitterPos = 0; emitterPos < 12; emitterPos++) {
-        const emitterAngle = emitterPos * 30; // 0, 30, 60, ... 330
+      for (let emitterPos = 0; emitterPos < sides; emitterPos++) {
+        const emitterAngle = emitterPos * stepAngle; // 0, 30, 60, ... 330 on the classic board
         const posKey = `pos_${emitterPos}`;
         this.solutionMap.get(circleKey).set(posKey, new Map());
         
-        for (let rotation = 0; rotation < 12; rotation++) {
-          const rotAngle = rotation * 30; // 0, 30, 60, ... 330
+        for (let rotation = 0; rotation < sides; rotation++) {
+          const rotAngle = rotation * stepAngle;
           const rotKey = `rot_${rotation}`;
           
           // Calculate actual emitter position after rotation
-          const actualEmitterAngle = (emitterAngle + rotAngle + SHAPE_ROTATION) % 360;
+          const actualEmitterAngle = (emitterAngle + rotAngle + shapeRotation) % 360;
           
           // Calculate beam direction (toward center, then continuing to edge)
           const beamDirection = (actualEmitterAngle + 180) % 360;
           
           // Find which edges this beam can hit
           const hittableEdges = [];
-          for (let edge = 0; edge < SIDES; edge++) {
-            const edgeCenter = (edge * 30 + 15 + SHAPE_ROTATION) % 360;
+          for (let edge = 0; edge < sides; edge++) {
+            const edgeCenter = (edge * stepAngle + stepAngle / 2 + shapeRotation) % 360;
             
             // Calculate angular difference
             let angleDiff = Math.abs(beamDirection - edgeCenter);
             if (angleDiff > 180) angleDiff = 360 - angleDiff;
             
-            // Tolerance based on circle radius (inner circles have wider spread)
-            const tolerance = [30, 25, 20][circle];
+            // Tolerance based on circle radius (inner circles have wider spread):
+            // 30°, 25°, 20° on the classic board
+            const tolerance = (stepAngle * (6 - circle)) / 6;
             
             if (angleDiff <= tolerance) {
               hittableEdges.push(edge);
@@ -87,18 +90,20 @@ class SolutionSpaceAnalyzer {
   }
   
   calculateDifficultyMetrics() {
+    const { sides, ringRadii } = this.geometry;
+    
     // For each edge, calculate how many ways it can be hit
-    for (let edge = 0; edge < SIDES; edge++) {
+    for (let edge = 0; edge < sides; edge++) {
       let totalSolutions = 0;
       let minRotations = Infinity;
       
-      for (let circle = 0; circle < 3; circle++) {
+      for (let circle = 0; circle < ringRadii.length; circle++) {
         const circleKey = `circle_${circle}`;
         
-        for (let pos = 0; pos < 12; pos++) {
+        for (let pos = 0; pos < sides; pos++) {
           const posKey = `pos_${pos}`;
           
-          for (let rot = 0; rot < 12; rot++) {
+          for (let rot = 0; rot < sides; rot++) {
             const rotKey = `rot_${rot}`;
             const hittableEdges = this.solutionMap.get(circleKey).get(posKey).get(rotKey);
             
@@ -112,28 +117,29 @@ class SolutionSpaceAnalyzer {
       
       this.difficultyMap.set(edge, {
         solutionCount: totalSolutions,
-        minRotations: minRotations === Infinity ? 12 : minRotations,
+        minRotations: minRotations === Infinity ? sides : minRotations,
         difficulty: 1 / Math.max(1, totalSolutions) // Higher difficulty = fewer solutions
       });
     }
   }
   
   getEdgeDifficulty(edge) {
-    return this.difficultyMap.get(edge) || { solutionCount: 0, minRotations: 12, difficulty: 1 };
+    return this.difficultyMap.get(edge) || { solutionCount: 0, minRotations: this.geometry.sides, difficulty: 1 };
   }
   
   findEmitterForEdge(edge, preferredCircle = null) {
+    const { sides, stepAngle, ringRadii } = this.geometry;
     const solutions = [];
     
-    const circlesToCheck = preferredCircle !== null ? [preferredCircle] : [0, 1, 2];
+    const circlesToCheck = preferredCircle !== null ? [preferredCircle] : ringRadii.map((_, i) => i);
     
     for (const circle of circlesToCheck) {
       const circleKey = `circle_${circle}`;
       
-      for (let pos = 0; pos < 12; pos++) {
+      for (let pos = 0; pos < sides; pos++) {
         const posKey = `pos_${pos}`;
         
-        for (let rot = 0; rot < 12; rot++) {
+        for (let rot = 0; rot < sides; rot++) {
           const rotKey = `rot_${rot}`;
           const hittableEdges = this.solutionMap.get(circleKey).get(posKey).get(rotKey);
           
@@ -142,8 +148,8 @@ class SolutionSpaceAnalyzer {
               circle,
               position: pos,
               rotation: rot,
-              emitterAngle: pos * 30,
-              rotationAngle: rot * 30,
+              emitterAngle: pos * stepAngle,
+              rotationAngle: rot * stepAngle,
               difficulty: rot // Prefer solutions requiring fewer rotations
             });
           }
@@ -158,31 +164,42 @@ class SolutionSpaceAnalyzer {
   }
 }
 
-// Global analyzer instance
-const analyzer = new SolutionSpaceAnalyzer();
+// One analyzer per board shape, built on first use
+const analyzers = new Map();
+
+function getAnalyzer(geometry) {
+  const key = `${geometry.sides}:${geometry.ringRadii.join(',')}`;
+  if (!analyzers.has(key)) analyzers.set(key, new SolutionSpaceAnalyzer(geometry));
+  const analyzer = analyzers.get(key);
+  analyzer.initialize();
+  return analyzer;
+}
 
 /**
  * Enhanced Constraint-Based Puzzle Generator
+ * options: { seed } or { rng } for reproducible output, { geometry } for the board
  */
-function generateEnhancedConstraintPuzzle(minLit, maxLit, targetDifficulty = 'medium') {
+function generateEnhancedConstraintPuzzle(minLit, maxLit, targetDifficulty = 'medium', options = {}) {
   const startTime = getTime();
+  const rng = resolveRng(options);
+  const geometry = resolveGeometry(options);
   
   // Initialize solution space analysis
-  analyzer.initialize();
+  const analyzer = getAnalyzer(geometry);
   
   // Step 1: Select lit edges based on difficulty
-  const litEdges = selectEdgesWithDifficultyControl(minLit, maxLit, targetDifficulty);
+  const litEdges = selectEdgesWithDifficultyControl(analyzer, minLit, maxLit, targetDifficulty, rng);
   
   // Step 2: Use constraint satisfaction to place emitters
-  const circles = placeEmittersWithConstraints(litEdges);
+  const circles = placeEmittersWithConstraints(analyzer, litEdges, rng);
   
   // Step 3: Add intelligent blockers
-  addIntelligentBlockers(circles, litEdges, targetDifficulty);
+  addIntelligentBlockers(circles, litEdges, targetDifficulty, rng, geometry);
   
   const generationTime = getTime() - startTime;
   console.log(`Enhanced puzzle generated in ${generationTime}ms`);
   
-  return {
+  return withGeometry({
     litEdges,
     circles,
     metadata: {
@@ -190,15 +207,15 @@ function generateEnhancedConstraintPuzzle(minLit, maxLit, targetDifficulty = 'me
       difficulty: targetDifficulty,
       generationTime
     }
-  };
+  }, geometry);
 }
 
 /**
  * Select edges with difficulty control
  */
-function selectEdgesWithDifficultyControl(minLit, maxLit, targetDifficulty) {
-  const numLit = Math.floor(Math.random() * (maxLit - minLit + 1)) + minLit;
-  const edges = Array.from({ length: SIDES }, (_, i) => i);
+function selectEdgesWithDifficultyControl(analyzer, minLit, maxLit, targetDifficulty, rng) {
+  const numLit = Math.floor(rng() * (maxLit - minLit + 1)) + minLit;
+  const edges = Array.from({ length: analyzer.geometry.sides }, (_, i) => i);
   
   // Calculate weights based on difficulty
   const weights = edges.map(edge => {
@@ -210,7 +227,7 @@ function selectEdgesWithDifficultyControl(minLit, maxLit, targetDifficulty) {
       case 'hard':
         return difficulty.difficulty + 0.1; // Prefer harder edges
       default:
-        return 0.5 + Math.random() * 0.5; // Mixed
+        return 0.5 + rng() * 0.5; // Mixed
     }
   });
   
@@ -223,7 +240,7 @@ function selectEdgesWithDifficultyControl(minLit, maxLit, targetDifficulty) {
     
     if (totalWeight <= 0) break;
     
-    let random = Math.random() * totalWeight;
+    let random = rng() * totalWeight;
     
     for (let j = 0; j < edges.length; j++) {
       if (selectedEdges.includes(j)) continue;
@@ -242,12 +259,9 @@ function selectEdgesWithDifficultyControl(minLit, maxLit, targetDifficulty) {
 /**
  * Use constraint satisfaction to place emitters
  */
-function placeEmittersWithConstraints(litEdges) {
-  const circles = [
-    { radius: 50, lasers: [], blockers: [] },
-    { radius: 90, lasers: [], blockers: [] },
-    { radius: 130, lasers: [], blockers: [] }
-  ];
+function placeEmittersWithConstraints(analyzer, litEdges, rng) {
+  const { sides, stepAngle, ringRadii } = analyzer.geometry;
+  const circles = ringRadii.map((radius) => ({ radius, lasers: [], blockers: [] }));
   
   const usedPositions = new Set(); // Track used circle-position combinations
   
@@ -292,9 +306,9 @@ function placeEmittersWithConstraints(litEdges) {
   const varietyEmitters = Math.min(2, Math.floor(litEdges.length * 0.3));
   
   for (let i = 0; i < varietyEmitters; i++) {
-    const circle = Math.floor(Math.random() * 3);
-    const position = Math.floor(Math.random() * 12);
-    const angle = position * 30;
+    const circle = Math.floor(rng() * ringRadii.length);
+    const position = Math.floor(rng() * sides);
+    const angle = position * stepAngle;
     
     if (!circles[circle].lasers.includes(angle)) {
       circles[circle].lasers.push(angle);
@@ -307,14 +321,14 @@ function placeEmittersWithConstraints(litEdges) {
 /**
  * Add intelligent blockers that create constraints without making puzzle unsolvable
  */
-function addIntelligentBlockers(circles, litEdges, targetDifficulty) {
+function addIntelligentBlockers(circles, litEdges, targetDifficulty, rng, geometry) {
   const blockersPerCircle = targetDifficulty === 'hard' ? 2 : 1;
   
   for (let circleIdx = 0; circleIdx < circles.length; circleIdx++) {
     const circle = circles[circleIdx];
     
     for (let b = 0; b < blockersPerCircle; b++) {
-      const blocker = findStrategicBlockerPosition(circle, circleIdx, litEdges);
+      const blocker = findStrategicBlockerPosition(circle, circleIdx, litEdges, rng, geometry);
       
       if (blocker !== null && !circle.blockers.includes(blocker)) {
         circle.blockers.push(blocker);
@@ -326,12 +340,13 @@ function addIntelligentBlockers(circles, litEdges, targetDifficulty) {
 /**
  * Find strategic blocker positions that add difficulty without breaking solvability
  */
-function findStrategicBlockerPosition(circle, circleIdx, litEdges) {
+function findStrategicBlockerPosition(circle, circleIdx, litEdges, rng, geometry) {
+  const { sides, stepAngle } = geometry;
   const usedAngles = new Set([...circle.lasers, ...circle.blockers]);
   const availablePositions = [];
   
-  for (let pos = 0; pos < 12; pos++) {
-    const angle = pos * 30;
+  for (let pos = 0; pos < sides; pos++) {
+    const angle = pos * stepAngle;
     if (!usedAngles.has(angle)) {
       availablePositions.push(angle);
     }
@@ -341,7 +356,7 @@ function findStrategicBlockerPosition(circle, circleIdx, litEdges) {
   
   // Score positions based on strategic value
   const scoredPositions = availablePositions.map(angle => {
-    let score = Math.random(); // Base randomness
+    let score = rng(); // Base randomness
     
     // Prefer positions that create interesting constraints
     // but don't completely block critical paths
@@ -351,9 +366,9 @@ function findStrategicBlockerPosition(circle, circleIdx, litEdges) {
       const opposite = (emitterAngle + 180) % 360;
       const angleDiff = Math.abs(((angle - opposite + 180) % 360) - 180);
       
-      if (angleDiff < 30) {
+      if (angleDiff < stepAngle) {
         score -= 0.5; // Penalize blocking direct opposite
-      } else if (angleDiff < 60) {
+      } else if (angleDiff < 2 * stepAngle) {
         score += 0.2; // Slight bonus for creating constraint
       }
     }
@@ -371,22 +386,15 @@ function findStrategicBlockerPosition(circle, circleIdx, litEdges) {
  * Validate enhanced puzzle
  */
 function validateEnhancedPuzzle(puzzle) {
-  // Check basic structure
-  if (!puzzle.litEdges || !Array.isArray(puzzle.litEdges) || puzzle.litEdges.length === 0) {
-    return false;
-  }
-  
-  if (!puzzle.circles || !Array.isArray(puzzle.circles) || puzzle.circles.length !== 3) {
-    return false;
-  }
-  
-  // Check that puzzle has emitters
-  const totalEmitters = puzzle.circles.reduce((sum, circle) => sum + circle.lasers.length, 0);
-  if (totalEmitters === 0) {
+  // Check basic structure (lit edges, one circle per ring, at least one emitter)
+  const { valid, errors } = validatePuzzle(puzzle);
+  if (!valid) {
+    console.warn(`Enhanced puzzle is malformed: ${errors.join('; ')}`);
     return false;
   }
   
   // Quick solvability check using solution space analysis
+  const analyzer = getAnalyzer(getGeometry(puzzle));
   for (const edge of puzzle.litEdges) {
     const solutions = analyzer.findEmitterForEdge(edge);
     
@@ -0,0 +1,66 @@
+// evolution-progress.js
+// Progress reporting shared by the evolutionary generators. Each generator
+// writes its main loop as evolve(), a generator function that yields one
+// stats object per generation and returns { puzzle, metadata }; the helpers
+// below drive it synchronously or asynchronously with abort support.
+
+/**
+ * How different the chromosomes of a population are: the mean pairwise
+ * Jaccard distance between their sets of lit edges and element positions,
+ * from 0 (all identical) to 1 (nothing in common)
+ */
+export function populationDiversity(population) {
+  const cells = population.map((chromosome) => new Set([
+    ...chromosome.litEdges.map((edge) => `l${edge}`),
+    ...chromosome.circles.flatMap((circle, i) => [
+      ...circle.emitters.map((pos) => `e${i}:${pos}`),
+      ...circle.blockers.map((pos) => `b${i}:${pos}`),
+    ]),
+  ]));
+
+  let total = 0;
+  let pairs = 0;
+  for (let a = 0; a < cells.length; a++) {
+    for (let b = a + 1; b < cells.length; b++) {
+      let shared = 0;
+      for (const cell of cells[a]) {
+        if (cells[b].has(cell)) shared++;
+      }
+      const union = cells[a].size + cells[b].size - shared;
+      total += union === 0 ? 0 : 1 - shared / union;
+      pairs++;
+    }
+  }
+  return pairs === 0 ? 0 : total / pairs;
+}
+
+/**
+ * Run an evolve() iterator to the end, passing each generation's stats to
+ * onProgress. Returns the iterator's result.
+ */
+export function runEvolution(steps, onProgress = () => {}) {
+  for (;;) {
+    const { value, done } = steps.next();
+    if (done) return value;
+    onProgress(value);
+  }
+}
+
+// Let timers, messages and abort events through between generations
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Async counterpart of runEvolution. Yields to the event loop after every
+ * generation and rejects with signal.reason (an AbortError unless the caller
+ * gave another reason) as soon as the signal is aborted.
+ */
+export async function runEvolutionAsync(steps, { signal, onProgress = () => {} } = {}) {
+  if (signal) signal.throwIfAborted();
+  for (;;) {
+    const { value, done } = steps.next();
+    if (done) return value;
+    onProgress(value);
+    await nextTask();
+    if (signal) signal.throwIfAborted();
+  }
+}
@@ -1,12 +1,17 @@
 // Evolutionary Algorithm for Trespasser Puzzle Generation
 // Implements genetic algorithm with multi-objective optimization
 
-const SIDES = 12;
+import { DEFAULT_GEOMETRY, angleToPosition, positionToAngle, resolveGeometry, withGeometry } from './geometry.js';
+import { isPuzzleSolvable, hasUniqueSolution, getPar, pickQualifyingPuzzle } from './puzzle.js';
+import { resolveRng } from './random.js';
+import { populationDiversity, runEvolution, runEvolutionAsync } from './evolution-progress.js';
+
 const MAX_GENERATIONS = 50;
 const POPULATION_SIZE = 60;
 const ELITE_RATIO = 0.2;
 const CROSSOVER_RATE = 0.8;
 const MUTATION_RATE = 0.3;
+const PAR_CANDIDATES = 10; // Chromosomes tried when fitting the result to a target par
 
 // Cross-platform performance timing
 const getTime = () => {
@@ -28,13 +33,46 @@ class EvolutionaryPuzzleGenerator {
     this.bestFitness = 0;
     this.convergenceCounter = 0;
     this.fitnessHistory = [];
+    this.rng = Math.random; // Replaced per run by generatePuzzle
+    this.geometry = DEFAULT_GEOMETRY; // Likewise
+    this.unique = false; // Likewise
+    this.par = null; // Likewise
   }
 
   /**
    * Generate a puzzle using evolutionary algorithm
+   * options: { seed } or { rng } for reproducible output, { geometry } for the board,
+   * { unique: true } to only count puzzles with exactly one solution as solvable,
+   * { par } to turn the rings of the result to start exactly par moves from
+   * solved (metadata.par). With either, when none of the best puzzles
+   * qualifies one is searched for instead (metadata.searched, see
+   * pickQualifyingPuzzle), and it throws when the search finds none either,
+   * { onProgress } to receive each generation's stats (see evolve)
    */
   generatePuzzle(difficulty = 'medium', options = {}) {
+    return runEvolution(this.evolve(difficulty, options), options.onProgress);
+  }
+
+  /**
+   * generatePuzzle as a promise that yields to the event loop between
+   * generations. Also takes { signal } (an AbortSignal) to stop early, in which
+   * case it rejects with the signal's reason. One run at a time per instance.
+   */
+  generatePuzzleAsync(difficulty = 'medium', options = {}) {
+    return runEvolutionAsync(this.evolve(difficulty, options), options);
+  }
+
+  /**
+   * The evolution loop: yields { generation, bestFitness, solvable, diversity,
+   * timeMs } after evaluating each generation and returns { puzzle, metadata }
+   */
+  *evolve(difficulty = 'medium', options = {}) {
     const startTime = getTime();
+    this.rng = resolveRng(options);
+    this.geometry = resolveGeometry(options);
+    this.unique = Boolean(options.unique);
+    this.par = options.par ?? null;
+    this.convergenceCounter = 0; // Runs must not inherit the previous run's state
     console.log(`🧬 Starting evolutionary puzzle generation (${difficulty})...`);
     
     const config = this.getDifficultyConfig(difficulty);
@@ -50,6 +88,13 @@ class EvolutionaryPuzzleGenerator {
       // Find best individual
       population.sort((a, b) => b.fitness - a.fitness);
       const currentBest = population[0];
+      yield {
+        generation,
+        bestFitness: currentBest.fitness,
+        solvable: currentBest.fitnessBreakdown.solvability === 1,
+        diversity: populationDiversity(population),
+        timeMs: getTime() - startTime,
+      };
       
       if (!bestIndividual || currentBest.fitness > bestIndividual.fitness) {
         bestIndividual = { ...currentBest };
@@ -70,16 +115,32 @@ class EvolutionaryPuzzleGenerator {
       generation++;
     }
     
+    let puzzle = this.chromosomeToPuzzle(bestIndividual);
+    let searched = false;
+    let scored = bestIndividual;
+    if (this.unique || this.par !== null) {
+      const candidates = [bestIndividual, ...population].slice(0, PAR_CANDIDATES)
+        .map((chromosome) => this.chromosomeToPuzzle(chromosome));
+      ({ puzzle, searched } = pickQualifyingPuzzle(candidates, config.litEdgeRange, {
+        rng: this.rng, geometry: this.geometry, unique: this.unique, par: this.par,
+      }));
+      // The metadata describes the puzzle returned, which may not be the best one
+      scored = this.puzzleToChromosome(puzzle);
+      scored.fitness = this.calculateFitness(scored, config);
+    }
+    
     const totalTime = getTime() - startTime;
     console.log(`🎯 Evolution complete! Best fitness: ${bestIndividual.fitness.toFixed(3)}, Time: ${totalTime.toFixed(0)}ms`);
     
     return {
-      puzzle: this.chromosomeToPuzzle(bestIndividual),
+      puzzle,
       metadata: {
-        fitness: bestIndividual.fitness,
+        fitness: scored.fitness,
         generations: generation,
         timeMs: totalTime,
-        fitnessBreakdown: bestIndividual.fitnessBreakdown
+        fitnessBreakdown: scored.fitnessBreakdown,
+        searched,
+        ...(this.par !== null && { par: getPar(puzzle) })
       }
     };
   }
@@ -133,12 +194,12 @@ class EvolutionaryPuzzleGenerator {
    */
   createRandomChromosome(config) {
     const numLitEdges = config.litEdgeRange[0] + 
-      Math.floor(Math.random() * (config.litEdgeRange[1] - config.litEdgeRange[0] + 1));
+      Math.floor(this.rng() * (config.litEdgeRange[1] - config.litEdgeRange[0] + 1));
     
     // Generate lit edges
     const litEdges = [];
-    while (litEdges.length < numLitEdges) {
-      const edge = Math.floor(Math.random() * 12);
+    while (litEdges.length < Math.min(numLitEdges, this.geometry.sides)) {
+      const edge = Math.floor(this.rng() * this.geometry.sides);
       if (!litEdges.includes(edge)) {
         litEdges.push(edge);
       }
@@ -147,15 +208,16 @@ class EvolutionaryPuzzleGenerator {
     // Generate circles with emitters and blockers
     const circles = [];
     const totalEmitters = config.emitterRange[0] + 
-      Math.floor(Math.random() * (config.emitterRange[1] - config.emitterRange[0] + 1));
+      Math.floor(this.rng() * (config.emitterRange[1] - config.emitterRange[0] + 1));
     const totalBlockers = config.blockerRange[0] + 
-      Math.floor(Math.random() * (config.blockerRange[1] - config.blockerRange[0] + 1));
+      Math.floor(this.rng() * (config.blockerRange[1] - config.blockerRange[0] + 1));
     
     // Distribute emitters across circles (ensure each circle gets at least one)
-    const emitterDistribution = this.distributeElements(totalEmitters, 3, 1);
-    const blockerDistribution = this.distributeElements(totalBlockers, 3, 0);
+    const rings = this.geometry.ringRadii.length;
+    const emitterDistribution = this.distributeElements(totalEmitters, rings, 1);
+    const blockerDistribution = this.distributeElements(totalBlockers, rings, 0);
     
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < rings; i++) {
       const circle = {
         emitters: [],
         blockers: []
@@ -163,8 +225,8 @@ class EvolutionaryPuzzleGenerator {
       
       // Add emitters
       const numEmitters = emitterDistribution[i];
-      while (circle.emitters.length < numEmitters) {
-        const pos = Math.floor(Math.random() * 12);
+      while (circle.emitters.length < numEmitters && this.hasFreeSlot(circle)) {
+        const pos = Math.floor(this.rng() * this.geometry.sides);
         if (!circle.emitters.includes(pos) && !circle.blockers.includes(pos)) {
           circle.emitters.push(pos);
         }
@@ -172,8 +234,8 @@ class EvolutionaryPuzzleGenerator {
       
       // Add blockers
       const numBlockers = blockerDistribution[i];
-      while (circle.blockers.length < numBlockers) {
-        const pos = Math.floor(Math.random() * 12);
+      while (circle.blockers.length < numBlockers && this.hasFreeSlot(circle)) {
+        const pos = Math.floor(this.rng() * this.geometry.sides);
         if (!circle.emitters.includes(pos) && !circle.blockers.includes(pos)) {
           circle.blockers.push(pos);
         }
@@ -198,7 +260,7 @@ class EvolutionaryPuzzleGenerator {
     let remaining = total - (containers * minPerContainer);
     
     while (remaining > 0) {
-      const container = Math.floor(Math.random() * containers);
+      const container = Math.floor(this.rng() * containers);
       distribution[container]++;
       remaining--;
     }
@@ -262,7 +324,7 @@ class EvolutionaryPuzzleGenerator {
     for (const edge of chromosome.litEdges) {
       let canBeHit = false;
       
-      for (let circleIdx = 0; circleIdx < 3; circleIdx++) {
+      for (let circleIdx = 0; circleIdx < chromosome.circles.length; circleIdx++) {
         const circle = chromosome.circles[circleIdx];
         for (const emitterPos of circle.emitters) {
           if (this.canEmitterHitEdge(emitterPos, edge, circleIdx)) {
@@ -280,123 +342,28 @@ class EvolutionaryPuzzleGenerator {
   }
 
   /**
-   * Brute force solvability check for chromosome
+   * Brute force solvability check for chromosome using the shared beam tracer
    */
   bruteForceSolvabilityCheckChromosome(chromosome) {
-    // Try all rotation combinations (12^3 = 1728)
-    for (let r1 = 0; r1 < 12; r1++) {
-      for (let r2 = 0; r2 < 12; r2++) {
-        for (let r3 = 0; r3 < 12; r3++) {
-          if (this.isPuzzleSolvedWithRotationsChromosome(chromosome, [r1, r2, r3])) {
-            return true;
-          }
-        }
-      }
-    }
-    return false;
-  }
-
-  /**
-   * Check if chromosome is solved with given rotations
-   */
-  isPuzzleSolvedWithRotationsChromosome(chromosome, rotations) {
-    const hitEdges = new Set();
-    
-    for (let circleIdx = 0; circleIdx < 3; circleIdx++) {
-      const circle = chromosome.circles[circleIdx];
-      const rotation = rotations[circleIdx];
-      
-      for (const emitterPos of circle.emitters) {
-        const rotatedPos = (emitterPos + rotation) % 12;
-        const emitterAngle = rotatedPos * 30;
-        const beamAngle = (emitterAngle + 180) % 360;
-        
-        // Check which edge this beam hits
-        for (let edge = 0; edge < 12; edge++) {
-          const edgeStart = edge * 30;
-          const edgeEnd = (edge + 1) * 30;
-          
-          if (this.angleIntersectsEdge(beamAngle, edgeStart, edgeEnd)) {
-            // Check if beam is blocked
-            if (!this.isBeamBlockedChromosome(circleIdx, rotatedPos, rotations, chromosome)) {
-              hitEdges.add(edge);
-            }
-            break; // A beam can only hit one edge
-          }
-        }
-      }
-    }
-    
-    // Check if all lit edges are hit
-    return chromosome.litEdges.every(edge => hitEdges.has(edge));
-  }
-
-  /**
-   * Check if beam from emitter is blocked (chromosome version)
-   */
-  isBeamBlockedChromosome(emitterCircle, emitterPos, rotations, chromosome) {
-    const beamAngle = (emitterPos * 30 + 180) % 360;
-    
-    // Check blockers on outer circles (they can block inner beams)
-    for (let circleIdx = emitterCircle + 1; circleIdx < 3; circleIdx++) {
-      const circle = chromosome.circles[circleIdx];
-      const rotation = rotations[circleIdx];
-      
-      for (const blockerPos of circle.blockers) {
-        const rotatedBlockerPos = (blockerPos + rotation) % 12;
-        const blockerAngle = rotatedBlockerPos * 30;
-        
-        // Check if blocker is in beam path (within ~15 degrees)
-        const angleDiff = Math.abs(((beamAngle - blockerAngle + 180) % 360) - 180);
-        if (angleDiff < 15) {
-          return true;
-        }
-      }
-    }
-    
-    return false;
-  }
-
-  /**
-   * Fast heuristic solvability check
-   */
-  heuristicSolvabilityCheck(puzzle) {
-    // Check if each lit edge can potentially be hit by at least one emitter
-    for (const edge of puzzle.litEdges) {
-      let canBeHit = false;
-      
-      for (let circleIdx = 0; circleIdx < 3; circleIdx++) {
-        const circle = puzzle.circles[circleIdx];
-        // Handle both chromosome format (emitters) and puzzle format (lasers)
-        const emitters = circle.emitters || circle.lasers || [];
-        for (const emitterPos of emitters) {
-          if (this.canEmitterHitEdge(emitterPos, edge, circleIdx)) {
-            canBeHit = true;
-            break;
-          }
-        }
-        if (canBeHit) break;
-      }
-      
-      if (!canBeHit) return false;
-    }
-    
-    return true;
+    // In unique mode only puzzles with exactly one solution count as solvable
+    const puzzle = this.chromosomeToPuzzle(chromosome);
+    return this.unique ? hasUniqueSolution(puzzle) : isPuzzleSolvable(puzzle);
   }
 
   /**
    * Check if emitter can potentially hit edge (ignoring blockers for now)
    */
   canEmitterHitEdge(emitterPos, edge, circleIdx) {
+    const { sides, stepAngle } = this.geometry;
+    
     // Calculate the angle range the edge occupies
-    const edgeStartAngle = edge * 30;
-    const edgeEndAngle = (edge + 1) * 30;
-    const edgeCenterAngle = edge * 30 + 15;
+    const edgeStartAngle = edge * stepAngle;
+    const edgeEndAngle = (edge + 1) * stepAngle;
     
     // For each possible rotation of the circle
-    for (let rotation = 0; rotation < 12; rotation++) {
-      const rotatedEmitterPos = (emitterPos + rotation) % 12;
-      const emitterAngle = rotatedEmitterPos * 30;
+    for (let rotation = 0; rotation < sides; rotation++) {
+      const rotatedEmitterPos = (emitterPos + rotation) % sides;
+      const emitterAngle = rotatedEmitterPos * stepAngle;
       
       // The beam goes from emitter position toward center, then continues to edge
       // For inner circles, the beam angle is the emitter angle + 180
@@ -431,87 +398,18 @@ class EvolutionaryPuzzleGenerator {
     }
   }
 
-  /**
-   * Brute force solvability check
-   */
-  bruteForceSolvabilityCheck(puzzle) {
-    // Try all rotation combinations (12^3 = 1728)
-    for (let r1 = 0; r1 < 12; r1++) {
-      for (let r2 = 0; r2 < 12; r2++) {
-        for (let r3 = 0; r3 < 12; r3++) {
-          if (this.isPuzzleSolvedWithRotations(puzzle, [r1, r2, r3])) {
-            return true;
-          }
-        }
-      }
-    }
-    return false;
-  }
-
-  /**
-   * Check if puzzle is solved with given rotations
-   */
-  isPuzzleSolvedWithRotations(puzzle, rotations) {
-    const hitEdges = new Set();
-    
-    for (let circleIdx = 0; circleIdx < 3; circleIdx++) {
-      const circle = puzzle.circles[circleIdx];
-      const rotation = rotations[circleIdx];
-      
-      // Handle both chromosome format (emitters) and puzzle format (lasers)
-      const emitters = circle.emitters || circle.lasers || [];
-      
-      for (const emitterPos of emitters) {
-        const rotatedPos = (emitterPos + rotation) % 12;
-        const beamAngle = (rotatedPos * 30 + 180) % 360;
-        
-        // Check which edge this beam hits
-        const targetEdge = Math.floor(((beamAngle - 15) % 360) / 30);
-        
-        // Check if beam is blocked
-        if (!this.isBeamBlocked(circleIdx, rotatedPos, rotations, puzzle)) {
-          hitEdges.add(targetEdge);
-        }
-      }
-    }
-    
-    // Check if all lit edges are hit
-    return puzzle.litEdges.every(edge => hitEdges.has(edge));
-  }
-
-  /**
-   * Check if beam from emitter is blocked
-   */
-  isBeamBlocked(emitterCircle, emitterPos, rotations, puzzle) {
-    const beamAngle = (emitterPos * 30 + 180) % 360;
-    
-    // Check blockers on outer circles (they can block inner beams)
-    for (let circleIdx = emitterCircle + 1; circleIdx < 3; circleIdx++) {
-      const circle = puzzle.circles[circleIdx];
-      const rotation = rotations[circleIdx];
-      
-      // Handle both chromosome format (blockers) and puzzle format (blockers)
-      const blockers = circle.blockers || [];
-      
-      for (const blockerPos of blockers) {
-        const rotatedBlockerPos = (blockerPos + rotation) % 12;
-        const blockerAngle = rotatedBlockerPos * 30;
-        
-        // Check if blocker is in beam path (within ~15 degrees)
-        const angleDiff = Math.abs(((beamAngle - blockerAngle + 180) % 360) - 180);
-        if (angleDiff < 15) {
-          return true;
-        }
-      }
-    }
-    
-    return false;
-  }
-
   /**
    * Calculate difficulty fitness from chromosome
    */
   calculateDifficultyFromChromosome(chromosome, config) {
+    // With a target par, score the real par of the unrotated chromosome instead
+    if (this.par !== null) {
+      const par = getPar(this.chromosomeToPuzzle(chromosome));
+      if (par === null) return 0;
+      const distance = par - this.par;
+      return Math.exp(-distance * distance / (2 * 2 * 2)); // sigma = 2
+    }
+
     const estimatedRotations = this.estimateRequiredRotationsChromosome(chromosome);
     const targetRange = config.targetRotations;
     
@@ -535,7 +433,7 @@ class EvolutionaryPuzzleGenerator {
     for (const edge of chromosome.litEdges) {
       let minRotations = Infinity;
       
-      for (let circleIdx = 0; circleIdx < 3; circleIdx++) {
+      for (let circleIdx = 0; circleIdx < chromosome.circles.length; circleIdx++) {
         const circle = chromosome.circles[circleIdx];
         for (const emitterPos of circle.emitters) {
           const rotationsNeeded = this.calculateRotationsToHitEdge(emitterPos, edge);
@@ -553,15 +451,16 @@ class EvolutionaryPuzzleGenerator {
    * Calculate rotations needed for emitter to hit edge
    */
   calculateRotationsToHitEdge(emitterPos, edge) {
-    const edgeAngle = edge * 30 + 15;
-    const currentBeamAngle = (emitterPos * 30 + 180) % 360;
+    const { sides, stepAngle } = this.geometry;
+    const edgeAngle = edge * stepAngle + stepAngle / 2;
+    const currentBeamAngle = (emitterPos * stepAngle + 180) % 360;
     
     // Find minimum rotations needed
     let minRotations = Infinity;
-    for (let rotation = 0; rotation < 12; rotation++) {
-      const newBeamAngle = (currentBeamAngle + rotation * 30) % 360;
+    for (let rotation = 0; rotation < sides; rotation++) {
+      const newBeamAngle = (currentBeamAngle + rotation * stepAngle) % 360;
       const angleDiff = Math.abs(((newBeamAngle - edgeAngle + 180) % 360) - 180);
-      if (angleDiff < 15) {
+      if (angleDiff < stepAngle / 2) {
         minRotations = Math.min(minRotations, rotation);
       }
     }
@@ -583,9 +482,9 @@ class EvolutionaryPuzzleGenerator {
     const emptyPenalty = emptyCircles * 0.3;
     
     // Calculate distribution evenness
-    const idealDistribution = totalEmitters / 3;
+    const idealDistribution = totalEmitters / emitterCounts.length;
     const variance = emitterCounts.reduce((sum, count) => 
-      sum + Math.pow(count - idealDistribution, 2), 0) / 3;
+      sum + Math.pow(count - idealDistribution, 2), 0) / emitterCounts.length;
     const evenness = Math.exp(-variance / (totalEmitters * 0.5));
     
     return Math.max(0, evenness - emptyPenalty);
@@ -608,14 +507,21 @@ class EvolutionaryPuzzleGenerator {
     // Check for rotational symmetry in lit edges
     let bestSymmetryScore = 0;
     
-    for (const fold of [2, 3, 4, 6]) {
+    // Every n-fold rotation the board allows (2, 3, 4 and 6 on 12 sides)
+    const { sides } = this.geometry;
+    const folds = [];
+    for (let fold = 2; fold <= sides / 2; fold++) {
+      if (sides % fold === 0) folds.push(fold);
+    }
+    
+    for (const fold of folds) {
       let symmetryScore = 0;
-      const angleStep = 12 / fold;
+      const angleStep = sides / fold;
       
       for (const edge of chromosome.litEdges) {
         let hasSymmetricPartner = false;
         for (let i = 1; i < fold; i++) {
-          const symmetricEdge = (edge + i * angleStep) % 12;
+          const symmetricEdge = (edge + i * angleStep) % sides;
           if (chromosome.litEdges.includes(symmetricEdge)) {
             hasSymmetricPartner = true;
             break;
@@ -668,13 +574,13 @@ class EvolutionaryPuzzleGenerator {
       const parent2 = this.tournamentSelection(population, 3);
       
       let offspring;
-      if (Math.random() < CROSSOVER_RATE) {
+      if (this.rng() < CROSSOVER_RATE) {
         offspring = this.crossover(parent1, parent2, config);
       } else {
         offspring = { ...parent1 };
       }
       
-      if (Math.random() < MUTATION_RATE) {
+      if (this.rng() < MUTATION_RATE) {
         this.mutate(offspring, config);
       }
       
@@ -692,7 +598,7 @@ class EvolutionaryPuzzleGenerator {
     let best = null;
     
     for (let i = 0; i < tournamentSize; i++) {
-      const candidate = population[Math.floor(Math.random() * population.length)];
+      const candidate = population[Math.floor(this.rng() * population.length)];
       if (!best || candidate.fitness > best.fitness) {
         best = candidate;
       }
@@ -715,13 +621,13 @@ class EvolutionaryPuzzleGenerator {
     // Crossover lit edges (blend with size constraints)
     const allEdges = [...new Set([...parent1.litEdges, ...parent2.litEdges])];
     const targetSize = config.litEdgeRange[0] + 
-      Math.floor(Math.random() * (config.litEdgeRange[1] - config.litEdgeRange[0] + 1));
+      Math.floor(this.rng() * (config.litEdgeRange[1] - config.litEdgeRange[0] + 1));
     
     offspring.litEdges = allEdges.slice(0, targetSize).sort((a, b) => a - b);
     
     // Crossover circles (inherit each circle from random parent)
-    for (let i = 0; i < 3; i++) {
-      const sourceParent = Math.random() < 0.5 ? parent1 : parent2;
+    for (let i = 0; i < parent1.circles.length; i++) {
+      const sourceParent = this.rng() < 0.5 ? parent1 : parent2;
       offspring.circles.push({
         emitters: [...sourceParent.circles[i].emitters],
         blockers: [...sourceParent.circles[i].blockers]
@@ -736,16 +642,16 @@ class EvolutionaryPuzzleGenerator {
    */
   mutate(chromosome, config) {
     // Lit edge mutation
-    if (Math.random() < 0.1) {
-      if (Math.random() < 0.5 && chromosome.litEdges.length > config.litEdgeRange[0]) {
+    if (this.rng() < 0.1) {
+      if (this.rng() < 0.5 && chromosome.litEdges.length > config.litEdgeRange[0]) {
         // Remove edge
-        const index = Math.floor(Math.random() * chromosome.litEdges.length);
+        const index = Math.floor(this.rng() * chromosome.litEdges.length);
         chromosome.litEdges.splice(index, 1);
-      } else if (chromosome.litEdges.length < config.litEdgeRange[1]) {
+      } else if (chromosome.litEdges.length < Math.min(config.litEdgeRange[1], this.geometry.sides)) {
         // Add edge
         let newEdge;
         do {
-          newEdge = Math.floor(Math.random() * 12);
+          newEdge = Math.floor(this.rng() * this.geometry.sides);
         } while (chromosome.litEdges.includes(newEdge));
         chromosome.litEdges.push(newEdge);
         chromosome.litEdges.sort((a, b) => a - b);
@@ -753,30 +659,30 @@ class EvolutionaryPuzzleGenerator {
     }
     
     // Circle mutations
-    for (let circleIdx = 0; circleIdx < 3; circleIdx++) {
+    for (let circleIdx = 0; circleIdx < chromosome.circles.length; circleIdx++) {
       const circle = chromosome.circles[circleIdx];
       
       // Emitter mutations
-      if (Math.random() < 0.15) {
-        if (Math.random() < 0.5 && circle.emitters.length > 0) {
+      if (this.rng() < 0.15) {
+        if (this.rng() < 0.5 && circle.emitters.length > 0 && this.hasFreeSlot(circle)) {
           // Move emitter
-          const index = Math.floor(Math.random() * circle.emitters.length);
+          const index = Math.floor(this.rng() * circle.emitters.length);
           let newPos;
           do {
-            newPos = Math.floor(Math.random() * 12);
+            newPos = Math.floor(this.rng() * this.geometry.sides);
           } while (circle.emitters.includes(newPos) || circle.blockers.includes(newPos));
           circle.emitters[index] = newPos;
         } else {
           // Add/remove emitter
-          if (Math.random() < 0.5 && circle.emitters.length > 0) {
+          if (this.rng() < 0.5 && circle.emitters.length > 0) {
             // Remove
-            const index = Math.floor(Math.random() * circle.emitters.length);
+            const index = Math.floor(this.rng() * circle.emitters.length);
             circle.emitters.splice(index, 1);
-          } else {
+          } else if (this.hasFreeSlot(circle)) {
             // Add
             let newPos;
             do {
-              newPos = Math.floor(Math.random() * 12);
+              newPos = Math.floor(this.rng() * this.geometry.sides);
             } while (circle.emitters.includes(newPos) || circle.blockers.includes(newPos));
             circle.emitters.push(newPos);
           }
@@ -784,26 +690,26 @@ class EvolutionaryPuzzleGenerator {
       }
       
       // Blocker mutations
-      if (Math.random() < 0.1) {
-        if (Math.random() < 0.5 && circle.blockers.length > 0) {
+      if (this.rng() < 0.1) {
+        if (this.rng() < 0.5 && circle.blockers.length > 0 && this.hasFreeSlot(circle)) {
           // Move blocker
-          const index = Math.floor(Math.random() * circle.blockers.length);
+          const index = Math.floor(this.rng() * circle.blockers.length);
           let newPos;
           do {
-            newPos = Math.floor(Math.random() * 12);
+            newPos = Math.floor(this.rng() * this.geometry.sides);
           } while (circle.emitters.includes(newPos) || circle.blockers.includes(newPos));
           circle.blockers[index] = newPos;
         } else {
           // Add/remove blocker
-          if (Math.random() < 0.5 && circle.blockers.length > 0) {
+          if (this.rng() < 0.5 && circle.blockers.length > 0) {
             // Remove
-            const index = Math.floor(Math.random() * circle.blockers.length);
+            const index = Math.floor(this.rng() * circle.blockers.length);
             circle.blockers.splice(index, 1);
-          } else {
+          } else if (this.hasFreeSlot(circle)) {
             // Add
             let newPos;
             do {
-              newPos = Math.floor(Math.random() * 12);
+              newPos = Math.floor(this.rng() * this.geometry.sides);
             } while (circle.emitters.includes(newPos) || circle.blockers.includes(newPos));
             circle.blockers.push(newPos);
           }
@@ -817,16 +723,16 @@ class EvolutionaryPuzzleGenerator {
    */
   repairChromosome(chromosome, config) {
     // Ensure lit edges are within range
-    while (chromosome.litEdges.length < config.litEdgeRange[0]) {
+    while (chromosome.litEdges.length < Math.min(config.litEdgeRange[0], this.geometry.sides)) {
       let newEdge;
       do {
-        newEdge = Math.floor(Math.random() * 12);
+        newEdge = Math.floor(this.rng() * this.geometry.sides);
       } while (chromosome.litEdges.includes(newEdge));
       chromosome.litEdges.push(newEdge);
     }
     
     while (chromosome.litEdges.length > config.litEdgeRange[1]) {
-      const index = Math.floor(Math.random() * chromosome.litEdges.length);
+      const index = Math.floor(this.rng() * chromosome.litEdges.length);
       chromosome.litEdges.splice(index, 1);
     }
     
@@ -837,7 +743,7 @@ class EvolutionaryPuzzleGenerator {
       if (circle.emitters.length === 0) {
         let newPos;
         do {
-          newPos = Math.floor(Math.random() * 12);
+          newPos = Math.floor(this.rng() * this.geometry.sides);
         } while (circle.blockers.includes(newPos));
         circle.emitters.push(newPos);
       }
@@ -847,17 +753,40 @@ class EvolutionaryPuzzleGenerator {
     }
   }
 
+  /**
+   * Convert a puzzle on this generator's board to chromosome format, unscored
+   */
+  puzzleToChromosome(puzzle) {
+    const geometry = this.geometry;
+    return {
+      litEdges: [...puzzle.litEdges],
+      circles: puzzle.circles.map((circle) => ({
+        emitters: circle.lasers.map((angle) => angleToPosition(angle, geometry)),
+        blockers: circle.blockers.map((angle) => angleToPosition(angle, geometry))
+      }))
+    };
+  }
+
   /**
    * Convert chromosome to puzzle format
    */
   chromosomeToPuzzle(chromosome) {
-    return {
+    const geometry = this.geometry;
+    return withGeometry({
       litEdges: [...chromosome.litEdges],
-      circles: chromosome.circles.map(circle => ({
-        lasers: [...circle.emitters],
-        blockers: [...circle.blockers]
+      circles: chromosome.circles.map((circle, index) => ({
+        radius: geometry.ringRadii[index],
+        lasers: circle.emitters.map((pos) => positionToAngle(pos, geometry)),
+        blockers: circle.blockers.map((pos) => positionToAngle(pos, geometry))
       }))
-    };
+    }, geometry);
+  }
+
+  /**
+   * Whether a circle still has a position free for another element
+   */
+  hasFreeSlot(circle) {
+    return circle.emitters.length + circle.blockers.length < this.geometry.sides;
   }
 
   /**
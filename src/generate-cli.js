@@ -0,0 +1,171 @@
+// generate-cli.js
+// Command-line puzzle generation through the generator registry, with the
+// same settings and start handling as the game. Prints the puzzle in the
+// versioned file format (see puzzle-schema.js) on stdout and the status on
+// stderr.
+// Run with: node src/generate-cli.js [algorithm] [--difficulty hard] [--lit 3-5]
+//   [--emitters 1-2] [--blockers 0-1] [--require 0,6] [--rules "avoid lit 5; ..."]
+//   [--exclude 1a2b3c4d,...]
+//   [--seed abc] [--unique] [--par 4] [--no-auto-solve] [--sides 12] [--rings 3]
+// or: node src/generate-cli.js --list
+
+import process from 'node:process';
+import { OPTION_SCHEMA, getGenerator, listGenerators } from './generator-registry.js';
+import { generate } from './generation-job.js';
+import { toPuzzleJSON } from './puzzle-schema.js';
+import { MAX_RINGS, MAX_SIDES, MIN_RINGS, MIN_SIDES, RING_RADII, defaultRingRadii, resolveGeometry } from './geometry.js';
+import { parseRules, constraintProblems } from './generation-constraints.js';
+import { randomSeed } from './random.js';
+
+// How each option is spelled on the command line
+const FLAGS = {
+  difficulty: '--difficulty <easy|medium|hard>',
+  litRange: '--lit <min>-<max>',
+  autoSolve: '--no-auto-solve',
+  seed: '--seed <seed>',
+  unique: '--unique',
+  par: '--par <moves>',
+  emittersPerRing: '--emitters <min>-<max>',
+  blockersPerRing: '--blockers <min>-<max>',
+  requiredLitEdges: '--require <edge>,<edge>',
+  include: '--rules <rules>',
+  avoid: '--rules <rules>',
+  exclude: '--exclude <hash>,<hash>',
+};
+
+// A whole number from `min` to `max`; throws naming the flag otherwise
+function parseInteger(text, flag, { min = 0, max = Infinity } = {}) {
+  if (!/^-?\d+$/.test(text)) throw new Error(`${flag} needs a whole number, got "${text}"`);
+  const number = Number(text);
+  if (number < min || number > max) {
+    throw new Error(`${flag} must be ${max === Infinity ? `at least ${min}` : `from ${min} to ${max}`}, got ${number}`);
+  }
+  return number;
+}
+
+// "<min>-<max>" or a single number, each end checked as by parseInteger
+function parseRange(text, flag, bounds) {
+  const [min, max = min, ...rest] = text.split('-').map((part) => parseInteger(part, flag, bounds));
+  if (rest.length > 0 || min > max) throw new Error(`${flag} needs <min>-<max> with min <= max, got "${text}"`);
+  return [min, max];
+}
+
+const parseList = (text, flag) => text.split(',').map((part) => parseInteger(part.trim(), flag));
+
+function parseArgs(args) {
+  const settings = {};
+  let name = 'random';
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+      return args[++i];
+    };
+    if (arg === '--list') settings.list = true;
+    else if (arg === '--difficulty') settings.difficulty = value();
+    else if (arg === '--lit') {
+      const [min, max] = parseRange(value(), arg, OPTION_SCHEMA.litRange);
+      Object.assign(settings, { minLit: min, maxLit: max });
+    } else if (arg === '--emitters') settings.emittersPerRing = parseRange(value(), arg, OPTION_SCHEMA.emittersPerRing);
+    else if (arg === '--blockers') settings.blockersPerRing = parseRange(value(), arg, OPTION_SCHEMA.blockersPerRing);
+    else if (arg === '--require') settings.requiredLitEdges = parseList(value(), arg);
+    else if (arg === '--rules') settings.rules = value();
+    else if (arg === '--exclude') settings.exclude = value().split(',');
+    else if (arg === '--no-auto-solve') settings.autoSolve = false;
+    else if (arg === '--seed') settings.seed = value();
+    else if (arg === '--unique') settings.unique = true;
+    else if (arg === '--par') settings.par = parseInteger(value(), arg, OPTION_SCHEMA.par);
+    else if (arg === '--sides') settings.sides = parseInteger(value(), arg, { min: MIN_SIDES, max: MAX_SIDES });
+    else if (arg === '--rings') settings.rings = parseInteger(value(), arg, { min: MIN_RINGS, max: MAX_RINGS });
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else name = arg;
+  }
+  return { name, settings };
+}
+
+function printList() {
+  for (const { name, label, description, options } of listGenerators()) {
+    console.log(`${name} - ${label}`);
+    console.log(`  ${description}`);
+    console.log(`  Options: ${[...new Set(options.map((option) => FLAGS[option]))].join(' ')}`);
+  }
+}
+
+function main() {
+  const { name, settings } = parseArgs(process.argv.slice(2));
+  if (settings.list) {
+    printList();
+    return;
+  }
+
+  const generator = getGenerator(name);
+  // Rules name rings, so they are read once the ring count is known
+  if (settings.rules !== undefined) {
+    Object.assign(settings, parseRules(settings.rules, settings.rings ?? RING_RADII.length));
+  }
+  const ignored = Object.keys(FLAGS).filter((option) => !generator.options.includes(option) && (
+    option === 'litRange' ? settings.minLit !== undefined : settings[option] !== undefined
+  ));
+  if (ignored.length > 0) {
+    console.error(`${generator.label} ignores: ${[...new Set(ignored.map((option) => FLAGS[option]))].join(', ')}`);
+  }
+  if (settings.difficulty !== undefined && !OPTION_SCHEMA.difficulty.choices.includes(settings.difficulty)) {
+    throw new Error(`Unknown difficulty: ${settings.difficulty}`);
+  }
+
+  const [defaultMin, defaultMax] = OPTION_SCHEMA.litRange.default;
+  const request = {
+    algorithmType: name,
+    minLit: settings.minLit ?? defaultMin,
+    maxLit: settings.maxLit ?? defaultMax,
+    autoSolve: settings.autoSolve ?? OPTION_SCHEMA.autoSolve.default,
+    difficulty: settings.difficulty ?? OPTION_SCHEMA.difficulty.default,
+    unique: settings.unique ?? OPTION_SCHEMA.unique.default,
+    par: settings.par ?? OPTION_SCHEMA.par.default,
+    emittersPerRing: settings.emittersPerRing ?? OPTION_SCHEMA.emittersPerRing.default,
+    blockersPerRing: settings.blockersPerRing ?? OPTION_SCHEMA.blockersPerRing.default,
+    requiredLitEdges: settings.requiredLitEdges ?? OPTION_SCHEMA.requiredLitEdges.default,
+    include: settings.include ?? OPTION_SCHEMA.include.default,
+    avoid: settings.avoid ?? OPTION_SCHEMA.avoid.default,
+    exclude: settings.exclude ?? OPTION_SCHEMA.exclude.default,
+    seed: settings.seed ?? randomSeed(),
+    geometry: {
+      ...(settings.sides && { sides: settings.sides }),
+      ...(settings.rings && { ringRadii: defaultRingRadii(settings.rings) }),
+    },
+  };
+  // The game falls back to a random puzzle; here contradictions are an error
+  const { minLit, maxLit, emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid } = request;
+  const problems = constraintProblems(
+    { litRange: [minLit, maxLit], emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid },
+    resolveGeometry(request),
+  );
+  if (problems.length > 0) throw new Error(`Infeasible constraints: ${problems.join('; ')}`);
+  // Generator logging goes to stderr so stdout holds only the puzzle file
+  const log = console.log;
+  console.log = console.error;
+  const { puzzle, status, hash } = generate(request);
+  console.log = log;
+  const metadata = {
+    generator: name,
+    difficulty: request.difficulty,
+    litRange: [request.minLit, request.maxLit],
+    unique: request.unique,
+    par: request.par,
+    seed: request.seed,
+    hash,
+    ...(request.emittersPerRing && { emittersPerRing: request.emittersPerRing }),
+    ...(request.blockersPerRing && { blockersPerRing: request.blockersPerRing }),
+    ...(request.requiredLitEdges.length > 0 && { requiredLitEdges: request.requiredLitEdges }),
+    ...(settings.rules !== undefined && { rules: settings.rules }),
+  };
+  console.log(JSON.stringify(toPuzzleJSON(puzzle, { metadata }), null, 2));
+  console.error(status);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,73 @@
+// generation-client.js
+// Main-thread side of generation-worker.js: runs one job at a time in a
+// worker, forwards its progress events and turns the reply into a promise.
+// A synchronous job cannot be interrupted from outside, so cancelling or
+// timing out terminates the worker and the next job starts a fresh one.
+
+// Default time a job may take before it is abandoned
+export const GENERATION_TIMEOUT_MS = 30000;
+
+/**
+ * Create a client with its own worker. run(type, request, { onProgress,
+ * timeoutMs }) resolves with the job's result and rejects when the job fails,
+ * times out, is cancelled with cancel() or is replaced by the next run().
+ * dispose() cancels and stops the worker; a later run() starts a new one.
+ */
+export function createGenerationClient({ timeoutMs = GENERATION_TIMEOUT_MS } = {}) {
+  let worker = null;
+  let current = null; // { id, resolve, reject, onProgress, timer }
+  let nextId = 1;
+
+  const finish = () => {
+    const job = current;
+    clearTimeout(job.timer);
+    current = null;
+    return job;
+  };
+
+  const abort = (message) => {
+    if (!current) return;
+    worker.terminate();
+    worker = null;
+    finish().reject(new Error(message));
+  };
+
+  const spawn = () => {
+    worker = new Worker(new URL('./generation-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      if (!current || data.id !== current.id) return;
+      if (data.type === 'progress') {
+        current.onProgress(data.progress);
+      } else if (data.type === 'done') {
+        finish().resolve(data.result);
+      } else {
+        finish().reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      abort(`Worker failed: ${event.message || 'could not start'}`);
+    };
+  };
+
+  return {
+    run(type, request, { onProgress = () => {}, timeoutMs: limit = timeoutMs } = {}) {
+      abort('Replaced by a newer request');
+      if (!worker) spawn();
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => abort(`Timed out after ${limit / 1000}s`), limit);
+        current = { id, resolve, reject, onProgress, timer };
+        worker.postMessage({ id, type, request });
+      });
+    },
+    cancel() {
+      abort('Cancelled');
+    },
+    dispose() {
+      abort('Cancelled');
+      if (worker) worker.terminate();
+      worker = null;
+    },
+  };
+}
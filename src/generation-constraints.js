@@ -0,0 +1,386 @@
+// generation-constraints.js
+// Explicit layout constraints every generator accepts:
+// { litRange: [min, max], emittersPerRing: [min, max], blockersPerRing: [min, max],
+//   requiredLitEdges: [edge, ...], include: [rule, ...], avoid: [rule, ...] }.
+// A rule is { element: 'lit' | 'emitter' | 'blocker', ring, position }: an
+// included rule fixes a lit edge (position is the edge, no ring) or an element
+// at a ring position, an avoided one forbids it, or with no position forbids
+// that element on the whole ring. parseRules reads them from text such as
+// "include lit 0, 6; avoid blockers ring 2". Every part is optional, a missing
+// one leaving the choice to the generator. Generators build within them where
+// they can and repair layouts with constrainLayout otherwise; unmetConstraints
+// names whatever a finished puzzle still misses.
+
+import { angleToPosition, getGeometry, positionToAngle, ringName, withGeometry } from './geometry.js';
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+const ELEMENT_WORDS = {
+  lit: 'lit', edge: 'lit', edges: 'lit',
+  emitter: 'emitter', emitters: 'emitter',
+  blocker: 'blocker', blockers: 'blocker',
+};
+
+// Words that only make a rule read naturally
+const FILLER_WORDS = new Set(['must', 'at', 'on', 'the', 'position', 'positions', 'and']);
+
+/**
+ * Rules from text: one per line or separated by semicolons, each
+ * "[must] include|avoid <lit|emitter|blocker> [ring N | inner | middle | outer]
+ * [at] <positions>", rings numbered from 1 and edges and positions from 0, as
+ * in "include lit 0, 6", "avoid blockers ring 2" or "avoid emitter inner at 3".
+ * `rings` is the board's ring count, for ring names. Returns { include, avoid };
+ * throws naming the first rule it cannot read.
+ */
+export function parseRules(text, rings) {
+  const rules = { include: [], avoid: [] };
+  text.split(/[\n;]/).map((line) => line.trim()).filter(Boolean).forEach((line, index) => {
+    const fail = (problem) => {
+      throw new Error(`Rule ${index + 1} ("${line}"): ${problem}`);
+    };
+    const words = line.toLowerCase().split(/[\s,]+/).filter((word) => !FILLER_WORDS.has(word));
+    const verb = words.shift();
+    if (verb !== 'include' && verb !== 'avoid') fail('start with include or avoid');
+    const element = ELEMENT_WORDS[words.shift()];
+    if (!element) fail('name lit, emitter or blocker');
+
+    let ring;
+    const positions = [];
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      const named = Array.from({ length: rings }, (_, r) => r).find((r) => ringName(r, rings) === word);
+      if (word === 'ring' && ring === undefined && /^\d+$/.test(words[i + 1] || '')) {
+        ring = Number(words[++i]) - 1;
+      } else if (named !== undefined) {
+        ring = named;
+      } else if (word === 'ring') {
+        continue;
+      } else if (/^\d+$/.test(word)) {
+        positions.push(Number(word));
+      } else {
+        fail(`unexpected "${word}"`);
+      }
+    }
+    if (element === 'lit' && ring !== undefined) fail('lit edges are not on a ring');
+    if (element !== 'lit' && ring === undefined) fail('say which ring');
+    if (positions.length === 0 && (verb === 'include' || element === 'lit')) fail('give a position');
+
+    const base = element === 'lit' ? { element } : { element, ring };
+    if (positions.length === 0) rules[verb].push(base);
+    positions.forEach((position) => rules[verb].push({ ...base, position }));
+  });
+  return rules;
+}
+
+/**
+ * Include rules fixing every lit edge and element of a puzzle, so that
+ * generation keeps them and fills in the rest
+ */
+export function rulesFromPuzzle(puzzle) {
+  const geometry = getGeometry(puzzle);
+  return [
+    ...puzzle.litEdges.map((position) => ({ element: 'lit', position })),
+    ...puzzle.circles.flatMap((circle, ring) => [
+      ...circle.lasers.map((angle) => ({ element: 'emitter', ring, position: angleToPosition(angle, geometry) })),
+      ...circle.blockers.map((angle) => ({ element: 'blocker', ring, position: angleToPosition(angle, geometry) })),
+    ]),
+  ];
+}
+
+/**
+ * A rule in words, like "edge 6" or "emitter at 3 on the inner ring"
+ */
+export function describeRule({ element, ring, position }, rings) {
+  if (element === 'lit') return `edge ${position}`;
+  const where = `the ${ringName(ring, rings)} ring`;
+  return position === undefined ? `${element}s on ${where}` : `${element} at ${position} on ${where}`;
+}
+
+// The rules split by what they do; lit edges required by either spelling
+function splitRules(constraints) {
+  const include = constraints.include || [];
+  const avoid = constraints.avoid || [];
+  const edges = (rules) => rules.filter((rule) => rule.element === 'lit').map((rule) => rule.position);
+  return {
+    requiredLitEdges: [...new Set([...(constraints.requiredLitEdges || []), ...edges(include)])].sort((a, b) => a - b),
+    avoidedLitEdges: [...new Set(edges(avoid))].sort((a, b) => a - b),
+    fixedElements: include.filter((rule) => rule.element !== 'lit'),
+    avoidedElements: avoid.filter((rule) => rule.element !== 'lit'),
+  };
+}
+
+/**
+ * Every way the constraints contradict each other or the board, one message
+ * each; empty when generation can try to meet them
+ */
+export function constraintProblems(constraints = {}, geometry) {
+  const { sides } = geometry;
+  const rings = geometry.ringRadii.length;
+  const problems = [];
+  const { requiredLitEdges, avoidedLitEdges, fixedElements, avoidedElements } = splitRules(constraints);
+  const ranges = {};
+  for (const [key, name] of [['litRange', 'Lit edges'], ['emittersPerRing', 'Emitters per ring'], ['blockersPerRing', 'Blockers per ring']]) {
+    const range = constraints[key];
+    if (range === null || range === undefined) continue;
+    if (!isCount(range[0]) || !isCount(range[1])) problems.push(`${name} must be whole numbers from 0 up, got ${range.join('-')}`);
+    else if (range[0] > range[1]) problems.push(`${name} range ${range[0]}-${range[1]} is empty`);
+    else ranges[key] = range;
+  }
+
+  for (const edge of [...requiredLitEdges, ...avoidedLitEdges]) {
+    if (!Number.isInteger(edge) || edge < 0 || edge >= sides) problems.push(`Lit edge ${edge} is not on the ${sides}-sided board`);
+  }
+  for (const rule of [...fixedElements, ...avoidedElements]) {
+    if (!Number.isInteger(rule.ring) || rule.ring < 0 || rule.ring >= rings) {
+      problems.push(`Ring ${rule.ring + 1} is not on the ${rings}-ring board`);
+    } else if (rule.position !== undefined && (!Number.isInteger(rule.position) || rule.position < 0 || rule.position >= sides)) {
+      problems.push(`Position ${rule.position} is not on the ${sides}-sided board`);
+    }
+  }
+  if (problems.length > 0) return problems;
+
+  for (const edge of requiredLitEdges.filter((edge) => avoidedLitEdges.includes(edge))) {
+    problems.push(`Edge ${edge} is both required and avoided`);
+  }
+  if (ranges.litRange) {
+    const [min, max] = ranges.litRange;
+    if (requiredLitEdges.length > max) problems.push(`${requiredLitEdges.length} required lit edges do not fit in at most ${max} lit edges`);
+    if (Math.min(min, sides) > sides - avoidedLitEdges.length) {
+      problems.push(`At least ${min} lit edges are wanted but ${avoidedLitEdges.length} of the ${sides} edges are avoided`);
+    }
+  }
+
+  for (let ring = 0; ring < rings; ring++) {
+    const onRing = (rules, element) => rules.filter((rule) => rule.ring === ring && rule.element === element);
+    const slots = new Map();
+    for (const rule of fixedElements.filter((rule) => rule.ring === ring)) {
+      if (slots.has(rule.position) && slots.get(rule.position) !== rule.element) {
+        problems.push(`Position ${rule.position} on the ${ringName(ring, rings)} ring is fixed as both emitter and blocker`);
+      }
+      slots.set(rule.position, rule.element);
+      const avoided = avoidedElements.find((other) => other.ring === ring && other.element === rule.element &&
+        (other.position === undefined || other.position === rule.position));
+      if (avoided) problems.push(`${describeRule(rule, rings)} is both included and avoided`);
+    }
+    let needed = 0;
+    for (const element of ['emitter', 'blocker']) {
+      const range = ranges[`${element}sPerRing`] || [0, sides];
+      const fixed = new Set(onRing(fixedElements, element).map((rule) => rule.position)).size;
+      const avoided = onRing(avoidedElements, element);
+      const blocked = avoided.some((rule) => rule.position === undefined)
+        ? sides
+        : new Set([...avoided.map((rule) => rule.position), ...[...slots].filter(([, other]) => other !== element).map(([pos]) => pos)]).size;
+      const wanted = Math.max(range[0], fixed);
+      if (fixed > range[1]) problems.push(`The ${ringName(ring, rings)} ring has ${fixed} fixed ${element}s, more than the ${range[1]} allowed`);
+      if (wanted > sides - blocked) problems.push(`The ${ringName(ring, rings)} ring needs ${wanted} ${element}s but only ${Math.max(0, sides - blocked)} positions may hold one`);
+      needed += wanted;
+    }
+    if (needed > sides) problems.push(`The ${ringName(ring, rings)} ring needs at least ${needed} elements but has only ${sides} positions`);
+  }
+  return problems;
+}
+
+/**
+ * The constraints checked against the board and normalized: ranges as
+ * [min, max] or null, required edges sorted without repeats, the lit range
+ * raised to fit them and capped at the edges that are not avoided, and the
+ * rules also split into avoidedLitEdges, fixedElements and avoidedElements.
+ * Throws listing every problem when they contradict each other or the board
+ * (see constraintProblems).
+ */
+export function resolveConstraints(constraints = {}, geometry) {
+  const problems = constraintProblems(constraints, geometry);
+  if (problems.length > 0) throw new Error(problems.join('; '));
+  const { sides } = geometry;
+  const rules = splitRules(constraints);
+
+  let litRange = constraints.litRange || null;
+  if (litRange) {
+    const cap = (count) => Math.min(count, sides - rules.avoidedLitEdges.length);
+    litRange = [cap(Math.max(litRange[0], rules.requiredLitEdges.length)), cap(litRange[1])];
+  }
+  const cap = (range) => range && [range[0], Math.min(range[1], sides)];
+
+  return {
+    litRange,
+    emittersPerRing: cap(constraints.emittersPerRing || null),
+    blockersPerRing: cap(constraints.blockersPerRing || null),
+    include: constraints.include || [],
+    avoid: constraints.avoid || [],
+    ...rules,
+  };
+}
+
+/**
+ * Whether constraints ask for more than a lit edge range
+ */
+export function hasLayoutConstraints(constraints = {}) {
+  const { requiredLitEdges, avoidedLitEdges, fixedElements, avoidedElements } = splitRules(constraints);
+  return Boolean(constraints.emittersPerRing || constraints.blockersPerRing) ||
+    [requiredLitEdges, avoidedLitEdges, fixedElements, avoidedElements].some((list) => list.length > 0);
+}
+
+/**
+ * Whether constraints fix elements or forbid anything, which generators that
+ * build by counts can only meet by repairing
+ */
+export function hasElementRules(constraints = {}) {
+  return (constraints.include || []).some((rule) => rule.element !== 'lit') || (constraints.avoid || []).length > 0;
+}
+
+/**
+ * A generator's preferred range narrowed to a constraint's; the constraint
+ * wins when the two do not overlap
+ */
+export function narrowRange(preferred, range) {
+  if (!range) return preferred;
+  const min = Math.max(preferred[0], range[0]);
+  const max = Math.min(preferred[1], range[1]);
+  return min <= max ? [min, max] : [...range];
+}
+
+const pick = (items, rng) => items[Math.floor(rng() * items.length)];
+
+/**
+ * Repair a layout ({ litEdges, circles: [{ emitters, blockers }] } in ring
+ * positions) in place to meet resolved constraints: avoided edges go dark and
+ * required ones are lit, the lit count is brought into range by lighting or
+ * darkening other edges, avoided elements are removed and fixed ones placed,
+ * and each ring's emitters and blockers are brought into range by removing
+ * elements that are not fixed or adding them on free slots that are not
+ * avoided. Draws from rng only when something changes. Returns the layout.
+ */
+export function constrainLayout(layout, constraints, rng, geometry) {
+  const { sides } = geometry;
+  const {
+    litRange, emittersPerRing, blockersPerRing, requiredLitEdges,
+    avoidedLitEdges = [], fixedElements = [], avoidedElements = [],
+  } = constraints;
+  const lit = layout.litEdges;
+  const optional = () => lit.filter((edge) => !requiredLitEdges.includes(edge));
+  const darken = () => lit.splice(lit.indexOf(pick(optional(), rng)), 1);
+
+  for (const edge of avoidedLitEdges) {
+    if (lit.includes(edge)) lit.splice(lit.indexOf(edge), 1);
+  }
+  for (const edge of requiredLitEdges) {
+    if (lit.includes(edge)) continue;
+    if (litRange && lit.length >= litRange[1] && optional().length > 0) darken();
+    lit.push(edge);
+  }
+  if (litRange) {
+    while (lit.length > litRange[1] && optional().length > 0) darken();
+    while (lit.length < litRange[0]) {
+      const dark = Array.from({ length: sides }, (_, edge) => edge)
+        .filter((edge) => !lit.includes(edge) && !avoidedLitEdges.includes(edge));
+      if (dark.length === 0) break;
+      lit.push(pick(dark, rng));
+    }
+  }
+  lit.sort((a, b) => a - b);
+
+  layout.circles.forEach((circle, ring) => {
+    const avoids = (element, pos) => avoidedElements.some((rule) => rule.ring === ring && rule.element === element &&
+      (rule.position === undefined || rule.position === pos));
+    const fixed = fixedElements.filter((rule) => rule.ring === ring);
+    const isFixed = (element, pos) => fixed.some((rule) => rule.element === element && rule.position === pos);
+
+    for (const element of ['emitter', 'blocker']) {
+      const elements = circle[`${element}s`];
+      for (let i = elements.length - 1; i >= 0; i--) {
+        if (avoids(element, elements[i])) elements.splice(i, 1);
+      }
+    }
+    for (const { element, position } of fixed) {
+      const other = circle[element === 'emitter' ? 'blockers' : 'emitters'];
+      if (other.includes(position)) other.splice(other.indexOf(position), 1);
+      if (!circle[`${element}s`].includes(position)) circle[`${element}s`].push(position);
+    }
+
+    for (const [element, range] of [['emitter', emittersPerRing], ['blocker', blockersPerRing]]) {
+      if (!range) continue;
+      const elements = circle[`${element}s`];
+      while (elements.length > range[1]) {
+        const removable = elements.filter((pos) => !isFixed(element, pos));
+        if (removable.length === 0) break;
+        elements.splice(elements.indexOf(pick(removable, rng)), 1);
+      }
+      while (elements.length < range[0]) {
+        const free = Array.from({ length: sides }, (_, pos) => pos)
+          .filter((pos) => !circle.emitters.includes(pos) && !circle.blockers.includes(pos) && !avoids(element, pos));
+        if (free.length === 0) break;
+        elements.push(pick(free, rng));
+      }
+    }
+  });
+  return layout;
+}
+
+/**
+ * constrainLayout for a puzzle: a new puzzle with its elements snapped to
+ * ring positions and repaired, keeping any other fields
+ */
+export function constrainPuzzle(puzzle, constraints, rng) {
+  const geometry = getGeometry(puzzle);
+  const layout = constrainLayout({
+    litEdges: [...puzzle.litEdges],
+    circles: puzzle.circles.map((circle) => ({
+      emitters: [...new Set(circle.lasers.map((angle) => angleToPosition(angle, geometry)))],
+      blockers: [...new Set(circle.blockers.map((angle) => angleToPosition(angle, geometry)))],
+    })),
+  }, constraints, rng, geometry);
+  return withGeometry({
+    ...puzzle,
+    litEdges: layout.litEdges,
+    circles: puzzle.circles.map((circle, i) => ({
+      ...circle,
+      lasers: layout.circles[i].emitters.map((pos) => positionToAngle(pos, geometry)),
+      blockers: layout.circles[i].blockers.map((pos) => positionToAngle(pos, geometry)),
+    })),
+  }, geometry);
+}
+
+/**
+ * The constraints a puzzle does not meet, one message each, such as
+ * "2 lit edges, wanted 3-4", "edge 5 not lit" or "emitter at 3 on the inner
+ * ring is avoided"; empty when it meets them all
+ */
+export function unmetConstraints(puzzle, constraints = {}) {
+  const { litRange, emittersPerRing, blockersPerRing } = constraints;
+  const { requiredLitEdges, avoidedLitEdges, fixedElements, avoidedElements } = splitRules(constraints);
+  const geometry = getGeometry(puzzle);
+  const rings = puzzle.circles.length;
+  const positionsOf = (ring, element) => (puzzle.circles[ring] ? puzzle.circles[ring][element === 'emitter' ? 'lasers' : 'blockers'] : [])
+    .map((angle) => angleToPosition(angle, geometry));
+  const unmet = [];
+  const outside = (count, range) => range && (count < range[0] || count > range[1]);
+  const wanted = ([min, max]) => (min === max ? `${min}` : `${min}-${max}`);
+  if (outside(puzzle.litEdges.length, litRange)) {
+    unmet.push(`${puzzle.litEdges.length} lit edges, wanted ${wanted(litRange)}`);
+  }
+  for (const edge of requiredLitEdges) {
+    if (!puzzle.litEdges.includes(edge)) unmet.push(`edge ${edge} not lit`);
+  }
+  for (const edge of avoidedLitEdges) {
+    if (puzzle.litEdges.includes(edge)) unmet.push(`edge ${edge} lit, wanted dark`);
+  }
+  puzzle.circles.forEach((circle, i) => {
+    const ring = `${ringName(i, rings)} ring`;
+    if (outside(circle.lasers.length, emittersPerRing)) {
+      unmet.push(`${ring} has ${circle.lasers.length} emitters, wanted ${wanted(emittersPerRing)}`);
+    }
+    if (outside(circle.blockers.length, blockersPerRing)) {
+      unmet.push(`${ring} has ${circle.blockers.length} blockers, wanted ${wanted(blockersPerRing)}`);
+    }
+  });
+  for (const rule of fixedElements) {
+    if (!positionsOf(rule.ring, rule.element).includes(rule.position)) unmet.push(`no ${describeRule(rule, rings)}`);
+  }
+  for (const rule of avoidedElements) {
+    const present = positionsOf(rule.ring, rule.element);
+    if (rule.position === undefined ? present.length > 0 : present.includes(rule.position)) {
+      unmet.push(`${describeRule(rule, rings)} avoided but present`);
+    }
+  }
+  return unmet;
+}
@@ -0,0 +1,149 @@
+// generation-job.js
+// The work behind the game's "generate", "solve", "hint", "benchmark" and
+// "quality" requests, free of DOM and React so it can run inside
+// generation-worker.js or directly from Node.
+// Requests and results are plain data, as they cross the worker boundary.
+
+import { runGenerator } from './generator-registry.js';
+import { MIN_START_DISTANCE, scrambleStart, getStartRotations } from './start-state.js';
+import { generatePuzzle } from './puzzle.js';
+import { findAllSolutions, hasUniqueSolution, getPar } from './solver.js';
+import { analyzePuzzleDifficulty } from './difficulty-analyzer.js';
+import { getHint } from './hints.js';
+import { createRng } from './random.js';
+import { resolveGeometry } from './geometry.js';
+import { puzzleHash } from './canonical-puzzle.js';
+import { BENCHMARK_RUNS, QUALITY_RUNS, benchmarkRegisteredGenerators, testPuzzleQuality } from './benchmark.js';
+
+/**
+ * Generate a puzzle for the game settings { minLit, maxLit, autoSolve, unique,
+ * par, minStartDistance, algorithmType, difficulty, seed, geometry: { sides,
+ * ringRadii }, emittersPerRing, blockersPerRing, requiredLitEdges, include,
+ * avoid, exclude }, algorithmType naming a generator in generator-registry.js.
+ * The lit range, per-ring ranges, required edges and include/avoid rules are
+ * constraints (see generation-constraints.js); those the puzzle misses are
+ * listed in `unmet` and in the status, and constraints that cannot be met
+ * together give an error status before anything is generated. `exclude`
+ * lists hashes of puzzles not to generate again (see canonical-puzzle.js).
+ * With `unique` every algorithm aims for a puzzle with exactly one solution,
+ * with `par` (a number, or null for any) for one exactly that many moves
+ * from solved. Without a par the rings start scrambled at least
+ * minStartDistance moves from every solution (see start-state.js).
+ * onProgress({ message, attempts }) is called as the generator runs.
+ * Returns { puzzle, attempts, status, performanceStats, front, unmet, hash },
+ * where hash is the puzzle's (see puzzleHash) and front is the list of
+ * { puzzle, objectives, fitness, solvable } of generators that offer a
+ * choice, like the Pareto one (each puzzle started like the main one), and
+ * null otherwise.
+ */
+export function generate(request, onProgress = () => {}) {
+  const {
+    minLit, maxLit, autoSolve, unique = false, par = null, minStartDistance = MIN_START_DISTANCE,
+    algorithmType, difficulty, seed, emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid, exclude,
+  } = request;
+  const geometry = resolveGeometry(request);
+  const rng = createRng(seed);
+  let tries = 1;
+  let puzzle;
+  let status;
+  let performanceStats = null;
+  let front = null;
+  let selected = -1;
+  let unmet = [];
+
+  try {
+    const result = runGenerator(algorithmType, {
+      minLit, maxLit, autoSolve, difficulty, rng, geometry, unique, par,
+      emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid, exclude,
+    }, onProgress);
+    ({ puzzle, status, performanceStats, front, unmet } = result);
+    tries = result.attempts;
+    if (front) selected = front.findIndex((entry) => entry.puzzle === puzzle);
+  } catch (error) {
+    // The game and the CLI show the status, so the error goes there
+    status = 'Error: ' + error.message;
+    front = null;
+    // Fallback to original algorithm
+    puzzle = generatePuzzle(minLit, maxLit, { rng, geometry });
+  }
+
+  // A target par is measured from the unrotated start the generators fitted
+  if (par === null) {
+    puzzle = scrambleStart(puzzle, { minDistance: minStartDistance, rng });
+    if (front) {
+      front = front.map((entry, i) => ({
+        ...entry,
+        puzzle: i === selected ? puzzle : scrambleStart(entry.puzzle, { minDistance: minStartDistance, rng }),
+      }));
+    }
+    const distance = getPar(puzzle, getStartRotations(puzzle));
+    if (distance !== null && distance < minStartDistance) {
+      status += ` (the start is only ${distance} moves from solved)`;
+    }
+  }
+
+  if (unmet.length > 0) {
+    status += ` (could not meet: ${unmet.join(', ')})`;
+  }
+  const hash = puzzleHash(puzzle);
+  if (exclude && exclude.includes(hash)) {
+    status += ' (only puzzles that were already seen came up)';
+  }
+  if (unique && !hasUniqueSolution(puzzle)) {
+    status += ' (no puzzle with a unique solution found, showing the best one)';
+  }
+  if (par !== null) {
+    const actual = getPar(puzzle);
+    if (actual !== par) status += ` (no puzzle with par ${par} found, this one has par ${actual ?? 'none'})`;
+  }
+  return { puzzle, attempts: tries, status, performanceStats, front, unmet, hash };
+}
+
+/**
+ * Solve a puzzle for the game: { puzzle, analyze } in, { solutions,
+ * allSolutions, analysis } out. `solutions` are deduplicated, `allSolutions`
+ * are every solving rotation (for hints) and `analysis` is the difficulty
+ * analysis when `analyze` is set, otherwise null.
+ */
+export function solve({ puzzle, analyze = false }) {
+  let analysis = null;
+  if (analyze) {
+    try {
+      analysis = analyzePuzzleDifficulty(puzzle);
+    } catch (error) {
+      console.error('Error analyzing puzzle difficulty:', error);
+    }
+  }
+  return {
+    solutions: findAllSolutions(puzzle),
+    allSolutions: findAllSolutions(puzzle, { dedupe: false }),
+    analysis,
+  };
+}
+
+/**
+ * The next hint for the game: { puzzle, rotations, solutions } in, with
+ * rotations in degrees and `solutions` the full set from solve(), and
+ * getHint's result out (see hints.js)
+ */
+export function hint({ puzzle, rotations, solutions }) {
+  return getHint(puzzle, rotations, solutions);
+}
+
+/**
+ * Benchmark every registered generator for the game: { runs } in, the
+ * per-generator stats of benchmarkRegisteredGenerators out (see benchmark.js)
+ */
+export function benchmark({ runs = BENCHMARK_RUNS } = {}, onProgress = () => {}) {
+  return benchmarkRegisteredGenerators(runs, onProgress);
+}
+
+/**
+ * Measure the quality of every registered generator's puzzles: { runs } in,
+ * the per-generator results of testPuzzleQuality out
+ */
+export function quality({ runs = QUALITY_RUNS } = {}, onProgress = () => {}) {
+  return testPuzzleQuality(runs, onProgress);
+}
+
+export const JOBS = { generate, solve, hint, benchmark, quality };
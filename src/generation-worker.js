@@ -0,0 +1,21 @@
+// generation-worker.js
+// Web Worker that runs generation-job.js off the main thread.
+// In:  { id, type: 'generate' | 'solve' | 'hint' | 'benchmark' | 'quality', request }
+// Out: { id, type: 'progress', progress } any number of times, then either
+//      { id, type: 'done', result } or { id, type: 'error', message }.
+// Jobs are synchronous, so cancelling one means terminating the worker (see
+// generation-client.js).
+
+import { JOBS } from './generation-job.js';
+
+self.onmessage = ({ data }) => {
+  const { id, type, request } = data;
+  try {
+    const job = JOBS[type];
+    if (!job) throw new Error(`Unknown job type: ${type}`);
+    const result = job(request, (progress) => self.postMessage({ id, type: 'progress', progress }));
+    self.postMessage({ id, type: 'done', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
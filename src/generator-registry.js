@@ -0,0 +1,294 @@
+// generator-registry.js
+// Every puzzle generator the game offers, behind one interface. A generator
+// registers a name, a label and description for the UI, the options it reads
+// (keys of OPTION_SCHEMA) and generate(options, onProgress). The algorithm
+// dropdown, the settings form, the generation job, the benchmark and the CLI
+// all work from this list, so adding an algorithm only takes a
+// registerGenerator call.
+
+import { generateConstraintBasedPuzzle, getPerformanceStats, resetPerformanceStats } from './puzzle-generator.js';
+import { simplifiedEvolutionaryGenerator } from './simplified-evolutionary-generator.js';
+import { generateReversePuzzle } from './reverse-generator.js';
+import { annealingGenerator } from './annealing-generator.js';
+import { mctsGenerator } from './mcts-generator.js';
+import { paretoGenerator } from './pareto-generator.js';
+import { generateSolvablePuzzle } from './puzzle.js';
+import { resolveRng } from './random.js';
+import { resolveGeometry } from './geometry.js';
+import { constraintProblems, unmetConstraints } from './generation-constraints.js';
+import { puzzleHash } from './canonical-puzzle.js';
+
+// Settings a generator can read. `type` tells forms and the CLI how to ask
+// for it; `default` is used when a caller leaves it out.
+export const OPTION_SCHEMA = {
+  difficulty: { label: 'Difficulty', type: 'select', choices: ['easy', 'medium', 'hard'], default: 'medium' },
+  litRange: { label: 'Lit Edges', type: 'range', min: 1, default: [3, 4] },
+  autoSolve: { label: 'Auto-regenerate if unsolvable', type: 'boolean', default: true },
+  seed: { label: 'Seed', type: 'seed', default: null },
+  unique: { label: 'Unique solution only', type: 'boolean', default: false },
+  par: { label: 'Target par', type: 'number', min: 0, max: 40, default: null },
+  emittersPerRing: { label: 'Emitters per ring', type: 'range', min: 0, default: null },
+  blockersPerRing: { label: 'Blockers per ring', type: 'range', min: 0, default: null },
+  requiredLitEdges: { label: 'Required lit edges', type: 'edges', default: [] },
+  include: { label: 'Must include', type: 'rules', default: [] },
+  avoid: { label: 'Must avoid', type: 'rules', default: [] },
+  exclude: { label: 'Skip puzzles', type: 'hashes', default: [] },
+};
+
+// Options every generator reads through the shared rng, uniqueness, par and
+// exclude handling
+const COMMON_OPTIONS = ['seed', 'unique', 'par', 'exclude'];
+
+// Layout constraints every built-in generator honors (see generation-constraints.js)
+const CONSTRAINT_OPTIONS = ['litRange', 'emittersPerRing', 'blockersPerRing', 'requiredLitEdges', 'include', 'avoid'];
+
+// Shape of performanceStats for generators that report only some of it
+export const EMPTY_STATS = { generationTime: 0, solvabilityChecks: 0, solutionSpaceCalculations: 0, cacheHits: 0, cacheMisses: 0 };
+
+// Report every this many random attempts
+const PROGRESS_INTERVAL = 25;
+
+// Runs after the first before settling for a puzzle in `exclude`
+const MAX_EXCLUDE_RETRIES = 10;
+
+const registry = new Map();
+
+/**
+ * Add a generator: { name, label, description, options, generate }.
+ * generate({ minLit, maxLit, autoSolve, difficulty, rng, geometry, unique,
+ * par, emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid,
+ * constraints },
+ * onProgress) returns { puzzle, status } plus optionally attempts,
+ * performanceStats, front and metadata, and calls onProgress({ message,
+ * attempts }) as it runs. Throws on a missing field, an unknown option or a
+ * name that is taken.
+ */
+export function registerGenerator(definition) {
+  const { name, label, description, options, generate } = definition;
+  if (!name || !label || typeof generate !== 'function' || !Array.isArray(options)) {
+    throw new Error(`Generator ${name || '(unnamed)'} needs a name, label, options and generate()`);
+  }
+  const unknown = options.find((option) => !(option in OPTION_SCHEMA));
+  if (unknown) throw new Error(`Generator ${name} has an unknown option: ${unknown}`);
+  if (registry.has(name)) throw new Error(`Generator ${name} is already registered`);
+  registry.set(name, { name, label, description: description || '', options, generate });
+}
+
+/**
+ * The generator registered under `name`; throws when there is none
+ */
+export function getGenerator(name) {
+  const generator = registry.get(name);
+  if (!generator) throw new Error(`Unknown generator: ${name}`);
+  return generator;
+}
+
+/**
+ * Every registered generator, in registration order
+ */
+export function listGenerators() {
+  return [...registry.values()];
+}
+
+/**
+ * Whether the generator called `name` reads `option`
+ */
+export function generatorSupports(name, option) {
+  return registry.has(name) && registry.get(name).options.includes(option);
+}
+
+/**
+ * Run a generator with missing options taken from OPTION_SCHEMA defaults;
+ * `seed` or `rng` and `geometry` are resolved as every generator does, and
+ * the lit range, layout options and include/avoid rules are gathered into
+ * `constraints` (see generation-constraints.js). `exclude` lists puzzle
+ * hashes (see canonical-puzzle.js) to skip: the generator runs again, on the
+ * same rng, while it returns one of them. Returns the standard result
+ * { puzzle, status, attempts, performanceStats, front, metadata, unmet, hash },
+ * missing parts being 1 or null, unmet listing the constraints the puzzle
+ * does not meet and hash being the puzzle's. Throws before generating when the
+ * constraints cannot be met together on the board.
+ */
+export function runGenerator(name, options = {}, onProgress = () => {}) {
+  const generator = getGenerator(name);
+  const [defaultMin, defaultMax] = OPTION_SCHEMA.litRange.default;
+  const settings = {
+    minLit: defaultMin,
+    maxLit: defaultMax,
+    autoSolve: OPTION_SCHEMA.autoSolve.default,
+    difficulty: OPTION_SCHEMA.difficulty.default,
+    unique: OPTION_SCHEMA.unique.default,
+    par: OPTION_SCHEMA.par.default,
+    emittersPerRing: OPTION_SCHEMA.emittersPerRing.default,
+    blockersPerRing: OPTION_SCHEMA.blockersPerRing.default,
+    requiredLitEdges: OPTION_SCHEMA.requiredLitEdges.default,
+    include: OPTION_SCHEMA.include.default,
+    avoid: OPTION_SCHEMA.avoid.default,
+    exclude: OPTION_SCHEMA.exclude.default,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)),
+    rng: resolveRng(options),
+    geometry: resolveGeometry(options),
+  };
+  const { minLit, maxLit, emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid } = settings;
+  const constraints = { litRange: [minLit, maxLit], emittersPerRing, blockersPerRing, requiredLitEdges, include, avoid };
+  const problems = constraintProblems(constraints, settings.geometry);
+  if (problems.length > 0) throw new Error(`Infeasible constraints: ${problems.join('; ')}`);
+  let result = generator.generate({ ...settings, constraints }, onProgress);
+  let hash = puzzleHash(result.puzzle);
+  for (let retry = 0; retry < MAX_EXCLUDE_RETRIES && settings.exclude.includes(hash); retry++) {
+    onProgress({ message: `Puzzle ${hash} was seen before, generating another...`, attempts: 1 });
+    result = generator.generate({ ...settings, constraints }, onProgress);
+    hash = puzzleHash(result.puzzle);
+  }
+  return {
+    attempts: 1,
+    performanceStats: null,
+    front: null,
+    metadata: null,
+    unmet: unmetConstraints(result.puzzle, constraints),
+    hash,
+    ...result,
+  };
+}
+
+// The evolution-style generators share their calling convention and stats;
+// of them only annealing reads autoSolve
+function searchEntry(search, { start, progress, status, stats }) {
+  return ({ difficulty, autoSolve, rng, geometry, unique, par, constraints }, onProgress) => {
+    onProgress({ message: start, attempts: 1 });
+    const result = search.generatePuzzle(difficulty, {
+      rng,
+      geometry,
+      unique,
+      par,
+      autoSolve,
+      constraints,
+      onProgress: (step) => onProgress({ message: progress(step), attempts: 1 }),
+    });
+    return {
+      puzzle: result.puzzle,
+      front: result.front || null,
+      metadata: result.metadata,
+      performanceStats: { ...EMPTY_STATS, generationTime: result.metadata.timeMs, ...stats(result.metadata) },
+      status: result.metadata.searched
+        ? `${status(result)} (none of its puzzles was solvable with the unique solution or par asked for, this one was searched for)`
+        : status(result),
+    };
+  };
+}
+
+registerGenerator({
+  name: 'random',
+  label: 'Random Generation',
+  description: 'Using original random generation with brute-force validation',
+  options: [...CONSTRAINT_OPTIONS, 'autoSolve', ...COMMON_OPTIONS],
+  generate: ({ minLit, maxLit, autoSolve, rng, geometry, unique, par, constraints }, onProgress) => {
+    onProgress({ message: 'Generating random puzzle...', attempts: 1 });
+    // Asking for a unique solution or a par keeps retrying even without autoSolve
+    const requirements = unique || par !== null;
+    const result = generateSolvablePuzzle(minLit, maxLit, {
+      rng,
+      geometry,
+      unique,
+      par,
+      constraints,
+      maxAttempts: autoSolve || requirements ? undefined : 1,
+      onAttempt: (n) => {
+        if (n % PROGRESS_INTERVAL === 0) {
+          onProgress({ message: `Generating puzzle... attempt ${n}`, attempts: n });
+        }
+      },
+    });
+    return {
+      puzzle: result.puzzle,
+      attempts: result.attempts,
+      status: `Random puzzle generated in ${result.attempts} attempts`,
+    };
+  },
+});
+
+registerGenerator({
+  name: 'constraint',
+  label: 'Constraint-Based',
+  description: 'Using intelligent constraint-based generation with solution space analysis',
+  options: ['difficulty', ...CONSTRAINT_OPTIONS, ...COMMON_OPTIONS],
+  generate: ({ minLit, maxLit, difficulty, rng, geometry, unique, par, constraints }, onProgress) => {
+    onProgress({ message: 'Generating constraint-based puzzle...', attempts: 1 });
+    resetPerformanceStats();
+    const puzzle = generateConstraintBasedPuzzle(minLit, maxLit, difficulty, { rng, geometry, unique, par, constraints });
+    return {
+      puzzle,
+      performanceStats: { ...EMPTY_STATS, ...getPerformanceStats() },
+      status: 'Constraint-based puzzle generated successfully',
+    };
+  },
+});
+
+registerGenerator({
+  name: 'reverse',
+  label: 'Reverse (Solved-First)',
+  description: 'Building the solved state first, then scrambling the rings (always solvable)',
+  options: ['difficulty', ...CONSTRAINT_OPTIONS, ...COMMON_OPTIONS],
+  generate: ({ minLit, maxLit, difficulty, rng, geometry, unique, par, constraints }, onProgress) => {
+    onProgress({ message: 'Building puzzle from its solved state...', attempts: 1 });
+    const started = performance.now();
+    const puzzle = generateReversePuzzle(minLit, maxLit, difficulty, { rng, geometry, unique, par, constraints });
+    return {
+      puzzle,
+      performanceStats: { ...EMPTY_STATS, generationTime: performance.now() - started },
+      status: 'Puzzle built from its solved state',
+    };
+  },
+});
+
+registerGenerator({
+  name: 'evolutionary',
+  label: 'Evolutionary (NEW)',
+  description: 'Using evolutionary algorithm with multi-objective optimization',
+  options: ['difficulty', ...CONSTRAINT_OPTIONS, ...COMMON_OPTIONS],
+  generate: searchEntry(simplifiedEvolutionaryGenerator, {
+    start: 'Generating evolutionary puzzle...',
+    progress: (step) => `Evolving... generation ${step.generation}, best fitness ${step.bestFitness.toFixed(3)}`,
+    stats: (metadata) => ({ solutionSpaceCalculations: metadata.generations }),
+    status: ({ metadata }) => `Evolutionary puzzle generated! Fitness: ${metadata.fitness.toFixed(3)}, Solvable: ${metadata.solvable ? 'Yes' : 'No'}`,
+  }),
+});
+
+registerGenerator({
+  name: 'annealing',
+  label: 'Simulated Annealing',
+  description: 'Refining one puzzle by local moves with a cooling temperature schedule',
+  options: ['difficulty', ...CONSTRAINT_OPTIONS, 'autoSolve', ...COMMON_OPTIONS],
+  generate: searchEntry(annealingGenerator, {
+    start: 'Generating puzzle by simulated annealing...',
+    progress: (step) => `Annealing... step ${step.generation}, temperature ${step.temperature.toFixed(3)}, best fitness ${step.bestFitness.toFixed(3)}`,
+    stats: (metadata) => ({ solutionSpaceCalculations: metadata.moves }),
+    status: ({ metadata }) => `Annealed puzzle generated! Fitness: ${metadata.fitness.toFixed(3)}, Solvable: ${metadata.solvable ? 'Yes' : 'No'}`,
+  }),
+});
+
+registerGenerator({
+  name: 'mcts',
+  label: 'Monte Carlo Tree Search',
+  description: 'Building the puzzle decision by decision, guided by solver-scored rollouts',
+  options: ['difficulty', ...CONSTRAINT_OPTIONS, ...COMMON_OPTIONS],
+  generate: searchEntry(mctsGenerator, {
+    start: 'Generating puzzle by tree search...',
+    progress: (step) => `Searching... ${step.iterations} rollouts, ${step.treeSize} tree nodes, best value ${step.bestFitness.toFixed(3)}`,
+    stats: (metadata) => ({ solvabilityChecks: metadata.iterations }),
+    status: ({ metadata }) => `Tree search puzzle generated! Value: ${metadata.fitness.toFixed(3)}, Solutions: ${metadata.solutionCount}`,
+  }),
+});
+
+registerGenerator({
+  name: 'pareto',
+  label: 'Pareto Front (NSGA-II)',
+  description: 'Evolving a front of trade-offs between difficulty, layout and aesthetics to pick from',
+  options: ['difficulty', ...CONSTRAINT_OPTIONS, ...COMMON_OPTIONS],
+  generate: searchEntry(paretoGenerator, {
+    start: 'Generating Pareto front...',
+    progress: (step) => `Evolving front... generation ${step.generation}, ${step.frontSize} puzzles on the front`,
+    stats: (metadata) => ({ solutionSpaceCalculations: metadata.generations }),
+    status: ({ front }) => `Pareto front of ${front.length} puzzles generated, pick one from the plot`,
+  }),
+});
@@ -0,0 +1,169 @@
+// geometry.js
+// Board geometry shared by rendering, beam tracing and every generator.
+// The constants describe the classic board (12 sides, 3 rings); any other
+// board is described by a geometry object from createGeometry, which puzzles
+// carry in their optional `geometry` field.
+
+export const SIDES = 12;
+export const RADIUS = 180;
+export const CENTER = 200;
+export const SHAPE_ROTATION = 15; // degrees
+export const STEP_ANGLE = 360 / SIDES; // one rotation step, 30 degrees
+export const RING_RADII = [50, 90, 130];
+export const RING_NAMES = ['inner', 'middle', 'outer']; // labels for RING_RADII
+
+// Supported ranges for custom boards. Beyond 22 sides, neighbouring positions
+// on the default inner ring sit inside each other's hit radius (see
+// createGeometry).
+export const MIN_SIDES = 4;
+export const MAX_SIDES = 22;
+export const MIN_RINGS = 1;
+export const MAX_RINGS = 5;
+
+// Collision radii used when a beam is tested against board elements
+export const BLOCKER_HIT_RADIUS = 12;
+export const EMITTER_HIT_RADIUS = 13;
+
+/**
+ * Label of ring `index` on a board with `count` rings: inner/middle/outer on
+ * the classic board, inner/outer plus numbers elsewhere
+ */
+export function ringName(index, count = RING_NAMES.length) {
+  if (count === RING_NAMES.length) return RING_NAMES[index] || `#${index + 1}`;
+  if (index === 0) return 'inner';
+  if (index === count - 1) return 'outer';
+  return `#${index + 1}`;
+}
+
+export function degToRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+export function mod360(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * Evenly spaced ring radii between the classic inner and outer rings
+ */
+export function defaultRingRadii(count) {
+  const inner = RING_RADII[0];
+  const outer = RING_RADII[RING_RADII.length - 1];
+  if (count === 1) return [(inner + outer) / 2];
+  return Array.from({ length: count }, (_, i) => Math.round(inner + (i * (outer - inner)) / (count - 1)));
+}
+
+/**
+ * Normalize a board description. Only `sides` (even, so every beam through
+ * the center leaves through an edge) and `ringRadii` (innermost first) are
+ * stored with a puzzle; the rest is derived:
+ * - stepAngle: one rotation step, 360 / sides
+ * - shapeRotation: turns the polygon so an edge, not a vertex, faces up
+ * - positionOffset: angle of position 0, chosen so that every position faces
+ *   the middle of an edge once the shape rotation is applied (15° for 12 sides)
+ * Every beam runs along a diameter, so an element one position off it is
+ * innerRadius * sin(stepAngle) away at the closest. That must be outside the
+ * hit radii, or the beam tracer would stop beams the exact model in solver.js
+ * lets through; boards where it is not are rejected.
+ */
+export function createGeometry({ sides = SIDES, ringRadii = RING_RADII, radius = RADIUS, center = CENTER } = {}) {
+  if (!Number.isInteger(sides) || sides % 2 !== 0 || sides < MIN_SIDES || sides > MAX_SIDES) {
+    throw new Error(`Board must have an even number of sides from ${MIN_SIDES} to ${MAX_SIDES}, got ${sides}`);
+  }
+  if (!Array.isArray(ringRadii) || ringRadii.length < MIN_RINGS || ringRadii.length > MAX_RINGS) {
+    throw new Error(`Board must have ${MIN_RINGS}-${MAX_RINGS} rings`);
+  }
+  if (!ringRadii.every((r, i) => Number.isFinite(r) && r > 0 && (i === 0 || r > ringRadii[i - 1]))) {
+    throw new Error('Ring radii must be positive numbers, innermost first');
+  }
+  const stepAngle = 360 / sides;
+  const clearance = ringRadii[0] * Math.sin(degToRad(stepAngle));
+  if (clearance < Math.max(EMITTER_HIT_RADIUS, BLOCKER_HIT_RADIUS)) {
+    throw new Error(`Inner ring radius ${ringRadii[0]} is too small for ${sides} sides: neighbouring positions would block each other's beams`);
+  }
+  return {
+    sides,
+    ringRadii: [...ringRadii],
+    radius,
+    center,
+    stepAngle,
+    shapeRotation: stepAngle / 2,
+    positionOffset: mod360(stepAngle / 2 - 90) % stepAngle,
+  };
+}
+
+export const DEFAULT_GEOMETRY = createGeometry();
+
+// Puzzles share geometry objects, so normalize each one only once
+const normalized = new WeakMap();
+
+/**
+ * Geometry of a puzzle; puzzles without a `geometry` field use the classic board
+ */
+export function getGeometry(puzzle) {
+  const config = puzzle && puzzle.geometry;
+  if (!config) return DEFAULT_GEOMETRY;
+  if (!normalized.has(config)) normalized.set(config, createGeometry(config));
+  return normalized.get(config);
+}
+
+/**
+ * Serializable part of a geometry, as stored in a puzzle's `geometry` field
+ */
+export function geometryConfig(geometry) {
+  return { sides: geometry.sides, ringRadii: [...geometry.ringRadii] };
+}
+
+export function isDefaultGeometry(geometry) {
+  return geometry.sides === SIDES &&
+    geometry.ringRadii.length === RING_RADII.length &&
+    geometry.ringRadii.every((r, i) => r === RING_RADII[i]);
+}
+
+/**
+ * The geometry a generator should build for: options.geometry (a config or a
+ * normalized geometry) or the classic board
+ */
+export function resolveGeometry(options = {}) {
+  return options.geometry ? createGeometry(options.geometry) : DEFAULT_GEOMETRY;
+}
+
+/**
+ * Attach the geometry to a generated puzzle. Classic-board puzzles stay
+ * exactly as before, without a `geometry` field.
+ */
+export function withGeometry(puzzle, geometry) {
+  return isDefaultGeometry(geometry) ? puzzle : { ...puzzle, geometry: geometryConfig(geometry) };
+}
+
+export function getPolygonPoints(sides = SIDES, radius = RADIUS, center = CENTER) {
+  const shapeRotation = 180 / sides;
+  return Array.from({ length: sides }, (_, i) => {
+    const angle = (2 * Math.PI * i) / sides - Math.PI / 2 + degToRad(shapeRotation);
+    return [
+      center + radius * Math.cos(angle),
+      center + radius * Math.sin(angle),
+    ];
+  });
+}
+
+/**
+ * Polygon edges as line segments; edge i runs from vertex i to vertex i + 1
+ */
+export function getEdgeLines(points = getPolygonPoints()) {
+  return points.map((pt, i) => {
+    const next = points[(i + 1) % points.length];
+    return { i, x1: pt[0], y1: pt[1], x2: next[0], y2: next[1] };
+  });
+}
+
+// Convert position (0 to sides - 1) to angle
+export function positionToAngle(pos, geometry = DEFAULT_GEOMETRY) {
+  return mod360(pos * geometry.stepAngle + geometry.positionOffset);
+}
+
+// Convert angle to the nearest position (0 to sides - 1)
+export function angleToPosition(angle, geometry = DEFAULT_GEOMETRY) {
+  const normalized = mod360(angle - geometry.positionOffset);
+  return Math.round(normalized / geometry.stepAngle) % geometry.sides;
+}
@@ -0,0 +1,33 @@
+// hints.js
+// Progressive hints for the game UI, derived from the shortest path between
+// the player's current rotations and the puzzle's solution set.
+
+import { getGeometry } from './geometry.js';
+import { findShortestSolution } from './solver.js';
+
+// Each press of the hint button reveals one more level
+export const HINT_LEVELS = ['ring', 'direction', 'ghost'];
+
+/**
+ * Next move towards the nearest solution. `rotations` are in degrees as kept
+ * by App.jsx, `solutions` is the full (non-deduplicated) solution set.
+ * Returns { circle, direction, targetRotation, movesLeft }, where
+ * targetRotation is the circle's rotation in degrees at the solved state, or
+ * null when the puzzle is already solved or has no solution.
+ */
+export function getHint(puzzle, rotations, solutions) {
+  if (solutions.length === 0) return null;
+
+  const { stepAngle } = getGeometry(puzzle);
+  const steps = rotations.map((deg) => Math.round(deg / stepAngle));
+  const shortest = findShortestSolution(puzzle, steps, { solutions });
+  const next = shortest && shortest.moves.find((move) => move.type === 'rotate');
+  if (!next) return null;
+
+  return {
+    circle: next.circle,
+    direction: next.direction,
+    targetRotation: shortest.target[next.circle] * stepAngle,
+    movesLeft: shortest.length,
+  };
+}
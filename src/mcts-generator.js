@@ -0,0 +1,410 @@
+// Monte Carlo Tree Search puzzle generator
+// Builds a puzzle one decision at a time: first the lit edges, one edge per
+// move until it chooses to stop, then every ring slot in turn (empty, emitter
+// or blocker). Each iteration walks the tree by UCT, expands one new decision
+// and finishes the partial puzzle with a random rollout that the solver
+// scores against the requested difficulty, so the tree learns which early
+// decisions lead to good puzzles. The best finished puzzle is the result.
+
+import { angleToPosition, positionToAngle, resolveGeometry, withGeometry } from './geometry.js';
+import { findAllSolutions, getPar } from './solver.js';
+import { resolveRng } from './random.js';
+import { populationDiversity, runEvolution, runEvolutionAsync } from './evolution-progress.js';
+import { pickQualifyingPuzzle } from './puzzle.js';
+import { resolveConstraints, narrowRange, constrainLayout } from './generation-constraints.js';
+
+const ITERATIONS = 600;
+const ITERATIONS_PER_STEP = 50; // Iterations between progress reports
+const EXPLORATION = 0.7; // UCT exploration constant, for values from 0 to 1
+const CANDIDATES = 10; // Best finished puzzles kept, for diversity and par fitting
+
+// Lit edges, element counts and distinct solution counts aimed for
+const DIFFICULTY_CONFIGS = {
+  easy: { litEdges: [3, 4], emitters: [4, 6], blockers: [1, 2], solutions: [3, 8] },
+  medium: { litEdges: [3, 5], emitters: [5, 7], blockers: [2, 3], solutions: [2, 3] },
+  hard: { litEdges: [4, 6], emitters: [6, 8], blockers: [3, 4], solutions: [1, 1] },
+};
+
+// Cross-platform performance timing
+const getTime = () => {
+  if (typeof performance !== 'undefined' && performance.now) {
+    return performance.now();
+  } else if (typeof Date !== 'undefined') {
+    return Date.now();
+  } else {
+    return 0;
+  }
+};
+
+const randomInt = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
+
+// 1 inside [min, max], falling off with the distance outside it
+const rangeFit = (value, [min, max], scale = 1) => {
+  const distance = value < min ? min - value : Math.max(0, value - max);
+  return Math.exp(-(distance * distance) / (2 * scale * scale));
+};
+
+const countElements = (circles, type) => circles.reduce((sum, circle) => sum + circle[type].length, 0);
+
+/**
+ * Monte Carlo Tree Search Puzzle Generator
+ */
+class MCTSPuzzleGenerator {
+  constructor() {
+    this.rng = Math.random; // Replaced per run by generatePuzzle
+    this.geometry = resolveGeometry(); // Likewise
+    this.unique = false; // Likewise
+  }
+
+  /**
+   * Generate a puzzle by Monte Carlo Tree Search
+   * options: { seed } or { rng } for reproducible output, { geometry } for the board,
+   * { unique: true } to aim for and only count as solvable puzzles with exactly
+   * one solution, { par } to turn the rings of the result to start exactly par
+   * moves from solved (metadata.par). With either, when none of the best
+   * puzzles qualifies one is searched for instead (metadata.searched, see
+   * pickQualifyingPuzzle), and it throws when the search finds none either,
+   * { constraints } to build within a lit edge range, per-ring element counts
+   * and required lit edges (see generation-constraints.js),
+   * { onProgress } to receive stats every ITERATIONS_PER_STEP iterations (see search)
+   */
+  generatePuzzle(difficulty = 'medium', options = {}) {
+    return runEvolution(this.search(difficulty, options), options.onProgress);
+  }
+
+  /**
+   * generatePuzzle as a promise that yields to the event loop between
+   * progress reports. Also takes { signal } (an AbortSignal) to stop early, in
+   * which case it rejects with the signal's reason. One run at a time per instance.
+   */
+  generatePuzzleAsync(difficulty = 'medium', options = {}) {
+    return runEvolutionAsync(this.search(difficulty, options), options);
+  }
+
+  /**
+   * The search loop: yields { generation, bestFitness, solvable, diversity,
+   * iterations, treeSize, timeMs } every ITERATIONS_PER_STEP iterations
+   * (generation counts the reports, diversity is that of the best finished
+   * puzzles) and returns { puzzle, metadata }
+   */
+  *search(difficulty = 'medium', options = {}) {
+    const startTime = getTime();
+    this.rng = resolveRng(options);
+    this.geometry = resolveGeometry(options);
+    this.unique = Boolean(options.unique);
+    const par = options.par ?? null;
+    console.log(`🌳 Starting Monte Carlo Tree Search generation (${difficulty})...`);
+
+    const config = this.getDifficultyConfig(difficulty, resolveConstraints(options.constraints, this.geometry));
+    const root = this.createNode(null, null);
+    let treeSize = 1;
+    let candidates = []; // Best finished layouts, best first
+    let step = 0;
+    let iteration = 0;
+
+    while (iteration < ITERATIONS) {
+      // Selection: follow UCT while every decision of a node has been tried
+      let node = root;
+      const state = this.createState(config);
+      while (node.untried !== null && node.untried.length === 0 && node.children.length > 0) {
+        node = this.selectChild(node);
+        this.applyAction(state, node.action, config);
+      }
+
+      // Expansion: one untried decision
+      if (node.untried === null) node.untried = this.getActions(state, config);
+      if (node.untried.length > 0) {
+        const index = Math.floor(this.rng() * node.untried.length);
+        const [action] = node.untried.splice(index, 1);
+        const child = this.createNode(node, action);
+        node.children.push(child);
+        treeSize++;
+        node = child;
+        this.applyAction(state, action, config);
+      }
+
+      // Simulation: finish the puzzle at random and score it
+      const layout = this.rollout(state, config);
+      const result = this.evaluate(layout, config);
+      candidates = this.keepCandidate(candidates, layout, result);
+
+      // Backpropagation
+      for (let n = node; n; n = n.parent) {
+        n.visits++;
+        n.total += result.value;
+      }
+      iteration++;
+
+      if (iteration % ITERATIONS_PER_STEP === 0 || iteration === ITERATIONS) {
+        const best = candidates[0];
+        yield {
+          generation: step,
+          bestFitness: best.value,
+          solvable: best.solvable,
+          diversity: populationDiversity(candidates.map((candidate) => candidate.layout)),
+          iterations: iteration,
+          treeSize,
+          timeMs: getTime() - startTime,
+        };
+        step++;
+        if (best.solvable && best.value >= 1) {
+          console.log(`🎯 Found a puzzle matching ${difficulty} exactly after ${iteration} iterations!`);
+          break;
+        }
+      }
+    }
+
+    const best = candidates[0];
+    let puzzle = this.layoutToPuzzle(best.layout);
+    let searched = false;
+    let scored = best;
+    if (this.unique || par !== null) {
+      const puzzles = candidates.filter((candidate) => candidate.solvable).map((candidate) => this.layoutToPuzzle(candidate.layout));
+      ({ puzzle, searched } = pickQualifyingPuzzle(puzzles, config.litEdges, {
+        rng: this.rng, geometry: this.geometry, unique: this.unique, par, constraints: options.constraints,
+      }));
+      // The metadata describes the puzzle returned, which may not be the best one
+      scored = this.evaluate(this.puzzleToLayout(puzzle), config);
+    }
+
+    const totalTime = getTime() - startTime;
+    console.log(`🎯 Tree search complete! Best value: ${best.value.toFixed(3)}, Time: ${totalTime.toFixed(0)}ms`);
+
+    return {
+      puzzle,
+      metadata: {
+        fitness: scored.value,
+        generations: step,
+        iterations: iteration,
+        treeSize,
+        timeMs: totalTime,
+        solvable: scored.solvable,
+        solutionCount: scored.solutionCount,
+        fitnessBreakdown: scored.breakdown,
+        searched,
+        ...(par !== null && { par: getPar(puzzle) })
+      }
+    };
+  }
+
+  /**
+   * Get difficulty configuration, narrowed to resolved constraints (see
+   * generation-constraints.js) and with ranges clamped to the board. `bounds`
+   * are the constraints every finished layout is repaired to.
+   */
+  getDifficultyConfig(difficulty, constraints = resolveConstraints({}, this.geometry)) {
+    const config = DIFFICULTY_CONFIGS[difficulty] || DIFFICULTY_CONFIGS.medium;
+    const { sides, ringRadii } = this.geometry;
+    const narrowed = narrowRange(config.litEdges, constraints.litRange);
+    const maxLit = Math.min(narrowed[1], sides - constraints.avoidedLitEdges.length);
+    const litEdges = [Math.min(narrowed[0], maxLit), maxLit];
+    const emittersPerRing = constraints.emittersPerRing || [0, sides];
+    const blockersPerRing = constraints.blockersPerRing || [0, sides];
+    const totals = (range) => range.map((count) => count * ringRadii.length);
+    return {
+      ...config,
+      litEdges,
+      emitters: narrowRange(config.emitters, totals(emittersPerRing)),
+      blockers: narrowRange(config.blockers, totals(blockersPerRing)),
+      emittersPerRing,
+      blockersPerRing,
+      requiredLitEdges: constraints.requiredLitEdges,
+      bounds: { ...constraints, litRange: litEdges },
+      solutions: this.unique ? [1, 1] : config.solutions,
+    };
+  }
+
+  createNode(parent, action) {
+    return { parent, action, children: [], untried: null, visits: 0, total: 0 };
+  }
+
+  /**
+   * Child with the best upper confidence bound (UCT)
+   */
+  selectChild(node) {
+    const logVisits = Math.log(node.visits);
+    let best = null;
+    let bestScore = -Infinity;
+    for (const child of node.children) {
+      const score = child.total / child.visits + EXPLORATION * Math.sqrt(logVisits / child.visits);
+      if (score > bestScore) {
+        best = child;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * A partial puzzle: lit edges so far (the required ones to begin with),
+   * whether they are final, and the next ring slot to decide (slot = ring *
+   * sides + position)
+   */
+  createState(config) {
+    return {
+      litEdges: [...config.requiredLitEdges],
+      litDone: config.requiredLitEdges.length >= config.litEdges[1],
+      slot: 0,
+      circles: this.geometry.ringRadii.map(() => ({ emitters: [], blockers: [] }))
+    };
+  }
+
+  /**
+   * Decisions open in a state: add any unused lit edge that is not avoided
+   * or, with enough of them, stop; then leave the next slot empty or, below
+   * the difficulty's maximum and the ring's, put an emitter or blocker there
+   * unless the constraints avoid it. A slot with a fixed element only takes
+   * that element. None once every slot is decided.
+   */
+  getActions(state, config) {
+    const { avoidedLitEdges, fixedElements, avoidedElements } = config.bounds;
+    if (!state.litDone) {
+      const edges = Array.from({ length: this.geometry.sides }, (_, edge) => edge)
+        .filter((edge) => !state.litEdges.includes(edge) && !avoidedLitEdges.includes(edge));
+      return [...edges, ...(state.litEdges.length >= config.litEdges[0] || edges.length === 0 ? ['stop'] : [])];
+    }
+    const { sides } = this.geometry;
+    if (state.slot >= sides * state.circles.length) return [];
+    const ring = Math.floor(state.slot / sides);
+    const position = state.slot % sides;
+    const fixed = fixedElements.find((rule) => rule.ring === ring && rule.position === position);
+    if (fixed) return [fixed.element];
+    const circle = state.circles[ring];
+    const room = (element, total, perRing) => countElements(state.circles, `${element}s`) < total[1] &&
+      circle[`${element}s`].length < perRing[1] &&
+      !avoidedElements.some((rule) => rule.ring === ring && rule.element === element && (rule.position === undefined || rule.position === position));
+    return [
+      'empty',
+      ...(room('emitter', config.emitters, config.emittersPerRing) ? ['emitter'] : []),
+      ...(room('blocker', config.blockers, config.blockersPerRing) ? ['blocker'] : []),
+    ];
+  }
+
+  applyAction(state, action, config) {
+    if (!state.litDone) {
+      if (action === 'stop') {
+        state.litDone = true;
+      } else {
+        state.litEdges.push(action);
+        state.litDone = state.litEdges.length >= config.litEdges[1];
+      }
+      return;
+    }
+    const { sides } = this.geometry;
+    const circle = state.circles[Math.floor(state.slot / sides)];
+    if (action === 'emitter') circle.emitters.push(state.slot % sides);
+    if (action === 'blocker') circle.blockers.push(state.slot % sides);
+    state.slot++;
+  }
+
+  /**
+   * Finish a partial puzzle at random within the difficulty's ranges, then
+   * repair it to the config's bounds. Returns the finished layout
+   * ({ litEdges, circles: [{ emitters, blockers }] }).
+   */
+  rollout(state, config) {
+    const { sides } = this.geometry;
+    const litEdges = [...state.litEdges];
+    if (!state.litDone) {
+      const count = randomInt(this.rng, Math.max(litEdges.length, config.litEdges[0]), config.litEdges[1]);
+      while (litEdges.length < count) {
+        const edge = Math.floor(this.rng() * sides);
+        if (!litEdges.includes(edge) && !config.bounds.avoidedLitEdges.includes(edge)) litEdges.push(edge);
+      }
+    }
+
+    const circles = state.circles.map((circle) => ({ emitters: [...circle.emitters], blockers: [...circle.blockers] }));
+    const placed = { emitters: countElements(circles, 'emitters'), blockers: countElements(circles, 'blockers') };
+    const wanted = {
+      emitters: randomInt(this.rng, Math.max(placed.emitters, config.emitters[0]), config.emitters[1]),
+      blockers: randomInt(this.rng, Math.max(placed.blockers, config.blockers[0]), config.blockers[1]),
+    };
+    // Spread the missing elements evenly over the slots left
+    const total = sides * circles.length;
+    for (let slot = state.slot; slot < total; slot++) {
+      const left = total - slot;
+      const needEmitters = wanted.emitters - placed.emitters;
+      const needBlockers = wanted.blockers - placed.blockers;
+      const roll = this.rng() * left;
+      const type = roll < needEmitters ? 'emitters' : roll < needEmitters + needBlockers ? 'blockers' : null;
+      const circle = circles[Math.floor(slot / sides)];
+      if (type && circle[type].length < config[`${type}PerRing`][1]) {
+        circle[type].push(slot % sides);
+        placed[type]++;
+      }
+    }
+    return constrainLayout({ litEdges: litEdges.sort((a, b) => a - b), circles }, config.bounds, this.rng, this.geometry);
+  }
+
+  /**
+   * Score a finished layout against the difficulty: 0 when unsolvable,
+   * otherwise 0.4 plus up to 0.6 for how well its distinct solution count,
+   * element counts and use of every ring match. In unique mode only one
+   * solution counts as solvable.
+   */
+  evaluate(layout, config) {
+    const solutionCount = findAllSolutions(this.layoutToPuzzle(layout)).length;
+    const emitters = countElements(layout.circles, 'emitters');
+    const blockers = countElements(layout.circles, 'blockers');
+    const breakdown = {
+      solvable: solutionCount > 0 ? 1 : 0,
+      solutions: solutionCount > 0 ? rangeFit(Math.log2(solutionCount), config.solutions.map(Math.log2)) : 0,
+      elements: (rangeFit(emitters, config.emitters) + rangeFit(blockers, config.blockers)) / 2,
+      rings: layout.circles.filter((circle) => circle.emitters.length + circle.blockers.length > 0).length / layout.circles.length
+    };
+    const value = solutionCount > 0
+      ? 0.4 + 0.6 * (0.5 * breakdown.solutions + 0.3 * breakdown.elements + 0.2 * breakdown.rings)
+      : 0;
+    return {
+      value,
+      solvable: this.unique ? solutionCount === 1 : solutionCount > 0,
+      solutionCount,
+      breakdown
+    };
+  }
+
+  /**
+   * The CANDIDATES best distinct layouts after adding one, best first
+   */
+  keepCandidate(candidates, layout, result) {
+    const key = JSON.stringify(layout);
+    if (candidates.some((candidate) => candidate.key === key)) return candidates;
+    return [...candidates, { key, layout, ...result }]
+      .sort((a, b) => b.value - a.value)
+      .slice(0, CANDIDATES);
+  }
+
+  /**
+   * The layout of a puzzle on this generator's board
+   */
+  puzzleToLayout(puzzle) {
+    const geometry = this.geometry;
+    return {
+      litEdges: [...puzzle.litEdges],
+      circles: puzzle.circles.map((circle) => ({
+        emitters: circle.lasers.map((angle) => angleToPosition(angle, geometry)),
+        blockers: circle.blockers.map((angle) => angleToPosition(angle, geometry))
+      }))
+    };
+  }
+
+  layoutToPuzzle(layout) {
+    const geometry = this.geometry;
+    return withGeometry({
+      litEdges: [...layout.litEdges],
+      circles: layout.circles.map((circle, index) => ({
+        radius: geometry.ringRadii[index],
+        lasers: circle.emitters.map((pos) => positionToAngle(pos, geometry)),
+        blockers: circle.blockers.map((pos) => positionToAngle(pos, geometry))
+      }))
+    }, geometry);
+  }
+}
+
+// Export the MCTS generator
+const mctsGenerator = new MCTSPuzzleGenerator();
+
+export {
+  mctsGenerator,
+  MCTSPuzzleGenerator
+};
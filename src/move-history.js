@@ -0,0 +1,84 @@
+// move-history.js
+// Undo/redo history of the player's moves. Every entry stores the full board
+// state (rotations in degrees, selected circle) reached by one move, so undo,
+// redo and jumping to any earlier move are just index changes.
+
+import { STEP_ANGLE, mod360, ringName } from './geometry.js';
+
+/**
+ * Fresh history whose only entry is the unrotated start state. `stepAngle`
+ * is one rotation step of the board in degrees.
+ */
+export function createHistory(rings = 3, rotations = new Array(rings).fill(0), stepAngle = STEP_ANGLE) {
+  return {
+    entries: [{ rotations, selected: 0, move: null }],
+    index: 0,
+    stepAngle,
+  };
+}
+
+/**
+ * Board state at the current point in the history
+ */
+export function getCurrentState(history) {
+  return history.entries[history.index];
+}
+
+/**
+ * Record a move. { type: 'rotate', direction } turns the selected circle one
+ * step (+1 = clockwise), { type: 'select', delta } moves the selection up (-1)
+ * or down (+1). Any undone moves past the current entry are discarded.
+ */
+export function applyMove(history, move) {
+  const { rotations, selected } = getCurrentState(history);
+  const rings = rotations.length;
+  let entry;
+  if (move.type === 'rotate') {
+    entry = {
+      rotations: rotations.map((r, i) => (i === selected ? mod360(r + move.direction * history.stepAngle) : r)),
+      selected,
+      move: { type: 'rotate', circle: selected, direction: move.direction },
+    };
+  } else {
+    const circle = (selected + move.delta + rings) % rings;
+    entry = { rotations, selected: circle, move: { type: 'select', circle } };
+  }
+  return {
+    ...history,
+    entries: [...history.entries.slice(0, history.index + 1), entry],
+    index: history.index + 1,
+  };
+}
+
+export function canUndo(history) {
+  return history.index > 0;
+}
+
+export function canRedo(history) {
+  return history.index < history.entries.length - 1;
+}
+
+export function undo(history) {
+  return canUndo(history) ? { ...history, index: history.index - 1 } : history;
+}
+
+export function redo(history) {
+  return canRedo(history) ? { ...history, index: history.index + 1 } : history;
+}
+
+/**
+ * Jump to any recorded entry (0 = start); later entries stay available to redo
+ */
+export function jumpTo(history, index) {
+  if (index < 0 || index >= history.entries.length) return history;
+  return { ...history, index };
+}
+
+/**
+ * Short human-readable label for a recorded move on a board with `rings` rings
+ */
+export function describeMove(move, rings) {
+  const ring = `${ringName(move.circle, rings)} ring`;
+  if (move.type === 'select') return `Select ${ring}`;
+  return `Rotate ${ring} ${move.direction > 0 ? '↻' : '↺'}`;
+}
@@ -0,0 +1,316 @@
+// Pareto (NSGA-II) multi-objective puzzle generator
+// Instead of folding the scores into one weighted fitness, each puzzle keeps
+// four objectives (difficulty, distribution, variety, aesthetics) and the
+// population is ranked by non-domination, with crowding distance keeping each
+// front spread out. Solvability is a constraint: any solvable puzzle
+// dominates every unsolvable one. The result is the whole first front, so the
+// player can choose the trade-off instead of the weights.
+
+import { resolveGeometry } from './geometry.js';
+import { getPar, pickQualifyingPuzzle } from './puzzle.js';
+import { analyzePuzzleDifficulty } from './difficulty-analyzer.js';
+import { fitToPar } from './target-par.js';
+import { resolveRng } from './random.js';
+import { SimplifiedEvolutionaryGenerator } from './simplified-evolutionary-generator.js';
+import { resolveConstraints } from './generation-constraints.js';
+import { dedupePuzzles } from './canonical-puzzle.js';
+import { populationDiversity, runEvolution, runEvolutionAsync } from './evolution-progress.js';
+
+const POPULATION_SIZE = 24;
+const MAX_GENERATIONS = 15;
+
+export const OBJECTIVES = ['difficulty', 'distribution', 'variety', 'aesthetics'];
+
+// Cross-platform performance timing
+const getTime = () => {
+  if (typeof performance !== 'undefined' && performance.now) {
+    return performance.now();
+  } else if (typeof Date !== 'undefined') {
+    return Date.now();
+  } else {
+    return 0;
+  }
+};
+
+const layoutKey = (chromosome) => JSON.stringify({ litEdges: chromosome.litEdges, circles: chromosome.circles });
+
+/**
+ * Whether chromosome a dominates b: solvable beats unsolvable, otherwise a
+ * must be at least as good on every objective and better on one
+ */
+export function dominates(a, b) {
+  if (a.solvable !== b.solvable) return a.solvable;
+  let better = false;
+  for (const objective of OBJECTIVES) {
+    if (a.objectives[objective] < b.objectives[objective]) return false;
+    if (a.objectives[objective] > b.objectives[objective]) better = true;
+  }
+  return better;
+}
+
+/**
+ * Fast non-dominated sort: the population split into fronts, best first.
+ * Sets each chromosome's rank (0 for the first front).
+ */
+export function nonDominatedSort(population) {
+  const dominated = population.map(() => []);
+  const dominatedBy = population.map(() => 0);
+  const fronts = [[]];
+  population.forEach((a, i) => {
+    population.forEach((b, j) => {
+      if (i === j) return;
+      if (dominates(a, b)) dominated[i].push(j);
+      else if (dominates(b, a)) dominatedBy[i]++;
+    });
+    if (dominatedBy[i] === 0) {
+      a.rank = 0;
+      fronts[0].push(i);
+    }
+  });
+  for (let rank = 0; fronts[rank].length > 0; rank++) {
+    const next = [];
+    for (const i of fronts[rank]) {
+      for (const j of dominated[i]) {
+        dominatedBy[j]--;
+        if (dominatedBy[j] === 0) {
+          population[j].rank = rank + 1;
+          next.push(j);
+        }
+      }
+    }
+    fronts.push(next);
+  }
+  fronts.pop(); // The empty front that ended the loop
+  return fronts.map((front) => front.map((i) => population[i]));
+}
+
+/**
+ * Set each chromosome's crowding distance within its front: the size of the
+ * box between its neighbours on every objective, infinite at the extremes
+ */
+export function assignCrowdingDistance(front) {
+  front.forEach((chromosome) => {
+    chromosome.crowding = 0;
+  });
+  for (const objective of OBJECTIVES) {
+    const sorted = [...front].sort((a, b) => a.objectives[objective] - b.objectives[objective]);
+    const range = sorted[sorted.length - 1].objectives[objective] - sorted[0].objectives[objective];
+    sorted[0].crowding = Infinity;
+    sorted[sorted.length - 1].crowding = Infinity;
+    if (range === 0) continue;
+    for (let i = 1; i < sorted.length - 1; i++) {
+      sorted[i].crowding += (sorted[i + 1].objectives[objective] - sorted[i - 1].objectives[objective]) / range;
+    }
+  }
+}
+
+/**
+ * Pareto Puzzle Generator
+ */
+class ParetoPuzzleGenerator {
+  constructor() {
+    this.scorer = new SimplifiedEvolutionaryGenerator(); // Score parts, variation and conversions
+    this.rng = Math.random; // Replaced per run by generatePuzzle
+    this.geometry = this.scorer.geometry; // Likewise
+    this.difficultyCache = new Map(); // Overall difficulty by layout
+  }
+
+  /**
+   * Generate the first Pareto front. Returns { puzzle, front, metadata }
+   * where front lists { puzzle, objectives, fitness, solvable } sorted by
+   * difficulty and puzzle is the front member with the best weighted fitness
+   * (metadata.selected is its index).
+   * options: { seed } or { rng } for reproducible output, { geometry } for the board,
+   * { unique: true } to only count puzzles with exactly one solution as
+   * solvable and leave the others off the front,
+   * { par } to turn the rings of every front puzzle to start exactly par moves
+   * from solved, leaving out those that cannot be. With either, when no front
+   * puzzle qualifies the front is the first puzzle of the rest of the
+   * population that does or else one searched for (metadata.searched, see
+   * pickQualifyingPuzzle), and it throws when the search finds none either,
+   * { constraints } to keep every puzzle within a lit edge range, per-ring
+   * element counts and required lit edges (see generation-constraints.js),
+   * { onProgress } to receive each generation's stats (see evolve)
+   */
+  generatePuzzle(difficulty = 'medium', options = {}) {
+    return runEvolution(this.evolve(difficulty, options), options.onProgress);
+  }
+
+  /**
+   * generatePuzzle as a promise that yields to the event loop between
+   * generations. Also takes { signal } (an AbortSignal) to stop early, in which
+   * case it rejects with the signal's reason. One run at a time per instance.
+   */
+  generatePuzzleAsync(difficulty = 'medium', options = {}) {
+    return runEvolutionAsync(this.evolve(difficulty, options), options);
+  }
+
+  /**
+   * The NSGA-II loop: yields { generation, bestFitness, solvable, diversity,
+   * frontSize, timeMs } for each generation's parents and returns
+   * { puzzle, front, metadata }
+   */
+  *evolve(difficulty = 'medium', options = {}) {
+    const startTime = getTime();
+    this.rng = resolveRng(options);
+    this.geometry = resolveGeometry(options);
+    Object.assign(this.scorer, { rng: this.rng, geometry: this.geometry, unique: Boolean(options.unique) });
+    this.scorer.solvabilityCache.clear();
+    this.difficultyCache.clear();
+    const par = options.par ?? null;
+    console.log(`📈 Starting Pareto generation (${difficulty})...`);
+
+    const config = this.scorer.getDifficultyConfig(difficulty, resolveConstraints(options.constraints, this.geometry));
+    let population = Array.from({ length: POPULATION_SIZE }, () => this.evaluate(this.scorer.createRandomChromosome(config)));
+    nonDominatedSort(population).forEach(assignCrowdingDistance);
+
+    let generation = 0;
+    for (; generation < MAX_GENERATIONS; generation++) {
+      const firstFront = population.filter((chromosome) => chromosome.rank === 0);
+      yield {
+        generation,
+        bestFitness: Math.max(...population.map((chromosome) => chromosome.fitness)),
+        solvable: firstFront.some((chromosome) => chromosome.solvable),
+        diversity: populationDiversity(population),
+        frontSize: firstFront.length,
+        timeMs: getTime() - startTime,
+      };
+
+      const offspring = [];
+      while (offspring.length < POPULATION_SIZE) {
+        const child = this.scorer.crossover(this.selectParent(population), this.selectParent(population));
+        this.scorer.mutate(child, config);
+        offspring.push(this.evaluate(child));
+      }
+      population = this.survivors([...population, ...offspring]);
+    }
+
+    let front = this.firstFront(population, par);
+    let searched = false;
+    if (front.length === 0) {
+      const rest = population
+        .filter((chromosome) => chromosome.rank > 0)
+        .sort((a, b) => a.rank - b.rank)
+        .map((chromosome) => this.scorer.chromosomeToPuzzle(chromosome));
+      const picked = pickQualifyingPuzzle(rest, config.litEdges, {
+        rng: this.rng, geometry: this.geometry, unique: this.scorer.unique, par, constraints: options.constraints,
+      });
+      searched = picked.searched;
+      front = [this.frontEntry(this.evaluate(this.scorer.puzzleToChromosome(picked.puzzle)), picked.puzzle)];
+    }
+    const selected = front.reduce((best, entry, i) => (entry.fitness > front[best].fitness ? i : best), 0);
+    const { puzzle } = front[selected];
+
+    const totalTime = getTime() - startTime;
+    console.log(`🎯 Pareto generation complete! Front size: ${front.length}, Time: ${totalTime.toFixed(0)}ms`);
+
+    return {
+      puzzle,
+      front,
+      metadata: {
+        fitness: front[selected].fitness,
+        generations: generation,
+        timeMs: totalTime,
+        solvable: front[selected].solvable,
+        frontSize: front.length,
+        selected,
+        fitnessBreakdown: front[selected].objectives,
+        searched,
+        ...(par !== null && { par: getPar(puzzle) })
+      }
+    };
+  }
+
+  /**
+   * Score a chromosome: the weighted fitness and its parts via the simplified
+   * generator, plus the difficulty analyzer's overall difficulty for solvable
+   * layouts. Returns the chromosome.
+   */
+  evaluate(chromosome) {
+    this.scorer.calculateFitness(chromosome);
+    const key = layoutKey(chromosome);
+    if (!this.difficultyCache.has(key)) {
+      const difficulty = chromosome.solvable
+        ? analyzePuzzleDifficulty(this.scorer.chromosomeToPuzzle(chromosome)).overallDifficulty
+        : 0;
+      this.difficultyCache.set(key, difficulty);
+    }
+    chromosome.objectives = {
+      difficulty: this.difficultyCache.get(key),
+      distribution: chromosome.breakdown.distribution,
+      variety: chromosome.breakdown.variety,
+      aesthetics: chromosome.breakdown.aesthetic
+    };
+    return chromosome;
+  }
+
+  /**
+   * Binary tournament: lower rank wins, then larger crowding distance
+   */
+  selectParent(population) {
+    const a = population[Math.floor(this.rng() * population.length)];
+    const b = population[Math.floor(this.rng() * population.length)];
+    if (a.rank !== b.rank) return a.rank < b.rank ? a : b;
+    return a.crowding >= b.crowding ? a : b;
+  }
+
+  /**
+   * The next parents: whole fronts while they fit, then the most spread out
+   * members of the front that does not
+   */
+  survivors(combined) {
+    const next = [];
+    for (const front of nonDominatedSort(combined)) {
+      assignCrowdingDistance(front);
+      if (next.length + front.length <= POPULATION_SIZE) {
+        next.push(...front);
+      } else {
+        const sorted = [...front].sort((a, b) => b.crowding - a.crowding);
+        next.push(...sorted.slice(0, POPULATION_SIZE - next.length));
+        break;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * The distinct members of the first front as { puzzle, objectives, fitness,
+   * solvable }, sorted by difficulty. Members that are the same game turned
+   * or mirrored count once (see canonical-puzzle.js). In unique mode only
+   * members with exactly one solution are kept, and with a par each puzzle is
+   * turned to it, and scored as turned, and those that cannot be are left out.
+   */
+  firstFront(population, par) {
+    const members = population.filter((chromosome) => chromosome.rank === 0);
+    return dedupePuzzles(members, (chromosome) => this.scorer.chromosomeToPuzzle(chromosome))
+      .map((chromosome) => {
+        const puzzle = this.scorer.chromosomeToPuzzle(chromosome);
+        if (par === null) return this.frontEntry(chromosome, puzzle);
+        // Turning the rings moves every element, so a fitted puzzle is scored again
+        const fitted = fitToPar(puzzle, par, { rng: this.rng });
+        return fitted ? this.frontEntry(this.evaluate(this.scorer.puzzleToChromosome(fitted)), fitted) : { puzzle: null };
+      })
+      .filter((entry) => entry.puzzle && (!this.scorer.unique || entry.solvable))
+      .sort((a, b) => a.objectives.difficulty - b.objectives.difficulty);
+  }
+
+  /**
+   * A front entry for an evaluated chromosome, showing `puzzle`
+   */
+  frontEntry(chromosome, puzzle) {
+    return {
+      puzzle,
+      objectives: { ...chromosome.objectives },
+      fitness: chromosome.fitness,
+      solvable: chromosome.solvable
+    };
+  }
+}
+
+// Export the Pareto generator
+const paretoGenerator = new ParetoPuzzleGenerator();
+
+export {
+  paretoGenerator,
+  ParetoPuzzleGenerator
+};
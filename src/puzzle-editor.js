@@ -0,0 +1,98 @@
+// puzzle-editor.js
+// Pure editing operations behind the level editor in App.jsx. Every function
+// returns a new puzzle so edits can be stored directly in React state.
+
+import {
+  DEFAULT_GEOMETRY,
+  getGeometry,
+  positionToAngle,
+  angleToPosition,
+  mod360,
+  withGeometry,
+} from './geometry.js';
+
+/**
+ * Board with no lit edges and empty rings (the classic board unless a
+ * geometry from createGeometry is given)
+ */
+export function createEmptyPuzzle(geometry = DEFAULT_GEOMETRY) {
+  return withGeometry({
+    litEdges: [],
+    circles: geometry.ringRadii.map((radius) => ({ radius, lasers: [], blockers: [] })),
+  }, geometry);
+}
+
+/**
+ * Copy of a puzzle for editing, snapping every element onto the position grid
+ */
+export function toEditablePuzzle(puzzle) {
+  const geometry = getGeometry(puzzle);
+  const snap = (angle) => positionToAngle(angleToPosition(angle, geometry), geometry);
+  return withGeometry({
+    litEdges: [...puzzle.litEdges],
+    circles: puzzle.circles.map(({ radius, lasers, blockers }) => ({
+      radius,
+      lasers: lasers.map(snap),
+      blockers: blockers.map(snap),
+    })),
+  }, geometry);
+}
+
+export function toggleLitEdge(puzzle, edge) {
+  const litEdges = puzzle.litEdges.includes(edge)
+    ? puzzle.litEdges.filter((e) => e !== edge)
+    : [...puzzle.litEdges, edge].sort((a, b) => a - b);
+  return { ...puzzle, litEdges };
+}
+
+/**
+ * What occupies a slot: 'emitter', 'blocker' or null
+ */
+export function getSlotContent(circle, position, geometry = DEFAULT_GEOMETRY) {
+  const angle = positionToAngle(position, geometry);
+  if (circle.lasers.some((a) => mod360(a) === angle)) return 'emitter';
+  if (circle.blockers.some((a) => mod360(a) === angle)) return 'blocker';
+  return null;
+}
+
+/**
+ * Cycle a slot through empty -> emitter -> blocker -> empty
+ */
+export function cycleSlot(puzzle, circleIdx, position) {
+  const geometry = getGeometry(puzzle);
+  const angle = positionToAngle(position, geometry);
+  const circles = puzzle.circles.map((circle, idx) => {
+    if (idx !== circleIdx) return circle;
+    const lasers = circle.lasers.filter((a) => mod360(a) !== angle);
+    const blockers = circle.blockers.filter((a) => mod360(a) !== angle);
+    switch (getSlotContent(circle, position, geometry)) {
+      case null:
+        return { ...circle, lasers: [...lasers, angle], blockers };
+      case 'emitter':
+        return { ...circle, lasers, blockers: [...blockers, angle] };
+      default:
+        return { ...circle, lasers, blockers };
+    }
+  });
+  return { ...puzzle, circles };
+}
+
+/**
+ * Slots breaking the opposite-position rule generatePuzzle enforces (no two
+ * elements of one ring at positions p and p + sides / 2), as
+ * "circle:position" keys
+ */
+export function findOppositeConflicts(puzzle) {
+  const geometry = getGeometry(puzzle);
+  const halfTurn = geometry.sides / 2;
+  const conflicts = new Set();
+  puzzle.circles.forEach((circle, idx) => {
+    for (let position = 0; position < halfTurn; position++) {
+      if (getSlotContent(circle, position, geometry) && getSlotContent(circle, position + halfTurn, geometry)) {
+        conflicts.add(`${idx}:${position}`);
+        conflicts.add(`${idx}:${position + halfTurn}`);
+      }
+    }
+  });
+  return conflicts;
+}
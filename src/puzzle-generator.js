@@ -1,9 +1,20 @@
 // Advanced Puzzle Generation Algorithm with Solution Space Analysis
 // Implements improved techniques from the README
 import { generateEnhancedConstraintPuzzle, validateEnhancedPuzzle } from './enhanced-puzzle-generator.js';
-
-const SIDES = 12;
-const SHAPE_ROTATION = 15; // degrees
+import { resolveRng } from './random.js';
+import { validatePuzzle } from './puzzle-schema.js';
+import { hasUniqueSolution, findAllSolutions, isSolvedAt } from './solver.js';
+import { fitToPar } from './target-par.js';
+import { isPuzzleSolvable, pickQualifyingPuzzle } from './puzzle.js';
+import { resolveConstraints, constrainPuzzle, hasLayoutConstraints } from './generation-constraints.js';
+import {
+  DEFAULT_GEOMETRY,
+  getGeometry,
+  positionToAngle,
+  mod360,
+  resolveGeometry,
+  withGeometry,
+} from './geometry.js';
 
 // Cross-platform performance timing
 const getTime = () => {
@@ -28,15 +39,19 @@ const performanceStats = {
 // Solution space mapping cache
 const solutionSpaceCache = new Map();
 
+// Puzzles tried per call when a unique solution or a par is required
+const MAX_REQUIREMENT_ATTEMPTS = 200;
+
 /**
  * Pre-calculate which emitter positions can hit which edges under different rotations
  * This creates a comprehensive mapping of possibilities to enable constraint-based generation
  */
-function calculateSolutionSpace() {
+function calculateSolutionSpace(geometry = DEFAULT_GEOMETRY) {
   const startTime = getTime();
   performanceStats.solutionSpaceCalculations++;
+  const { sides, stepAngle, shapeRotation, ringRadii } = geometry;
   
-  const cacheKey = 'solution-space';
+  const cacheKey = `solution-space:${sides}:${ringRadii.join(',')}`;
   if (solutionSpaceCache.has(cacheKey)) {
     performanceStats.cacheHits++;
     return solutionSpaceCache.get(cacheKey);
@@ -53,35 +68,36 @@ function calculateSolutionSpace() {
     difficultyMetrics: new Map()
   };
   
+  // Emitter angles on the board's grid (15° + 30k on the classic board)
+  const gridAngles = Array.from({ length: sides }, (_, pos) => positionToAngle(pos, geometry));
+  
   // Initialize maps
-  for (let circle = 0; circle < 3; circle++) {
+  for (let circle = 0; circle < ringRadii.length; circle++) {
     solutionSpace.emitterToEdge.set(circle, new Map());
-    for (let angle = 15; angle < 360; angle += 30) {
+    for (const angle of gridAngles) {
       solutionSpace.emitterToEdge.get(circle).set(angle, new Map());
-      for (let edge = 0; edge < SIDES; edge++) {
+      for (let edge = 0; edge < sides; edge++) {
         solutionSpace.emitterToEdge.get(circle).get(angle).set(edge, []);
       }
     }
   }
   
-  for (let edge = 0; edge < SIDES; edge++) {
+  for (let edge = 0; edge < sides; edge++) {
     solutionSpace.edgeToEmitters.set(edge, []);
   }
   
   // Calculate all possible emitter-to-edge connections
-  for (let circle = 0; circle < 3; circle++) {
-    const radius = [50, 90, 130][circle];
-    
-    for (let emitterAngle = 15; emitterAngle < 360; emitterAngle += 30) {
-      for (let rotation = 0; rotation < 360; rotation += 30) {
-        const actualAngle = emitterAngle + rotation + SHAPE_ROTATION;
+  for (let circle = 0; circle < ringRadii.length; circle++) {
+    for (const emitterAngle of gridAngles) {
+      for (let rotation = 0; rotation < 360; rotation += stepAngle) {
+        const actualAngle = emitterAngle + rotation + shapeRotation;
         
         // Calculate which edge this emitter would hit (simplified - no blockers)
         const targetAngle = (actualAngle + 180) % 360;
-        const edgeIndex = Math.round(((targetAngle - 15) % 360) / 30) % SIDES;
+        const edgeIndex = Math.round(((targetAngle - stepAngle / 2) % 360) / stepAngle) % sides;
         
         // Check if this is a valid hit (accounting for geometry)
-        if (canEmitterHitEdge(circle, emitterAngle, edgeIndex, rotation)) {
+        if (canEmitterHitEdge(circle, emitterAngle, edgeIndex, rotation, geometry)) {
           solutionSpace.emitterToEdge.get(circle).get(emitterAngle).get(edgeIndex).push(rotation);
           solutionSpace.edgeToEmitters.get(edgeIndex).push({
             circle,
@@ -94,7 +110,7 @@ function calculateSolutionSpace() {
   }
   
   // Calculate difficulty metrics
-  calculateDifficultyMetrics(solutionSpace);
+  calculateDifficultyMetrics(solutionSpace, geometry);
   
   solutionSpaceCache.set(cacheKey, solutionSpace);
   performanceStats.generationTime += getTime() - startTime;
@@ -105,15 +121,17 @@ function calculateSolutionSpace() {
 /**
  * Check if an emitter can hit an edge (improved geometric check)
  */
-function canEmitterHitEdge(circle, emitterAngle, edgeIndex, rotation) {
+function canEmitterHitEdge(circle, emitterAngle, edgeIndex, rotation, geometry = DEFAULT_GEOMETRY) {
+  const { stepAngle, shapeRotation } = geometry;
+  
   // Calculate the actual emitter position after rotation
-  const actualEmitterAngle = (emitterAngle + rotation + SHAPE_ROTATION) % 360;
+  const actualEmitterAngle = (emitterAngle + rotation + shapeRotation) % 360;
   
   // Calculate the direction the emitter fires (toward center, then out to edge)
   const firingDirection = (actualEmitterAngle + 180) % 360;
   
   // Calculate the target angle for the edge (center of the edge)
-  const edgeTargetAngle = (edgeIndex * 30 + 15 + SHAPE_ROTATION) % 360;
+  const edgeTargetAngle = (edgeIndex * stepAngle + stepAngle / 2 + shapeRotation) % 360;
   
   // Calculate angular difference
   let angleDiff = Math.abs(firingDirection - edgeTargetAngle);
@@ -122,14 +140,15 @@ function canEmitterHitEdge(circle, emitterAngle, edgeIndex, rotation) {
   }
   
   // Allow tolerance based on circle radius - inner circles have wider beam spread
-  const tolerance = [25, 20, 15][circle];
+  // (25°, 20°, 15° on the classic board)
+  const tolerance = (stepAngle * (5 - circle)) / 6;
   return angleDiff <= tolerance;
 }
 
 /**
  * Calculate difficulty metrics for puzzle configurations
  */
-function calculateDifficultyMetrics(solutionSpace) {
+function calculateDifficultyMetrics(solutionSpace, geometry = DEFAULT_GEOMETRY) {
   const metrics = {
     minMovesToSolve: new Map(),
     solutionComplexity: new Map(),
@@ -137,7 +156,7 @@ function calculateDifficultyMetrics(solutionSpace) {
   };
   
   // Calculate metrics for each edge
-  for (let edge = 0; edge < SIDES; edge++) {
+  for (let edge = 0; edge < geometry.sides; edge++) {
     const emitters = solutionSpace.edgeToEmitters.get(edge);
     
     // Calculate minimum moves (rotations) needed to hit this edge
@@ -145,7 +164,7 @@ function calculateDifficultyMetrics(solutionSpace) {
     let totalSolutions = 0;
     
     for (const emitter of emitters) {
-      const moves = Math.abs(emitter.rotation) / 30;
+      const moves = Math.abs(emitter.rotation) / geometry.stepAngle;
       minMoves = Math.min(minMoves, moves);
       totalSolutions++;
     }
@@ -159,13 +178,51 @@ function calculateDifficultyMetrics(solutionSpace) {
 
 /**
  * Generate a puzzle using constraint-based approach
+ * options: { seed } or { rng } for reproducible output, { geometry } for the board,
+ * { unique: true } to retry until the puzzle has exactly one solution,
+ * { par } to retry until its rings can be turned to start exactly par moves
+ * from solved (see target-par.js), { constraints } to repair each puzzle to
+ * per-ring element counts and required lit edges (see
+ * generation-constraints.js) and retry until a repaired one is solvable.
+ * When no retry qualifies it falls back to pickQualifyingPuzzle's search, and
+ * throws when that finds none either.
+ */
+function generateConstraintBasedPuzzle(minLit, maxLit, targetDifficulty = 'medium', options = {}) {
+  const rng = resolveRng(options);
+  const geometry = resolveGeometry(options);
+  const { unique = false, par = null } = options;
+  const constraints = resolveConstraints({ ...options.constraints, litRange: [minLit, maxLit] }, geometry);
+  const constrained = hasLayoutConstraints(constraints);
+  [minLit, maxLit] = constraints.litRange;
+  if (!unique && par === null && !constrained) return generateConstraintPuzzleOnce(minLit, maxLit, targetDifficulty, rng, geometry);
+
+  let puzzle;
+  for (let attempt = 0; attempt < MAX_REQUIREMENT_ATTEMPTS; attempt++) {
+    puzzle = generateConstraintPuzzleOnce(minLit, maxLit, targetDifficulty, rng, geometry);
+    if (constrained) {
+      puzzle = constrainPuzzle(puzzle, constraints, rng);
+      if (!unique && !isPuzzleSolvable(puzzle)) continue;
+    }
+    const candidate = !unique || hasUniqueSolution(puzzle) ? puzzle : addUniquenessBlockers(puzzle);
+    if (!candidate) continue;
+    if (par === null) return candidate;
+    const fitted = fitToPar(candidate, par, { rng });
+    if (fitted) return fitted;
+  }
+  // The random search, which throws rather than return a puzzle that misses
+  return pickQualifyingPuzzle([], [minLit, maxLit], { rng, geometry, unique, par, constraints: options.constraints }).puzzle;
+}
+
+/**
+ * One constraint-based puzzle: the enhanced algorithm, or the simplified one
+ * when its puzzle fails validation
  */
-function generateConstraintBasedPuzzle(minLit, maxLit, targetDifficulty = 'medium') {
+function generateConstraintPuzzleOnce(minLit, maxLit, targetDifficulty, rng, geometry) {
   const startTime = getTime();
   
   try {
     // Try the enhanced algorithm first
-    const enhancedPuzzle = generateEnhancedConstraintPuzzle(minLit, maxLit, targetDifficulty);
+    const enhancedPuzzle = generateEnhancedConstraintPuzzle(minLit, maxLit, targetDifficulty, { rng, geometry });
     
     if (validateEnhancedPuzzle(enhancedPuzzle)) {
       performanceStats.generationTime += getTime() - startTime;
@@ -178,7 +235,7 @@ function generateConstraintBasedPuzzle(minLit, maxLit, targetDifficulty = 'mediu
   }
   
   // Fallback to simplified approach
-  const puzzle = generateSimplifiedConstraintPuzzle(minLit, maxLit, targetDifficulty);
+  const puzzle = generateSimplifiedConstraintPuzzle(minLit, maxLit, targetDifficulty, rng, geometry);
   
   performanceStats.generationTime += getTime() - startTime;
   
@@ -188,22 +245,24 @@ function generateConstraintBasedPuzzle(minLit, maxLit, targetDifficulty = 'mediu
 /**
  * Generate puzzle using a simplified constraint-based approach
  */
-function generateSimplifiedConstraintPuzzle(minLit, maxLit, targetDifficulty) {
+function generateSimplifiedConstraintPuzzle(minLit, maxLit, targetDifficulty, rng, geometry = DEFAULT_GEOMETRY) {
+  const { sides, stepAngle, shapeRotation, ringRadii } = geometry;
+  
   // Step 1: Select lit edges
-  const numLit = Math.floor(Math.random() * (maxLit - minLit + 1)) + minLit;
+  const numLit = Math.floor(rng() * (maxLit - minLit + 1)) + minLit;
   const litEdges = [];
   
   // Select edges with some strategy based on difficulty
   if (targetDifficulty === 'easy') {
     // For easy puzzles, prefer consecutive edges
-    const startEdge = Math.floor(Math.random() * SIDES);
+    const startEdge = Math.floor(rng() * sides);
     for (let i = 0; i < numLit; i++) {
-      litEdges.push((startEdge + i) % SIDES);
+      litEdges.push((startEdge + i) % sides);
     }
   } else if (targetDifficulty === 'hard') {
     // For hard puzzles, prefer scattered edges
     while (litEdges.length < numLit) {
-      const edge = Math.floor(Math.random() * SIDES);
+      const edge = Math.floor(rng() * sides);
       if (!litEdges.includes(edge)) {
         litEdges.push(edge);
       }
@@ -211,16 +270,16 @@ function generateSimplifiedConstraintPuzzle(minLit, maxLit, targetDifficulty) {
   } else {
     // Medium difficulty - mixed approach
     const consecutive = Math.floor(numLit / 2);
-    const startEdge = Math.floor(Math.random() * SIDES);
+    const startEdge = Math.floor(rng() * sides);
     
     // Add some consecutive edges
     for (let i = 0; i < consecutive; i++) {
-      litEdges.push((startEdge + i) % SIDES);
+      litEdges.push((startEdge + i) % sides);
     }
     
     // Add some random edges
     while (litEdges.length < numLit) {
-      const edge = Math.floor(Math.random() * SIDES);
+      const edge = Math.floor(rng() * sides);
       if (!litEdges.includes(edge)) {
         litEdges.push(edge);
       }
@@ -230,27 +289,23 @@ function generateSimplifiedConstraintPuzzle(minLit, maxLit, targetDifficulty) {
   litEdges.sort((a, b) => a - b);
   
   // Step 2: Create circles with guaranteed coverage
-  const circles = [
-    { radius: 50, lasers: [], blockers: [] },
-    { radius: 90, lasers: [], blockers: [] },
-    { radius: 130, lasers: [], blockers: [] }
-  ];
+  const circles = ringRadii.map((radius) => ({ radius, lasers: [], blockers: [] }));
   
   // Step 3: Place emitters to cover each lit edge
   for (let i = 0; i < litEdges.length; i++) {
     const edge = litEdges[i];
-    const circleIndex = i % 3; // Distribute across circles
+    const circleIndex = i % circles.length; // Distribute across circles
     
     // For simplicity, place emitter directly aligned with the edge
-    // The edge angle is edge * 30 + 15 degrees (center of edge)
+    // The edge angle is edge * step + step / 2 degrees (center of edge)
     // We want an emitter that, when firing toward center and continuing, hits this edge
-    const edgeAngle = edge * 30; // Use the edge start angle for simplicity
+    const edgeAngle = edge * stepAngle; // Use the edge start angle for simplicity
     
     // Place emitter at the corresponding position (accounting for shape rotation)
-    let emitterAngle = (edgeAngle + 180 - SHAPE_ROTATION + 360) % 360;
+    let emitterAngle = (edgeAngle + 180 - shapeRotation + 360) % 360;
     
-    // Snap to nearest 30-degree increment
-    emitterAngle = Math.round(emitterAngle / 30) * 30;
+    // Snap to nearest step increment
+    emitterAngle = Math.round(emitterAngle / stepAngle) * stepAngle;
     
     // Ensure valid range
     if (emitterAngle >= 360) emitterAngle -= 360;
@@ -263,44 +318,44 @@ function generateSimplifiedConstraintPuzzle(minLit, maxLit, targetDifficulty) {
   }
   
   // Step 4: Add some additional emitters for variety
-  const additionalEmitters = Math.floor(Math.random() * 3) + 1;
+  const additionalEmitters = Math.floor(rng() * 3) + 1;
   for (let i = 0; i < additionalEmitters; i++) {
-    const circleIndex = Math.floor(Math.random() * 3);
+    const circleIndex = Math.floor(rng() * circles.length);
     const circle = circles[circleIndex];
     
     // Find available positions
     const usedAngles = new Set([...circle.lasers, ...circle.blockers]);
     const availableAngles = [];
     
-    for (let angle = 0; angle < 360; angle += 30) {
+    for (let angle = 0; angle < 360; angle += stepAngle) {
       if (!usedAngles.has(angle)) {
         availableAngles.push(angle);
       }
     }
     
     if (availableAngles.length > 0) {
-      const randomAngle = availableAngles[Math.floor(Math.random() * availableAngles.length)];
+      const randomAngle = availableAngles[Math.floor(rng() * availableAngles.length)];
       circle.lasers.push(randomAngle);
     }
   }
   
   // Step 5: Add blockers carefully
-  for (let circleIndex = 0; circleIndex < 3; circleIndex++) {
+  for (let circleIndex = 0; circleIndex < circles.length; circleIndex++) {
     const circle = circles[circleIndex];
-    const numBlockers = Math.floor(Math.random() * 2) + 1; // 1-2 blockers
+    const numBlockers = Math.floor(rng() * 2) + 1; // 1-2 blockers
     
     for (let i = 0; i < numBlockers; i++) {
       const usedAngles = new Set([...circle.lasers, ...circle.blockers]);
       const availableAngles = [];
       
-      for (let angle = 0; angle < 360; angle += 30) {
+      for (let angle = 0; angle < 360; angle += stepAngle) {
         if (!usedAngles.has(angle)) {
           // Make sure this blocker won't make puzzle unsolvable
           // Simple check: don't place directly opposite to critical emitters
           let safe = true;
           for (const emitterAngle of circle.lasers) {
             const oppositeAngle = (emitterAngle + 180) % 360;
-            if (Math.abs(angle - oppositeAngle) < 30) {
+            if (Math.abs(angle - oppositeAngle) < stepAngle) {
               safe = false;
               break;
             }
@@ -313,19 +368,19 @@ function generateSimplifiedConstraintPuzzle(minLit, maxLit, targetDifficulty) {
       }
       
       if (availableAngles.length > 0) {
-        const randomAngle = availableAngles[Math.floor(Math.random() * availableAngles.length)];
+        const randomAngle = availableAngles[Math.floor(rng() * availableAngles.length)];
         circle.blockers.push(randomAngle);
       }
     }
   }
   
-  const result = { litEdges, circles };
+  const result = withGeometry({ litEdges, circles }, geometry);
   
   // Validate the puzzle before returning
   if (!validateConstraintPuzzle(result)) {
     console.warn('Generated puzzle failed validation, falling back to simpler version');
     // Try a simpler approach if validation fails
-    return generateFallbackPuzzle(minLit, maxLit);
+    return generateFallbackPuzzle(minLit, maxLit, rng, geometry);
   }
   
   return result;
@@ -334,11 +389,11 @@ function generateSimplifiedConstraintPuzzle(minLit, maxLit, targetDifficulty) {
 /**
  * Select lit edges based on target difficulty
  */
-function selectLitEdgesWithDifficulty(minLit, maxLit, targetDifficulty, solutionSpace) {
-  const numLit = Math.floor(Math.random() * (maxLit - minLit + 1)) + minLit;
+function selectLitEdgesWithDifficulty(minLit, maxLit, targetDifficulty, solutionSpace, rng = Math.random) {
+  const numLit = Math.floor(rng() * (maxLit - minLit + 1)) + minLit;
   const difficultyWeights = getDifficultyWeights(targetDifficulty);
   
-  const edges = Array.from({ length: SIDES }, (_, i) => i);
+  const edges = [...solutionSpace.edgeToEmitters.keys()];
   const litEdges = [];
   
   // Weight edges by difficulty
@@ -352,7 +407,7 @@ function selectLitEdgesWithDifficulty(minLit, maxLit, targetDifficulty, solution
   // Select edges using weighted random selection
   for (let i = 0; i < numLit; i++) {
     const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-    let random = Math.random() * totalWeight;
+    let random = rng() * totalWeight;
     
     for (let j = 0; j < edges.length; j++) {
       random -= weights[j];
@@ -386,12 +441,8 @@ function getDifficultyWeights(difficulty) {
 /**
  * Place emitters using constraint-based approach
  */
-function placeEmittersConstraintBased(litEdges, solutionSpace) {
-  const circles = [
-    { radius: 50, lasers: [], blockers: [] },
-    { radius: 90, lasers: [], blockers: [] },
-    { radius: 130, lasers: [], blockers: [] }
-  ];
+function placeEmittersConstraintBased(litEdges, solutionSpace, rng = Math.random, geometry = DEFAULT_GEOMETRY) {
+  const circles = geometry.ringRadii.map((radius) => ({ radius, lasers: [], blockers: [] }));
   
   // For each lit edge, ensure at least one emitter can hit it
   for (const edge of litEdges) {
@@ -400,7 +451,7 @@ function placeEmittersConstraintBased(litEdges, solutionSpace) {
     if (possibleEmitters.length === 0) continue;
     
     // Choose an emitter that provides good coverage
-    const chosenEmitter = chooseOptimalEmitter(possibleEmitters, circles, litEdges);
+    const chosenEmitter = chooseOptimalEmitter(possibleEmitters, circles, litEdges, rng, geometry);
     
     // Add the emitter if not already present
     const circle = circles[chosenEmitter.circle];
@@ -410,7 +461,7 @@ function placeEmittersConstraintBased(litEdges, solutionSpace) {
   }
   
   // Add some random emitters for variety (but not too many)
-  addRandomEmitters(circles, litEdges.length);
+  addRandomEmitters(circles, litEdges.length, rng, geometry);
   
   return circles;
 }
@@ -418,7 +469,7 @@ function placeEmittersConstraintBased(litEdges, solutionSpace) {
 /**
  * Choose the optimal emitter for a given edge
  */
-function chooseOptimalEmitter(possibleEmitters, circles, litEdges) {
+function chooseOptimalEmitter(possibleEmitters, circles, litEdges, rng, geometry = DEFAULT_GEOMETRY) {
   // Score emitters based on various factors
   let bestEmitter = possibleEmitters[0];
   let bestScore = -Infinity;
@@ -428,19 +479,19 @@ function chooseOptimalEmitter(possibleEmitters, circles, litEdges) {
     
     // Prefer emitters that can hit multiple lit edges
     const coverageCount = litEdges.filter(edge => 
-      canEmitterHitEdge(emitter.circle, emitter.angle, edge, emitter.rotation)
+      canEmitterHitEdge(emitter.circle, emitter.angle, edge, emitter.rotation, geometry)
     ).length;
     score += coverageCount * 10;
     
     // Prefer inner circles (easier to reason about)
-    score += (2 - emitter.circle) * 2;
+    score += (circles.length - 1 - emitter.circle) * 2;
     
     // Avoid overcrowding circles
     const currentEmitters = circles[emitter.circle].lasers.length;
     score -= currentEmitters * 3;
     
     // Add some randomness
-    score += Math.random() * 5;
+    score += rng() * 5;
     
     if (score > bestScore) {
       bestScore = score;
@@ -454,26 +505,27 @@ function chooseOptimalEmitter(possibleEmitters, circles, litEdges) {
 /**
  * Add random emitters for puzzle variety
  */
-function addRandomEmitters(circles, numLitEdges) {
+function addRandomEmitters(circles, numLitEdges, rng, geometry = DEFAULT_GEOMETRY) {
   const maxAdditional = Math.max(1, Math.floor(numLitEdges * 0.5));
-  const numToAdd = Math.floor(Math.random() * maxAdditional);
+  const numToAdd = Math.floor(rng() * maxAdditional);
   
   for (let i = 0; i < numToAdd; i++) {
-    const circleIndex = Math.floor(Math.random() * 3);
+    const circleIndex = Math.floor(rng() * circles.length);
     const circle = circles[circleIndex];
     
     // Find an unused angle
     const usedAngles = new Set([...circle.lasers, ...circle.blockers]);
     const availableAngles = [];
     
-    for (let angle = 15; angle < 360; angle += 30) {
+    for (let pos = 0; pos < geometry.sides; pos++) {
+      const angle = positionToAngle(pos, geometry);
       if (!usedAngles.has(angle)) {
         availableAngles.push(angle);
       }
     }
     
     if (availableAngles.length > 0) {
-      const randomAngle = availableAngles[Math.floor(Math.random() * availableAngles.length)];
+      const randomAngle = availableAngles[Math.floor(rng() * availableAngles.length)];
       circle.lasers.push(randomAngle);
     }
   }
@@ -482,15 +534,15 @@ function addRandomEmitters(circles, numLitEdges) {
 /**
  * Add blockers strategically to increase difficulty while maintaining solvability
  */
-function addStrategicBlockers(circles, litEdges, solutionSpace) {
+function addStrategicBlockers(circles, litEdges, solutionSpace, rng = Math.random, geometry = DEFAULT_GEOMETRY) {
   const maxBlockersPerCircle = 2;
   
   for (let circleIndex = 0; circleIndex < circles.length; circleIndex++) {
     const circle = circles[circleIndex];
-    const numBlockers = Math.floor(Math.random() * maxBlockersPerCircle) + 1;
+    const numBlockers = Math.floor(rng() * maxBlockersPerCircle) + 1;
     
     for (let i = 0; i < numBlockers; i++) {
-      const blocker = findStrategicBlockerPosition(circle, circleIndex, litEdges, solutionSpace);
+      const blocker = findStrategicBlockerPosition(circle, circleIndex, litEdges, solutionSpace, rng, geometry);
       if (blocker !== null && !circle.blockers.includes(blocker)) {
         circle.blockers.push(blocker);
       }
@@ -498,14 +550,53 @@ function addStrategicBlockers(circles, litEdges, solutionSpace) {
   }
 }
 
+/**
+ * Add blockers until only one solution is left, keeping the first solution
+ * valid. Each round adds the blocker that leaves the fewest solutions, on a
+ * free slot (whose opposite slot is free too) of the same angle lattice as
+ * the puzzle's emitters. Returns the new puzzle, or null when the puzzle is
+ * unsolvable or cannot be narrowed down to one solution.
+ */
+function addUniquenessBlockers(puzzle) {
+  const { sides, stepAngle } = getGeometry(puzzle);
+  const phase = mod360(puzzle.circles.find((circle) => circle.lasers.length > 0).lasers[0]) % stepAngle;
+  let current = puzzle;
+  let solutions = findAllSolutions(current);
+  if (solutions.length === 0) return null;
+  const target = solutions[0];
+
+  while (solutions.length > 1) {
+    let best = null;
+    current.circles.forEach((circle, circleIndex) => {
+      const used = new Set([...circle.lasers, ...circle.blockers].map(mod360));
+      for (let pos = 0; pos < sides; pos++) {
+        const angle = phase + pos * stepAngle;
+        if (used.has(angle) || used.has(mod360(angle + 180))) continue;
+        const candidate = {
+          ...current,
+          circles: current.circles.map((c, i) => (i === circleIndex ? { ...c, blockers: [...c.blockers, angle] } : c)),
+        };
+        if (!isSolvedAt(candidate, target)) continue;
+        const remaining = findAllSolutions(candidate);
+        if (!best || remaining.length < best.solutions.length) best = { puzzle: candidate, solutions: remaining };
+      }
+    });
+    if (!best || best.solutions.length >= solutions.length) return null;
+    current = best.puzzle;
+    solutions = best.solutions;
+  }
+  return current;
+}
+
 /**
  * Find a strategic position for a blocker
  */
-function findStrategicBlockerPosition(circle, circleIndex, litEdges, solutionSpace) {
+function findStrategicBlockerPosition(circle, circleIndex, litEdges, solutionSpace, rng, geometry = DEFAULT_GEOMETRY) {
   const usedAngles = new Set([...circle.lasers, ...circle.blockers]);
   const availableAngles = [];
   
-  for (let angle = 15; angle < 360; angle += 30) {
+  for (let pos = 0; pos < geometry.sides; pos++) {
+    const angle = positionToAngle(pos, geometry);
     if (!usedAngles.has(angle)) {
       availableAngles.push(angle);
     }
@@ -516,21 +607,19 @@ function findStrategicBlockerPosition(circle, circleIndex, litEdges, solutionSpa
   // Try to place blockers that create interesting constraints but don't make puzzle unsolvable
   const strategicAngles = availableAngles.filter(angle => {
     // Avoid blocking all solutions to any lit edge
-    return !wouldBlockAllSolutions(angle, circleIndex, litEdges, solutionSpace);
+    return !wouldBlockAllSolutions(angle, circleIndex, litEdges, solutionSpace, geometry);
   });
   
   const angles = strategicAngles.length > 0 ? strategicAngles : availableAngles;
-  return angles[Math.floor(Math.random() * angles.length)];
+  return angles[Math.floor(rng() * angles.length)];
 }
 
 /**
  * Check if placing a blocker would make the puzzle unsolvable
  */
-function wouldBlockAllSolutions(blockerAngle, circleIndex, litEdges, solutionSpace) {
+function wouldBlockAllSolutions(blockerAngle, circleIndex, litEdges, solutionSpace, geometry = DEFAULT_GEOMETRY) {
   // Simplified check - in reality would need more sophisticated analysis
   // For now, just avoid placing blockers directly opposite to emitters
-  const circle = [50, 90, 130][circleIndex];
-  
   for (const edge of litEdges) {
     const emitters = solutionSpace.edgeToEmitters.get(edge);
     const sameCircleEmitters = emitters.filter(e => e.circle === circleIndex);
@@ -538,7 +627,7 @@ function wouldBlockAllSolutions(blockerAngle, circleIndex, litEdges, solutionSpa
     if (sameCircleEmitters.length === 1) {
       const emitter = sameCircleEmitters[0];
       const oppositeAngle = (emitter.angle + 180) % 360;
-      if (Math.abs(((blockerAngle - oppositeAngle + 180) % 360) - 180) < 30) {
+      if (Math.abs(((blockerAngle - oppositeAngle + 180) % 360) - 180) < geometry.stepAngle) {
         return true; // Would block the only solution
       }
     }
@@ -552,9 +641,16 @@ function wouldBlockAllSolutions(blockerAngle, circleIndex, litEdges, solutionSpa
  * This is a simplified version of the main solvability checker
  */
 function validateConstraintPuzzle(puzzle) {
+  const { valid, errors } = validatePuzzle(puzzle);
+  if (!valid) {
+    console.warn(`Constraint puzzle is malformed: ${errors.join('; ')}`);
+    return false;
+  }
+  
   // Quick validation - check if each lit edge has at least one potential emitter
+  const { stepAngle, shapeRotation } = getGeometry(puzzle);
   for (const edge of puzzle.litEdges) {
-    const edgeTargetAngle = (edge * 30 + 15 + SHAPE_ROTATION) % 360;
+    const edgeTargetAngle = (edge * stepAngle + stepAngle / 2 + shapeRotation) % 360;
     let canHit = false;
     
     // Check all emitters across all circles
@@ -563,8 +659,8 @@ function validateConstraintPuzzle(puzzle) {
       
       for (const emitterAngle of circle.lasers) {
         // Try different rotations for this circle
-        for (let rotation = 0; rotation < 360; rotation += 30) {
-          const actualAngle = (emitterAngle + rotation + SHAPE_ROTATION) % 360;
+        for (let rotation = 0; rotation < 360; rotation += stepAngle) {
+          const actualAngle = (emitterAngle + rotation + shapeRotation) % 360;
           const firingDirection = (actualAngle + 180) % 360;
           
           let angleDiff = Math.abs(firingDirection - edgeTargetAngle);
@@ -572,7 +668,7 @@ function validateConstraintPuzzle(puzzle) {
             angleDiff = 360 - angleDiff;
           }
           
-          if (angleDiff <= 25) { // Use generous tolerance for validation
+          if (angleDiff <= (stepAngle * 5) / 6) { // Use generous tolerance for validation
             canHit = true;
             break;
           }
@@ -594,39 +690,36 @@ function validateConstraintPuzzle(puzzle) {
 /**
  * Generate a very simple fallback puzzle that's guaranteed to be solvable
  */
-function generateFallbackPuzzle(minLit, maxLit) {
-  const numLit = Math.floor(Math.random() * (maxLit - minLit + 1)) + minLit;
+function generateFallbackPuzzle(minLit, maxLit, rng, geometry = DEFAULT_GEOMETRY) {
+  const { sides, stepAngle, shapeRotation, ringRadii } = geometry;
+  const numLit = Math.floor(rng() * (maxLit - minLit + 1)) + minLit;
   const litEdges = [];
   
   // Select consecutive edges for simplicity
-  const startEdge = Math.floor(Math.random() * SIDES);
+  const startEdge = Math.floor(rng() * sides);
   for (let i = 0; i < numLit; i++) {
-    litEdges.push((startEdge + i) % SIDES);
+    litEdges.push((startEdge + i) % sides);
   }
   
-  const circles = [
-    { radius: 50, lasers: [], blockers: [] },
-    { radius: 90, lasers: [], blockers: [] },
-    { radius: 130, lasers: [], blockers: [] }
-  ];
+  const circles = ringRadii.map((radius) => ({ radius, lasers: [], blockers: [] }));
   
   // Place one emitter per lit edge, distributed across circles
   for (let i = 0; i < litEdges.length; i++) {
     const edge = litEdges[i];
-    const circleIndex = i % 3;
+    const circleIndex = i % circles.length;
     
     // Calculate exact angle needed (no rotation required)
-    const targetAngle = (edge * 30 + 15) % 360;
-    const emitterAngle = (targetAngle + 180 - SHAPE_ROTATION) % 360;
-    const snappedAngle = Math.round(emitterAngle / 30) * 30;
+    const targetAngle = (edge * stepAngle + stepAngle / 2) % 360;
+    const emitterAngle = (targetAngle + 180 - shapeRotation) % 360;
+    const snappedAngle = Math.round(emitterAngle / stepAngle) * stepAngle;
     
     circles[circleIndex].lasers.push(snappedAngle);
   }
   
   // Add minimal blockers
-  circles[1].blockers.push(90); // One blocker that shouldn't interfere
+  circles[Math.min(1, circles.length - 1)].blockers.push(90); // One blocker that shouldn't interfere
   
-  return { litEdges, circles };
+  return withGeometry({ litEdges, circles }, geometry);
 }
 
 /**
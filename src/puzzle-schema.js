@@ -0,0 +1,210 @@
+// puzzle-schema.js
+// Versioned JSON file format for puzzles and the single validator every
+// import path uses. A puzzle file looks like:
+//
+//   {
+//     "schemaVersion": 1,
+//     "geometry": { "sides": 12, "ringRadii": [50, 90, 130] },
+//     "litEdges": [0, 4, 7],
+//     "circles": [{ "radius": 50, "lasers": [15, 135], "blockers": [255] }, ...],
+//     "startRotations": [4, 0, 9],                   // optional, rotation steps
+//     "solution": [[0, 3, 11]],                      // optional, rotation steps
+//     "metadata": { "generator": "random", "seed": 42 } // optional
+//   }
+//
+// See "Puzzle JSON Format" in the README for the field reference.
+
+import {
+  mod360,
+  positionToAngle,
+  angleToPosition,
+  createGeometry,
+  geometryConfig,
+  getGeometry,
+  withGeometry,
+} from './geometry.js';
+import { isSolvedAt } from './solver.js';
+
+export const PUZZLE_SCHEMA_VERSION = 1;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a puzzle ({ litEdges, circles } or a full puzzle file) and report
+ * every problem found rather than stopping at the first.
+ * `errors` make the puzzle unusable (wrong types, edges out of range,
+ * overlapping elements, radii that do not match the geometry, a stored
+ * solution that does not solve it). `warnings` are layouts the game can
+ * still play but the generators never produce: angles off the position grid
+ * (15° + 30k on the classic board) and two elements at opposite positions of
+ * one ring. `geometry` defaults to the puzzle's own, then the classic board.
+ * Returns { valid, errors, warnings }.
+ */
+export function validatePuzzle(puzzle, geometry = puzzle?.geometry) {
+  const errors = [];
+  const warnings = [];
+
+  if (!puzzle || typeof puzzle !== 'object') {
+    return { valid: false, errors: ['Puzzle must be an object'], warnings };
+  }
+
+  if (puzzle.schemaVersion !== undefined && puzzle.schemaVersion !== PUZZLE_SCHEMA_VERSION) {
+    errors.push(`Unsupported schemaVersion ${puzzle.schemaVersion} (expected ${PUZZLE_SCHEMA_VERSION})`);
+  }
+
+  let board;
+  try {
+    board = createGeometry(geometry || {});
+  } catch (error) {
+    return { valid: false, errors: [...errors, `geometry: ${error.message}`], warnings };
+  }
+  const { sides, ringRadii, stepAngle, positionOffset } = board;
+
+  // Lit edges
+  if (!Array.isArray(puzzle.litEdges) || puzzle.litEdges.length === 0) {
+    errors.push('litEdges must be a non-empty array');
+  } else {
+    const seen = new Set();
+    for (const edge of puzzle.litEdges) {
+      if (!Number.isInteger(edge) || edge < 0 || edge >= sides) {
+        errors.push(`litEdges: ${JSON.stringify(edge)} is not an edge index from 0 to ${sides - 1}`);
+      } else if (seen.has(edge)) {
+        errors.push(`litEdges: edge ${edge} is listed twice`);
+      }
+      seen.add(edge);
+    }
+  }
+
+  // Circles and their elements
+  if (!Array.isArray(puzzle.circles) || puzzle.circles.length === 0) {
+    errors.push('circles must be a non-empty array');
+    return { valid: false, errors, warnings };
+  }
+  if (puzzle.circles.length !== ringRadii.length) {
+    errors.push(`Expected ${ringRadii.length} circles for this geometry, found ${puzzle.circles.length}`);
+  }
+
+  puzzle.circles.forEach((circle, idx) => {
+    const where = `circles[${idx}]`;
+    if (!circle || typeof circle !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!isFiniteNumber(circle.radius)) {
+      errors.push(`${where}.radius must be a number`);
+    } else if (ringRadii[idx] !== undefined && circle.radius !== ringRadii[idx]) {
+      errors.push(`${where}.radius is ${circle.radius}, geometry expects ${ringRadii[idx]}`);
+    }
+
+    const elements = [];
+    for (const kind of ['lasers', 'blockers']) {
+      if (!Array.isArray(circle[kind])) {
+        errors.push(`${where}.${kind} must be an array`);
+        continue;
+      }
+      circle[kind].forEach((angle, i) => {
+        if (!isFiniteNumber(angle)) {
+          errors.push(`${where}.${kind}[${i}] must be a number`);
+          return;
+        }
+        if (positionToAngle(angleToPosition(angle, board), board) !== mod360(angle)) {
+          warnings.push(`${where}.${kind}[${i}] = ${angle}° is off the ${positionOffset}° + ${stepAngle}k grid`);
+        }
+        elements.push({ label: `${kind}[${i}]`, angle: mod360(angle) });
+      });
+    }
+
+    for (let a = 0; a < elements.length; a++) {
+      for (let b = a + 1; b < elements.length; b++) {
+        const gap = mod360(elements[b].angle - elements[a].angle);
+        if (gap === 0) {
+          errors.push(`${where}: ${elements[a].label} and ${elements[b].label} overlap at ${elements[a].angle}°`);
+        } else if (gap === 180) {
+          warnings.push(`${where}: ${elements[a].label} and ${elements[b].label} sit at opposite positions`);
+        }
+      }
+    }
+  });
+
+  if (!puzzle.circles.some((circle) => Array.isArray(circle?.lasers) && circle.lasers.length > 0)) {
+    errors.push('Puzzle has no emitters');
+  }
+
+  // Optional parts of a puzzle file
+  if (puzzle.metadata !== undefined && (typeof puzzle.metadata !== 'object' || puzzle.metadata === null)) {
+    errors.push('metadata must be an object');
+  }
+  if (puzzle.startRotations !== undefined) {
+    const shaped = Array.isArray(puzzle.startRotations) && Array.isArray(puzzle.circles) &&
+      puzzle.startRotations.length === puzzle.circles.length &&
+      puzzle.startRotations.every((step) => Number.isInteger(step) && step >= 0 && step < sides);
+    if (!shaped) errors.push(`startRotations must hold one rotation step (0-${sides - 1}) per circle`);
+  }
+  if (puzzle.solution !== undefined) {
+    if (!Array.isArray(puzzle.solution)) {
+      errors.push('solution must be an array of rotation-step arrays');
+    } else if (errors.length === 0) {
+      puzzle.solution.forEach((steps, i) => {
+        const shaped = Array.isArray(steps) && steps.length === puzzle.circles.length &&
+          steps.every((step) => Number.isInteger(step) && step >= 0 && step < sides);
+        if (!shaped) {
+          errors.push(`solution[${i}] must hold one rotation step (0-${sides - 1}) per circle`);
+        } else if (!isSolvedAt({ ...puzzle, geometry: geometryConfig(board) }, steps)) {
+          errors.push(`solution[${i}] = [${steps.join(', ')}] does not solve the puzzle`);
+        }
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Wrap a puzzle in the versioned file format. `solution` is a list of
+ * rotation-step arrays (e.g. from findAllSolutions), `metadata` free-form
+ * details such as generator, difficulty and seed. The puzzle's
+ * startRotations are kept.
+ */
+export function toPuzzleJSON(puzzle, { solution, metadata } = {}) {
+  const file = {
+    schemaVersion: PUZZLE_SCHEMA_VERSION,
+    geometry: geometryConfig(getGeometry(puzzle)),
+    litEdges: [...puzzle.litEdges],
+    circles: puzzle.circles.map(({ radius, lasers, blockers }) => ({
+      radius,
+      lasers: [...lasers],
+      blockers: [...blockers],
+    })),
+  };
+  if (puzzle.startRotations) file.startRotations = [...puzzle.startRotations];
+  if (solution) file.solution = solution;
+  if (metadata) file.metadata = metadata;
+  return file;
+}
+
+/**
+ * Parse and validate puzzle file text. Returns { puzzle, solution, metadata,
+ * warnings }; throws an Error listing every problem when the file is invalid.
+ */
+export function parsePuzzleJSON(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+
+  const { valid, errors, warnings } = validatePuzzle(file);
+  if (!valid) {
+    throw new Error(`Invalid puzzle file:\n- ${errors.join('\n- ')}`);
+  }
+
+  const puzzle = { litEdges: file.litEdges, circles: file.circles };
+  if (file.startRotations) puzzle.startRotations = file.startRotations;
+  return {
+    puzzle: withGeometry(puzzle, createGeometry(file.geometry || {})),
+    solution: file.solution || null,
+    metadata: file.metadata || {},
+    warnings,
+  };
+}
@@ -1,93 +1,97 @@
 // puzzle.js
 // Puzzle generation and solver logic for Trespasser minigame
 
-export const SIDES = 12;
-export const RADIUS = 180;
-export const CENTER = 200;
-export const SHAPE_ROTATION = 15; // degrees
-export const VERSION = '0.0.0'; // Sync with package.json
-
-export function degToRad(deg) {
-  return (deg * Math.PI) / 180;
-}
+import {
+  positionToAngle,
+  angleToPosition,
+  resolveGeometry,
+  withGeometry,
+} from './geometry.js';
+import { searchSolutions, hasUniqueSolution } from './solver.js';
+import { fitToPar, pickWithPar } from './target-par.js';
+import { resolveRng } from './random.js';
+import { resolveConstraints, unmetConstraints, hasElementRules, constrainPuzzle } from './generation-constraints.js';
 
-export function getPolygonPoints(sides = SIDES, radius = RADIUS, center = CENTER) {
-  return Array.from({ length: sides }, (_, i) => {
-    const angle = (2 * Math.PI * i) / sides - Math.PI / 2 + degToRad(SHAPE_ROTATION);
-    return [
-      center + radius * Math.cos(angle),
-      center + radius * Math.sin(angle),
-    ];
-  });
-}
+export {
+  SIDES,
+  RADIUS,
+  CENTER,
+  SHAPE_ROTATION,
+  degToRad,
+  mod360,
+  getPolygonPoints,
+} from './geometry.js';
+export { traceBeams } from './beam-tracer.js';
+export { findAllSolutions, findShortestSolution, hasUniqueSolution, getPar } from './solver.js';
 
-export function mod360(angle) {
-  return ((angle % 360) + 360) % 360;
-}
-
-function hasAngleOrOpposite(list, angle) {
-  const a0 = mod360(angle);
-  const a180 = mod360(angle + 180);
-  return list.some(a => {
-    const ma = mod360(a);
-    return Math.abs(ma - a0) < 1 || Math.abs(ma - a180) < 1;
-  });
-}
-
-// Convert position (0-11) to angle
-function positionToAngle(pos) {
-  return (pos * 30 + 15) % 360;
-}
+export const VERSION = '0.0.0'; // Sync with package.json
 
-// Convert angle to position (0-11)
-function angleToPosition(angle) {
-  const normalized = ((angle - 15 + 360) % 360);
-  return Math.round(normalized / 30) % 12;
-}
+// generateSolvablePuzzle gives up after this many puzzles by default
+export const MAX_ATTEMPTS = 1000;
 
+/**
+ * Random puzzle. Pass { seed } (or { rng }) in options for a reproducible one,
+ * { geometry } for a board other than the classic 12-sided, 3-ring one and
+ * { constraints } for per-ring element counts, required lit edges and include
+ * or avoid rules, which the finished puzzle is repaired to (see
+ * generation-constraints.js; minLit and maxLit are its lit range).
+ */
 export function generatePuzzle(minLit = 3, maxLit = 4, options = {}) {
-  // 1. Randomly select minLit-maxLit lit edges
-  const numLit = Math.floor(Math.random() * (maxLit - minLit + 1)) + minLit;
-  const litEdges = [];
+  const rng = resolveRng(options);
+  const geometry = resolveGeometry(options);
+  const { sides } = geometry;
+  const halfTurn = sides / 2;
+  const rings = geometry.ringRadii.length;
+  const constraints = resolveConstraints({ ...options.constraints, litRange: [minLit, maxLit] }, geometry);
+  const [emitMin, emitMax] = constraints.emittersPerRing || [1, 3];
+  const [blockMin, blockMax] = constraints.blockersPerRing || [1, 2];
+
+  // 1. Randomly select minLit-maxLit lit edges, the required ones first and
+  // never avoided ones
+  const [litMin, litMax] = constraints.litRange;
+  const numLit = Math.floor(rng() * (litMax - litMin + 1)) + litMin;
+  const litEdges = [...constraints.requiredLitEdges];
   while (litEdges.length < numLit) {
-    const idx = Math.floor(Math.random() * SIDES);
-    if (!litEdges.includes(idx)) litEdges.push(idx);
+    const idx = Math.floor(rng() * sides);
+    if (!litEdges.includes(idx) && !constraints.avoidedLitEdges.includes(idx)) litEdges.push(idx);
   }
   litEdges.sort((a, b) => a - b);
 
-  // 2. Randomly assign 1-3 emitters and 1-2 blockers per circle
+  // 2. Randomly assign 1-3 emitters and 1-2 blockers per circle, or as many
+  // as the constraints ask for (fewer on small boards, where a ring only has
+  // sides / 2 diameters)
   let totalEmitters = 0;
-  const circles = [50, 90, 130].map((radius) => {
-    const numEmit = Math.floor(Math.random() * 3) + 1; // 1-3 emitters
-    const numBlock = Math.floor(Math.random() * 2) + 1; // 1-2 blockers
+  const circles = geometry.ringRadii.map((radius) => {
+    const numEmit = Math.min(Math.floor(rng() * (emitMax - emitMin + 1)) + emitMin, halfTurn);
+    const numBlock = Math.min(Math.floor(rng() * (blockMax - blockMin + 1)) + blockMin, halfTurn - numEmit);
     totalEmitters += numEmit;
     
-    // Track used positions (0-11) for this circle
+    // Track used positions (0 to sides - 1) for this circle
     const usedPositions = new Set();
     
     // Place emitters at random positions
     const lasers = [];
     while (lasers.length < numEmit) {
-      const pos = Math.floor(Math.random() * SIDES);
-      const oppositePos = (pos + 6) % 12;
+      const pos = Math.floor(rng() * sides);
+      const oppositePos = (pos + halfTurn) % sides;
       
       if (!usedPositions.has(pos) && !usedPositions.has(oppositePos)) {
         usedPositions.add(pos);
         usedPositions.add(oppositePos);
-        lasers.push(positionToAngle(pos));
+        lasers.push(positionToAngle(pos, geometry));
       }
     }
     
     // Place blockers at random positions
     const blockers = [];
     while (blockers.length < numBlock) {
-      const pos = Math.floor(Math.random() * SIDES);
-      const oppositePos = (pos + 6) % 12;
+      const pos = Math.floor(rng() * sides);
+      const oppositePos = (pos + halfTurn) % sides;
       
       if (!usedPositions.has(pos) && !usedPositions.has(oppositePos)) {
         usedPositions.add(pos);
         usedPositions.add(oppositePos);
-        blockers.push(positionToAngle(pos));
+        blockers.push(positionToAngle(pos, geometry));
       }
     }
     
@@ -96,176 +100,95 @@ export function generatePuzzle(minLit = 3, maxLit = 4, options = {}) {
 
   // 3. Place emitters to guarantee solvability while maintaining position constraints
   for (let i = 0; i < litEdges.length; ++i) {
-    const cidx = i % 3;
+    const cidx = i % rings;
     const targetPos = litEdges[i];
-    const targetAngle = positionToAngle(targetPos);
+    const targetAngle = positionToAngle(targetPos, geometry);
     
     // Get all used positions in this circle
     const usedPositions = new Set();
     for (const laser of circles[cidx].lasers.slice(1)) {
-      const pos = angleToPosition(laser);
+      const pos = angleToPosition(laser, geometry);
       usedPositions.add(pos);
-      usedPositions.add((pos + 6) % 12);
+      usedPositions.add((pos + halfTurn) % sides);
     }
     for (const blocker of circles[cidx].blockers) {
-      const pos = angleToPosition(blocker);
+      const pos = angleToPosition(blocker, geometry);
       usedPositions.add(pos);
-      usedPositions.add((pos + 6) % 12);
+      usedPositions.add((pos + halfTurn) % sides);
     }
     
     // If target position and its opposite are free, we can place the emitter
-    if (!usedPositions.has(targetPos) && !usedPositions.has((targetPos + 6) % 12)) {
+    if (circles[cidx].lasers.length > 0 && !usedPositions.has(targetPos) && !usedPositions.has((targetPos + halfTurn) % sides)) {
       circles[cidx].lasers[0] = targetAngle;
     }
   }
 
-  return { litEdges, circles };
+  const puzzle = withGeometry({ litEdges, circles }, geometry);
+  return hasElementRules(constraints) ? constrainPuzzle(puzzle, constraints, rng) : puzzle;
 }
 
-// Helper function to check if two objects are at the same position
-function areAtSamePosition(angle1, angle2) {
-  const pos1 = angleToPosition(angle1);
-  const pos2 = angleToPosition(angle2);
-  return pos1 === pos2 || pos1 === (pos2 + 6) % 12 || pos2 === (pos1 + 6) % 12;
+export function isPuzzleSolvable(puzzle) {
+  // On-grid puzzles are decided exactly with a pruned backtracking search (the
+  // discrete model is cross-checked against the tracer in
+  // test-discrete-solver.js); off-grid angles fall back to geometric tracing
+  // over every rotation combination
+  return searchSolutions(puzzle, { first: true }).length > 0;
 }
 
-export function isPuzzleSolvable(puzzle, points) {
-  // Try all 12^3 = 1728 possible rotation combinations
-  for (let r0 = 0; r0 < SIDES; ++r0) {
-    for (let r1 = 0; r1 < SIDES; ++r1) {
-      for (let r2 = 0; r2 < SIDES; ++r2) {
-        const rotations = [r0 * 30, r1 * 30, r2 * 30];
-        // Compute emitters and blockers for this rotation
-        const emitters = puzzle.circles.flatMap((circle, idx) =>
-          circle.lasers.map((angle, i) => {
-            const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-            const rad = degToRad(rotated);
-            return {
-              idx,
-              angle: rotated + 180, // Fire toward center
-              x: CENTER + circle.radius * Math.cos(rad),
-              y: CENTER + circle.radius * Math.sin(rad),
-              radius: circle.radius,
-              laserIdx: i,
-              originalAngle: angle // Store original angle for position checks
-            };
-          })
-        );
-        const blockers = puzzle.circles.flatMap((circle, idx) =>
-          circle.blockers.map((angle) => {
-            const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-            const rad = degToRad(rotated);
-            return {
-              idx,
-              angle: rotated,
-              x: CENTER + circle.radius * Math.cos(rad),
-              y: CENTER + circle.radius * Math.sin(rad),
-              radius: circle.radius,
-              originalAngle: angle // Store original angle for position checks
-            };
-          })
-        );
-        // Helper: get dodecagon edge lines
-        const edgeLines = points.map((pt, i) => {
-          const next = points[(i + 1) % SIDES];
-          return { i, x1: pt[0], y1: pt[1], x2: next[0], y2: next[1] };
-        });
-        // For each lit edge, can it be hit by any emitter?
-        let allLit = true;
-        for (const litIdx of puzzle.litEdges) {
-          let hit = false;
-          for (const emitter of emitters) {
-            // Project a ray from emitter.x/y at emitter.angle
-            const rad = degToRad(emitter.angle);
-            const dx = Math.cos(rad);
-            const dy = Math.sin(rad);
-            // Find intersection with blockers (as circles)
-            let minT = Infinity;
-            let hitType = null;
-            let hitObj = null;
-            // Blockers: treat as circles
-            for (const blocker of blockers) {
-              // Only check collision if blocker and emitter are on the same circle AND at same/opposite positions
-              if (blocker.idx === emitter.idx && areAtSamePosition(blocker.originalAngle, emitter.originalAngle)) {
-                const bx = blocker.x - emitter.x;
-                const by = blocker.y - emitter.y;
-                const proj = bx * dx + by * dy;
-                if (proj <= 0) continue;
-                const perp2 = (bx * bx + by * by) - proj * proj;
-                const r2 = 12 * 12;
-                if (perp2 < r2) {
-                  const t = proj - Math.sqrt(r2 - perp2);
-                  if (t < minT) {
-                    minT = t;
-                    hitType = 'blocker';
-                    hitObj = blocker;
-                  }
-                }
-              } else if (blocker.idx !== emitter.idx) {
-                // For blockers on different circles, always check collision
-                const bx = blocker.x - emitter.x;
-                const by = blocker.y - emitter.y;
-                const proj = bx * dx + by * dy;
-                if (proj <= 0) continue;
-                const perp2 = (bx * bx + by * by) - proj * proj;
-                const r2 = 12 * 12;
-                if (perp2 < r2) {
-                  const t = proj - Math.sqrt(r2 - perp2);
-                  if (t < minT) {
-                    minT = t;
-                    hitType = 'blocker';
-                    hitObj = blocker;
-                  }
-                }
-              }
-            }
-            // Emitters: treat as circles, block if facing each other or from behind
-            for (const other of emitters) {
-              if (other === emitter) continue;
-              const ox = other.x - emitter.x;
-              const oy = other.y - emitter.y;
-              const proj = ox * dx + oy * dy;
-              if (proj <= 0) continue;
-              const perp2 = (ox * ox + oy * oy) - proj * proj;
-              const r2 = 13 * 13;
-              if (perp2 < r2) {
-                const t = proj - Math.sqrt(r2 - perp2);
-                if (t < minT) {
-                  minT = t;
-                  hitType = 'emitter';
-                  hitObj = other;
-                }
-              }
-            }
-            // Dodecagon edges
-            for (const edge of edgeLines) {
-              const x3 = edge.x1, y3 = edge.y1, x4 = edge.x2, y4 = edge.y2;
-              const denom = (dx * (y4 - y3) - dy * (x4 - x3));
-              if (Math.abs(denom) < 1e-6) continue;
-              const t2 = ((x3 - emitter.x) * (y4 - y3) - (y3 - emitter.y) * (x4 - x3)) / denom;
-              const t1 = ((x3 - emitter.x) * dy - (y3 - emitter.y) * dx) / denom;
-              if (t2 > 0 && t1 >= 0 && t1 <= 1) {
-                if (t2 < minT) {
-                  minT = t2;
-                  hitType = 'edge';
-                  hitObj = edge;
-                }
-              }
-            }
-            // If the closest hit is the lit edge, it's hittable
-            if (hitType === 'edge' && hitObj.i === litIdx) {
-              hit = true;
-              break;
-            }
-          }
-          if (!hit) {
-            allLit = false;
-            break;
-          }
-        }
-        if (allLit) return true;
-      }
-    }
+/**
+ * Random puzzles until one is solvable or, with { unique: true }, has exactly
+ * one solution (see hasUniqueSolution), and meets { constraints } where the
+ * board allows it. With { par } the qualifying puzzle's
+ * rings are also turned so that it starts exactly `par` moves from solved (see
+ * fitToPar), and puzzles where that is impossible do not qualify. Takes
+ * generatePuzzle's options plus { maxAttempts, onAttempt }; onAttempt(n) is
+ * called before retry n + 1. Returns { puzzle, attempts, found }, where puzzle
+ * is the last one tried when none qualified.
+ */
+export function generateSolvablePuzzle(minLit, maxLit, options = {}) {
+  const { unique = false, par = null, maxAttempts = MAX_ATTEMPTS, onAttempt = () => {} } = options;
+  const rng = resolveRng(options);
+  const geometry = resolveGeometry(options);
+  const qualifies = unique ? hasUniqueSolution : isPuzzleSolvable;
+  const constraints = { ...options.constraints, litRange: [minLit, maxLit] };
+  // The qualifying puzzle, fitted to par if asked for, or null
+  const accept = (candidate) => {
+    if (unmetConstraints(candidate, constraints).length > 0 || !qualifies(candidate)) return null;
+    return par === null ? candidate : fitToPar(candidate, par, { rng });
+  };
+
+  let puzzle = generatePuzzle(minLit, maxLit, { rng, geometry, constraints: options.constraints });
+  let attempts = 1;
+  let accepted = accept(puzzle);
+  while (!accepted && attempts < maxAttempts) {
+    onAttempt(attempts);
+    puzzle = generatePuzzle(minLit, maxLit, { rng, geometry, constraints: options.constraints });
+    accepted = accept(puzzle);
+    attempts++;
   }
-  return false;
-} 
\ No newline at end of file
+  return { puzzle: accepted || puzzle, attempts, found: Boolean(accepted) };
+}
+
+/**
+ * For the search-based generators with { unique } or { par }: the first of
+ * `candidates` with exactly one solution when unique is set, turned to start
+ * exactly `par` moves from solved when par is set (see pickWithPar), or, when
+ * none of them qualifies, a puzzle from generateSolvablePuzzle in the lit
+ * range [minLit, maxLit] with the options' { rng, geometry, unique, par,
+ * constraints }. Returns { puzzle, searched }, searched telling that every
+ * candidate missed. Throws when the search finds none either, rather than
+ * hand back a puzzle that does not qualify.
+ */
+export function pickQualifyingPuzzle(candidates, [minLit, maxLit], options = {}) {
+  const { unique = false, par = null } = options;
+  const picked = par === null
+    ? candidates.find((candidate) => !unique || hasUniqueSolution(candidate))
+    : pickWithPar(candidates, par, options);
+  if (picked) return { puzzle: picked, searched: false };
+  const { puzzle, found } = generateSolvablePuzzle(minLit, maxLit, options);
+  if (!found) {
+    const wanted = [par !== null && `par ${par}`, unique && 'a unique solution'].filter(Boolean).join(' and ');
+    throw new Error(wanted ? `No puzzle with ${wanted} found` : 'No solvable puzzle found');
+  }
+  return { puzzle, searched: true };
+}
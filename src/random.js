@@ -0,0 +1,52 @@
+// random.js
+// Seedable pseudo-random number generation. Every generator takes an options
+// object with either a `seed` or an already created `rng`, so the same
+// (algorithm, difficulty, seed, lit range) yields the same puzzle in the
+// browser and in Node.
+
+/**
+ * Fresh random seed for callers that did not ask for one
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Reduce a number or string seed to an unsigned 32-bit integer. Strings are
+ * hashed with FNV-1a so share codes and URLs can carry readable seeds.
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  let hash = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32: small, fast and good enough for puzzle generation. Returns a
+ * function with the same contract as Math.random.
+ */
+export function createRng(seed) {
+  let state = normalizeSeed(seed);
+  return function rng() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * The rng a generator should use for the given options: an explicit `rng`
+ * wins, then a `seed`, and Math.random when neither is set
+ */
+export function resolveRng(options = {}) {
+  if (typeof options.rng === 'function') return options.rng;
+  if (options.seed !== undefined && options.seed !== null) return createRng(options.seed);
+  return Math.random;
+}
+
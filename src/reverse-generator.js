@@ -0,0 +1,199 @@
+// reverse-generator.js
+// Solved-state-first construction. The board is laid out in its solved state
+// using the exact model from solver.js: every lit edge gets an emitter on its
+// diameter with nothing between it and the far edge, and decoy emitters and
+// blockers only go where they cannot stand in one of those beams. Turning the
+// rings away from that state afterwards gives a puzzle that is solvable by
+// construction, without a validation loop. Unique mode and include/avoid
+// rules are the exception: they check each built state with the solver and
+// rebuild until one passes.
+
+import { resolveGeometry, positionToAngle, withGeometry } from './geometry.js';
+import { getEdgeOffset, getPar, findAllSolutions, hasUniqueSolution, isPuzzleSolvableExact } from './solver.js';
+import { rotateRings, fitToPar } from './target-par.js';
+import { resolveRng } from './random.js';
+import {
+  resolveConstraints, narrowRange, hasElementRules, constrainPuzzle, unmetConstraints,
+} from './generation-constraints.js';
+
+// Extra elements on top of the one emitter per lit edge
+const DIFFICULTY_CONFIGS = {
+  easy: { decoyEmitters: 0, blockersPerRing: [0, 1] },
+  medium: { decoyEmitters: 1, blockersPerRing: [1, 1] },
+  hard: { decoyEmitters: 3, blockersPerRing: [1, 2] },
+};
+
+// Scrambles tried before accepting one that starts solved
+const MAX_SCRAMBLES = 20;
+
+// Solved states built per call in unique mode, when include/avoid rules move
+// elements around, or for a par, before giving up with an error
+const MAX_BUILD_ATTEMPTS = 50;
+
+const randomInt = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
+
+function shuffle(items, rng) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Generate a puzzle by building its solved state and scrambling the rings.
+ * options: { seed } or { rng } for reproducible output, { geometry } for the
+ * board, { unique: true } to add blockers until only the built solution is
+ * left, { par } to scramble to exactly that par (see target-par.js; states
+ * no rotation gives it for are rebuilt, and it throws when none does),
+ * { constraints } for per-ring element
+ * counts, required lit edges and include/avoid rules (see
+ * generation-constraints.js). Include/avoid rules name positions on the
+ * finished board, so with rules the rings are scrambled before the rules are
+ * applied, and states the rules leave unsolvable are rebuilt. Throws when
+ * no built state meets { unique }, { par } or the rules.
+ */
+export function generateReversePuzzle(minLit = 3, maxLit = 4, difficulty = 'medium', options = {}) {
+  const rng = resolveRng(options);
+  const geometry = resolveGeometry(options);
+  const { unique = false, par = null } = options;
+  const constraints = resolveConstraints({ ...options.constraints, litRange: [minLit, maxLit] }, geometry);
+  const preset = DIFFICULTY_CONFIGS[difficulty] || DIFFICULTY_CONFIGS.medium;
+  const config = {
+    ...preset,
+    blockersPerRing: narrowRange(preset.blockersPerRing, constraints.blockersPerRing),
+    emittersPerRing: constraints.emittersPerRing || [0, geometry.sides],
+  };
+
+  const rules = hasElementRules(constraints);
+  const scramble = (puzzle) => rotateRings(puzzle, puzzle.circles.map(() => Math.floor(rng() * geometry.sides)));
+  const build = () => {
+    const state = buildSolvedState(constraints, config, rng, geometry, unique);
+    return rules ? constrainPuzzle(scramble(state), constraints, rng) : state;
+  };
+  // The blockers unique mode adds and the elements rules move can leave
+  // other solutions or none, so those states go through the solver; a state
+  // whose rings cannot be turned to the par is rebuilt too, as a random
+  // scramble would start at some other par
+  const accept = (state) => (unique ? hasUniqueSolution(state) : !rules || isPuzzleSolvableExact(state));
+  for (let attempt = 0; attempt < MAX_BUILD_ATTEMPTS; attempt++) {
+    const solved = build();
+    if (!accept(solved)) continue;
+    solved.metadata = { algorithm: 'reverse', difficulty };
+    if (par !== null) {
+      const fitted = fitToPar(solved, par, { rng });
+      if (fitted && (!rules || unmetConstraints(fitted, constraints).length === 0)) return fitted;
+      continue;
+    }
+    if (rules) return solved;
+    let scrambled = solved;
+    for (let i = 0; i < MAX_SCRAMBLES && getPar(scrambled) === 0; i++) {
+      scrambled = scramble(solved);
+    }
+    return scrambled;
+  }
+  const wanted = [par !== null && `par ${par}`, unique && 'a unique solution'].filter(Boolean).join(' and ');
+  throw new Error(wanted ? `No puzzle with ${wanted} found` : 'No solvable puzzle found');
+}
+
+/**
+ * A puzzle that is solved with every ring at rotation 0, within the resolved
+ * constraints where the board allows. With `unique`, blockers are added while
+ * they rule out other solutions.
+ */
+function buildSolvedState(constraints, config, rng, geometry, unique) {
+  const { sides } = geometry;
+  const halfTurn = sides / 2;
+  const rings = geometry.ringRadii.length;
+  const edgeOffset = getEdgeOffset(geometry);
+
+  // 1. Lit edges, the required ones first, never an avoided one and never
+  // two opposite ones: each needs the other's end empty
+  const numLit = Math.min(randomInt(rng, ...constraints.litRange), halfTurn);
+  const litEdges = [];
+  const candidates = shuffle(Array.from({ length: sides }, (_, i) => i), rng)
+    .filter((edge) => !constraints.avoidedLitEdges.includes(edge));
+  for (const edge of [...constraints.requiredLitEdges, ...candidates]) {
+    if (litEdges.length >= numLit) break;
+    if (!litEdges.includes(edge) && !litEdges.includes((edge + halfTurn) % sides)) litEdges.push(edge);
+  }
+  litEdges.sort((a, b) => a - b);
+
+  // 2. Solved state: elements by ring and position, and the slots every
+  // beam for a lit edge passes through, which must stay empty. The first
+  // emitters go to different rings, as a busy board can leave a ring no free
+  // slot later on, and never to a ring that has all the emitters it may have.
+  const slots = Array.from({ length: rings }, () => new Array(sides).fill(null));
+  const clear = Array.from({ length: rings }, () => new Array(sides).fill(false));
+  const ringOrder = shuffle(Array.from({ length: rings }, (_, i) => i), rng);
+  const countOf = (ring, type) => slots[ring].filter((element) => element === type).length;
+  const [minEmitters, maxEmitters] = config.emittersPerRing;
+  litEdges.forEach((edge, i) => {
+    const from = (edge - edgeOffset + sides) % sides;
+    const open = ringOrder.filter((ring) => countOf(ring, 'emitter') < maxEmitters);
+    let ring = i < rings ? ringOrder[i] : Math.floor(rng() * rings);
+    if (countOf(ring, 'emitter') >= maxEmitters && open.length > 0) ring = open[0];
+    slots[ring][from] = 'emitter';
+    for (let inner = 0; inner < ring; inner++) clear[inner][from] = true;
+    for (let r = 0; r < rings; r++) clear[r][(from + halfTurn) % sides] = true;
+  });
+
+  // Free slots are empty, off every beam and not opposite an element on the
+  // same ring, which the game warns about
+  const freeSlots = (ring) => slots[ring]
+    .map((element, pos) => (element || clear[ring][pos] || slots[ring][(pos + halfTurn) % sides] ? null : pos))
+    .filter((pos) => pos !== null);
+  const placeAtRandom = (ring, type) => {
+    const free = freeSlots(ring);
+    if (free.length === 0) return false;
+    slots[ring][free[Math.floor(rng() * free.length)]] = type;
+    return true;
+  };
+
+  // 3. Decoys up to each ring's emitter minimum and beyond, and blockers,
+  // then at least one element on every ring so that each ring has to be turned
+  for (let ring = 0; ring < rings; ring++) {
+    while (countOf(ring, 'emitter') < minEmitters) {
+      if (!placeAtRandom(ring, 'emitter')) break;
+    }
+  }
+  for (let i = 0; i < config.decoyEmitters; i++) {
+    const ring = Math.floor(rng() * rings);
+    if (countOf(ring, 'emitter') < maxEmitters) placeAtRandom(ring, 'emitter');
+  }
+  for (let ring = 0; ring < rings; ring++) {
+    const count = randomInt(rng, ...config.blockersPerRing);
+    for (let i = 0; i < count; i++) placeAtRandom(ring, 'blocker');
+    if (slots[ring].every((element) => !element)) placeAtRandom(ring, 'blocker');
+  }
+
+  const build = () => withGeometry({
+    litEdges,
+    circles: slots.map((ringSlots, ring) => {
+      const positionsOf = (type) => ringSlots
+        .map((element, pos) => (element === type ? positionToAngle(pos, geometry) : null))
+        .filter((angle) => angle !== null);
+      return { radius: geometry.ringRadii[ring], lasers: positionsOf('emitter'), blockers: positionsOf('blocker') };
+    }),
+  }, geometry);
+
+  // 4. Blockers in free slots cannot break the built solution, so unique mode
+  // keeps those that rule out other ones
+  if (unique) {
+    let count = findAllSolutions(build()).length;
+    const candidates = shuffle(slots.flatMap((_, ring) => freeSlots(ring).map((pos) => [ring, pos])), rng);
+    for (const [ring, pos] of candidates) {
+      if (count === 1) break;
+      if (slots[ring][(pos + halfTurn) % sides]) continue; // Taken since the list was made
+      slots[ring][pos] = 'blocker';
+      const next = findAllSolutions(build()).length;
+      if (next < count) {
+        count = next;
+      } else {
+        slots[ring][pos] = null;
+      }
+    }
+  }
+  return build();
+}
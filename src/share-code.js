@@ -0,0 +1,192 @@
+// share-code.js
+// Compact, versioned text encoding of a puzzle (plus optional rotations) for
+// copy/paste and `?p=` deep links. A code looks like `TP1.<base64url>`, where
+// the digits after TP are the format version and the payload is:
+//
+//   version 1 (classic board): lit edge bitmask (2 bytes), circle count,
+//   version 2 (any board):     side count, lit edge bitmask (1 byte per 8
+//                              sides), circle count,
+//   per circle: radius, laser count, laser angles, blocker count, blocker angles
+//   rotation flag (0/1), one rotation step per circle when the flag is 1,
+//   checksum
+//
+// The rotations are where the receiver starts: the puzzle's startRotations
+// unless the sender passes the rotations of their current state.
+//
+// Angles are stored in half rotation steps (15° on the classic board) so both
+// the on-grid (15° + 30k) layouts and the 30k layouts of the constraint
+// generators round-trip exactly. A version 2 board's ring radii are the radii
+// of its circles. Classic boards keep using version 1, so their codes read the
+// same in older builds.
+
+import { DEFAULT_GEOMETRY, createGeometry, getGeometry, isDefaultGeometry, mod360, withGeometry } from './geometry.js';
+import { validatePuzzle } from './puzzle-schema.js';
+
+export const SHARE_CODE_VERSION = 2;
+
+const PREFIX = 'TP';
+const CLASSIC_VERSION = 1;
+const MAX_RADIUS = 255;
+
+function checksum(bytes) {
+  return bytes.reduce((sum, b) => (sum * 31 + b) % 251, 7);
+}
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Array.from(atob(base64), (ch) => ch.charCodeAt(0));
+}
+
+function maskBytes(sides) {
+  return Math.ceil(sides / 8);
+}
+
+/**
+ * Encode a puzzle as a share code. `rotations` (degrees, as kept by App.jsx)
+ * are included when given, otherwise the puzzle's startRotations if it has
+ * any.
+ */
+export function encodePuzzle(puzzle, rotations = null) {
+  const geometry = getGeometry(puzzle);
+  const { sides, stepAngle } = geometry;
+  const angleUnit = stepAngle / 2;
+  const version = isDefaultGeometry(geometry) ? CLASSIC_VERSION : SHARE_CODE_VERSION;
+  const encodeAngle = (angle) => {
+    // Steps such as 360 / 22 are not exact in floating point
+    const units = Math.round(mod360(angle) / angleUnit);
+    if (Math.abs(units * angleUnit - mod360(angle)) > 1e-6) {
+      throw new Error(`Cannot encode angle ${angle}: share codes store multiples of ${angleUnit}°`);
+    }
+    return units % (2 * sides);
+  };
+
+  const bytes = [];
+  if (version !== CLASSIC_VERSION) bytes.push(sides);
+  const mask = puzzle.litEdges.reduce((m, edge) => m | (1 << edge), 0);
+  for (let i = maskBytes(sides) - 1; i >= 0; i--) bytes.push((mask >> (8 * i)) & 0xff);
+  bytes.push(puzzle.circles.length);
+
+  for (const circle of puzzle.circles) {
+    if (!Number.isInteger(circle.radius) || circle.radius <= 0 || circle.radius > MAX_RADIUS) {
+      throw new Error(`Cannot encode radius ${circle.radius}: expected an integer from 1 to ${MAX_RADIUS}`);
+    }
+    bytes.push(circle.radius);
+    bytes.push(circle.lasers.length, ...circle.lasers.map(encodeAngle));
+    bytes.push(circle.blockers.length, ...circle.blockers.map(encodeAngle));
+  }
+
+  if (rotations) {
+    bytes.push(1, ...puzzle.circles.map((_, i) => Math.round(mod360(rotations[i] || 0) / stepAngle) % sides));
+  } else if (puzzle.startRotations) {
+    bytes.push(1, ...puzzle.circles.map((_, i) => puzzle.startRotations[i] || 0));
+  } else {
+    bytes.push(0);
+  }
+  bytes.push(checksum(bytes));
+
+  return `${PREFIX}${version}.${toBase64Url(bytes)}`;
+}
+
+/**
+ * Decode a share code into { puzzle, rotations } (rotations in degrees, or
+ * null when the code has none; the puzzle's startRotations are the same
+ * rotations in steps). Throws an Error with a message suitable for
+ * showing to the player when the code is malformed or describes overlapping
+ * elements.
+ */
+export function decodePuzzle(code) {
+  const match = /^TP(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(code).trim());
+  if (!match) throw new Error('Not a puzzle code: expected something like "TP1.AbC…"');
+
+  const version = Number(match[1]);
+  if (version < CLASSIC_VERSION || version > SHARE_CODE_VERSION) {
+    throw new Error(`Unsupported puzzle code version ${version} (this app reads versions ${CLASSIC_VERSION}-${SHARE_CODE_VERSION})`);
+  }
+
+  let bytes;
+  try {
+    bytes = fromBase64Url(match[2]);
+  } catch {
+    throw new Error('Puzzle code is corrupted: invalid characters');
+  }
+  if (bytes.length < 5 || checksum(bytes.slice(0, -1)) !== bytes[bytes.length - 1]) {
+    throw new Error('Puzzle code is corrupted: checksum mismatch');
+  }
+
+  let offset = 0;
+  const read = () => {
+    if (offset >= bytes.length - 1) throw new Error('Puzzle code is truncated');
+    return bytes[offset++];
+  };
+
+  let sides = DEFAULT_GEOMETRY.sides;
+  if (version !== CLASSIC_VERSION) {
+    sides = read();
+    try {
+      createGeometry({ sides });
+    } catch (error) {
+      throw new Error(`Puzzle code has an invalid board: ${error.message}`);
+    }
+  }
+  const stepAngle = 360 / sides;
+  const angleUnit = stepAngle / 2;
+  const readAngles = () => {
+    const count = read();
+    return Array.from({ length: count }, () => {
+      const unit = read();
+      if (unit * angleUnit >= 360) throw new Error(`Puzzle code has an invalid angle (${unit * angleUnit}°)`);
+      return unit * angleUnit;
+    });
+  };
+
+  let mask = 0;
+  for (let i = 0; i < maskBytes(sides); i++) mask = (mask << 8) | read();
+  if (mask >> sides) throw new Error('Puzzle code lights an edge that does not exist');
+  const litEdges = [];
+  for (let edge = 0; edge < sides; edge++) {
+    if (mask & (1 << edge)) litEdges.push(edge);
+  }
+  if (litEdges.length === 0) throw new Error('Puzzle code has no lit edges');
+
+  const circleCount = read();
+  if (circleCount === 0) throw new Error('Puzzle code has no circles');
+  const circles = [];
+  for (let i = 0; i < circleCount; i++) {
+    const radius = read();
+    if (radius === 0) throw new Error(`Puzzle code gives circle ${i} a zero radius`);
+    const lasers = readAngles();
+    const blockers = readAngles();
+    circles.push({ radius, lasers, blockers });
+  }
+
+  let startRotations = null;
+  if (read() === 1) {
+    startRotations = circles.map(() => {
+      const step = read();
+      if (step >= sides) throw new Error(`Puzzle code has an invalid rotation step (${step})`);
+      return step;
+    });
+  }
+  if (offset !== bytes.length - 1) throw new Error('Puzzle code has trailing data');
+
+  let puzzle = startRotations ? { litEdges, circles, startRotations } : { litEdges, circles };
+  if (version !== CLASSIC_VERSION) {
+    try {
+      puzzle = withGeometry(puzzle, createGeometry({ sides, ringRadii: circles.map((c) => c.radius) }));
+    } catch (error) {
+      throw new Error(`Puzzle code has an invalid board: ${error.message}`);
+    }
+  }
+  const { errors } = validatePuzzle(puzzle);
+  if (errors.length > 0) throw new Error(`Puzzle code rejected: ${errors.join('; ')}`);
+
+  const rotations = startRotations && startRotations.map((step) => step * stepAngle);
+  return { puzzle, rotations };
+}
@@ -3,20 +3,14 @@
 // - Good emitter distribution across circles
 // - Appropriate difficulty levels
 
-const SIDES = 12;
-const CENTER = 150;
-const SHAPE_ROTATION = -15;
+import { DEFAULT_GEOMETRY, angleToPosition, positionToAngle, resolveGeometry, withGeometry } from './geometry.js';
+import { isPuzzleSolvable, hasUniqueSolution, getPar, pickQualifyingPuzzle } from './puzzle.js';
+import { resolveRng } from './random.js';
+import { populationDiversity, runEvolution, runEvolutionAsync } from './evolution-progress.js';
+import { resolveConstraints, narrowRange, constrainLayout } from './generation-constraints.js';
 
-function degToRad(deg) {
-  return (deg * Math.PI) / 180;
-}
-
-// Real physics constants and geometry
-const points = Array.from({ length: SIDES }, (_, i) => {
-  const angle = (i * 360) / SIDES + SHAPE_ROTATION;
-  const rad = degToRad(angle);
-  return [CENTER + 180 * Math.cos(rad), CENTER + 180 * Math.sin(rad)];
-});
+// Fittest chromosomes tried when fitting the result to a target par
+const PAR_CANDIDATES = 10;
 
 // Cross-platform performance timing
 const getTime = () => {
@@ -39,19 +33,53 @@ class SimplifiedEvolutionaryGenerator {
     this.maxGenerations = 15; // Reduced from 25
     this.eliteRatio = 0.3;
     this.solvabilityCache = new Map(); // Cache solvability results
+    this.rng = Math.random; // Replaced per run by generatePuzzle
+    this.geometry = DEFAULT_GEOMETRY; // Likewise
+    this.unique = false; // Likewise
+    this.par = null; // Likewise
   }
 
   /**
    * Generate puzzle using simplified evolutionary approach
+   * options: { seed } or { rng } for reproducible output, { geometry } for the board,
+   * { unique: true } to only count puzzles with exactly one solution as solvable,
+   * { par } to turn the rings of the result to start exactly par moves from
+   * solved (metadata.par). With either, when none of the best puzzles
+   * qualifies one is searched for instead (metadata.searched, see
+   * pickQualifyingPuzzle), and it throws when the search finds none either,
+   * { constraints } to keep every layout within a lit edge range, per-ring
+   * element counts and required lit edges (see generation-constraints.js),
+   * { onProgress } to receive each generation's stats (see evolve)
+   */
+  generatePuzzle(difficulty = 'medium', options = {}) {
+    return runEvolution(this.evolve(difficulty, options), options.onProgress);
+  }
+
+  /**
+   * generatePuzzle as a promise that yields to the event loop between
+   * generations. Also takes { signal } (an AbortSignal) to stop early, in which
+   * case it rejects with the signal's reason. One run at a time per instance.
    */
-  generatePuzzle(difficulty = 'medium') {
+  generatePuzzleAsync(difficulty = 'medium', options = {}) {
+    return runEvolutionAsync(this.evolve(difficulty, options), options);
+  }
+
+  /**
+   * The evolution loop: yields { generation, bestFitness, solvable, diversity,
+   * timeMs } after evaluating each generation and returns { puzzle, metadata }
+   */
+  *evolve(difficulty = 'medium', options = {}) {
     const startTime = getTime();
+    this.rng = resolveRng(options);
+    this.geometry = resolveGeometry(options);
+    this.unique = Boolean(options.unique);
+    this.par = options.par ?? null;
     console.log(`🧬 Starting simplified evolutionary generation (${difficulty})...`);
     
     // Clear solvability cache for new puzzle generation
     this.solvabilityCache.clear();
     
-    const config = this.getDifficultyConfig(difficulty);
+    const config = this.getDifficultyConfig(difficulty, resolveConstraints(options.constraints, this.geometry));
     
     // Create initial population
     let population = this.createInitialPopulation(config);
@@ -66,6 +94,13 @@ class SimplifiedEvolutionaryGenerator {
       population.sort((a, b) => b.fitness - a.fitness);
       
       const currentBest = population[0];
+      yield {
+        generation,
+        bestFitness: currentBest.fitness,
+        solvable: currentBest.solvable,
+        diversity: populationDiversity(population),
+        timeMs: getTime() - startTime,
+      };
       if (currentBest.fitness > bestFitness) {
         bestFitness = currentBest.fitness;
         if (generation % 5 === 0) {
@@ -86,26 +121,42 @@ class SimplifiedEvolutionaryGenerator {
     
     population.sort((a, b) => b.fitness - a.fitness);
     const bestPuzzle = population[0];
+    let puzzle = this.chromosomeToPuzzle(bestPuzzle);
+    let searched = false;
+    let scored = bestPuzzle;
+    if (this.unique || this.par !== null) {
+      const candidates = population.slice(0, PAR_CANDIDATES).map((chromosome) => this.chromosomeToPuzzle(chromosome));
+      ({ puzzle, searched } = pickQualifyingPuzzle(candidates, config.litEdges, {
+        rng: this.rng, geometry: this.geometry, unique: this.unique, par: this.par, constraints: options.constraints,
+      }));
+      // The metadata describes the puzzle returned, which may not be the best one
+      scored = this.puzzleToChromosome(puzzle);
+      this.calculateFitness(scored);
+    }
     
     const totalTime = getTime() - startTime;
     console.log(`🎯 Evolution complete! Best fitness: ${bestPuzzle.fitness.toFixed(3)}, Time: ${totalTime.toFixed(0)}ms`);
     
     return {
-      puzzle: this.chromosomeToPuzzle(bestPuzzle),
+      puzzle,
       metadata: {
-        fitness: bestPuzzle.fitness,
+        fitness: scored.fitness,
         generations: generation,
         timeMs: totalTime,
-        solvable: bestPuzzle.solvable,
-        fitnessBreakdown: bestPuzzle.breakdown
+        solvable: scored.solvable,
+        fitnessBreakdown: scored.breakdown,
+        searched,
+        ...(this.par !== null && { par: getPar(puzzle) })
       }
     };
   }
 
   /**
-   * Get difficulty configuration
+   * Get difficulty configuration, narrowed to resolved constraints (see
+   * generation-constraints.js). `bounds` are the constraints every layout is
+   * repaired to, with this generator's own per-ring limits where none are given.
    */
-  getDifficultyConfig(difficulty) {
+  getDifficultyConfig(difficulty, constraints = resolveConstraints({}, this.geometry)) {
     const configs = {
       easy: {
         litEdges: [3, 4],
@@ -123,7 +174,21 @@ class SimplifiedEvolutionaryGenerator {
         totalBlockers: [3, 4]
       }
     };
-    return configs[difficulty] || configs.medium;
+    const preset = configs[difficulty] || configs.medium;
+    const { sides, ringRadii } = this.geometry;
+    const emittersPerRing = constraints.emittersPerRing || [1, 4];
+    const blockersPerRing = constraints.blockersPerRing || [0, 3];
+    const litEdges = narrowRange(preset.litEdges, constraints.litRange)
+      .map((count) => Math.min(count, sides - constraints.avoidedLitEdges.length));
+    return {
+      litEdges,
+      totalEmitters: narrowRange(preset.totalEmitters, emittersPerRing.map((count) => count * ringRadii.length)),
+      totalBlockers: narrowRange(preset.totalBlockers, blockersPerRing.map((count) => count * ringRadii.length)),
+      emittersPerRing,
+      blockersPerRing,
+      requiredLitEdges: constraints.requiredLitEdges,
+      bounds: { ...constraints, litRange: litEdges, emittersPerRing, blockersPerRing }
+    };
   }
 
   /**
@@ -141,16 +206,16 @@ class SimplifiedEvolutionaryGenerator {
   }
 
   /**
-   * Create a random chromosome with forced distribution
+   * Create a random chromosome with forced distribution, within the config's bounds
    */
   createRandomChromosome(config) {
-    // Generate lit edges
+    // Generate lit edges, the required ones first
     const numLitEdges = config.litEdges[0] + 
-      Math.floor(Math.random() * (config.litEdges[1] - config.litEdges[0] + 1));
+      Math.floor(this.rng() * (config.litEdges[1] - config.litEdges[0] + 1));
     
-    const litEdges = [];
-    while (litEdges.length < numLitEdges) {
-      const edge = Math.floor(Math.random() * 12);
+    const litEdges = [...config.requiredLitEdges];
+    while (litEdges.length < Math.min(numLitEdges, this.geometry.sides)) {
+      const edge = Math.floor(this.rng() * this.geometry.sides);
       if (!litEdges.includes(edge)) {
         litEdges.push(edge);
       }
@@ -159,45 +224,44 @@ class SimplifiedEvolutionaryGenerator {
     
     // Generate emitters with forced distribution across circles
     const totalEmitters = config.totalEmitters[0] + 
-      Math.floor(Math.random() * (config.totalEmitters[1] - config.totalEmitters[0] + 1));
+      Math.floor(this.rng() * (config.totalEmitters[1] - config.totalEmitters[0] + 1));
     
     const totalBlockers = config.totalBlockers[0] + 
-      Math.floor(Math.random() * (config.totalBlockers[1] - config.totalBlockers[0] + 1));
-    
-    // Force at least one emitter per circle, distribute the rest
-    const emitterDistribution = [1, 1, 1]; // Start with 1 per circle
-    let remaining = totalEmitters - 3;
-    while (remaining > 0) {
-      const circle = Math.floor(Math.random() * 3);
-      emitterDistribution[circle]++;
-      remaining--;
-    }
-    
-    // Distribute blockers (can be 0)
-    const blockerDistribution = [0, 0, 0];
-    remaining = totalBlockers;
-    while (remaining > 0) {
-      const circle = Math.floor(Math.random() * 3);
-      blockerDistribution[circle]++;
-      remaining--;
-    }
+      Math.floor(this.rng() * (config.totalBlockers[1] - config.totalBlockers[0] + 1));
+    
+    // Force the minimum per circle (one emitter by default), distribute the
+    // rest over circles below their maximum
+    const rings = this.geometry.ringRadii.length;
+    const distribute = (total, [min, max]) => {
+      const distribution = new Array(rings).fill(min);
+      let remaining = total - min * rings;
+      while (remaining > 0) {
+        const open = distribution.map((count, circle) => (count < max ? circle : -1)).filter((circle) => circle !== -1);
+        if (open.length === 0) break;
+        distribution[open[Math.floor(this.rng() * open.length)]]++;
+        remaining--;
+      }
+      return distribution;
+    };
+    const emitterDistribution = distribute(totalEmitters, config.emittersPerRing);
+    const blockerDistribution = distribute(totalBlockers, config.blockersPerRing);
     
     // Create circles
     const circles = [];
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < rings; i++) {
       const circle = { emitters: [], blockers: [] };
       
       // Add emitters
-      while (circle.emitters.length < emitterDistribution[i]) {
-        const pos = Math.floor(Math.random() * 12);
+      while (circle.emitters.length < emitterDistribution[i] && this.hasFreeSlot(circle)) {
+        const pos = Math.floor(this.rng() * this.geometry.sides);
         if (!circle.emitters.includes(pos) && !circle.blockers.includes(pos)) {
           circle.emitters.push(pos);
         }
       }
       
       // Add blockers
-      while (circle.blockers.length < blockerDistribution[i]) {
-        const pos = Math.floor(Math.random() * 12);
+      while (circle.blockers.length < blockerDistribution[i] && this.hasFreeSlot(circle)) {
+        const pos = Math.floor(this.rng() * this.geometry.sides);
         if (!circle.emitters.includes(pos) && !circle.blockers.includes(pos)) {
           circle.blockers.push(pos);
         }
@@ -206,13 +270,13 @@ class SimplifiedEvolutionaryGenerator {
       circles.push(circle);
     }
     
-    return {
+    return constrainLayout({
       litEdges,
       circles,
       fitness: 0,
       solvable: false,
       breakdown: {}
-    };
+    }, config.bounds, this.rng, this.geometry);
   }
 
   /**
@@ -258,7 +322,7 @@ class SimplifiedEvolutionaryGenerator {
   }
 
   /**
-   * Real physics-based solvability check (adapted from App.jsx)
+   * Real physics-based solvability check using the shared beam tracer
    * Now with caching for performance
    */
   isChromosomeSolvable(chromosome) {
@@ -273,139 +337,10 @@ class SimplifiedEvolutionaryGenerator {
       return this.solvabilityCache.get(cacheKey);
     }
     
-    // Convert chromosome to puzzle format for testing
+    // Certify with the shared beam tracer so we agree with what the player sees.
+    // In unique mode only puzzles with exactly one solution count as solvable.
     const puzzle = this.chromosomeToPuzzle(chromosome);
-    
-    // Try all 12^3 = 1728 possible rotation combinations
-    let solvable = false;
-    for (let r0 = 0; r0 < SIDES && !solvable; ++r0) {
-      for (let r1 = 0; r1 < SIDES && !solvable; ++r1) {
-        for (let r2 = 0; r2 < SIDES && !solvable; ++r2) {
-          const rotations = [r0 * 30, r1 * 30, r2 * 30];
-          
-          // Compute emitters and blockers for this rotation
-          const emitters = puzzle.circles.flatMap((circle, idx) =>
-            circle.lasers.map((angle, i) => {
-              const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-              const rad = degToRad(rotated);
-              return {
-                idx,
-                angle: rotated + 180, // Fire toward center
-                x: CENTER + circle.radius * Math.cos(rad),
-                y: CENTER + circle.radius * Math.sin(rad),
-                radius: circle.radius,
-                laserIdx: i,
-              };
-            })
-          );
-          
-          const blockers = puzzle.circles.flatMap((circle, idx) =>
-            circle.blockers.map((angle) => {
-              const rotated = angle + rotations[idx] + SHAPE_ROTATION;
-              const rad = degToRad(rotated);
-              return {
-                idx,
-                angle: rotated,
-                x: CENTER + circle.radius * Math.cos(rad),
-                y: CENTER + circle.radius * Math.sin(rad),
-                radius: circle.radius,
-              };
-            })
-          );
-          
-          // Helper: get dodecagon edge lines
-          const edgeLines = points.map((pt, i) => {
-            const next = points[(i + 1) % SIDES];
-            return { i, x1: pt[0], y1: pt[1], x2: next[0], y2: next[1] };
-          });
-          
-          // For each lit edge, can it be hit by any emitter?
-          let allLit = true;
-          for (const litIdx of puzzle.litEdges) {
-            let hit = false;
-            for (const emitter of emitters) {
-              // Project a ray from emitter.x/y at emitter.angle
-              const rad = degToRad(emitter.angle);
-              const dx = Math.cos(rad);
-              const dy = Math.sin(rad);
-              
-              // Find intersection with blockers and other emitters
-              let minT = Infinity;
-              let hitType = null;
-              
-              // Check blocker collisions
-              for (const blocker of blockers) {
-                const sameCircle = blocker.idx === emitter.idx;
-                const sameOrOppositePos = Math.abs(((blocker.angle - emitter.angle + 180) % 360) - 180) < 1;
-                
-                if (!sameCircle || sameOrOppositePos) {
-                  const bx = blocker.x - emitter.x;
-                  const by = blocker.y - emitter.y;
-                  const proj = bx * dx + by * dy;
-                  if (proj <= 0) continue;
-                  const perp2 = (bx * bx + by * by) - proj * proj;
-                  const r2 = 12 * 12;
-                  if (perp2 < r2) {
-                    const t = proj - Math.sqrt(r2 - perp2);
-                    if (t < minT) {
-                      minT = t;
-                      hitType = 'blocker';
-                    }
-                  }
-                }
-              }
-              
-              // Check emitter collisions
-              for (const other of emitters) {
-                if (other === emitter) continue;
-                const ox = other.x - emitter.x;
-                const oy = other.y - emitter.y;
-                const proj = ox * dx + oy * dy;
-                if (proj <= 0) continue;
-                const perp2 = (ox * ox + oy * oy) - proj * proj;
-                const r2 = 13 * 13;
-                if (perp2 < r2) {
-                  const t = proj - Math.sqrt(r2 - perp2);
-                  if (t < minT) {
-                    minT = t;
-                    hitType = 'emitter';
-                  }
-                }
-              }
-              
-              // Check dodecagon edge collisions
-              for (const edge of edgeLines) {
-                const x3 = edge.x1, y3 = edge.y1, x4 = edge.x2, y4 = edge.y2;
-                const denom = (dx * (y4 - y3) - dy * (x4 - x3));
-                if (Math.abs(denom) < 1e-6) continue;
-                const t2 = ((x3 - emitter.x) * (y4 - y3) - (y3 - emitter.y) * (x4 - x3)) / denom;
-                const t1 = ((x3 - emitter.x) * dy - (y3 - emitter.y) * dx) / denom;
-                if (t2 > 0 && t1 >= 0 && t1 <= 1) {
-                  if (t2 < minT) {
-                    minT = t2;
-                    hitType = 'edge';
-                    if (edge.i === litIdx) {
-                      hit = true;
-                      break;
-                    }
-                  }
-                }
-              }
-              
-              if (hit) break;
-            }
-            if (!hit) {
-              allLit = false;
-              break;
-            }
-          }
-          
-          if (allLit) {
-            solvable = true;
-          }
-        }
-      }
-    }
+    const solvable = this.unique ? hasUniqueSolution(puzzle) : isPuzzleSolvable(puzzle);
     
     // Cache the result
     this.solvabilityCache.set(cacheKey, solvable);
@@ -467,7 +402,7 @@ class SimplifiedEvolutionaryGenerator {
       // Check for opposite pairs
       let oppositePairs = 0;
       for (const edge of litEdges) {
-        const opposite = (edge + 6) % 12;
+        const opposite = (edge + this.geometry.sides / 2) % this.geometry.sides;
         if (litEdges.includes(opposite)) {
           oppositePairs++;
         }
@@ -521,7 +456,7 @@ class SimplifiedEvolutionaryGenerator {
     let best = null;
     
     for (let i = 0; i < tournamentSize; i++) {
-      const candidate = population[Math.floor(Math.random() * population.length)];
+      const candidate = population[Math.floor(this.rng() * population.length)];
       if (!best || candidate.fitness > best.fitness) {
         best = candidate;
       }
@@ -548,8 +483,8 @@ class SimplifiedEvolutionaryGenerator {
     offspring.litEdges = allEdges.slice(0, targetSize).sort((a, b) => a - b);
     
     // For each circle, randomly inherit from one parent
-    for (let i = 0; i < 3; i++) {
-      const sourceParent = Math.random() < 0.5 ? parent1 : parent2;
+    for (let i = 0; i < parent1.circles.length; i++) {
+      const sourceParent = this.rng() < 0.5 ? parent1 : parent2;
       offspring.circles.push({
         emitters: [...sourceParent.circles[i].emitters],
         blockers: [...sourceParent.circles[i].blockers]
@@ -560,22 +495,23 @@ class SimplifiedEvolutionaryGenerator {
   }
 
   /**
-   * Mutate offspring
+   * Mutate offspring, then repair it to the config's bounds
    */
   mutate(chromosome, config) {
     const mutationRate = 0.3;
     
     // Lit edge mutations
-    if (Math.random() < mutationRate * 0.5) {
-      if (Math.random() < 0.5 && chromosome.litEdges.length > 3) {
+    if (this.rng() < mutationRate * 0.5) {
+      const removable = chromosome.litEdges.filter((edge) => !config.requiredLitEdges.includes(edge));
+      if (this.rng() < 0.5 && chromosome.litEdges.length > config.litEdges[0] && removable.length > 0) {
         // Remove edge
-        const index = Math.floor(Math.random() * chromosome.litEdges.length);
-        chromosome.litEdges.splice(index, 1);
-      } else if (chromosome.litEdges.length < 6) {
+        const edge = removable[Math.floor(this.rng() * removable.length)];
+        chromosome.litEdges.splice(chromosome.litEdges.indexOf(edge), 1);
+      } else if (chromosome.litEdges.length < config.litEdges[1]) {
         // Add edge
         let newEdge;
         do {
-          newEdge = Math.floor(Math.random() * 12);
+          newEdge = Math.floor(this.rng() * this.geometry.sides);
         } while (chromosome.litEdges.includes(newEdge));
         chromosome.litEdges.push(newEdge);
         chromosome.litEdges.sort((a, b) => a - b);
@@ -583,30 +519,30 @@ class SimplifiedEvolutionaryGenerator {
     }
     
     // Circle mutations
-    for (let circleIdx = 0; circleIdx < 3; circleIdx++) {
+    for (let circleIdx = 0; circleIdx < chromosome.circles.length; circleIdx++) {
       const circle = chromosome.circles[circleIdx];
       
-      if (Math.random() < mutationRate) {
+      if (this.rng() < mutationRate) {
         // Emitter mutations
-        if (Math.random() < 0.7 && circle.emitters.length > 0) {
+        if (this.rng() < 0.7 && circle.emitters.length > 0 && this.hasFreeSlot(circle)) {
           // Move an emitter
-          const index = Math.floor(Math.random() * circle.emitters.length);
+          const index = Math.floor(this.rng() * circle.emitters.length);
           let newPos;
           do {
-            newPos = Math.floor(Math.random() * 12);
+            newPos = Math.floor(this.rng() * this.geometry.sides);
           } while (circle.emitters.includes(newPos) || circle.blockers.includes(newPos));
           circle.emitters[index] = newPos;
         } else {
           // Add/remove emitter
-          if (Math.random() < 0.3 && circle.emitters.length > 1) {
+          if (this.rng() < 0.3 && circle.emitters.length > config.emittersPerRing[0]) {
             // Remove emitter
-            const index = Math.floor(Math.random() * circle.emitters.length);
+            const index = Math.floor(this.rng() * circle.emitters.length);
             circle.emitters.splice(index, 1);
-          } else if (circle.emitters.length < 4) {
+          } else if (circle.emitters.length < config.emittersPerRing[1] && this.hasFreeSlot(circle)) {
             // Add emitter
             let newPos;
             do {
-              newPos = Math.floor(Math.random() * 12);
+              newPos = Math.floor(this.rng() * this.geometry.sides);
             } while (circle.emitters.includes(newPos) || circle.blockers.includes(newPos));
             circle.emitters.push(newPos);
           }
@@ -614,26 +550,26 @@ class SimplifiedEvolutionaryGenerator {
       }
       
       // Blocker mutations
-      if (Math.random() < mutationRate * 0.5) {
-        if (Math.random() < 0.5 && circle.blockers.length > 0) {
+      if (this.rng() < mutationRate * 0.5) {
+        if (this.rng() < 0.5 && circle.blockers.length > 0 && this.hasFreeSlot(circle)) {
           // Move blocker
-          const index = Math.floor(Math.random() * circle.blockers.length);
+          const index = Math.floor(this.rng() * circle.blockers.length);
           let newPos;
           do {
-            newPos = Math.floor(Math.random() * 12);
+            newPos = Math.floor(this.rng() * this.geometry.sides);
           } while (circle.emitters.includes(newPos) || circle.blockers.includes(newPos));
           circle.blockers[index] = newPos;
         } else {
           // Add/remove blocker
-          if (Math.random() < 0.5 && circle.blockers.length > 0) {
+          if (this.rng() < 0.5 && circle.blockers.length > config.blockersPerRing[0]) {
             // Remove blocker
-            const index = Math.floor(Math.random() * circle.blockers.length);
+            const index = Math.floor(this.rng() * circle.blockers.length);
             circle.blockers.splice(index, 1);
-          } else if (circle.blockers.length < 3) {
+          } else if (circle.blockers.length < config.blockersPerRing[1] && this.hasFreeSlot(circle)) {
             // Add blocker
             let newPos;
             do {
-              newPos = Math.floor(Math.random() * 12);
+              newPos = Math.floor(this.rng() * this.geometry.sides);
             } while (circle.emitters.includes(newPos) || circle.blockers.includes(newPos));
             circle.blockers.push(newPos);
           }
@@ -641,33 +577,46 @@ class SimplifiedEvolutionaryGenerator {
       }
     }
     
-    // Ensure each circle has at least one emitter
-    for (const circle of chromosome.circles) {
-      if (circle.emitters.length === 0) {
-        let newPos;
-        do {
-          newPos = Math.floor(Math.random() * 12);
-        } while (circle.blockers.includes(newPos));
-        circle.emitters.push(newPos);
-      }
-    }
+    // Ensure each circle has its minimum emitters (at least one by default)
+    // and that crossover kept the lit edges in range
+    constrainLayout(chromosome, config.bounds, this.rng, this.geometry);
   }
 
   /**
    * Convert chromosome to puzzle format
    */
   chromosomeToPuzzle(chromosome) {
-    const RADII = [50, 90, 130]; // Standard radii for the three circles
-    
-    return {
+    const geometry = this.geometry;
+    return withGeometry({
       litEdges: [...chromosome.litEdges],
       circles: chromosome.circles.map((circle, index) => ({
-        radius: RADII[index], // Add missing radius property
-        lasers: circle.emitters.map(pos => 15 + 30 * pos), // Convert position to angle
-        blockers: circle.blockers.map(pos => 15 + 30 * pos) // Convert position to angle
+        radius: geometry.ringRadii[index],
+        lasers: circle.emitters.map((pos) => positionToAngle(pos, geometry)),
+        blockers: circle.blockers.map((pos) => positionToAngle(pos, geometry))
+      }))
+    }, geometry);
+  }
+
+  /**
+   * The chromosome of a puzzle on this generator's board, unscored
+   */
+  puzzleToChromosome(puzzle) {
+    const geometry = this.geometry;
+    return {
+      litEdges: [...puzzle.litEdges],
+      circles: puzzle.circles.map((circle) => ({
+        emitters: circle.lasers.map((angle) => angleToPosition(angle, geometry)),
+        blockers: circle.blockers.map((angle) => angleToPosition(angle, geometry))
       }))
     };
   }
+
+  /**
+   * Whether a circle still has a position free for another element
+   */
+  hasFreeSlot(circle) {
+    return circle.emitters.length + circle.blockers.length < this.geometry.sides;
+  }
 }
 
 // Export the simplified generator
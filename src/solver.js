@@ -0,0 +1,451 @@
+// solver.js
+// Exact, purely combinatorial model of the board. Every element sits on one of
+// `sides` positions of a ring, so a beam only ever travels along one of the
+// sides / 2 diameters and its hit can be decided with integer arithmetic
+// instead of floating-point ray casting. Works for any geometry (see
+// geometry.js) and any number of rings.
+
+import {
+  DEFAULT_GEOMETRY,
+  mod360,
+  getGeometry,
+  positionToAngle,
+  angleToPosition,
+} from './geometry.js';
+import { traceBeams, traceElements, getWorldElements } from './beam-tracer.js';
+
+/**
+ * A beam fired from world position w crosses the center and leaves through
+ * the middle of edge (w + edge offset). Derived from the same values the
+ * renderer uses: the beam heads toward positionToAngle(w) + shapeRotation + 180
+ * and edge i is centred at (i + 0.5) * stepAngle - 90 + shapeRotation, so the
+ * shape rotation cancels out. 9 on the classic board.
+ */
+export function getEdgeOffset(geometry) {
+  return Math.round(mod360(positionToAngle(0, geometry) + 180 + 90 - geometry.stepAngle / 2) / geometry.stepAngle);
+}
+
+/**
+ * Call visit(steps) for every combination of steps[i] in [0, limits[i]),
+ * last circle fastest, until visit returns true. Returns whether it stopped.
+ */
+export function forEachRotation(limits, visit) {
+  const steps = new Array(limits.length).fill(0);
+  if (limits.some((limit) => limit <= 0)) return false;
+  for (;;) {
+    if (visit(steps.slice())) return true;
+    let i = limits.length - 1;
+    while (i >= 0 && ++steps[i] === limits[i]) {
+      steps[i] = 0;
+      i--;
+    }
+    if (i < 0) return false;
+  }
+}
+
+/**
+ * Whether every emitter and blocker sits exactly on the 15° + 30k grid that
+ * the discrete model describes
+ */
+export function isOnGrid(puzzle) {
+  const geometry = getGeometry(puzzle);
+  return puzzle.circles.every((circle) =>
+    [...circle.lasers, ...circle.blockers].every((angle) =>
+      positionToAngle(angleToPosition(angle, geometry), geometry) === mod360(angle)
+    )
+  );
+}
+
+/**
+ * Rank of each circle from the center outward (0 = innermost)
+ */
+function getRingRanks(puzzle) {
+  const order = puzzle.circles
+    .map((circle, idx) => ({ idx, radius: circle.radius }))
+    .sort((a, b) => a.radius - b.radius);
+  const ranks = new Array(puzzle.circles.length);
+  order.forEach(({ idx }, rank) => {
+    ranks[idx] = rank;
+  });
+  return ranks;
+}
+
+/**
+ * Build the occupancy of each diameter for the given rotation steps.
+ * Diameter d is stored as a line of 2 * rings slots running from the outermost
+ * ring at position d, through the center, to the outermost ring at
+ * d + sides / 2.
+ */
+function buildDiameters(puzzle, steps, ranks, geometry) {
+  const rings = puzzle.circles.length;
+  const halfTurn = geometry.sides / 2;
+  const diameters = Array.from({ length: halfTurn }, () => new Array(2 * rings).fill(null));
+
+  const place = (circleIdx, angle, element) => {
+    const w = (angleToPosition(angle, geometry) + (steps[circleIdx] || 0)) % geometry.sides;
+    const rank = ranks[circleIdx];
+    const slot = w < halfTurn ? rings - 1 - rank : rings + rank;
+    diameters[w % halfTurn][slot] = element;
+    return { w, slot };
+  };
+
+  const emitters = [];
+  puzzle.circles.forEach((circle, idx) => {
+    circle.blockers.forEach((angle, i) => {
+      place(idx, angle, { type: 'blocker', circle: idx, index: i });
+    });
+    circle.lasers.forEach((angle, i) => {
+      const element = { type: 'emitter', circle: idx, index: i };
+      emitters.push({ ...element, ...place(idx, angle, element) });
+    });
+  });
+
+  return { diameters, emitters };
+}
+
+/**
+ * Exact counterpart of traceBeams. `steps` holds one rotation step (0 to
+ * sides - 1) per circle. Each beam reports its emitter, its world position,
+ * what it hit and the edge it reached (null when blocked).
+ */
+export function traceBeamsDiscrete(puzzle, steps = []) {
+  const geometry = getGeometry(puzzle);
+  const halfTurn = geometry.sides / 2;
+  const edgeOffset = getEdgeOffset(geometry);
+  const ranks = getRingRanks(puzzle);
+  const { diameters, emitters } = buildDiameters(puzzle, steps, ranks, geometry);
+
+  const beams = emitters.map((emitter) => {
+    const line = diameters[emitter.w % halfTurn];
+    // Emitters on the first half of the line fire toward the end and vice versa
+    const dir = emitter.w < halfTurn ? 1 : -1;
+    for (let s = emitter.slot + dir; s >= 0 && s < line.length; s += dir) {
+      if (line[s]) {
+        return {
+          circle: emitter.circle,
+          laserIdx: emitter.index,
+          position: emitter.w,
+          hitType: line[s].type,
+          hit: line[s],
+          edge: null,
+        };
+      }
+    }
+    return {
+      circle: emitter.circle,
+      laserIdx: emitter.index,
+      position: emitter.w,
+      hitType: 'edge',
+      hit: null,
+      edge: (emitter.w + edgeOffset) % geometry.sides,
+    };
+  });
+
+  const litHit = new Set();
+  for (const beam of beams) {
+    if (beam.hitType === 'edge' && puzzle.litEdges.includes(beam.edge)) {
+      litHit.add(beam.edge);
+    }
+  }
+  const solved = puzzle.litEdges.every((i) => litHit.has(i));
+
+  return { beams, litHit, solved };
+}
+
+/**
+ * Bitmasks over world positions, per rotation step, of where a circle puts
+ * an emitter and where it puts any element
+ */
+function buildRingMasks(circle, geometry) {
+  const { sides } = geometry;
+  const lasers = circle.lasers.map((angle) => angleToPosition(angle, geometry));
+  const blockers = circle.blockers.map((angle) => angleToPosition(angle, geometry));
+  const emit = [];
+  const all = [];
+  for (let step = 0; step < sides; step++) {
+    let e = 0;
+    let b = 0;
+    for (const p of lasers) e |= 1 << ((p + step) % sides);
+    for (const p of blockers) b |= 1 << ((p + step) % sides);
+    emit.push(e);
+    all.push(e | b);
+  }
+  return { emit, all };
+}
+
+function countBits(mask) {
+  let count = 0;
+  for (let m = mask; m; m &= m - 1) count++;
+  return count;
+}
+
+/**
+ * Backtracking search over the exact model. Lit edge e can only be lit by an
+ * emitter at world position p = e - edge offset whose beam crosses the
+ * diameter unobstructed, i.e. the innermost element at p is an emitter and
+ * the opposite position is empty on every ring. Rings are fixed from the
+ * center outward, so once any fixed ring covers p its innermost element is
+ * final, and a branch is cut as soon as an opposite position is covered, a
+ * blocker ends up innermost at p, or the free rings hold fewer emitters than
+ * lit edges still waiting for one.
+ */
+function searchExact(puzzle, geometry, limits, visit) {
+  const { sides } = geometry;
+  const halfTurn = sides / 2;
+  const edgeOffset = getEdgeOffset(geometry);
+  if (!puzzle.litEdges.every((e) => Number.isInteger(e) && e >= 0 && e < sides)) return;
+
+  let needLit = 0;
+  let needDark = 0;
+  for (const e of puzzle.litEdges) {
+    const p = (e - edgeOffset + sides) % sides;
+    needLit |= 1 << p;
+    needDark |= 1 << ((p + halfTurn) % sides);
+  }
+  // Two opposite lit edges would need an emitter in each other's path
+  if (needLit & needDark) return;
+
+  const ranks = getRingRanks(puzzle);
+  const order = puzzle.circles.map((_, idx) => idx).sort((a, b) => ranks[a] - ranks[b]);
+  const masks = puzzle.circles.map((circle) => buildRingMasks(circle, geometry));
+  const emittersLeft = new Array(order.length + 1).fill(0);
+  for (let depth = order.length - 1; depth >= 0; depth--) {
+    emittersLeft[depth] = emittersLeft[depth + 1] + puzzle.circles[order[depth]].lasers.length;
+  }
+
+  const steps = new Array(puzzle.circles.length).fill(0);
+  const descend = (depth, covered, firstEmit) => {
+    if (covered & needDark) return false;
+    if (needLit & covered & ~firstEmit) return false;
+    const missing = needLit & ~firstEmit;
+    if (depth === order.length) return missing === 0 && visit(steps.slice());
+    if (countBits(missing) > emittersLeft[depth]) return false;
+
+    const idx = order[depth];
+    const { emit, all } = masks[idx];
+    for (let step = 0; step < limits[idx]; step++) {
+      steps[idx] = step;
+      if (descend(depth + 1, covered | all[step], firstEmit | (emit[step] & ~covered))) return true;
+    }
+    return false;
+  };
+  descend(0, 0, 0);
+}
+
+/**
+ * Search for off-grid puzzles, which the exact model cannot describe. Each
+ * ring is placed in world coordinates once per rotation step up front and
+ * every combination is traced from those, instead of recomputing the whole
+ * board for each one.
+ */
+function searchTraced(puzzle, geometry, limits, visit) {
+  const { sides, stepAngle } = geometry;
+  const placed = Array.from({ length: sides }, (_, step) =>
+    getWorldElements(puzzle, puzzle.circles.map(() => step * stepAngle))
+  );
+  const rings = puzzle.circles.map((_, idx) => placed.map(({ emitters, blockers }) => ({
+    emitters: emitters.filter((emitter) => emitter.idx === idx),
+    blockers: blockers.filter((blocker) => blocker.idx === idx),
+  })));
+
+  const steps = new Array(puzzle.circles.length).fill(0);
+  const descend = (idx, emitters, blockers) => {
+    if (idx === rings.length) {
+      return traceElements(puzzle, emitters, blockers).solved && visit(steps.slice());
+    }
+    for (let step = 0; step < limits[idx]; step++) {
+      steps[idx] = step;
+      const ring = rings[idx][step];
+      if (descend(idx + 1, emitters.concat(ring.emitters), blockers.concat(ring.blockers))) return true;
+    }
+    return false;
+  };
+  descend(0, [], []);
+}
+
+/**
+ * Rotation step combinations (one per circle, steps[i] below limits[i]) that
+ * solve the puzzle, in the order forEachRotation would visit them. Uses the
+ * exact model with pruning when the puzzle is on-grid and the beam tracer
+ * otherwise. The search stops once it has maxSolutions of them; { first: true }
+ * is short for { maxSolutions: 1 }.
+ */
+export function searchSolutions(puzzle, {
+  limits,
+  first = false,
+  maxSolutions = first ? 1 : Infinity,
+  onGrid = isOnGrid(puzzle),
+} = {}) {
+  const geometry = getGeometry(puzzle);
+  const ringLimits = limits || puzzle.circles.map(() => geometry.sides);
+  const solutions = [];
+  if (ringLimits.some((limit) => limit <= 0)) return solutions;
+
+  const search = onGrid ? searchExact : searchTraced;
+  search(puzzle, geometry, ringLimits, (steps) => {
+    solutions.push(steps);
+    return solutions.length >= maxSolutions;
+  });
+  // Rings are not necessarily fixed in circle order
+  return solutions.sort((a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+  });
+}
+
+/**
+ * Whether any rotation combination solves an on-grid puzzle, decided with the
+ * exact model
+ */
+export function isPuzzleSolvableExact(puzzle) {
+  return searchSolutions(puzzle, { first: true, onGrid: true }).length > 0;
+}
+
+/**
+ * Whether the puzzle is solved at the given rotation steps, using the exact
+ * model when the puzzle is on-grid and the beam tracer otherwise
+ */
+export function isSolvedAt(puzzle, steps, onGrid = isOnGrid(puzzle)) {
+  if (onGrid) return traceBeamsDiscrete(puzzle, steps).solved;
+  const { stepAngle } = getGeometry(puzzle);
+  return traceBeams(puzzle, steps.map((r) => r * stepAngle)).solved;
+}
+
+/**
+ * Smallest number of steps after which a circle looks identical again.
+ * An empty circle has period 1; on the classic board a circle with two
+ * emitters at positions 0 and 6 has period 6.
+ */
+export function getRingPeriod(circle, geometry = DEFAULT_GEOMETRY) {
+  const { sides, stepAngle } = geometry;
+  const cells = (shift) => new Set([
+    ...circle.lasers.map((a) => `e${mod360(a + shift * stepAngle)}`),
+    ...circle.blockers.map((a) => `b${mod360(a + shift * stepAngle)}`),
+  ]);
+  const base = cells(0);
+  for (let period = 1; period < sides; period++) {
+    if (sides % period !== 0) continue;
+    const shifted = cells(period);
+    if ([...base].every((cell) => shifted.has(cell))) return period;
+  }
+  return sides;
+}
+
+/**
+ * Every rotation combination [r0, r1, ...] (one step per circle) that lights
+ * all lit edges. Combinations that only differ by turning a circle onto an
+ * identical-looking arrangement give the same board, so by default each is
+ * reported once, with every step reduced below that circle's period. Pass
+ * { dedupe: false } to get every solution (on the classic board, out of 1728).
+ */
+export function findAllSolutions(puzzle, { dedupe = true } = {}) {
+  const geometry = getGeometry(puzzle);
+  const limits = puzzle.circles.map((circle) => (dedupe ? getRingPeriod(circle, geometry) : geometry.sides));
+  return searchSolutions(puzzle, { limits });
+}
+
+/**
+ * Whether exactly one distinct solution exists, counting rotations that give
+ * an identical-looking board once (as findAllSolutions does). Stops searching
+ * at the second solution.
+ */
+export function hasUniqueSolution(puzzle) {
+  const geometry = getGeometry(puzzle);
+  const limits = puzzle.circles.map((circle) => getRingPeriod(circle, geometry));
+  return searchSolutions(puzzle, { limits, maxSolutions: 2 }).length === 1;
+}
+
+/**
+ * Par: the fewest ring turns from the given rotation steps to any solved
+ * state, selection changes being free (the length findShortestSolution finds).
+ * Each move turns one ring one step, so the move graph is a product of cycles
+ * and the shortest path to a solution is the sum of each ring's circular
+ * distance to it; par is the smallest such sum over the full solution set.
+ * Returns null when the puzzle has no solution.
+ */
+export function getPar(puzzle, rotations = [], {
+  solutions = findAllSolutions(puzzle, { dedupe: false }),
+} = {}) {
+  const { sides } = getGeometry(puzzle);
+  let par = null;
+  for (const steps of solutions) {
+    let moves = 0;
+    steps.forEach((step, i) => {
+      const d = (((step - (rotations[i] || 0)) % sides) + sides) % sides;
+      moves += Math.min(d, sides - d);
+    });
+    if (par === null || moves < par) par = moves;
+  }
+  return par;
+}
+
+/**
+ * Shortest move sequence from the current rotation steps to any solved state.
+ * Moves mirror the game controls: { type: 'rotate', circle, direction } turns
+ * the selected circle one step (+1 = clockwise / ArrowRight) and
+ * { type: 'select', circle } is an Up/Down press moving the selection to an
+ * adjacent circle. Selection changes are free unless countSelection is set.
+ * Callers that already hold the full solution set (findAllSolutions with
+ * { dedupe: false }) can pass it as `solutions` to skip the enumeration.
+ * Returns { moves, length, target } or null when the puzzle has no solution.
+ */
+export function findShortestSolution(puzzle, rotations = [], {
+  selected = 0,
+  countSelection = false,
+  solutions = findAllSolutions(puzzle, { dedupe: false }),
+} = {}) {
+  const rings = puzzle.circles.length;
+  const { sides } = getGeometry(puzzle);
+  const solved = new Set(solutions.map((steps) => steps.join(',')));
+  if (solved.size === 0) return null;
+
+  const start = puzzle.circles.map((_, i) => ((rotations[i] || 0) % sides + sides) % sides);
+  const key = (steps, sel) => `${steps.join(',')}|${sel}`;
+
+  // 0-1 BFS: free selection moves go to the front of the deque, kept as a
+  // stack for the front and a queue read from a head index for the back so
+  // that no step shifts an array
+  const dist = new Map([[key(start, selected), 0]]);
+  const parent = new Map();
+  const front = [];
+  const back = [{ steps: start, sel: selected }];
+  let head = 0;
+
+  while (front.length > 0 || head < back.length) {
+    const { steps, sel } = front.length > 0 ? front.pop() : back[head++];
+    const stateKey = key(steps, sel);
+    const d = dist.get(stateKey);
+
+    if (solved.has(steps.join(','))) {
+      const moves = [];
+      for (let k = stateKey; parent.has(k); k = parent.get(k).from) {
+        moves.unshift(parent.get(k).move);
+      }
+      return { moves, length: d, target: steps };
+    }
+
+    const next = [];
+    for (const direction of [1, -1]) {
+      const turned = steps.slice();
+      turned[sel] = (turned[sel] + direction + sides) % sides;
+      next.push({ steps: turned, sel, cost: 1, move: { type: 'rotate', circle: sel, direction } });
+    }
+    for (const delta of [-1, 1]) {
+      const circle = (sel + delta + rings) % rings;
+      if (circle === sel) continue;
+      next.push({ steps, sel: circle, cost: countSelection ? 1 : 0, move: { type: 'select', circle } });
+    }
+
+    for (const { steps: s, sel: c, cost, move } of next) {
+      const k = key(s, c);
+      if (dist.has(k) && dist.get(k) <= d + cost) continue;
+      dist.set(k, d + cost);
+      parent.set(k, { from: stateKey, move });
+      if (cost === 0) front.push({ steps: s, sel: c });
+      else back.push({ steps: s, sel: c });
+    }
+  }
+  return null;
+}
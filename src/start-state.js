@@ -0,0 +1,93 @@
+// start-state.js
+// Where a puzzle starts. Puzzles may carry `startRotations`, one rotation step
+// per circle that the game applies before the first move; without it every
+// ring starts at 0. scrambleStart picks a start that is not solved and, when
+// the puzzle allows it, at least a minimum number of moves from every solution.
+
+import { getGeometry } from './geometry.js';
+import { findAllSolutions } from './solver.js';
+import { resolveRng } from './random.js';
+
+// Default fewest moves between a scrambled start and any solution
+export const MIN_START_DISTANCE = 2;
+
+/**
+ * The puzzle's starting rotation steps, zeros when it has none
+ */
+export function getStartRotations(puzzle) {
+  return puzzle.circles.map((_, i) => (puzzle.startRotations && puzzle.startRotations[i]) || 0);
+}
+
+/**
+ * Starting rotations in degrees, as the move history keeps them
+ */
+export function getStartAngles(puzzle) {
+  const { stepAngle } = getGeometry(puzzle);
+  return getStartRotations(puzzle).map((step) => step * stepAngle);
+}
+
+/**
+ * Fewest moves from every rotation state to any solution, by breadth-first
+ * search from all the solutions at once over the states indexed with ring 0
+ * as the most significant digit. One pass over the states, however many
+ * solutions there are.
+ */
+function distancesToSolutions(solutions, rings, sides) {
+  const size = sides ** rings;
+  const distances = new Int16Array(size).fill(-1);
+  const queue = new Int32Array(size);
+  let tail = 0;
+  for (const steps of solutions) {
+    const index = steps.reduce((total, step) => total * sides + step, 0);
+    if (distances[index] === -1) {
+      distances[index] = 0;
+      queue[tail++] = index;
+    }
+  }
+  for (let head = 0; head < tail; head++) {
+    const index = queue[head];
+    for (let ring = 0, place = size / sides; ring < rings; ring++, place /= sides) {
+      const step = Math.floor(index / place) % sides;
+      for (const turn of [1, sides - 1]) {
+        const next = index + (((step + turn) % sides) - step) * place;
+        if (distances[next] === -1) {
+          distances[next] = distances[index] + 1;
+          queue[tail++] = next;
+        }
+      }
+    }
+  }
+  return distances;
+}
+
+/**
+ * Random start steps at least minDistance moves (see getPar) from every
+ * solution, or one of the farthest starts when none is that far, each such
+ * start being equally likely. Unsolvable puzzles get any random start.
+ * options: { minDistance, seed } or { rng }.
+ */
+export function chooseStartRotations(puzzle, options = {}) {
+  const { minDistance = MIN_START_DISTANCE } = options;
+  const rng = resolveRng(options);
+  const { sides } = getGeometry(puzzle);
+  const rings = puzzle.circles.length;
+  const solutions = findAllSolutions(puzzle, { dedupe: false });
+  if (solutions.length === 0) return puzzle.circles.map(() => Math.floor(rng() * sides));
+
+  const distances = distancesToSolutions(solutions, rings, sides);
+  const wanted = Math.min(minDistance, distances.reduce((max, distance) => Math.max(max, distance), 0));
+  let count = 0;
+  for (const distance of distances) {
+    if (distance >= wanted) count++;
+  }
+  let pick = Math.floor(rng() * count);
+  const index = distances.findIndex((distance) => distance >= wanted && pick-- === 0);
+  return Array.from({ length: rings }, (_, ring) => Math.floor(index / sides ** (rings - 1 - ring)) % sides);
+}
+
+/**
+ * The puzzle with scrambled startRotations (see chooseStartRotations)
+ */
+export function scrambleStart(puzzle, options = {}) {
+  return { ...puzzle, startRotations: chooseStartRotations(puzzle, options) };
+}
@@ -0,0 +1,79 @@
+// target-par.js
+// Puzzles with an exact par (see getPar in solver.js). Turning a ring's
+// elements t steps clockwise turns each of its solutions t steps back, so
+// rotating rings moves the solution set relative to the unrotated start
+// without otherwise changing the puzzle. fitToPar searches for ring offsets
+// that put the nearest solution exactly `par` moves from the start.
+
+import { getGeometry, mod360 } from './geometry.js';
+import { findAllSolutions, forEachRotation, getPar, hasUniqueSolution, isOnGrid } from './solver.js';
+
+// Offset combinations fitToPar tries; boards with fewer are tried in full
+const MAX_OFFSET_TRIES = 5000;
+
+/**
+ * The puzzle with circle i's emitters and blockers turned offsets[i] steps
+ * clockwise
+ */
+export function rotateRings(puzzle, offsets) {
+  const { stepAngle } = getGeometry(puzzle);
+  const turn = (angle, i) => mod360(angle + (offsets[i] || 0) * stepAngle);
+  return {
+    ...puzzle,
+    circles: puzzle.circles.map((circle, i) => ({
+      ...circle,
+      lasers: circle.lasers.map((angle) => turn(angle, i)),
+      blockers: circle.blockers.map((angle) => turn(angle, i)),
+    })),
+  };
+}
+
+/**
+ * Rotate the puzzle's rings so that its par from the unrotated start is
+ * exactly `par`. Offsets are tried from a random point (rng) so repeated
+ * calls vary. Returns the rotated puzzle, or null when the puzzle has no
+ * solution or no offsets give that par.
+ */
+export function fitToPar(puzzle, par, { rng = Math.random, maxTries = MAX_OFFSET_TRIES } = {}) {
+  const solutions = findAllSolutions(puzzle, { dedupe: false });
+  if (solutions.length === 0) return null;
+
+  const { sides } = getGeometry(puzzle);
+  const rings = puzzle.circles.length;
+  const base = puzzle.circles.map(() => Math.floor(rng() * sides));
+  // The offsets turn every solution back, i.e. they act like start rotations.
+  // Off-grid beams can end in a polygon corner, where the edge they light may
+  // change under rotation, so there the rotated puzzle is checked as well.
+  const onGrid = isOnGrid(puzzle);
+  const fits = (offsets) => getPar(puzzle, offsets, { solutions }) === par
+    && (onGrid || getPar(rotateRings(puzzle, offsets)) === par);
+
+  let found = null;
+  if (sides ** rings <= maxTries) {
+    forEachRotation(puzzle.circles.map(() => sides), (steps) => {
+      const offsets = steps.map((step, i) => (step + base[i]) % sides);
+      if (!fits(offsets)) return false;
+      found = offsets;
+      return true;
+    });
+  } else {
+    for (let i = 0; i < maxTries && !found; i++) {
+      const offsets = i === 0 ? base : puzzle.circles.map(() => Math.floor(rng() * sides));
+      if (fits(offsets)) found = offsets;
+    }
+  }
+  return found ? rotateRings(puzzle, found) : null;
+}
+
+/**
+ * The first of `puzzles` that can be fitted to `par` (and, with { unique },
+ * has exactly one solution), fitted, or null
+ */
+export function pickWithPar(puzzles, par, { rng = Math.random, unique = false } = {}) {
+  for (const puzzle of puzzles) {
+    if (unique && !hasUniqueSolution(puzzle)) continue;
+    const fitted = fitToPar(puzzle, par, { rng });
+    if (fitted) return fitted;
+  }
+  return null;
+}
@@ -0,0 +1,69 @@
+// Simulated annealing: every neighbour move must keep the layout valid (no two
+// elements in one slot, lit edge count within the difficulty's range), the
+// reported solvability must match the solver, and every run must end with a
+// solvable puzzle, searched for when annealing cools on an unsolvable one.
+// Run with: node src/test-annealing-generator.js
+import { SimulatedAnnealingGenerator } from './annealing-generator.js';
+import { resolveGeometry, createGeometry, defaultRingRadii } from './geometry.js';
+import { createRng } from './random.js';
+import { isPuzzleSolvable } from './puzzle.js';
+import { startTest } from './test-harness.js';
+
+const MOVES = 2000;
+const SEEDS = 8;
+
+const { log, check, report } = startTest();
+
+const annealing = new SimulatedAnnealingGenerator();
+annealing.rng = createRng(7);
+annealing.geometry = resolveGeometry({});
+Object.assign(annealing.scorer, { rng: annealing.rng, geometry: annealing.geometry });
+
+for (const difficulty of ['easy', 'medium', 'hard']) {
+  const config = annealing.scorer.getDifficultyConfig(difficulty);
+  const chromosome = annealing.scorer.createRandomChromosome(config);
+  for (let i = 0; i < MOVES; i++) {
+    annealing.neighbour(chromosome, config);
+    const { litEdges, circles } = chromosome;
+    check(litEdges.length >= config.litEdges[0] && litEdges.length <= config.litEdges[1],
+      `${difficulty} move ${i}: ${litEdges.length} lit edges`);
+    check(new Set(litEdges).size === litEdges.length, `${difficulty} move ${i}: repeated lit edge`);
+    circles.forEach((circle, ring) => {
+      const slots = [...circle.emitters, ...circle.blockers];
+      check(new Set(slots).size === slots.length, `${difficulty} move ${i}: ring ${ring} has two elements in one slot`);
+    });
+  }
+}
+
+for (const difficulty of ['easy', 'medium', 'hard']) {
+  let searched = 0;
+  for (let seed = 0; seed < SEEDS; seed++) {
+    const { puzzle, metadata } = annealing.generatePuzzle(difficulty, { seed: `s${seed}` });
+    const label = `${difficulty} seed ${seed}`;
+    check(metadata.moves > 0 && metadata.acceptedMoves <= metadata.moves, `${label}: move counts ${metadata.acceptedMoves}/${metadata.moves}`);
+    check(isPuzzleSolvable(puzzle), `${label}: unsolvable puzzle returned`);
+    check(metadata.solvable === isPuzzleSolvable(puzzle), `${label}: metadata.solvable is ${metadata.solvable}`);
+    if (metadata.searched) {
+      // The score must be the searched puzzle's, not the discarded one's
+      const scored = annealing.scorer.puzzleToChromosome(puzzle);
+      annealing.scorer.calculateFitness(scored);
+      check(metadata.fitness === scored.fitness, `${label}: metadata.fitness ${metadata.fitness}, returned puzzle ${scored.fitness}`);
+      searched++;
+    }
+  }
+  log(`annealing ${difficulty}: ${searched}/${SEEDS} searched for after cooling on an unsolvable puzzle`);
+}
+
+// Hard puzzles on two rings of eight sides are rarely solvable: a run must
+// end with a solvable one or say there is none
+const small = createGeometry({ sides: 8, ringRadii: defaultRingRadii(2) });
+for (let seed = 0; seed < 2; seed++) {
+  try {
+    const { puzzle } = annealing.generatePuzzle('hard', { seed, geometry: small });
+    check(isPuzzleSolvable(puzzle), `8x2 hard seed ${seed}: unsolvable puzzle returned`);
+  } catch (error) {
+    check(error.message === 'No solvable puzzle found', `8x2 hard seed ${seed}: ${error.message}`);
+  }
+}
+
+report('Annealing moves keep layouts valid.', 'annealing checks');
@@ -0,0 +1,89 @@
+// Canonical puzzles: turning the whole board, mirroring it or turning single
+// rings must keep the canonical form and hash (and, as a check that these
+// really are the same game, the solution count), different puzzles must get
+// different forms, and dedup must work for lists, the Pareto front and the
+// registry's exclude option.
+// Run with: node src/test-canonical-puzzle.js
+import { canonicalKey, canonicalizePuzzle, puzzleHash, isSamePuzzle, dedupePuzzles } from './canonical-puzzle.js';
+import { generatePuzzle } from './puzzle.js';
+import { findAllSolutions, getEdgeOffset } from './solver.js';
+import { runGenerator } from './generator-registry.js';
+import { rotateRings } from './target-par.js';
+import { angleToPosition, createGeometry, getGeometry, positionToAngle } from './geometry.js';
+import { startTest } from './test-harness.js';
+
+const CORPUS = 30;
+
+const { check, report } = startTest();
+
+// The puzzle with every edge and position index mapped by f(index, isPosition)
+function remap(puzzle, f) {
+  const geometry = getGeometry(puzzle);
+  const move = (angle) => positionToAngle(f(angleToPosition(angle, geometry), true), geometry);
+  return {
+    ...puzzle,
+    litEdges: puzzle.litEdges.map((edge) => f(edge, false)),
+    circles: puzzle.circles.map((circle) => ({ ...circle, lasers: circle.lasers.map(move), blockers: circle.blockers.map(move) })),
+  };
+}
+
+const solutionCount = (puzzle) => findAllSolutions(puzzle, { dedupe: false }).length;
+
+const boards = [undefined, createGeometry({ sides: 8, ringRadii: [50, 130] }), createGeometry({ sides: 16, ringRadii: [50, 80, 105, 130] })];
+boards.forEach((geometry, b) => {
+  for (let seed = 0; seed < CORPUS; seed++) {
+    const puzzle = generatePuzzle(3, 4, { seed: `${b}-${seed}`, geometry });
+    const { sides } = getGeometry(puzzle);
+    const mod = (value) => ((value % sides) + sides) % sides;
+    // Position p faces edge p + half the edge offset; mirroring turns the
+    // board over the axis through edge 0
+    const shift = mod(getEdgeOffset(getGeometry(puzzle)) - sides / 2);
+    const turned = remap(puzzle, (i) => mod(i + seed + 1));
+    const mirrored = remap(puzzle, (i, isPosition) => (isPosition ? mod(-i - 2 * shift) : mod(-i)));
+    const ringsTurned = rotateRings(puzzle, puzzle.circles.map((_, ring) => ring + seed));
+    const label = `board ${b} seed ${seed}`;
+    const count = solutionCount(puzzle);
+    for (const [name, copy] of [['turned', turned], ['mirrored', mirrored], ['rings turned', ringsTurned]]) {
+      check(isSamePuzzle(puzzle, copy), `${label}: ${name} copy has another canonical form`);
+      check(puzzleHash(copy) === puzzleHash(puzzle), `${label}: ${name} copy has another hash`);
+      check(solutionCount(copy) === count, `${label}: ${name} copy is not the same game`);
+    }
+    const canonical = canonicalizePuzzle(puzzle);
+    check(canonicalKey(canonical) === canonicalKey(puzzle), `${label}: canonical form is not canonical`);
+    check(solutionCount(canonical) === count, `${label}: canonical form is not the same game`);
+    check(!canonical.startRotations && !canonical.metadata, `${label}: canonical form kept start or metadata`);
+
+    const moved = { ...puzzle, litEdges: puzzle.litEdges.map((edge, i) => (i === 0 ? mod(edge + 1) : edge)) };
+    if (new Set(moved.litEdges).size === moved.litEdges.length && solutionCount(moved) !== count) {
+      check(!isSamePuzzle(puzzle, moved), `${label}: a different game has the same canonical form`);
+    }
+  }
+});
+
+// The hash is stable across runs and machines, so stored ones stay valid
+const pinned = generatePuzzle(3, 4, { seed: 1 });
+check(puzzleHash(pinned) === 'b5ad8241', `hash of seed 1 changed to ${puzzleHash(pinned)}`);
+check(/^[0-9a-f]{8}$/.test(puzzleHash(pinned)), 'hash is not 8 hex digits');
+const bigger = createGeometry({ sides: 12, ringRadii: [40, 90, 130] });
+check(puzzleHash(pinned) !== puzzleHash({ ...pinned, geometry: { sides: bigger.sides, ringRadii: bigger.ringRadii } }),
+  'puzzles on different boards share a hash');
+
+// Dedup keeps the first of each game, in order
+const a = generatePuzzle(3, 4, { seed: 'a' });
+const c = generatePuzzle(3, 4, { seed: 'c' });
+const list = [a, rotateRings(a, [1, 2, 3]), c, remap(a, (i) => (i + 5) % 12)];
+const kept = dedupePuzzles(list);
+check(kept.length === 2 && kept[0] === a && kept[1] === c, `dedupe kept ${kept.length} puzzles`);
+check(dedupePuzzles(list.map((puzzle) => ({ puzzle })), (item) => item.puzzle).length === 2, 'dedupe ignored getPuzzle');
+
+// Generators: the Pareto front has no copies and exclude skips known puzzles
+const pareto = runGenerator('pareto', { seed: 2, difficulty: 'easy' });
+check(dedupePuzzles(pareto.front, (entry) => entry.puzzle).length === pareto.front.length, 'Pareto front holds copies');
+for (const name of ['random', 'reverse', 'evolutionary']) {
+  const first = runGenerator(name, { seed: 7 });
+  check(first.hash === puzzleHash(first.puzzle), `${name}: result hash is not the puzzle's`);
+  const next = runGenerator(name, { seed: 7, exclude: [first.hash] });
+  check(next.hash !== first.hash, `${name}: excluded puzzle generated again`);
+}
+
+report('Canonical forms ignore symmetry and catch duplicates.', 'canonicalization checks');
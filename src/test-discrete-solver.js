@@ -0,0 +1,192 @@
+// Cross-check: the exact discrete model must agree with the geometric beam
+// tracer on every one of the 1728 rotations for a large random corpus, on
+// every rotation of a smaller corpus for each of several other board shapes,
+// and on crowded neighbouring positions for every supported side count.
+// Boards where neighbours would sit inside each other's hit radius must be
+// rejected. The moves findShortestSolution returns, replayed through the
+// game's move history, must reach a solved state in exactly the moves it
+// counts, with and without counting selection changes.
+// Run with: node src/test-discrete-solver.js
+import { generatePuzzle } from './puzzle.js';
+import { traceBeams } from './beam-tracer.js';
+import { traceBeamsDiscrete, forEachRotation, findShortestSolution } from './solver.js';
+import { createHistory, applyMove, getCurrentState } from './move-history.js';
+import { createRng } from './random.js';
+import { SimplifiedEvolutionaryGenerator } from './simplified-evolutionary-generator.js';
+import { MIN_SIDES, MAX_SIDES, createGeometry, defaultRingRadii, getGeometry, positionToAngle } from './geometry.js';
+
+const N = 250; // Puzzles per corpus
+const N_BOARD = 8; // Puzzles per corpus on the other boards
+const BOARDS = [[8, 2], [10, 4], [16, 3], [8, 5], [20, 2], [22, 3]]; // [sides, rings]
+const N_REPLAY = 40; // Puzzles per board for the shortest-solution replay
+const REPLAY_BOARDS = [[12, 3], [10, 4], [8, 2]];
+
+// Compare every beam's outcome, not just the solved flag
+function describeGeometric(beam) {
+  if (beam.hitType === 'edge') return `edge ${beam.edge}`;
+  const index = beam.hitType === 'blocker' ? beam.hitObj.blockerIdx : beam.hitObj.laserIdx;
+  return `${beam.hitType} ${beam.hitObj.idx}:${index}`;
+}
+
+function describeDiscrete(beam) {
+  if (beam.hitType === 'edge') return `edge ${beam.edge}`;
+  return `${beam.hitType} ${beam.hit.circle}:${beam.hit.index}`;
+}
+
+function crossCheck(puzzle) {
+  const { sides, stepAngle } = getGeometry(puzzle);
+  let mismatch = null;
+  forEachRotation(puzzle.circles.map(() => sides), (steps) => {
+    const geometric = traceBeams(puzzle, steps.map((r) => r * stepAngle));
+    const discrete = traceBeamsDiscrete(puzzle, steps);
+
+    for (let i = 0; i < geometric.beams.length; i++) {
+      const expected = describeGeometric(geometric.beams[i]);
+      const actual = describeDiscrete(discrete.beams[i]);
+      if (expected !== actual) {
+        mismatch = `rotation [${steps.join(', ')}] beam ${i}: tracer says ${expected}, discrete says ${actual}`;
+        return true;
+      }
+    }
+    if (geometric.solved !== discrete.solved) {
+      mismatch = `rotation [${steps.join(', ')}]: solved flags differ`;
+      return true;
+    }
+    return false;
+  });
+  return mismatch;
+}
+
+// Corpus 1: the random generator (respects the opposite-position rule)
+// Corpus 2: evolutionary chromosomes (allows opposite elements on a ring)
+// Both again, smaller, for every board in BOARDS
+const evolutionary = new SimplifiedEvolutionaryGenerator();
+const corpora = {
+  generatePuzzle: () => generatePuzzle(3, 6),
+  chromosome: () => evolutionary.chromosomeToPuzzle(
+    evolutionary.createRandomChromosome(evolutionary.getDifficultyConfig('hard'))
+  ),
+};
+for (const [sides, rings] of BOARDS) {
+  const geometry = createGeometry({ sides, ringRadii: defaultRingRadii(rings) });
+  corpora[`generatePuzzle ${sides}x${rings}`] = () => generatePuzzle(3, 6, { geometry });
+  corpora[`chromosome ${sides}x${rings}`] = () => {
+    evolutionary.geometry = geometry;
+    return evolutionary.chromosomeToPuzzle(
+      evolutionary.createRandomChromosome(evolutionary.getDifficultyConfig('hard'))
+    );
+  };
+}
+
+let failures = 0;
+let checked = 0;
+for (const [name, makePuzzle] of Object.entries(corpora)) {
+  const count = name.includes(' ') ? N_BOARD : N;
+  let rotations = 0;
+  for (let i = 0; i < count; ++i) {
+    const puzzle = makePuzzle();
+    const mismatch = crossCheck(puzzle);
+    if (mismatch) {
+      console.error(`Mismatch (${name}): ${mismatch}`);
+      console.error('Puzzle:', JSON.stringify(puzzle));
+      failures++;
+    }
+    rotations = getGeometry(puzzle).sides ** puzzle.circles.length;
+  }
+  checked += count;
+  console.log(`${name}: checked ${count} puzzles x ${rotations} rotations`);
+}
+
+// Neighbouring elements on the inner ring, where beams pass closest to them
+for (let sides = MIN_SIDES; sides <= MAX_SIDES; sides += 2) {
+  const geometry = createGeometry({ sides, ringRadii: defaultRingRadii(3) });
+  const at = (...positions) => positions.map((pos) => positionToAngle(pos, geometry));
+  const puzzle = {
+    litEdges: [0, 1],
+    geometry: { sides, ringRadii: geometry.ringRadii },
+    circles: [
+      { radius: geometry.ringRadii[0], lasers: at(0, 1), blockers: at(2) },
+      { radius: geometry.ringRadii[1], lasers: at(3), blockers: [] },
+      { radius: geometry.ringRadii[2], lasers: [], blockers: at(sides - 1) },
+    ],
+  };
+  const mismatch = crossCheck(puzzle);
+  if (mismatch) {
+    console.error(`Mismatch (neighbours on ${sides} sides): ${mismatch}`);
+    failures++;
+  }
+  checked++;
+}
+console.log(`neighbours: checked ${MIN_SIDES}-${MAX_SIDES} sides`);
+
+const rejects = (config) => {
+  try {
+    createGeometry(config);
+    return false;
+  } catch {
+    return true;
+  }
+};
+for (const config of [{ sides: MAX_SIDES + 2 }, { sides: 12, ringRadii: [20, 90, 130] }]) {
+  if (!rejects(config)) {
+    console.error(`Board ${JSON.stringify(config)} accepted, though neighbouring positions block each other`);
+    failures++;
+  }
+}
+
+// Replay each shortest solution from a random start and selection. The game
+// selects with Up/Down, so a select move must reach an adjacent ring, wrapping
+// from the last ring to the first and back.
+let replayed = 0;
+let wraps = 0;
+for (const [sides, rings] of REPLAY_BOARDS) {
+  const geometry = createGeometry({ sides, ringRadii: defaultRingRadii(rings) });
+  const { stepAngle } = geometry;
+  for (let i = 0; i < N_REPLAY; i++) {
+    const puzzle = generatePuzzle(2, 4, { seed: i, geometry });
+    const rng = createRng(i);
+    const start = puzzle.circles.map(() => Math.floor(rng() * sides));
+    const selected = Math.floor(rng() * rings);
+    for (const countSelection of [false, true]) {
+      const label = `${sides}x${rings} seed ${i}${countSelection ? ' counting selection' : ''}`;
+      const shortest = findShortestSolution(puzzle, start, { selected, countSelection });
+      if (!shortest) continue;
+      let history = createHistory(rings, start.map((step) => step * stepAngle), stepAngle);
+      for (let s = 0; s < selected; s++) history = applyMove(history, { type: 'select', delta: 1 });
+      let problem = null;
+      for (const move of shortest.moves) {
+        const from = getCurrentState(history).selected;
+        if (move.type === 'select') {
+          const delta = (move.circle - from + rings) % rings === 1 ? 1 : -1;
+          if ((from + delta + rings) % rings !== move.circle) problem = `select ${from} -> ${move.circle} is not one Up/Down press`;
+          if (Math.abs(move.circle - from) > 1) wraps++;
+          history = applyMove(history, { type: 'select', delta });
+        } else {
+          if (move.circle !== from) problem = `rotate of ring ${move.circle} while ring ${from} is selected`;
+          history = applyMove(history, { type: 'rotate', direction: move.direction });
+        }
+      }
+      const steps = getCurrentState(history).rotations.map((deg) => Math.round(deg / stepAngle) % sides);
+      const counted = shortest.moves.filter((move) => countSelection || move.type === 'rotate').length;
+      if (!problem && !traceBeamsDiscrete(puzzle, steps).solved) problem = `replay ends unsolved at [${steps.join(', ')}]`;
+      if (!problem && steps.join() !== shortest.target.join()) problem = `replay ends at [${steps.join(', ')}], not the target`;
+      if (!problem && counted !== shortest.length) problem = `${counted} moves counted, length ${shortest.length}`;
+      if (problem) {
+        console.error(`Replay (${label}): ${problem}`);
+        failures++;
+      }
+      replayed++;
+    }
+  }
+}
+if (wraps === 0) {
+  console.error('Replay: no shortest solution wrapped the selection around');
+  failures++;
+}
+console.log(`replay: ${replayed} shortest solutions, ${wraps} selection wrap-arounds`);
+
+if (failures === 0) {
+  console.log(`PASS: Discrete model agrees with the beam tracer on ${checked} puzzles and ${replayed} shortest solutions replay.`);
+} else {
+  throw new Error(`FAIL: ${failures} puzzles disagree with the beam tracer or fail to replay.`);
+}
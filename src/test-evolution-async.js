@@ -0,0 +1,69 @@
+// The async generator API: generatePuzzleAsync must give the same puzzle as
+// generatePuzzle for a seed, report well-formed stats for every generation and
+// stop with an AbortError when its signal is aborted, before or during a run.
+// Run with: node src/test-evolution-async.js
+import { SimplifiedEvolutionaryGenerator } from './simplified-evolutionary-generator.js';
+import { EvolutionaryPuzzleGenerator } from './evolutionary-puzzle-generator.js';
+import { SimulatedAnnealingGenerator } from './annealing-generator.js';
+import { MCTSPuzzleGenerator } from './mcts-generator.js';
+import { ParetoPuzzleGenerator } from './pareto-generator.js';
+import { populationDiversity } from './evolution-progress.js';
+import { startTest } from './test-harness.js';
+
+const { check, report } = startTest();
+
+const generators = {
+  simplifiedEvolutionaryGenerator: new SimplifiedEvolutionaryGenerator(),
+  evolutionaryGenerator: new EvolutionaryPuzzleGenerator(),
+  annealingGenerator: new SimulatedAnnealingGenerator(),
+  mctsGenerator: new MCTSPuzzleGenerator(),
+  paretoGenerator: new ParetoPuzzleGenerator(),
+};
+
+for (const [name, generator] of Object.entries(generators)) {
+  const sync = generator.generatePuzzle('medium', { seed: 5 });
+
+  const stats = [];
+  const result = await generator.generatePuzzleAsync('medium', { seed: 5, onProgress: (s) => stats.push(s) });
+  check(JSON.stringify(result.puzzle) === JSON.stringify(sync.puzzle), `${name}: async puzzle differs from sync`);
+  check(result.metadata.generations === sync.metadata.generations, `${name}: generation counts differ`);
+
+  check(stats.length > 0, `${name}: no progress reported`);
+  stats.forEach((s, i) => {
+    check(s.generation === i, `${name}: stats ${i} is for generation ${s.generation}`);
+    check(typeof s.bestFitness === 'number' && typeof s.solvable === 'boolean', `${name}: malformed stats ${i}`);
+    check(s.diversity >= 0 && s.diversity <= 1, `${name}: diversity ${s.diversity} out of range`);
+  });
+
+  const synced = [];
+  generator.generatePuzzle('medium', { seed: 5, onProgress: (s) => synced.push(s.bestFitness) });
+  check(JSON.stringify(synced) === JSON.stringify(stats.map((s) => s.bestFitness)), `${name}: sync progress differs`);
+
+  // Aborted before starting
+  const early = new AbortController();
+  early.abort();
+  const before = await generator.generatePuzzleAsync('medium', { seed: 5, signal: early.signal })
+    .then(() => null, (error) => error);
+  check(before && before.name === 'AbortError', `${name}: pre-aborted run did not reject with AbortError`);
+
+  // Aborted after the first generation
+  const controller = new AbortController();
+  let seen = 0;
+  const during = await generator.generatePuzzleAsync('hard', {
+    seed: 6,
+    signal: controller.signal,
+    onProgress: () => {
+      seen++;
+      controller.abort();
+    },
+  }).then(() => null, (error) => error);
+  check(during && during.name === 'AbortError', `${name}: aborted run did not reject with AbortError`);
+  check(seen === 1, `${name}: ${seen} generations ran after aborting`);
+}
+
+const chromosome = (emitters) => ({ litEdges: [1], circles: [{ emitters, blockers: [] }] });
+check(populationDiversity([chromosome([0]), chromosome([0])]) === 0, 'diversity: identical population not 0');
+check(Math.abs(populationDiversity([chromosome([0]), chromosome([2])]) - 2 / 3) < 1e-9, 'diversity: wrong distance');
+check(populationDiversity([chromosome([0])]) === 0, 'diversity: single chromosome not 0');
+
+report('Async generation matches sync, reports progress and aborts.', 'async generation checks');
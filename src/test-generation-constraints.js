@@ -0,0 +1,149 @@
+// Generation constraints: every registered generator must keep to a lit edge
+// range, per-ring emitter and blocker counts, required lit edges and
+// include/avoid rules, constraints that contradict each other must be rejected
+// before generating, and a job whose constraints the board cannot meet must
+// say which ones it missed.
+// Run with: node src/test-generation-constraints.js
+import { listGenerators, registerGenerator, runGenerator } from './generator-registry.js';
+import { generate } from './generation-job.js';
+import {
+  parseRules,
+  rulesFromPuzzle,
+  constraintProblems,
+  resolveConstraints,
+  constrainLayout,
+  unmetConstraints,
+} from './generation-constraints.js';
+import { DEFAULT_GEOMETRY, positionToAngle } from './geometry.js';
+import { createRng } from './random.js';
+import { validatePuzzle } from './puzzle-schema.js';
+import { startTest } from './test-harness.js';
+
+const SEEDS = 2;
+
+const { check, report } = startTest();
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+};
+
+// Every generator, including those that used to pick their own lit range
+const settings = { minLit: 2, maxLit: 3, emittersPerRing: [1, 2], blockersPerRing: [1, 1], requiredLitEdges: [0, 7] };
+for (const { name } of listGenerators()) {
+  for (const difficulty of ['easy', 'hard']) {
+    for (let seed = 0; seed < SEEDS; seed++) {
+      const label = `${name} ${difficulty} seed ${seed}`;
+      const result = runGenerator(name, { ...settings, difficulty, seed });
+      check(validatePuzzle(result.puzzle).valid, `${label}: invalid puzzle`);
+      check(result.unmet.length === 0, `${label}: missed ${result.unmet.join(', ')}`);
+    }
+  }
+}
+
+// Rules in text: rings from 1 or by name, several positions per rule
+const rules = parseRules('include emitter ring 1 at 3\nmust avoid blockers ring 2; avoid lit 5, 6; avoid emitter outer at 0', 3);
+check(JSON.stringify(rules.include) === '[{"element":"emitter","ring":0,"position":3}]', `include parsed as ${JSON.stringify(rules.include)}`);
+check(JSON.stringify(rules.avoid) === JSON.stringify([
+  { element: 'blocker', ring: 1 },
+  { element: 'lit', position: 5 },
+  { element: 'lit', position: 6 },
+  { element: 'emitter', ring: 2, position: 0 },
+]), `avoid parsed as ${JSON.stringify(rules.avoid)}`);
+check(parseRules('avoid emitter inner ring at 3', 3).avoid[0].ring === 0, 'ring name followed by "ring" misread');
+for (const text of ['keep lit 3', 'include lasers ring 1 at 2', 'include emitter at 2', 'include lit ring 1 at 2', 'include blocker ring 1']) {
+  check(throws(() => parseRules(text, 3)), `rule "${text}" accepted`);
+}
+
+// Every generator fills in around the rules
+for (const { name } of listGenerators()) {
+  for (let seed = 0; seed < SEEDS; seed++) {
+    const result = runGenerator(name, { difficulty: 'easy', seed, ...rules });
+    check(validatePuzzle(result.puzzle).valid, `${name} rules seed ${seed}: invalid puzzle`);
+    check(result.unmet.length === 0, `${name} rules seed ${seed}: missed ${result.unmet.join(', ')}`);
+  }
+}
+
+// Infeasible rules are reported before generating, each one named
+const geometry = DEFAULT_GEOMETRY;
+const infeasible = [
+  [{ include: [{ element: 'lit', position: 4 }], avoid: [{ element: 'lit', position: 4 }] }, 'both required and avoided'],
+  [{ include: [{ element: 'emitter', ring: 0, position: 2 }, { element: 'blocker', ring: 0, position: 2 }] }, 'both emitter and blocker'],
+  [{ include: [{ element: 'blocker', ring: 1, position: 2 }], avoid: [{ element: 'blocker', ring: 1 }] }, 'both included and avoided'],
+  [{ emittersPerRing: [0, 1], include: [{ element: 'emitter', ring: 2, position: 1 }, { element: 'emitter', ring: 2, position: 4 }] }, 'more than the 1 allowed'],
+  [{ litRange: [11, 12], avoid: [{ element: 'lit', position: 0 }, { element: 'lit', position: 1 }] }, 'edges are avoided'],
+  [{ emittersPerRing: [1, 2], avoid: [{ element: 'emitter', ring: 0 }] }, 'positions may hold one'],
+  [{ include: [{ element: 'emitter', ring: 3, position: 0 }] }, 'not on the 3-ring board'],
+];
+for (const [constraints, expected] of infeasible) {
+  const problems = constraintProblems(constraints, geometry);
+  check(problems.some((problem) => problem.includes(expected)), `expected "${expected}", got ${problems.join('; ') || 'nothing'}`);
+}
+check(constraintProblems({ litRange: [3, 4], ...rules }, geometry).length === 0, 'feasible rules reported as infeasible');
+let attempted = false;
+registerGenerator({
+  name: 'test-never-run',
+  label: 'Never Run',
+  options: ['include', 'avoid', 'seed'],
+  generate: () => {
+    attempted = true;
+    return { puzzle: null, status: '' };
+  },
+});
+const rejected = generate({ algorithmType: 'test-never-run', minLit: 3, maxLit: 4, seed: 1, ...infeasible[0][0] });
+check(!attempted && rejected.status.includes('Infeasible constraints') && rejected.status.includes('Edge 4'),
+  `infeasible job status: ${rejected.status}`);
+
+// Editor fill-in: a partial board kept whole, the rest generated
+const partial = {
+  litEdges: [2],
+  circles: [
+    { radius: 50, lasers: [positionToAngle(2, geometry)], blockers: [] },
+    { radius: 90, lasers: [], blockers: [positionToAngle(9, geometry)] },
+    { radius: 130, lasers: [], blockers: [] },
+  ],
+};
+const kept = rulesFromPuzzle(partial);
+check(kept.length === 3, `rules from puzzle: ${JSON.stringify(kept)}`);
+for (const algorithmType of ['random', 'reverse', 'evolutionary']) {
+  const filled = generate({ algorithmType, minLit: 3, maxLit: 4, seed: 4, include: kept });
+  check(filled.unmet.length === 0 && filled.puzzle.litEdges.length >= 3, `${algorithmType} fill-in: ${filled.status}`);
+}
+
+// Resolving: ranges are checked against each other and the board
+check(throws(() => resolveConstraints({ litRange: [5, 3] }, geometry)), 'empty lit range accepted');
+check(throws(() => resolveConstraints({ litRange: [1, 2], requiredLitEdges: [1, 2, 3] }, geometry)), 'too many required edges accepted');
+check(throws(() => resolveConstraints({ requiredLitEdges: [12] }, geometry)), 'edge off the board accepted');
+check(throws(() => resolveConstraints({ emittersPerRing: [7, 8], blockersPerRing: [6, 6] }, geometry)), 'overfull rings accepted');
+const resolved = resolveConstraints({ litRange: [1, 20], requiredLitEdges: [4, 2, 4] }, geometry);
+check(JSON.stringify(resolved.litRange) === '[2,12]', `lit range resolved to ${resolved.litRange}`);
+check(JSON.stringify(resolved.requiredLitEdges) === '[2,4]', `required edges resolved to ${resolved.requiredLitEdges}`);
+
+// Repairing a layout that misses everything
+const layout = {
+  litEdges: [1, 3, 5, 8, 9],
+  circles: [{ emitters: [], blockers: [0, 1, 2] }, { emitters: [0, 1, 2, 3], blockers: [] }],
+};
+const bounds = resolveConstraints({ litRange: [3, 3], emittersPerRing: [1, 2], blockersPerRing: [0, 1], requiredLitEdges: [0] }, geometry);
+constrainLayout(layout, bounds, createRng(1), geometry);
+check(layout.litEdges.length === 3 && layout.litEdges.includes(0), `repaired lit edges ${layout.litEdges}`);
+check(layout.circles.every((circle) => circle.emitters.length >= 1 && circle.emitters.length <= 2 && circle.blockers.length <= 1),
+  `repaired rings ${JSON.stringify(layout.circles)}`);
+check(layout.circles.every((circle) => circle.emitters.every((pos) => !circle.blockers.includes(pos))), 'repair stacked elements');
+
+// Reporting: each miss is named
+const puzzle = { litEdges: [1, 2], circles: [{ radius: 50, lasers: [0], blockers: [] }] };
+const unmet = unmetConstraints(puzzle, { litRange: [3, 4], requiredLitEdges: [5], emittersPerRing: [2, 2] });
+check(unmet.length === 3 && unmet.some((message) => message.includes('edge 5')), `unmet: ${unmet.join('; ')}`);
+
+// Random puzzles keep opposite slots free, so seven emitters never fit a
+// 12-sided ring: the job reports what it missed
+const job = generate({ algorithmType: 'random', minLit: 3, maxLit: 3, autoSolve: true, seed: 2, emittersPerRing: [7, 7] });
+check(job.unmet.length > 0 && job.status.includes('could not meet'), `job status: ${job.status}`);
+const contradiction = generate({ algorithmType: 'evolutionary', minLit: 1, maxLit: 1, seed: 2, requiredLitEdges: [1, 2] });
+check(contradiction.status.startsWith('Error') && contradiction.puzzle, `contradiction status: ${contradiction.status}`);
+
+report('Generators honor layout constraints.', 'constraint checks');
@@ -0,0 +1,146 @@
+// Checks for the worker-side jobs and the client that drives them: generate()
+// must reproduce the generators' seeded output and report progress, solve()
+// and hint() must match the solver and hints.js, benchmark() and quality() must cover every
+// registered generator, and the client must deliver results, progress,
+// cancellation, replacement and timeouts. Node has no Web Worker, so the
+// client runs against a stand-in that executes jobs on a later tick.
+// Run with: node src/test-generation-job.js
+import { generate, solve, hint, benchmark, quality, JOBS } from './generation-job.js';
+import { getHint } from './hints.js';
+import { getStartAngles } from './start-state.js';
+import { listGenerators } from './generator-registry.js';
+import { createGenerationClient } from './generation-client.js';
+import { generatePuzzle, isPuzzleSolvable } from './puzzle.js';
+import { generateConstraintBasedPuzzle } from './puzzle-generator.js';
+import { findAllSolutions, getPar } from './solver.js';
+import { createRng } from './random.js';
+import { createGeometry, defaultRingRadii, geometryConfig } from './geometry.js';
+import { startTest } from './test-harness.js';
+
+const { check, report } = startTest();
+
+// --- generate() and solve() ---
+const settings = { minLit: 3, maxLit: 5, autoSolve: true, difficulty: 'medium', seed: 42 };
+
+const progress = [];
+const random = generate({ ...settings, algorithmType: 'random' }, (p) => progress.push(p));
+const rng = createRng(42);
+let expected = generatePuzzle(3, 5, { rng });
+let tries = 1;
+while (!isPuzzleSolvable(expected) && tries < 1000) {
+  expected = generatePuzzle(3, 5, { rng });
+  tries++;
+}
+// metadata holds the generation time and startRotations the scramble
+const layout = ({ litEdges, circles }) => JSON.stringify({ litEdges, circles });
+check(layout(random.puzzle) === layout(expected), 'random: puzzle differs from the seeded generator');
+check(getPar(random.puzzle, random.puzzle.startRotations) >= 2, 'random: start is not scrambled');
+check(random.attempts === tries, `random: ${random.attempts} attempts reported, expected ${tries}`);
+check(progress.length > 0 && progress[0].message, 'random: no progress reported');
+
+const constraint = generate({ ...settings, algorithmType: 'constraint' });
+const direct = generateConstraintBasedPuzzle(3, 5, 'medium', { seed: 42 });
+check(layout(constraint.puzzle) === layout(direct), 'constraint: puzzle differs from the seeded generator');
+check(constraint.performanceStats && typeof constraint.performanceStats.generationTime === 'number',
+  'constraint: no performance stats');
+
+const scrambled = generate({ ...settings, algorithmType: 'random', minStartDistance: 5 });
+check(getPar(scrambled.puzzle, scrambled.puzzle.startRotations) >= 5, 'random: start closer than minStartDistance');
+const fitted = generate({ ...settings, algorithmType: 'random', par: 3 });
+check(!fitted.puzzle.startRotations && getPar(fitted.puzzle) === 3, 'random: target par start was scrambled');
+
+// A failed generation is reported in the status alone, with a fallback puzzle
+const printed = [];
+const { error: printError } = console;
+console.error = (...args) => printed.push(args);
+const failed = generate({ ...settings, algorithmType: 'random', minLit: 2, maxLit: 2, requiredLitEdges: [0, 1, 2] });
+console.error = printError;
+check(failed.status.startsWith('Error: Infeasible constraints') && failed.puzzle, `failed generation: status ${failed.status}`);
+check(printed.length === 0, 'failed generation: error printed to the console');
+
+const board = geometryConfig(createGeometry({ sides: 8, ringRadii: defaultRingRadii(2) }));
+const small = generate({ ...settings, minLit: 1, maxLit: 2, algorithmType: 'random', geometry: board });
+check(JSON.stringify(small.puzzle.geometry) === JSON.stringify(board), 'random: board geometry was not applied');
+
+const solved = solve({ puzzle: random.puzzle, analyze: true });
+check(JSON.stringify(solved.solutions) === JSON.stringify(findAllSolutions(random.puzzle)), 'solve: solutions differ');
+check(JSON.stringify(solved.allSolutions) === JSON.stringify(findAllSolutions(random.puzzle, { dedupe: false })),
+  'solve: full solution set differs');
+check(solved.analysis !== null, 'solve: no difficulty analysis');
+check(solve({ puzzle: random.puzzle }).analysis === null, 'solve: analysis without being asked');
+
+const start = getStartAngles(random.puzzle);
+check(hint({ puzzle: random.puzzle, rotations: start, solutions: solved.allSolutions }) !== null, 'hint: none for the scrambled start');
+check(JSON.stringify(hint({ puzzle: random.puzzle, rotations: start, solutions: solved.allSolutions }))
+  === JSON.stringify(getHint(random.puzzle, start, solved.allSolutions)), 'hint: differs from getHint');
+
+// benchmark() and quality() cover every registered generator, with progress
+const names = listGenerators().map(({ name }) => name);
+const benchmarkProgress = [];
+const timings = benchmark({ runs: 1 }, (p) => benchmarkProgress.push(p));
+check(JSON.stringify(timings.map(({ name }) => name)) === JSON.stringify(names), 'benchmark: generators missing');
+check(timings.every((stats) => stats.totalAttempts > 0 && stats.averageTimePerPuzzle >= 0), 'benchmark: stats missing');
+check(benchmarkProgress.length === names.length && benchmarkProgress.every((p) => p.total === names.length),
+  'benchmark: progress not reported per generator');
+const measured = quality({ runs: 2 });
+check(measured.length === names.length && measured.every((entry) => entry.iterations === 2), 'quality: generators missing');
+
+// --- generation-client.js against a stand-in worker ---
+// Jobs run on a timer so cancel and replace can happen in between;
+// { delay } in a request holds the job back that many milliseconds
+let started = 0;
+let terminated = 0;
+globalThis.Worker = class {
+  constructor() {
+    started++;
+    this.alive = true;
+  }
+
+  postMessage({ id, type, request }) {
+    setTimeout(() => {
+      if (!this.alive) return;
+      const send = (data) => this.alive && this.onmessage({ data: { id, ...data } });
+      try {
+        const job = JOBS[type];
+        if (!job) throw new Error(`Unknown job type: ${type}`);
+        send({ type: 'done', result: job(request, (p) => send({ type: 'progress', progress: p })) });
+      } catch (error) {
+        send({ type: 'error', message: error.message });
+      }
+    }, request.delay || 0);
+  }
+
+  terminate() {
+    terminated++;
+    this.alive = false;
+  }
+};
+
+const outcome = (promise) => promise.then((result) => ({ result }), (error) => ({ error: error.message }));
+
+const client = createGenerationClient({ timeoutMs: 200 });
+const seen = [];
+const done = await outcome(client.run('generate', { ...settings, algorithmType: 'random' }, { onProgress: (p) => seen.push(p) }));
+check(done.result && JSON.stringify(done.result.puzzle) === JSON.stringify(random.puzzle), 'client: wrong result');
+check(seen.length === progress.length, 'client: progress events were not forwarded');
+
+const unknown = await outcome(client.run('bogus', {}));
+check(unknown.error === 'Unknown job type: bogus', `client: unexpected error ${unknown.error}`);
+
+const cancelled = outcome(client.run('solve', { puzzle: random.puzzle, delay: 50 }));
+client.cancel();
+check((await cancelled).error === 'Cancelled', 'client: cancel did not reject the job');
+
+const replaced = outcome(client.run('solve', { puzzle: random.puzzle, delay: 50 }));
+const latest = outcome(client.run('solve', { puzzle: random.puzzle }));
+check((await replaced).error === 'Replaced by a newer request', 'client: replaced job was not rejected');
+check((await latest).result, 'client: job after a replaced one failed');
+
+const slow = await outcome(client.run('solve', { puzzle: random.puzzle, delay: 1000 }));
+check(slow.error === 'Timed out after 0.2s', `client: expected a timeout, got ${JSON.stringify(slow)}`);
+const after = await outcome(client.run('solve', { puzzle: random.puzzle }));
+check(after.result, 'client: no fresh worker after a timeout');
+check(started === terminated + 1, `client: ${started} workers started, ${terminated} terminated`);
+client.dispose();
+
+report('Generation jobs and the worker client behave as expected.', 'generation job checks');
@@ -0,0 +1,75 @@
+// Generator registry: every registered generator must return the standard
+// result with a valid puzzle through runGenerator, registration must reject
+// malformed definitions, and a newly registered generator must be usable by
+// generation jobs without further wiring.
+// Run with: node src/test-generator-registry.js
+import {
+  OPTION_SCHEMA,
+  registerGenerator,
+  getGenerator,
+  listGenerators,
+  generatorSupports,
+  runGenerator,
+} from './generator-registry.js';
+import { generate } from './generation-job.js';
+import { generatePuzzle } from './puzzle.js';
+import { validatePuzzle } from './puzzle-schema.js';
+import { startTest } from './test-harness.js';
+
+// Only the board matters; metadata carries timings
+const boardOf = (puzzle) => JSON.stringify({ litEdges: puzzle.litEdges, circles: puzzle.circles });
+
+const { check, report } = startTest();
+const throws = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+};
+
+const names = listGenerators().map((generator) => generator.name);
+check(['random', 'constraint', 'reverse', 'evolutionary', 'annealing', 'mcts', 'pareto'].every((name) => names.includes(name)),
+  `missing built-in generators: ${names.join(', ')}`);
+
+for (const { name, label, description, options } of listGenerators()) {
+  check(label && description, `${name}: no label or description`);
+  check(options.every((option) => option in OPTION_SCHEMA), `${name}: unknown option`);
+  const progress = [];
+  const result = runGenerator(name, { seed: 3, difficulty: 'easy' }, (event) => progress.push(event));
+  check(validatePuzzle(result.puzzle).valid, `${name}: invalid puzzle`);
+  check(typeof result.status === 'string' && result.attempts >= 1, `${name}: malformed result`);
+  check(progress.length > 0 && progress.every((event) => typeof event.message === 'string'), `${name}: no progress messages`);
+  check(result.front === null || Array.isArray(result.front), `${name}: front is neither null nor a list`);
+  check(boardOf(runGenerator(name, { seed: 3, difficulty: 'easy' }).puzzle) === boardOf(result.puzzle),
+    `${name}: not reproducible from its seed`);
+}
+
+check(generatorSupports('random', 'autoSolve') && !generatorSupports('evolutionary', 'autoSolve'), 'generatorSupports: wrong answer');
+check(!generatorSupports('nonexistent', 'seed'), 'generatorSupports: unknown generator supports options');
+check(throws(() => getGenerator('nonexistent')), 'getGenerator: unknown name accepted');
+check(throws(() => registerGenerator({ name: 'random', label: 'Again', options: [], generate: () => null })), 'duplicate name accepted');
+check(throws(() => registerGenerator({ name: 'odd', label: 'Odd', options: ['colour'], generate: () => null })), 'unknown option accepted');
+check(throws(() => registerGenerator({ name: 'bare', options: [] })), 'definition without generate accepted');
+
+// A plugin generator goes straight through the job the game runs
+const seen = [];
+registerGenerator({
+  name: 'test-plugin',
+  label: 'Test Plugin',
+  description: 'Plain random puzzles for the registry test',
+  options: ['litRange', 'seed'],
+  generate: (options, onProgress) => {
+    seen.push(options);
+    onProgress({ message: 'Plugin running...', attempts: 1 });
+    return { puzzle: generatePuzzle(options.minLit, options.maxLit, options), status: 'Plugin puzzle' };
+  },
+});
+check(listGenerators().some((generator) => generator.name === 'test-plugin'), 'plugin not listed');
+const job = generate({ algorithmType: 'test-plugin', minLit: 4, maxLit: 4, seed: 9 });
+check(job.status.startsWith('Plugin puzzle'), `plugin job status: ${job.status}`);
+check(job.puzzle.litEdges.length === 4, 'plugin job ignored the lit range');
+check(seen.length === 1 && typeof seen[0].rng === 'function' && seen[0].geometry, 'plugin did not get rng and geometry');
+
+report('Generators run through the registry.', 'registry checks');
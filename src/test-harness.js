@@ -0,0 +1,40 @@
+// test-harness.js
+// Shared scaffolding for the node test scripts (src/test-*.js). Generators
+// log as they run, so console.log (and, if asked, console.warn) stays silent
+// until the report; failed checks are collected and listed there, and the
+// script throws so that a failing run exits non-zero.
+
+// Failures listed one by one; beyond this they are only counted
+const LISTED_FAILURES = 10;
+
+/**
+ * Start a test script: silences the console and returns { log, check,
+ * report }. log prints despite the silence, check(ok, message) records a
+ * failure when ok is falsy, and report(summary, subject) restores the console,
+ * then prints `PASS: <summary>` or lists the failures and throws
+ * `FAIL: <count> <subject> failed.`
+ */
+export function startTest({ silenceWarnings = false } = {}) {
+  const { log, warn } = console;
+  console.log = () => {};
+  if (silenceWarnings) console.warn = () => {};
+  const failures = [];
+
+  return {
+    log,
+    check(ok, message) {
+      if (!ok) failures.push(message);
+    },
+    report(summary, subject) {
+      console.log = log;
+      console.warn = warn;
+      if (failures.length === 0) {
+        console.log(`PASS: ${summary}`);
+        return;
+      }
+      failures.slice(0, LISTED_FAILURES).forEach((failure) => console.error(`FAIL: ${failure}`));
+      if (failures.length > LISTED_FAILURES) console.error(`... and ${failures.length - LISTED_FAILURES} more`);
+      throw new Error(`FAIL: ${failures.length} ${subject} failed.`);
+    },
+  };
+}
@@ -0,0 +1,68 @@
+// Hints: at each level the hint must name a ring that is off its solved
+// rotation (ring), a direction that brings the puzzle one move closer
+// (direction) and a ghost rotation of a nearest solution (ghost); following
+// the hints must solve the puzzle in movesLeft moves, and a solved or
+// unsolvable puzzle gets no hint.
+// Run with: node src/test-hints.js
+import { generateSolvablePuzzle, getPar, findAllSolutions } from './puzzle.js';
+import { HINT_LEVELS, getHint } from './hints.js';
+import { traceBeamsDiscrete } from './solver.js';
+import { createGeometry, defaultRingRadii } from './geometry.js';
+import { createRng } from './random.js';
+import { startTest } from './test-harness.js';
+
+const N = 30; // Puzzles per board
+const BOARDS = [[12, 3], [16, 4]];
+
+const { log, check, report } = startTest();
+
+check(JSON.stringify(HINT_LEVELS) === JSON.stringify(['ring', 'direction', 'ghost']), 'HINT_LEVELS changed');
+
+let followed = 0;
+for (const [sides, rings] of BOARDS) {
+  const geometry = createGeometry({ sides, ringRadii: defaultRingRadii(rings) });
+  const { stepAngle } = geometry;
+  const rng = createRng(sides);
+  for (let i = 0; i < N; i++) {
+    const { puzzle } = generateSolvablePuzzle(2, 4, { seed: i, geometry });
+    const solutions = findAllSolutions(puzzle, { dedupe: false });
+    const label = `${sides}x${rings} seed ${i}`;
+    let steps = puzzle.circles.map(() => Math.floor(rng() * sides));
+
+    // Already solved: no hint
+    check(getHint(puzzle, solutions[0].map((step) => step * stepAngle), solutions) === null, `${label}: hint on a solved board`);
+
+    for (let move = 0; getPar(puzzle, steps, { solutions }) > 0; move++) {
+      const par = getPar(puzzle, steps, { solutions });
+      const hint = getHint(puzzle, steps.map((step) => step * stepAngle), solutions);
+      if (!hint) {
+        check(false, `${label} move ${move}: no hint ${par} moves from solved`);
+        break;
+      }
+      check(hint.movesLeft === par, `${label} move ${move}: ${hint.movesLeft} moves left, par ${par}`);
+
+      // Level 1, ring: the hinted ring is not where the nearest solutions have it
+      const target = hint.targetRotation / stepAngle;
+      check(Number.isInteger(target) && target !== steps[hint.circle], `${label} move ${move}: ring ${hint.circle} is already at ${target}`);
+
+      // Level 3, ghost: some solution at that rotation of the ring is par moves away
+      const matching = solutions.filter((solution) => solution[hint.circle] === target);
+      check(matching.length > 0 && getPar(puzzle, steps, { solutions: matching }) === par,
+        `${label} move ${move}: ghost rotation ${hint.targetRotation}° is not on a nearest solution`);
+
+      // Level 2, direction: one turn that way is one move closer
+      steps = steps.map((step, ring) => (ring === hint.circle ? (step + hint.direction + sides) % sides : step));
+      check(getPar(puzzle, steps, { solutions }) === par - 1, `${label} move ${move}: turning ${hint.direction} does not get closer`);
+      if (move > sides * rings) break; // Hints that never get closer would loop forever
+    }
+    check(traceBeamsDiscrete(puzzle, steps).solved, `${label}: following the hints did not solve the puzzle`);
+    followed++;
+  }
+}
+log(`hints: followed to the solution on ${followed} puzzles`);
+
+// Nothing to hint at without solutions
+const { puzzle } = generateSolvablePuzzle(3, 4, { seed: 1 });
+check(getHint({ ...puzzle, litEdges: [0, 1, 2, 3, 4, 5] }, puzzle.circles.map(() => 0), []) === null, 'hint on an unsolvable puzzle');
+
+report('Hints lead to the nearest solution.', 'hint checks');
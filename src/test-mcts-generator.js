@@ -0,0 +1,48 @@
+// Monte Carlo Tree Search: every puzzle must stay within its difficulty's lit
+// edge and element ranges on any board, metadata must describe the returned
+// puzzle, classic boards must always be solvable and harder difficulties must
+// come out with fewer solutions.
+// Run with: node src/test-mcts-generator.js
+import { MCTSPuzzleGenerator } from './mcts-generator.js';
+import { findAllSolutions } from './solver.js';
+import { startTest } from './test-harness.js';
+
+const SEEDS = 4;
+const GEOMETRIES = [undefined, { sides: 8, ringRadii: [60, 120] }, { sides: 16, ringRadii: [40, 80, 120, 160] }];
+
+const { log, check, report } = startTest();
+const within = (value, [min, max]) => value >= min && value <= max;
+
+const mcts = new MCTSPuzzleGenerator();
+for (const geometry of GEOMETRIES) {
+  const board = geometry ? `${geometry.sides}x${geometry.ringRadii.length}` : 'classic';
+  const meanSolutions = {};
+  for (const difficulty of ['easy', 'medium', 'hard']) {
+    let total = 0;
+    for (let seed = 0; seed < SEEDS; seed++) {
+      const { puzzle, metadata } = mcts.generatePuzzle(difficulty, { seed, geometry });
+      const config = mcts.getDifficultyConfig(difficulty);
+      const label = `${board} ${difficulty} seed ${seed}`;
+      const emitters = puzzle.circles.reduce((sum, circle) => sum + circle.lasers.length, 0);
+      const blockers = puzzle.circles.reduce((sum, circle) => sum + circle.blockers.length, 0);
+      check(within(puzzle.litEdges.length, config.litEdges), `${label}: ${puzzle.litEdges.length} lit edges`);
+      check(new Set(puzzle.litEdges).size === puzzle.litEdges.length, `${label}: repeated lit edge`);
+      check(within(emitters, config.emitters), `${label}: ${emitters} emitters`);
+      check(within(blockers, config.blockers), `${label}: ${blockers} blockers`);
+      check(puzzle.circles.length === (geometry ? geometry.ringRadii.length : 3), `${label}: wrong ring count`);
+
+      const solutionCount = findAllSolutions(puzzle).length;
+      check(metadata.solutionCount === solutionCount, `${label}: metadata says ${metadata.solutionCount} solutions, found ${solutionCount}`);
+      check(metadata.solvable === solutionCount > 0, `${label}: metadata.solvable is ${metadata.solvable}`);
+      // Small boards may have no room for a solvable hard puzzle, the classic one does
+      if (!geometry) check(solutionCount > 0, `${label}: unsolvable`);
+      check(metadata.iterations > 0 && metadata.treeSize > 1, `${label}: no search recorded`);
+      total += solutionCount;
+    }
+    meanSolutions[difficulty] = total / SEEDS;
+  }
+  log(`${board}: mean solutions ${JSON.stringify(meanSolutions)}`);
+  check(meanSolutions.hard <= meanSolutions.easy, `${board}: hard puzzles have more solutions than easy ones`);
+}
+
+report('Tree search puzzles match their difficulty.', 'tree search checks');
@@ -0,0 +1,71 @@
+// Move history: undo, redo and jumpTo must only move through the recorded
+// entries, a new move after an undo must drop the undone ones, and selection
+// changes must wrap around the rings and combine with rotations of the
+// selected ring.
+// Run with: node src/test-move-history.js
+import {
+  createHistory, getCurrentState, applyMove, canUndo, canRedo, undo, redo, jumpTo, describeMove,
+} from './move-history.js';
+import { startTest } from './test-harness.js';
+
+const { check, report } = startTest();
+
+const state = (history) => JSON.stringify(getCurrentState(history));
+const rotate = (history, direction) => applyMove(history, { type: 'rotate', direction });
+const select = (history, delta) => applyMove(history, { type: 'select', delta });
+
+// Start: nothing to undo or redo
+const start = createHistory(3);
+check(JSON.stringify(getCurrentState(start)) === JSON.stringify({ rotations: [0, 0, 0], selected: 0, move: null }),
+  `start: ${state(start)}`);
+check(!canUndo(start) && !canRedo(start), 'start: undo or redo available');
+check(undo(start) === start && redo(start) === start, 'start: undo or redo changed the history');
+
+// Rotations turn the selected ring by the board's step, wrapping at 360°
+let history = rotate(rotate(start, 1), 1);
+check(getCurrentState(history).rotations.join() === '60,0,0', `rotate: ${state(history)}`);
+history = rotate(createHistory(2, [0, 0], 45), -1);
+check(getCurrentState(history).rotations.join() === '315,0', `rotate on an eight-sided board: ${state(history)}`);
+
+// Selection wraps around the rings in both directions and keeps the rotations
+history = select(start, -1);
+check(getCurrentState(history).selected === 2, `select up from the first ring: ${state(history)}`);
+history = select(history, 1);
+check(getCurrentState(history).selected === 0, `select down from the last ring: ${state(history)}`);
+check(getCurrentState(history).rotations === getCurrentState(start).rotations, 'select: rotations copied');
+
+// Rotations follow the selection
+history = rotate(select(rotate(start, 1), 1), -1);
+check(getCurrentState(history).rotations.join() === '30,330,0' && getCurrentState(history).selected === 1,
+  `rotate, select, rotate: ${state(history)}`);
+check(JSON.stringify(history.entries.map((entry) => entry.move)) === JSON.stringify([
+  null,
+  { type: 'rotate', circle: 0, direction: 1 },
+  { type: 'select', circle: 1 },
+  { type: 'rotate', circle: 1, direction: -1 },
+]), 'rotate, select, rotate: moves recorded wrong');
+check(history.entries.slice(1).map((entry) => describeMove(entry.move, 3)).join('|')
+  === 'Rotate inner ring ↻|Select middle ring|Rotate middle ring ↺', 'describeMove: wrong labels');
+
+// Undo and redo step through the entries; undoing restores the selection too
+const undone = undo(undo(history));
+check(getCurrentState(undone).rotations.join() === '30,0,0' && getCurrentState(undone).selected === 0,
+  `undo twice: ${state(undone)}`);
+check(canUndo(undone) && canRedo(undone), 'undo twice: undo or redo unavailable');
+check(state(redo(redo(undone))) === state(history), 'redo twice: did not return to the last move');
+check(redo(history) === history && !canRedo(history), 'redo at the last move changed the history');
+
+// jumpTo reaches any entry and keeps the later ones to redo
+check(state(jumpTo(history, 0)) === state(start), 'jumpTo 0: not the start');
+check(state(jumpTo(undone, 3)) === state(history), 'jumpTo 3: not the last move');
+check(jumpTo(history, -1) === history && jumpTo(history, 4) === history, 'jumpTo out of range changed the history');
+check(jumpTo(history, 1).entries === history.entries, 'jumpTo dropped entries');
+
+// A new move after undoing drops the undone moves
+const branched = rotate(undone, -1);
+check(branched.entries.length === 3 && branched.index === 2, `new move after undo: ${branched.entries.length} entries`);
+check(!canRedo(branched), 'new move after undo: undone moves still redoable');
+check(getCurrentState(branched).rotations.join() === '0,0,0', `new move after undo: ${state(branched)}`);
+check(history.entries.length === 4, 'new move after undo changed the old history');
+
+report('Move history undoes, redoes and jumps correctly.', 'move history checks');
@@ -0,0 +1,63 @@
+// Pareto generation: the non-dominated sort and crowding distance must follow
+// NSGA-II on hand-made populations, every returned front must be mutually
+// non-dominated with the chosen puzzle among it, and generation jobs must hand
+// the front over with each puzzle scrambled like the main one.
+// Run with: node src/test-pareto-generator.js
+import { ParetoPuzzleGenerator, dominates, nonDominatedSort, assignCrowdingDistance } from './pareto-generator.js';
+import { generate } from './generation-job.js';
+import { getPar } from './solver.js';
+import { getStartRotations } from './start-state.js';
+import { startTest } from './test-harness.js';
+
+const SEEDS = 3;
+
+const { check, report } = startTest();
+
+const point = (difficulty, aesthetics, solvable = true) => ({
+  solvable,
+  objectives: { difficulty, distribution: 0.5, variety: 0.5, aesthetics },
+});
+
+// Sorting: a and b trade off, c is dominated by b, d is unsolvable
+const a = point(0.9, 0.2);
+const b = point(0.5, 0.8);
+const c = point(0.4, 0.7);
+const d = point(1, 1, false);
+const fronts = nonDominatedSort([d, c, b, a]);
+check(fronts.length === 3, `sort: ${fronts.length} fronts instead of 3`);
+check(fronts[0].length === 2 && fronts[0].includes(a) && fronts[0].includes(b), 'sort: wrong first front');
+check(c.rank === 1 && d.rank === 2, `sort: ranks ${c.rank} and ${d.rank} instead of 1 and 2`);
+check(dominates(c, d) && !dominates(a, b) && !dominates(b, a), 'dominates: wrong relation');
+
+// Crowding: the extremes are kept, the middle point's box is measured
+const line = [point(0, 1), point(0.25, 0.75), point(1, 0)];
+assignCrowdingDistance(line);
+check(line[0].crowding === Infinity && line[2].crowding === Infinity, 'crowding: extremes not infinite');
+check(Math.abs(line[1].crowding - 2) < 1e-9, `crowding: middle point ${line[1].crowding} instead of 2`);
+
+const pareto = new ParetoPuzzleGenerator();
+for (const difficulty of ['easy', 'hard']) {
+  for (let seed = 0; seed < SEEDS; seed++) {
+    const label = `${difficulty} seed ${seed}`;
+    const { puzzle, front, metadata } = pareto.generatePuzzle(difficulty, { seed });
+    check(front.length === metadata.frontSize && front.length > 0, `${label}: front size ${front.length}`);
+    check(front[metadata.selected].puzzle === puzzle, `${label}: chosen puzzle not on the front`);
+    check(front.every((entry) => entry.solvable), `${label}: unsolvable puzzle on the front`);
+    front.forEach((entry, i) => front.forEach((other, j) => {
+      check(i === j || !dominates(entry, other), `${label}: front member ${i} dominates ${j}`);
+    }));
+    const byDifficulty = front.map((entry) => entry.objectives.difficulty);
+    check(byDifficulty.every((value, i) => i === 0 || value >= byDifficulty[i - 1]), `${label}: front not sorted by difficulty`);
+  }
+}
+
+const request = { minLit: 3, maxLit: 4, autoSolve: true, algorithmType: 'pareto', difficulty: 'medium', seed: 4 };
+const job = generate(request);
+check(Array.isArray(job.front) && job.front.some((entry) => entry.puzzle === job.puzzle), 'job: chosen puzzle not in the front');
+job.front.forEach((entry, i) => {
+  const distance = getPar(entry.puzzle, getStartRotations(entry.puzzle));
+  check(distance === null || distance >= 2, `job: front puzzle ${i} starts ${distance} moves from solved`);
+});
+check(generate({ ...request, algorithmType: 'constraint' }).front === null, 'job: front reported for another algorithm');
+
+report('Pareto generation returns a non-dominated front.', 'Pareto checks');
@@ -0,0 +1,81 @@
+// Level editor operations: cycleSlot must take a slot from empty to emitter
+// to blocker and back to empty without touching any other slot or the
+// original puzzle, toggleLitEdge must keep the lit edges sorted, and
+// findOppositeConflicts must report both slots of every diameter that holds
+// two elements of one ring, and nothing else, on any board.
+// Run with: node src/test-puzzle-editor.js
+import {
+  createEmptyPuzzle, toEditablePuzzle, toggleLitEdge, getSlotContent, cycleSlot, findOppositeConflicts,
+} from './puzzle-editor.js';
+import { generatePuzzle } from './puzzle.js';
+import { createGeometry, defaultRingRadii, getGeometry } from './geometry.js';
+import { startTest } from './test-harness.js';
+
+const BOARDS = [[12, 3], [8, 2], [16, 5], [22, 4]]; // [sides, rings]
+
+const { log, check, report } = startTest();
+
+// Cycle a slot on until it is empty
+const clear = (puzzle, ring, pos) => {
+  const geometry = getGeometry(puzzle);
+  let cleared = puzzle;
+  for (let i = 0; i < 2 && getSlotContent(cleared.circles[ring], pos, geometry); i++) cleared = cycleSlot(cleared, ring, pos);
+  return cleared;
+};
+
+const slots = (puzzle) => {
+  const geometry = getGeometry(puzzle);
+  return puzzle.circles.map((circle) => Array.from({ length: geometry.sides }, (_, pos) => getSlotContent(circle, pos, geometry)));
+};
+
+let cycled = 0;
+for (const [sides, rings] of BOARDS) {
+  const geometry = createGeometry({ sides, ringRadii: defaultRingRadii(rings) });
+  const empty = createEmptyPuzzle(geometry);
+  check(empty.circles.length === rings && slots(empty).flat().every((slot) => slot === null), `${sides}x${rings}: empty board is not empty`);
+
+  // The full cycle on every slot, against a board that already holds elements
+  const base = toEditablePuzzle(generatePuzzle(2, 3, { seed: sides, geometry }));
+  const before = slots(base);
+  for (let ring = 0; ring < rings; ring++) {
+    for (let pos = 0; pos < sides; pos++) {
+      const label = `${sides}x${rings} slot ${ring}:${pos}`;
+      const seen = [];
+      let puzzle = clear(base, ring, pos);
+      for (let i = 0; i < 3; i++) {
+        puzzle = cycleSlot(puzzle, ring, pos);
+        seen.push(getSlotContent(puzzle.circles[ring], pos, geometry));
+      }
+      check(seen.join() === 'emitter,blocker,', `${label}: cycled through ${seen.map(String).join(' -> ')}`);
+      const others = (grid) => JSON.stringify(grid.map((row, r) => row.filter((_, p) => r !== ring || p !== pos)));
+      check(others(slots(puzzle)) === others(before), `${label}: another slot changed`);
+      cycled++;
+    }
+  }
+  check(JSON.stringify(slots(base)) === JSON.stringify(before), `${sides}x${rings}: cycleSlot changed the original puzzle`);
+
+  // Conflicts: none for a lone emitter, both slots once a blocker fills the
+  // opposite slot of the same ring, and none again once it is emptied; none
+  // for opposite slots of different rings or for neighbouring slots
+  const half = sides / 2;
+  let puzzle = cycleSlot(empty, 0, 1);
+  check(findOppositeConflicts(puzzle).size === 0, `${sides}x${rings}: conflict with a single element`);
+  puzzle = cycleSlot(cycleSlot(puzzle, 0, 1 + half), 0, 1 + half);
+  check([...findOppositeConflicts(puzzle)].sort().join() === ['0:1', `0:${1 + half}`].sort().join(),
+    `${sides}x${rings}: emitter and blocker opposite gave ${[...findOppositeConflicts(puzzle)]}`);
+  const acrossRings = cycleSlot(cycleSlot(empty, 0, 2), 1, 2 + half);
+  check(findOppositeConflicts(acrossRings).size === 0, `${sides}x${rings}: conflict across rings`);
+  puzzle = clear(puzzle, 0, 1 + half);
+  check(findOppositeConflicts(puzzle).size === 0, `${sides}x${rings}: conflict after the opposite slot was emptied`);
+  const neighbours = cycleSlot(cycleSlot(empty, 0, 0), 0, 1);
+  check(findOppositeConflicts(neighbours).size === 0, `${sides}x${rings}: conflict between neighbours`);
+}
+log(`editor: cycled ${cycled} slots`);
+
+// Lit edges toggle on and off and stay sorted
+let puzzle = toggleLitEdge(toggleLitEdge(toggleLitEdge(createEmptyPuzzle(), 5), 1), 9);
+check(puzzle.litEdges.join() === '1,5,9', `toggleLitEdge: ${puzzle.litEdges}`);
+puzzle = toggleLitEdge(puzzle, 5);
+check(puzzle.litEdges.join() === '1,9', `toggleLitEdge off: ${puzzle.litEdges}`);
+
+report('Editor operations cycle slots and find opposite conflicts.', 'editor checks');
@@ -0,0 +1,67 @@
+// Reverse construction: every puzzle built from its solved state must be
+// solvable without a validation loop, on any board and difficulty, must not
+// start solved, and must honour { unique } and { par }, throwing for a par
+// no scramble reaches or a board with no unique puzzle.
+// Run with: node src/test-reverse-generator.js
+import { isPuzzleSolvable, getPar, findAllSolutions } from './puzzle.js';
+import { generateReversePuzzle } from './reverse-generator.js';
+import { createGeometry, defaultRingRadii } from './geometry.js';
+import { validatePuzzle } from './puzzle-schema.js';
+import { startTest } from './test-harness.js';
+
+const SEEDS = 40; // Puzzles per board and difficulty
+const BOARDS = [[12, 3], [8, 2], [10, 4], [16, 5]];
+
+const { log, check, report } = startTest({ silenceWarnings: true });
+
+for (const [sides, rings] of BOARDS) {
+  const geometry = createGeometry({ sides, ringRadii: defaultRingRadii(rings) });
+  for (const difficulty of ['easy', 'medium', 'hard']) {
+    let solvable = 0;
+    for (let seed = 0; seed < SEEDS; seed++) {
+      const puzzle = generateReversePuzzle(2, 5, difficulty, { seed, geometry });
+      const label = `${sides}x${rings} ${difficulty} seed ${seed}`;
+      const { valid, warnings } = validatePuzzle(puzzle);
+      check(valid, `${label}: invalid puzzle`);
+      check(warnings.length === 0, `${label}: ${warnings[0]}`);
+      check(puzzle.circles.every((c) => c.lasers.length + c.blockers.length > 0), `${label}: a ring is empty`);
+      if (isPuzzleSolvable(puzzle)) solvable++;
+      check(getPar(puzzle) > 0, `${label}: starts solved`);
+    }
+    log(`${sides}x${rings} ${difficulty}: ${solvable}/${SEEDS} solvable`);
+    check(solvable === SEEDS, `${sides}x${rings} ${difficulty}: only ${solvable}/${SEEDS} solvable`);
+  }
+}
+
+for (let seed = 0; seed < SEEDS; seed++) {
+  const unique = generateReversePuzzle(3, 4, 'medium', { seed, unique: true });
+  check(findAllSolutions(unique).length === 1, `unique seed ${seed}: not unique`);
+  check(validatePuzzle(unique).warnings.length === 0, `unique seed ${seed}: ${validatePuzzle(unique).warnings[0]}`);
+  const par = generateReversePuzzle(3, 4, 'medium', { seed, par: 6 });
+  check(getPar(par) === 6, `par seed ${seed}: par ${getPar(par)}`);
+  for (const target of [12, 15]) {
+    const hard = generateReversePuzzle(3, 4, 'hard', { seed, par: target });
+    check(getPar(hard) === target, `hard par ${target} seed ${seed}: par ${getPar(hard)}`);
+  }
+}
+
+// One ring of four sides is never more than 2 moves from solved
+let error = null;
+try {
+  generateReversePuzzle(1, 2, 'medium', { seed: 1, par: 3, geometry: createGeometry({ sides: 4, ringRadii: [60] }) });
+} catch (caught) {
+  error = caught.message;
+}
+check(error === 'No puzzle with par 3 found', `unreachable par gave ${error ?? 'a puzzle'}`);
+
+// Two rings of four sides with one lit edge leave no room for the blockers
+// that would rule out every other solution, so unique mode has to give up
+error = null;
+try {
+  generateReversePuzzle(1, 1, 'easy', { seed: 1, unique: true, geometry: createGeometry({ sides: 4, ringRadii: [60, 100] }) });
+} catch (caught) {
+  error = caught.message;
+}
+check(error === 'No puzzle with a unique solution found', `impossible unique gave ${error ?? 'a puzzle'}`);
+
+report('Reverse-built puzzles are always solvable.', 'reverse generator checks');
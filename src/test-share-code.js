@@ -0,0 +1,97 @@
+// Round-trip check for share codes, plus the malformed codes the UI must
+// reject with a readable message.
+// Run with: node src/test-share-code.js
+import { generatePuzzle } from './puzzle.js';
+import { generateConstraintBasedPuzzle } from './puzzle-generator.js';
+import { encodePuzzle, decodePuzzle } from './share-code.js';
+import { mod360, defaultRingRadii } from './geometry.js';
+
+const N = 200;
+
+// Angles compared to a billionth of a degree: steps such as 360 / 22 are not
+// exact in floating point
+const angle = (value) => Number(mod360(value).toFixed(9));
+const normalize = (puzzle) => JSON.stringify({
+  geometry: puzzle.geometry,
+  litEdges: [...puzzle.litEdges].sort((a, b) => a - b),
+  circles: puzzle.circles.map((c) => ({
+    radius: c.radius,
+    lasers: c.lasers.map(angle),
+    blockers: c.blockers.map(angle),
+  })),
+});
+
+const log = console.log;
+console.log = () => {};
+
+let failures = 0;
+for (let i = 0; i < N; i++) {
+  const generated = i % 2
+    ? generatePuzzle(3, 6, { seed: i })
+    : generateConstraintBasedPuzzle(3, 6, 'hard', { seed: i });
+  const puzzle = { litEdges: generated.litEdges, circles: generated.circles };
+  const rotations = i % 3 ? [i % 12 * 30, 0, 330] : null;
+
+  const decoded = decodePuzzle(encodePuzzle(puzzle, rotations));
+  if (normalize(decoded.puzzle) !== normalize(puzzle) ||
+      JSON.stringify(decoded.rotations) !== JSON.stringify(rotations)) {
+    console.error(`FAIL: puzzle ${i} did not round-trip`, JSON.stringify(puzzle));
+    failures++;
+  }
+}
+log(`Round-tripped ${N} puzzles`);
+
+// Other boards use version 2 codes, which carry the side count
+const BOARDS = [[8, 2], [10, 4], [16, 3], [22, 5]]; // [sides, rings]
+for (const [sides, rings] of BOARDS) {
+  const geometry = { sides, ringRadii: defaultRingRadii(rings) };
+  for (let i = 0; i < 10; i++) {
+    const puzzle = i % 2
+      ? generatePuzzle(3, 6, { seed: i, geometry })
+      : generateConstraintBasedPuzzle(3, 6, 'hard', { seed: i, geometry });
+    delete puzzle.metadata;
+    const rotations = puzzle.circles.map((_, c) => ((i + c) % sides) * (360 / sides));
+    const code = encodePuzzle(puzzle, rotations);
+    const decoded = decodePuzzle(code);
+    if (!code.startsWith('TP2.') || normalize(decoded.puzzle) !== normalize(puzzle) ||
+        JSON.stringify(decoded.rotations) !== JSON.stringify(rotations)) {
+      console.error(`FAIL: ${sides}-sided puzzle ${i} did not round-trip`, JSON.stringify(puzzle));
+      failures++;
+    }
+  }
+}
+log(`Round-tripped puzzles on ${BOARDS.length} other boards`);
+
+const board = (blockers) => ({
+  litEdges: [1],
+  circles: [
+    { radius: 50, lasers: [15], blockers },
+    { radius: 90, lasers: [], blockers: [] },
+    { radius: 130, lasers: [], blockers: [] },
+  ],
+});
+const valid = encodePuzzle(board([45]));
+const overlapping = encodePuzzle(board([15]));
+const malformed = {
+  'not a code': 'hello',
+  'unknown version': valid.replace('TP1.', 'TP9.'),
+  'bad checksum': `${valid.slice(0, -2)}zz`,
+  'truncated': valid.slice(0, -3),
+  'overlapping elements': overlapping,
+};
+for (const [name, code] of Object.entries(malformed)) {
+  try {
+    decodePuzzle(code);
+    console.error(`FAIL: accepted ${name} code ${code}`);
+    failures++;
+  } catch (error) {
+    log(`Rejected ${name}: ${error.message}`);
+  }
+}
+
+console.log = log;
+if (failures === 0) {
+  console.log('PASS: Share codes round-trip and malformed codes are rejected.');
+} else {
+  throw new Error(`FAIL: ${failures} share code checks failed.`);
+}
@@ -0,0 +1,107 @@
+// The pruned backtracking search must find exactly the solutions that brute
+// force over every rotation combination finds: on-grid puzzles on several
+// board shapes (also with circles listed outside-in) and off-grid puzzles
+// that go through the geometric fallback.
+// Run with: node src/test-solver-search.js
+import { generatePuzzle } from './puzzle.js';
+import { traceBeams } from './beam-tracer.js';
+import {
+  forEachRotation,
+  traceBeamsDiscrete,
+  getRingPeriod,
+  searchSolutions,
+  isOnGrid,
+} from './solver.js';
+import { SimplifiedEvolutionaryGenerator } from './simplified-evolutionary-generator.js';
+import { createGeometry, defaultRingRadii, getGeometry, DEFAULT_GEOMETRY } from './geometry.js';
+import { createRng } from './random.js';
+
+const N = 150; // Puzzles per classic corpus
+const N_BOARD = 6; // Puzzles per corpus on the other boards
+const N_OFF_GRID = 10;
+const BOARDS = [[8, 2], [10, 4], [16, 3], [8, 5]]; // [sides, rings]
+
+function bruteForce(puzzle, limits) {
+  const { stepAngle } = getGeometry(puzzle);
+  const onGrid = isOnGrid(puzzle);
+  const solutions = [];
+  forEachRotation(limits, (steps) => {
+    const solved = onGrid
+      ? traceBeamsDiscrete(puzzle, steps).solved
+      : traceBeams(puzzle, steps.map((r) => r * stepAngle)).solved;
+    if (solved) solutions.push(steps);
+  });
+  return solutions;
+}
+
+function compare(puzzle) {
+  const geometry = getGeometry(puzzle);
+  const full = puzzle.circles.map(() => geometry.sides);
+  const periods = puzzle.circles.map((circle) => getRingPeriod(circle, geometry));
+
+  for (const limits of [full, periods]) {
+    const expected = JSON.stringify(bruteForce(puzzle, limits));
+    const actual = JSON.stringify(searchSolutions(puzzle, { limits }));
+    if (expected !== actual) return `limits [${limits}]: brute force ${expected}, search ${actual}`;
+  }
+  const first = searchSolutions(puzzle, { first: true });
+  const any = bruteForce(puzzle, full).length > 0;
+  if ((first.length > 0) !== any || first.length > 1) {
+    return `first: expected ${any ? 'one solution' : 'none'}, got ${first.length}`;
+  }
+  return null;
+}
+
+const evolutionary = new SimplifiedEvolutionaryGenerator();
+const chromosome = (geometry) => {
+  evolutionary.geometry = geometry;
+  return evolutionary.chromosomeToPuzzle(
+    evolutionary.createRandomChromosome(evolutionary.getDifficultyConfig('hard'))
+  );
+};
+const outsideIn = (puzzle) => ({ ...puzzle, circles: [...puzzle.circles].reverse() });
+
+const corpora = {
+  generatePuzzle: [N, (i) => generatePuzzle(3, 6, { seed: i })],
+  chromosome: [N, () => chromosome(DEFAULT_GEOMETRY)],
+  'outside-in': [N_BOARD * 4, (i) => outsideIn(generatePuzzle(3, 6, { seed: i }))],
+};
+for (const [sides, rings] of BOARDS) {
+  const geometry = createGeometry({ sides, ringRadii: defaultRingRadii(rings) });
+  corpora[`generatePuzzle ${sides}x${rings}`] = [N_BOARD, (i) => generatePuzzle(1, 3, { seed: i, geometry })];
+  corpora[`chromosome ${sides}x${rings}`] = [N_BOARD, () => chromosome(geometry)];
+}
+// Nudge every angle of a seeded puzzle off the grid
+const rng = createRng(7);
+corpora['off-grid'] = [N_OFF_GRID, (i) => {
+  const puzzle = generatePuzzle(3, 6, { seed: i });
+  const nudge = (angle) => angle + Math.floor(rng() * 9) - 4;
+  return {
+    ...puzzle,
+    circles: puzzle.circles.map((c) => ({ ...c, lasers: c.lasers.map(nudge), blockers: c.blockers.map(nudge) })),
+  };
+}];
+
+let failures = 0;
+let checked = 0;
+for (const [name, [count, makePuzzle]] of Object.entries(corpora)) {
+  let solvable = 0;
+  for (let i = 0; i < count; ++i) {
+    const puzzle = makePuzzle(i);
+    const mismatch = compare(puzzle);
+    if (mismatch) {
+      console.error(`Mismatch (${name}): ${mismatch}`);
+      console.error('Puzzle:', JSON.stringify(puzzle));
+      failures++;
+    }
+    if (searchSolutions(puzzle, { first: true }).length > 0) solvable++;
+  }
+  checked += count;
+  console.log(`${name}: checked ${count} puzzles (${solvable} solvable)`);
+}
+
+if (failures === 0) {
+  console.log(`PASS: Backtracking search agrees with brute force on ${checked} puzzles.`);
+} else {
+  throw new Error(`FAIL: ${failures} puzzles disagree with brute force.`);
+}
@@ -0,0 +1,71 @@
+// Scrambled starts: chooseStartRotations must never leave a solvable puzzle
+// solved, must keep the requested distance from every solution whenever some
+// start allows it, and quickly so on the largest boards, and startRotations
+// must survive puzzle files and share codes.
+// Run with: node src/test-start-state.js
+import { generatePuzzle, generateSolvablePuzzle, getPar } from './puzzle.js';
+import { chooseStartRotations, scrambleStart, getStartRotations } from './start-state.js';
+import { forEachRotation, findAllSolutions } from './solver.js';
+import { toPuzzleJSON, parsePuzzleJSON, validatePuzzle } from './puzzle-schema.js';
+import { encodePuzzle, decodePuzzle } from './share-code.js';
+import { defaultRingRadii } from './geometry.js';
+import { startTest } from './test-harness.js';
+
+const N = 100;
+const DISTANCES = [1, 3, 6];
+const LARGE_BOARD_MS = 5000; // Well inside the generation worker's timeout
+
+const { log, check, report } = startTest();
+
+// Farthest any start can be from the solutions, by enumeration
+const farthest = (puzzle) => {
+  const solutions = findAllSolutions(puzzle, { dedupe: false });
+  let best = 0;
+  forEachRotation(puzzle.circles.map(() => 12), (start) => {
+    best = Math.max(best, getPar(puzzle, start, { solutions }));
+    return false;
+  });
+  return best;
+};
+
+let capped = 0;
+for (let i = 0; i < N; i++) {
+  const { puzzle } = generateSolvablePuzzle(2, 4, { seed: i });
+  const reach = farthest(puzzle);
+  for (const minDistance of DISTANCES) {
+    const start = chooseStartRotations(puzzle, { minDistance, seed: i });
+    const distance = getPar(puzzle, start);
+    check(distance >= Math.min(minDistance, reach), `seed ${i}: start ${distance} moves away, wanted ${minDistance} (max ${reach})`);
+    check(reach === 0 || distance > 0, `seed ${i}: start is solved`);
+    check(JSON.stringify(start) === JSON.stringify(chooseStartRotations(puzzle, { minDistance, seed: i })),
+      `seed ${i}: start not reproducible`);
+    if (reach < minDistance) capped++;
+  }
+}
+log(`distances: ${N} puzzles, ${capped} requests beyond the farthest start`);
+
+// A large board where the distance cannot be reached: every state is
+// measured once instead of trying random starts against every solution
+const large = generateSolvablePuzzle(2, 3, { seed: 1, geometry: { sides: 16, ringRadii: defaultRingRadii(5) } }).puzzle;
+const started = Date.now();
+const largeStart = chooseStartRotations(large, { minDistance: 99, seed: 1 });
+const elapsed = Date.now() - started;
+check(elapsed < LARGE_BOARD_MS, `16x5 start took ${elapsed}ms`);
+check(getPar(large, largeStart) > 0, '16x5 start is solved');
+
+const unsolvable = generatePuzzle(3, 6, { seed: 3 });
+check(chooseStartRotations({ ...unsolvable, litEdges: [0, 6] }, { seed: 1 }).length === 3, 'unsolvable: no start');
+
+// Persistence
+const { puzzle } = generateSolvablePuzzle(3, 4, { seed: 7 });
+const scrambled = scrambleStart(puzzle, { seed: 7 });
+check(JSON.stringify(getStartRotations(puzzle)) === '[0,0,0]', 'getStartRotations: no default');
+const file = parsePuzzleJSON(JSON.stringify(toPuzzleJSON(scrambled)));
+check(JSON.stringify(file.puzzle.startRotations) === JSON.stringify(scrambled.startRotations), 'file: startRotations lost');
+const decoded = decodePuzzle(encodePuzzle(scrambled));
+check(JSON.stringify(decoded.puzzle.startRotations) === JSON.stringify(scrambled.startRotations), 'code: startRotations lost');
+check(decoded.rotations.every((deg, i) => deg === scrambled.startRotations[i] * 30), 'code: rotations differ from the start');
+check(!validatePuzzle({ ...puzzle, startRotations: [1, 2] }).valid, 'schema: short startRotations accepted');
+check(!validatePuzzle({ ...puzzle, startRotations: [1, 2, 12] }).valid, 'schema: out-of-range step accepted');
+
+report('Starts are scrambled and stored with the puzzle.', 'start state checks');
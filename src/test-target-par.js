@@ -0,0 +1,152 @@
+// Target par: getPar must match the shortest move sequence, fitToPar must hit
+// the par it is asked for, and every generator asked for { par } must come back
+// with a puzzle whose par from the unrotated start is exactly that, searching
+// for one when its own candidates all miss.
+// Run with: node src/test-target-par.js
+import { generatePuzzle, generateSolvablePuzzle, getPar, findShortestSolution, pickQualifyingPuzzle } from './puzzle.js';
+import { generateConstraintBasedPuzzle } from './puzzle-generator.js';
+import { SimplifiedEvolutionaryGenerator } from './simplified-evolutionary-generator.js';
+import { EvolutionaryPuzzleGenerator } from './evolutionary-puzzle-generator.js';
+import { SimulatedAnnealingGenerator } from './annealing-generator.js';
+import { MCTSPuzzleGenerator } from './mcts-generator.js';
+import { ParetoPuzzleGenerator } from './pareto-generator.js';
+import { fitToPar, rotateRings } from './target-par.js';
+import { createRng } from './random.js';
+import { findAllSolutions } from './solver.js';
+import { createGeometry } from './geometry.js';
+import { startTest } from './test-harness.js';
+
+const N = 200; // Puzzles for the agreement check
+const SEEDS = 4; // Runs per generator
+const PARS = [2, 5];
+
+const { log, check, report } = startTest({ silenceWarnings: true });
+
+const rng = createRng(1);
+let solvable = 0;
+for (let i = 0; i < N; i++) {
+  const puzzle = generatePuzzle(2, 4, { seed: i });
+  const rotations = puzzle.circles.map(() => Math.floor(rng() * 12));
+  const shortest = findShortestSolution(puzzle, rotations);
+  const par = getPar(puzzle, rotations);
+  check(par === (shortest ? shortest.length : null), `seed ${i}: par ${par}, shortest ${shortest && shortest.length}`);
+  if (shortest) solvable++;
+}
+log(`agreement: ${N} puzzles, ${solvable} solvable`);
+
+// Turning ring elements forward turns the solutions back
+const sample = generateSolvablePuzzle(3, 4, { seed: 3 }).puzzle;
+const shifted = findAllSolutions(rotateRings(sample, [1, 2, 3]), { dedupe: false });
+const expected = findAllSolutions(sample, { dedupe: false }).map((steps) => steps.map((s, i) => (s - (i + 1) + 12) % 12));
+check(JSON.stringify(shifted.map(String).sort()) === JSON.stringify(expected.map(String).sort()), 'rotateRings: solutions did not shift');
+
+for (const par of [0, 1, 4, 7]) {
+  const fitted = fitToPar(sample, par, { rng: createRng(par) });
+  check(fitted && getPar(fitted) === par, `fitToPar: par ${par} not reached`);
+}
+check(fitToPar(sample, 99) === null, 'fitToPar: impossible par not reported');
+
+// Candidates that cannot be fitted fall back to a search, and a par nothing
+// reaches is an error rather than an off-par puzzle
+const unsolvable = { ...sample, litEdges: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] };
+const searched = pickQualifyingPuzzle([unsolvable], [3, 4], { rng: createRng(4), par: 3 });
+check(searched.searched && getPar(searched.puzzle) === 3, 'pickQualifyingPuzzle: search did not reach the par');
+const picked = pickQualifyingPuzzle([unsolvable, sample], [3, 4], { rng: createRng(4), par: 3 });
+check(!picked.searched && getPar(picked.puzzle) === 3, 'pickQualifyingPuzzle: fitting candidate skipped');
+let thrown = null;
+try {
+  pickQualifyingPuzzle([sample], [3, 4], { rng: createRng(4), par: 99, maxAttempts: 5 });
+} catch (error) {
+  thrown = error.message;
+}
+check(thrown === 'No puzzle with par 99 found', `pickQualifyingPuzzle: impossible par gave ${thrown}`);
+
+const simplified = new SimplifiedEvolutionaryGenerator();
+const evolutionary = new EvolutionaryPuzzleGenerator();
+const annealing = new SimulatedAnnealingGenerator();
+const mcts = new MCTSPuzzleGenerator();
+const pareto = new ParetoPuzzleGenerator();
+const generators = {
+  random: (seed, par) => {
+    const { puzzle, found } = generateSolvablePuzzle(3, 4, { seed, par });
+    check(found, `random seed ${seed}: reported no puzzle with par ${par}`);
+    return puzzle;
+  },
+  constraint: (seed, par) => generateConstraintBasedPuzzle(3, 4, 'medium', { seed, par }),
+  simplifiedEvolutionary: (seed, par) => simplified.generatePuzzle('medium', { seed, par }),
+  evolutionary: (seed, par) => evolutionary.generatePuzzle('easy', { seed, par }),
+  annealing: (seed, par) => annealing.generatePuzzle('medium', { seed, par }),
+  mcts: (seed, par) => mcts.generatePuzzle('medium', { seed, par }),
+  pareto: (seed, par) => pareto.generatePuzzle('medium', { seed, par }),
+};
+
+// Each search generator's own score of a puzzle, to check that
+// metadata.fitness describes the puzzle returned rather than a discarded one
+const scoreChromosome = (scorer, puzzle) => {
+  const chromosome = scorer.puzzleToChromosome(puzzle);
+  scorer.calculateFitness(chromosome);
+  return chromosome.fitness;
+};
+const scores = {
+  simplifiedEvolutionary: (puzzle) => scoreChromosome(simplified, puzzle),
+  evolutionary: (puzzle) => evolutionary.calculateFitness(evolutionary.puzzleToChromosome(puzzle), evolutionary.getDifficultyConfig('easy')),
+  annealing: (puzzle) => scoreChromosome(annealing.scorer, puzzle),
+  mcts: (puzzle) => mcts.evaluate(mcts.puzzleToLayout(puzzle), mcts.getDifficultyConfig('medium')).value,
+  pareto: (puzzle) => pareto.evaluate(pareto.scorer.puzzleToChromosome(puzzle)).fitness,
+};
+
+for (const [name, generate] of Object.entries(generators)) {
+  let hits = 0;
+  let searches = 0;
+  for (const par of PARS) {
+    for (let seed = 0; seed < SEEDS; seed++) {
+      const result = generate(seed, par);
+      // The evolutionary, annealing, tree search and Pareto generators return { puzzle, metadata }
+      const puzzle = result.puzzle || result;
+      const actual = getPar(puzzle);
+      if (result.puzzle) {
+        check(result.metadata.par === actual, `${name}: metadata.par ${result.metadata.par}, actual ${actual}`);
+        const fitness = scores[name](puzzle);
+        check(result.metadata.fitness === fitness, `${name} seed ${seed}: metadata.fitness ${result.metadata.fitness}, returned puzzle ${fitness}`);
+      }
+      if (result.front) {
+        const off = result.front.filter((entry) => getPar(entry.puzzle) !== par).length;
+        check(off === 0, `${name} seed ${seed}: ${off} front puzzles are off par ${par}`);
+      }
+      if (actual === par) hits++;
+      if (result.metadata && result.metadata.searched) searches++;
+    }
+  }
+  const runs = PARS.length * SEEDS;
+  log(`${name}: ${hits}/${runs} on par, ${searches} searched`);
+  check(hits === runs, `${name}: only ${hits}/${runs} puzzles have the target par`);
+}
+
+// One ring of four sides is never more than 2 moves from solved: every
+// generator must say so instead of returning a puzzle off par
+const tiny = createGeometry({ sides: 4, ringRadii: [60] });
+for (const [name, generator] of Object.entries({ simplified, evolutionary, annealing, mcts, pareto })) {
+  let error = null;
+  try {
+    generator.generatePuzzle('medium', { seed: 1, par: 3, geometry: tiny });
+  } catch (caught) {
+    error = caught.message;
+  }
+  check(error === 'No puzzle with par 3 found', `${name}: unreachable par gave ${error ?? 'a puzzle'}`);
+}
+
+// The constraint generator's own retries rarely reach a large par, so these
+// come from its fallback search, which must still land on it or throw
+for (let seed = 0; seed < SEEDS; seed++) {
+  const actual = getPar(generateConstraintBasedPuzzle(3, 4, 'medium', { seed: seed + 7, par: 15 }));
+  check(actual === 15, `constraint seed ${seed + 7}: par ${actual}, wanted 15`);
+}
+let constraintError = null;
+try {
+  generateConstraintBasedPuzzle(1, 2, 'medium', { seed: 1, par: 3, geometry: tiny, maxAttempts: 5 });
+} catch (caught) {
+  constraintError = caught.message;
+}
+check(constraintError === 'No puzzle with par 3 found', `constraint: unreachable par gave ${constraintError ?? 'a puzzle'}`);
+
+report('Generators reach the target par.', 'target par checks');
@@ -0,0 +1,67 @@
+// Unique-solution mode: hasUniqueSolution must agree with counting
+// findAllSolutions, and every generator asked for { unique: true } must come
+// back with a puzzle that has exactly one distinct solution, every time.
+// Run with: node src/test-unique-solution.js
+import { generatePuzzle, generateSolvablePuzzle, hasUniqueSolution, findAllSolutions } from './puzzle.js';
+import { generateConstraintBasedPuzzle } from './puzzle-generator.js';
+import { SimplifiedEvolutionaryGenerator } from './simplified-evolutionary-generator.js';
+import { EvolutionaryPuzzleGenerator } from './evolutionary-puzzle-generator.js';
+import { SimulatedAnnealingGenerator } from './annealing-generator.js';
+import { MCTSPuzzleGenerator } from './mcts-generator.js';
+import { ParetoPuzzleGenerator } from './pareto-generator.js';
+import { createGeometry, defaultRingRadii } from './geometry.js';
+import { startTest } from './test-harness.js';
+
+const N = 300; // Puzzles for the agreement check
+const SEEDS = 6; // Runs per generator
+
+const { log, check, report } = startTest({ silenceWarnings: true });
+
+let unique = 0;
+for (let i = 0; i < N; i++) {
+  const puzzle = generatePuzzle(2, 4, { seed: i });
+  const count = findAllSolutions(puzzle).length;
+  check(hasUniqueSolution(puzzle) === (count === 1), `seed ${i}: hasUniqueSolution disagrees with ${count} solutions`);
+  if (count === 1) unique++;
+}
+log(`agreement: ${N} puzzles, ${unique} with a unique solution`);
+
+const simplified = new SimplifiedEvolutionaryGenerator();
+const evolutionary = new EvolutionaryPuzzleGenerator();
+const annealing = new SimulatedAnnealingGenerator();
+const mcts = new MCTSPuzzleGenerator();
+const pareto = new ParetoPuzzleGenerator();
+const board = createGeometry({ sides: 8, ringRadii: defaultRingRadii(2) });
+const generators = {
+  random: (seed) => {
+    const { puzzle, found } = generateSolvablePuzzle(3, 4, { seed, unique: true });
+    check(found, `random seed ${seed}: reported no unique puzzle found`);
+    return puzzle;
+  },
+  'random 8x2': (seed) => generateSolvablePuzzle(1, 3, { seed, unique: true, geometry: board }).puzzle,
+  constraint: (seed) => generateConstraintBasedPuzzle(3, 4, 'medium', { seed, unique: true }),
+  simplifiedEvolutionary: (seed) => simplified.generatePuzzle('medium', { seed, unique: true }).puzzle,
+  evolutionary: (seed) => evolutionary.generatePuzzle('easy', { seed, unique: true }).puzzle,
+  annealing: (seed) => annealing.generatePuzzle('medium', { seed, unique: true }).puzzle,
+  mcts: (seed) => mcts.generatePuzzle('medium', { seed, unique: true }).puzzle,
+  pareto: (seed) => pareto.generatePuzzle('medium', { seed, unique: true }).puzzle,
+};
+
+for (const [name, generate] of Object.entries(generators)) {
+  let hits = 0;
+  for (let seed = 0; seed < SEEDS; seed++) {
+    const solutions = findAllSolutions(generate(seed)).length;
+    if (solutions === 1) hits++;
+  }
+  log(`${name}: ${hits}/${SEEDS} unique`);
+  check(hits === SEEDS, `${name}: only ${hits}/${SEEDS} puzzles have a unique solution`);
+}
+
+// Every puzzle on the Pareto front counts, not just the chosen one
+for (let seed = 0; seed < SEEDS; seed++) {
+  const { front } = pareto.generatePuzzle('medium', { seed, unique: true });
+  const shared = front.filter((entry) => !hasUniqueSolution(entry.puzzle)).length;
+  check(shared === 0, `pareto seed ${seed}: ${shared} front puzzles have more than one solution`);
+}
+
+report('Unique-solution mode works for every generator.', 'unique-solution checks');